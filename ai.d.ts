@@ -13,19 +13,593 @@ declare module "@oof2510/llmjs" {
    */
   export interface AiAttachment {
     /** The media type being sent */
-    type: "image" | "video";
+    type: "image" | "video" | "audio" | "document";
     
     /** Remote URL that OpenRouter can fetch directly */
     url?: string;
     
-    /** Raw file contents (Buffer or base64 string) */
-    data?: string | Buffer;
+    /** Raw file contents (Buffer, stream, base64 string or data URI) */
+    data?: string | Buffer | NodeJS.ReadableStream;
+    
+    /** Local file to read */
+    path?: string;
+    
+    /** File name shown to the model (documents and audio only, defaults to the path or URL's) */
+    filename?: string;
     
     /** Optional MIME type for format hints */
     mimeType?: string;
     
-    /** Explicit format override for video blobs (e.g., "mp4") */
+    /** Explicit format override for video and audio blobs (e.g., "mp4", "wav") */
     format?: string;
+
+    /** Audio already transcribed; sent as text instead of the clip */
+    transcript?: string;
+  }
+
+  /**
+   * Per-request attachment limits. Sizes apply to inline data only; URLs aren't downloaded.
+   * An image over maxBytes is only downscaled when AiAttachmentOptions.resizeImage is set;
+   * otherwise it throws an AttachmentError.
+   */
+  export interface AiAttachmentLimits {
+    /** Most attachments per request, all types together */
+    maxCount?: number;
+    image?: { maxCount?: number; maxBytes?: number };
+    video?: { maxCount?: number; maxBytes?: number };
+    audio?: { maxCount?: number; maxBytes?: number };
+    document?: { maxCount?: number; maxBytes?: number };
+  }
+
+  /**
+   * Options for the attachment preprocessing stage
+   */
+  export interface AiAttachmentOptions {
+    /** Merged over the provider's defaults; false turns the limits off */
+    limits?: AiAttachmentLimits | false;
+
+    /** Images with a longer side than this (in pixels) go through resizeImage; ignored without it */
+    maxImageDimension?: number;
+
+    /**
+     * Downscales or re-encodes an image (e.g. with sharp). Called for images over the byte
+     * limit, over maxImageDimension, or in a format other than PNG, JPEG, GIF or WebP. There is
+     * no default: without it images are never resized
+     */
+    resizeImage?: (
+      image: { data: Buffer; mimeType?: string; width?: number; height?: number },
+      target: { maxBytes: number | null; maxDimension: number | null; mimeType: string }
+    ) => Promise<Buffer | { data: Buffer; mimeType?: string }>;
+  }
+
+  /**
+   * One thing the preprocessing stage changed about an attachment
+   */
+  export interface AiAttachmentChange {
+    /** Position in `attachments` */
+    index: number;
+    type: string;
+    change: "mimeType" | "resized" | "reencoded";
+    before: { mimeType?: string; bytes?: number; width?: number; height?: number };
+    after: { mimeType?: string; bytes?: number; width?: number; height?: number };
+  }
+
+  /**
+   * One part of a canonical message. Every class reads these (and converts them to its
+   * provider's shape), and history is stored in this form.
+   */
+  export type AiContentPart =
+    | { type: "text"; text: string }
+    | { type: "image"; url: string; detail?: string }
+    | { type: "video"; url?: string; data?: string; format?: string }
+    | { type: "audio"; url?: string; data?: string; format?: string }
+    | { type: "document"; url?: string; data?: string; mimeType?: string; filename?: string };
+
+  /**
+   * Provider-neutral chat message accepted in `messages` by every class
+   */
+  export interface AiMessage {
+    role: "system" | "user" | "assistant" | "tool";
+
+    /** Plain text, or text and media parts */
+    content: string | AiContentPart[];
+
+    /** Optional speaker name */
+    name?: string;
+
+    /** Tool calls made by an assistant turn */
+    toolCalls?: Array<{ id: string; name: string; arguments: Record<string, any> | string }>;
+
+    /** The tool call a "tool" message answers */
+    toolCallId?: string;
+  }
+
+  /**
+   * Token usage reported by a provider, normalized across SDKs
+   */
+  export interface AiUsage {
+    /** Tokens consumed by the prompt */
+    promptTokens: number;
+
+    /** Tokens generated in the reply */
+    completionTokens: number;
+
+    /** Total tokens billed for the call */
+    totalTokens: number;
+  }
+
+  /**
+   * Result of askDetailed()
+   */
+  export interface AiResponse {
+    /** Reply text */
+    text: string;
+
+    /** Provider that answered ("openrouter", "groq" or "mistral") */
+    provider: string;
+
+    /** Model that answered */
+    model: string;
+
+    /** Token usage when the provider reports it (summed over every round of a tool loop) */
+    usage: AiUsage | null;
+
+    /** Why the model stopped, as the provider reports it (e.g. "stop", "length") */
+    finishReason: string | null;
+
+    /** Time from the call to the reply, including failed fallbacks and retries */
+    latencyMs: number;
+
+    /** Models tried, including the one that answered (0 when served from the cache) */
+    attempts: number;
+
+    /** True when the reply came from the response cache or a matching call already in flight */
+    cached: boolean;
+
+    /** Untouched response from the provider SDK (null when cached) */
+    raw: any;
+  }
+
+  /**
+   * Per-call overrides accepted by ask(), askDetailed(), askStream(), askWithTools() and askJson().
+   * Anything left out falls back to the instance's settings.
+   */
+  export interface AiCallOverrides {
+    /** Model to try first for this call */
+    model?: string;
+
+    /** Fallback models for this call; [] turns fallback off */
+    fallbackModels?: string[];
+
+    /** Sampling temperature */
+    temperature?: number;
+
+    /** Cap on generated tokens */
+    maxTokens?: number;
+
+    /** Nucleus sampling cutoff (top_p) */
+    topP?: number;
+
+    /** One or more sequences that end the reply early */
+    stop?: string | string[];
+
+    /** Seed for deterministic sampling where the provider supports it (Mistral's randomSeed) */
+    seed?: number;
+
+    /** Penalises tokens that have appeared at all so far */
+    presencePenalty?: number;
+
+    /** Penalises tokens by how often they have appeared so far */
+    frequencyPenalty?: number;
+  }
+
+  /**
+   * Per-call overrides for MultiProviderAi. A plain model or fallback list goes to every
+   * provider; key them by provider to give each its own.
+   */
+  export interface AiMultiCallOverrides
+    extends Omit<AiCallOverrides, "model" | "fallbackModels"> {
+    model?: string | Partial<Record<string, string>>;
+    fallbackModels?: string[] | Partial<Record<string, string[]>>;
+  }
+
+  /**
+   * Sampling settings resolved for a single call
+   */
+  export interface AiSampling {
+    temperature?: number;
+    maxTokens?: number;
+    topP?: number;
+    stop?: string[];
+    seed?: number;
+    presencePenalty?: number;
+    frequencyPenalty?: number;
+  }
+
+  /**
+   * Options for embed()
+   */
+  export interface AiEmbedOptions {
+    /** Embedding model id, or a list to fall back through (same order rules as ask()) */
+    model?: string | string[];
+
+    /** Inputs sent per request (default 64) */
+    batchSize?: number;
+
+    /** Cancels the call, including batches that haven't been sent yet */
+    signal?: AbortSignal;
+  }
+
+  /**
+   * Result of embed()
+   */
+  export interface AiEmbeddingResult {
+    /** One vector per input text, in input order */
+    embeddings: number[][];
+
+    /** Length of each vector */
+    dimensions: number;
+
+    /** Provider that produced the vectors ("openrouter", "mistral" or an endpoint name) */
+    provider: string;
+
+    /** Embedding model that produced the vectors */
+    model: string;
+
+    /** Token usage summed across batches */
+    usage: AiUsage | null;
+
+    /** True when the vectors came from the response cache */
+    cached: boolean;
+  }
+
+  /**
+   * Result of transcribeDetailed(); the same shape for Groq Whisper and Mistral Voxtral
+   */
+  export interface AiTranscription {
+    /** Whole transcript */
+    text: string;
+
+    /** Detected (or given) language as an ISO code, e.g. "en" */
+    language: string | null;
+
+    /** Audio length in seconds */
+    duration: number | null;
+
+    /** Timed segments, in seconds */
+    segments: Array<{ start: number | null; end: number | null; text: string }>;
+
+    /** Word timestamps; empty unless asked for and the provider has them (Groq only) */
+    words: Array<{ word: string; start: number | null; end: number | null }>;
+
+    /** Provider that transcribed the audio */
+    provider: string;
+
+    /** Model that transcribed the audio */
+    model: string | null;
+
+    /** True when the result came from the response cache */
+    cached: boolean;
+
+    /** Untouched response from the provider SDK (null when cached) */
+    raw: any;
+  }
+
+  /**
+   * Event yielded by askStream()
+   */
+  export type AiStreamEvent =
+    | {
+        /** A new chunk of reply text */
+        type: "delta";
+        text: string;
+        model: string;
+        /** Set by MultiProviderAi */
+        provider?: string;
+      }
+    | {
+        /** Final event carrying the full assembled reply */
+        type: "done";
+        text: string;
+        model: string;
+        /** Set by MultiProviderAi */
+        provider?: string;
+        /** Token usage when the provider reports it */
+        usage: AiUsage | null;
+      };
+
+  /**
+   * A function the model can call during ask()/askWithTools()
+   */
+  export interface AiTool {
+    /** Function name the model calls (letters, digits, "_" and "-", up to 64 chars) */
+    name: string;
+
+    /** What the tool does, shown to the model */
+    description?: string;
+
+    /** JSON Schema for the arguments object (default: empty object schema) */
+    parameters?: Record<string, any>;
+
+    /** Runs the tool; the return value is JSON-encoded (unless it's a string) and fed back to the model */
+    handler: (
+      args: Record<string, any>,
+      context: { id: string; name: string; model: string }
+    ) => any | Promise<any>;
+  }
+
+  /**
+   * A tool call made by the model, in the same shape for every provider
+   */
+  export interface AiToolCall {
+    /** Provider-assigned call id */
+    id: string;
+
+    /** Tool that was called */
+    name: string;
+
+    /** Parsed arguments the model passed */
+    arguments: Record<string, any>;
+
+    /** What the handler returned */
+    result?: any;
+
+    /** Error message when the handler (or tool lookup) failed */
+    error?: string;
+  }
+
+  /**
+   * Result of askWithTools()
+   */
+  export interface AiToolResult extends AiResponse {
+    /** Every tool call made along the way, in order */
+    toolCalls: AiToolCall[];
+  }
+
+  /**
+   * Base class for errors thrown by this library
+   */
+  export class AiError extends Error {
+    constructor(
+      message: string,
+      details?: { provider?: string; model?: string; status?: number; cause?: any }
+    );
+
+    /** Provider that failed, when known */
+    provider?: string;
+
+    /** Model that failed, when known */
+    model?: string;
+
+    /** HTTP status from the provider, when there was one */
+    status?: number;
+  }
+
+  /**
+   * A model didn't answer within requestTimeoutMs, or a stream went that long without a chunk
+   */
+  export class TimeoutError extends AiError {
+    constructor(
+      message: string,
+      details?: { timeoutMs?: number; provider?: string; model?: string }
+    );
+
+    name: "TimeoutError";
+
+    /** The timeout that ran out */
+    timeoutMs?: number;
+  }
+
+  /**
+   * The provider answered 429
+   */
+  export class RateLimitError extends AiError {
+    constructor(
+      message: string,
+      details?: { retryAfterMs?: number | null; provider?: string; model?: string; status?: number; cause?: any }
+    );
+
+    name: "RateLimitError";
+
+    /** How long the provider asked us to wait, when it said */
+    retryAfterMs: number | null;
+  }
+
+  /**
+   * The API key was rejected (401/403)
+   */
+  export class AuthError extends AiError {
+    name: "AuthError";
+  }
+
+  /**
+   * The prompt plus maxTokens doesn't fit in the model's context window
+   */
+  export class ContextLengthError extends AiError {
+    name: "ContextLengthError";
+  }
+
+  /**
+   * The model answered, but with no text
+   */
+  export class EmptyResponseError extends AiError {
+    name: "EmptyResponseError";
+  }
+
+  /**
+   * One failed try inside a fallback loop
+   */
+  export interface AiAttempt {
+    /** Provider that was tried */
+    provider: string;
+
+    /** Model that was tried (null when a provider failed before picking one) */
+    model: string | null;
+
+    /** Why it failed, mapped onto the library's error classes where possible */
+    error: Error;
+
+    /** Time spent on this try, including retries */
+    latencyMs: number;
+  }
+
+  /**
+   * Every model (or provider) failed
+   */
+  export class AllModelsFailedError extends AiError {
+    constructor(message: string, attempts?: AiAttempt[]);
+
+    name: "AllModelsFailedError";
+
+    /** Every try, in order */
+    attempts: AiAttempt[];
+
+    /** Error from the final try */
+    readonly lastError: Error | undefined;
+  }
+
+  /**
+   * Thrown without calling anything when every model (or provider) has an open circuit
+   */
+  export class CircuitOpenError extends AiError {
+    constructor(message: string, details?: { provider?: string; retryAfterMs?: number | null });
+
+    name: "CircuitOpenError";
+
+    /** Time until the first circuit can be probed again */
+    retryAfterMs: number | null;
+  }
+
+  /**
+   * An attachment failed the checks before upload: unreadable, not the type it claims to be,
+   * or over the provider's size or count limit
+   */
+  export class AttachmentError extends AiError {
+    constructor(
+      message: string,
+      details?: { index?: number | null; type?: string; limit?: number; actual?: number; provider?: string; cause?: any }
+    );
+
+    name: "AttachmentError";
+
+    /** Position in `attachments` (null for count limits) */
+    index: number | null;
+
+    /** The attachment's type */
+    attachmentType?: string;
+
+    /** The limit that was exceeded */
+    limit?: number;
+
+    /** The count or size that exceeded it */
+    actual?: number;
+  }
+
+  /**
+   * Reported by askJson() for a reply that doesn't match the schema
+   */
+  export class JsonValidationError extends AiError {
+    constructor(
+      message: string,
+      details?: { errors?: string[]; rawText?: string; model?: string; provider?: string }
+    );
+
+    name: "JsonValidationError";
+
+    /** Validation errors from the last attempt */
+    errors: string[];
+
+    /** Raw text of the last reply */
+    rawText: string;
+
+    /** Model that produced the last reply */
+    model?: string;
+
+    /** Provider that produced the last reply (MultiProviderAi only) */
+    provider?: string;
+
+    /** Every model tried when askJson() gave up, as on AllModelsFailedError */
+    attempts: Array<{ provider: string; model: string | null; error: Error; latencyMs: number }>;
+  }
+
+  /**
+   * Options for askJson()
+   */
+  export interface AskJsonOptions extends AiCallOverrides {
+    /** JSON Schema the reply must match */
+    schema: Record<string, any>;
+
+    /** System prompt (the schema instruction is appended to it) */
+    system?: string;
+
+    /** User message */
+    user?: any;
+
+    /** Prior messages */
+    messages?: Array<BaseMessage | AiMessage>;
+
+    /** Media attachments */
+    attachments?: AiAttachment[];
+
+    /** How many times to re-prompt a model with validation errors before falling back (default: 2) */
+    maxRepairAttempts?: number;
+
+    /** Cancels the in-flight request and skips the remaining fallbacks */
+    signal?: AbortSignal;
+  }
+
+  /**
+   * A single stored chat message
+   */
+  export interface AiStoredMessage {
+    /** "user" or "assistant" */
+    role: string;
+
+    /** Message content as handed over by the history class */
+    content: string | Array<any> | Record<string, any>;
+  }
+
+  /**
+   * The contract every memory store implements. The *WithHistory classes accept any object
+   * with these methods.
+   */
+  export interface AiMemoryBackend {
+    /**
+     * Returns the latest messages for a chat, oldest first
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param limit Maximum number of messages to return
+     */
+    getHistory(chatId: string | number, scope: string, limit?: number): Promise<AiStoredMessage[]>;
+
+    /**
+     * Stores new messages in order, skipping entries without role or content
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param messages Messages to store
+     */
+    appendMessages(chatId: string | number, scope: string, messages?: AiStoredMessage[]): Promise<void>;
+
+    /**
+     * Forgets everything stored for the chat
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     */
+    clearHistory(chatId: string | number, scope: string): Promise<void>;
+
+    /**
+     * Removes the oldest `count` messages for the chat. Needed for rolling summarization.
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param count Number of messages to drop
+     */
+    deleteOldest?(chatId: string | number, scope: string, count: number): Promise<void>;
+
+    /** Optional eager setup */
+    connect?(): Promise<any>;
+
+    /** Optional teardown */
+    disconnect?(): Promise<void>;
   }
 
   /**
@@ -40,12 +614,18 @@ declare module "@oof2510/llmjs" {
     
     /** MongoDB database name */
     dbName: string;
+
+    /** Messages kept per chat scope before the oldest are trimmed (default: 80) */
+    maxEntries?: number;
+
+    /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+    logger?: AiLogger | Record<string, any>;
   }
 
   /**
    * Stores conversation history in MongoDB for context-aware responses
    */
-  export class AiMemoryStore {
+  export class AiMemoryStore implements AiMemoryBackend {
     /**
      * Initializes the memory store with MongoDB connection details
      * @param options Configuration options for the memory store
@@ -63,41 +643,753 @@ declare module "@oof2510/llmjs" {
      * Closes the MongoDB connection
      * @returns Promise that resolves when connection is closed
      */
-    disconnect(): Promise<void>;
+    disconnect(): Promise<void>;
+
+    /**
+     * Retrieves recent chat messages for context
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param limit Maximum number of messages to retrieve (default: 10)
+     * @returns Promise of message history array
+     */
+    getHistory(
+      chatId: string | number,
+      scope: string,
+      limit?: number
+    ): Promise<Array<{ role: string; content: string | Array<any> | Record<string, any> }>>;
+
+    /**
+     * Saves new messages and prunes old ones to maintain history size
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param messages Array of messages to save
+     * @returns Promise that resolves when messages are stored
+     */
+    appendMessages(
+      chatId: string | number,
+      scope: string,
+      messages?: Array<{ role: string; content: string | Array<any> | Record<string, any> }>
+    ): Promise<void>;
+
+    /**
+     * Clears all stored history for a conversation
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @returns Promise that resolves when history is cleared
+     */
+    clearHistory(chatId: string | number, scope: string): Promise<void>;
+
+    /**
+     * Removes the oldest messages for a conversation
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     * @param count Number of messages to drop
+     */
+    deleteOldest(chatId: string | number, scope: string, count: number): Promise<void>;
+  }
+
+  /**
+   * Keeps chat history in process memory (lost on restart)
+   */
+  export class InMemoryAiMemoryStore implements AiMemoryBackend {
+    /**
+     * @param options.maxEntries Messages kept per chat scope (default: 80)
+     */
+    constructor(options?: { maxEntries?: number });
+
+    /** Messages kept per chat scope */
+    maxEntries: number;
+
+    /**
+     * Builds the internal key for a chat scope
+     * @param chatId Identifier for the conversation
+     * @param scope Context scope identifier
+     */
+    key(chatId: string | number, scope: string): string;
+
+    /** No-op, present for parity with other stores */
+    connect(): Promise<void>;
+
+    /** No-op, present for parity with other stores */
+    disconnect(): Promise<void>;
+
+    getHistory(chatId: string | number, scope: string, limit?: number): Promise<AiStoredMessage[]>;
+
+    appendMessages(chatId: string | number, scope: string, messages?: AiStoredMessage[]): Promise<void>;
+
+    clearHistory(chatId: string | number, scope: string): Promise<void>;
+
+    deleteOldest(chatId: string | number, scope: string, count: number): Promise<void>;
+  }
+
+  /**
+   * Keeps chat history in a local JSON file, rewritten atomically after each change
+   */
+  export class FileAiMemoryStore extends InMemoryAiMemoryStore {
+    /**
+     * @param options.filePath Path of the JSON file (created on first write)
+     * @param options.maxEntries Messages kept per chat scope (default: 80)
+     * @throws Error If filePath is missing
+     */
+    constructor(options: { filePath: string; maxEntries?: number });
+
+    /** Absolute path of the history file */
+    filePath: string;
+
+    /**
+     * Loads the history file once; a missing file means no history yet
+     */
+    connect(): Promise<void>;
+
+    /**
+     * Waits for pending writes to finish
+     */
+    disconnect(): Promise<void>;
+
+    /**
+     * Writes the current history to disk
+     */
+    save(): Promise<void>;
+  }
+
+  /**
+   * The contract every response cache implements. Entries are plain JSON-safe values.
+   */
+  export interface AiCacheBackend {
+    /**
+     * Returns the entry for a key, or undefined/null when it's missing or expired
+     * @param key Hash of the request
+     */
+    get(key: string): Promise<any>;
+
+    /**
+     * Stores an entry
+     * @param key Hash of the request
+     * @param value Entry to store
+     * @param ttlMs Time to live; 0 keeps it until evicted
+     */
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+
+    /** Optional removal of a single entry */
+    delete?(key: string): Promise<void>;
+
+    /** Optional removal of every entry */
+    clear?(): Promise<void>;
+  }
+
+  /**
+   * Options for the response cache
+   */
+  export interface AiCacheOptions {
+    /** Where entries live (default: a new InMemoryAiCache) */
+    store?: AiCacheBackend;
+
+    /** Time to live per entry; 0 keeps entries until evicted (default: 3600000, one hour) */
+    ttlMs?: number;
+  }
+
+  /**
+   * Keeps cached responses in process memory, evicting the least recently used past maxEntries
+   */
+  export class InMemoryAiCache implements AiCacheBackend {
+    /**
+     * @param options.maxEntries Entries kept before the least recently used is dropped (default: 500)
+     */
+    constructor(options?: { maxEntries?: number });
+
+    /** Entries kept before the least recently used is dropped */
+    maxEntries: number;
+
+    get(key: string): Promise<any>;
+
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+
+    delete(key: string): Promise<void>;
+
+    clear(): Promise<void>;
+  }
+
+  /**
+   * Keeps cached responses in MongoDB, shared between processes; expired entries are removed
+   * by a TTL index
+   */
+  export class MongoAiCache implements AiCacheBackend {
+    /**
+     * @param options.uri MongoDB connection URI
+     * @param options.dbName MongoDB database name
+     * @param options.collectionName Collection name (default: "ai_cache")
+     * @throws Error If uri or dbName is missing
+     */
+    constructor(options: { uri: string; dbName: string; collectionName?: string });
+
+    /**
+     * Connects lazily and creates the TTL index
+     */
+    connect(): Promise<any>;
+
+    /**
+     * Closes the MongoDB connection
+     */
+    disconnect(): Promise<void>;
+
+    get(key: string): Promise<any>;
+
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+
+    delete(key: string): Promise<void>;
+
+    clear(): Promise<void>;
+  }
+
+  /**
+   * An embedded chat turn kept for long-term recall
+   */
+  export interface AiVectorEntry {
+    /** "user" or "assistant" */
+    role: string;
+
+    /** The turn flattened to text */
+    text: string;
+
+    /** Its embedding */
+    vector: number[];
+
+    /** Embedding model that produced the vector */
+    model?: string | null;
+
+    /** When the turn was indexed */
+    createdAt: Date;
+  }
+
+  /**
+   * A turn returned by a recall search
+   */
+  export interface AiRecallHit {
+    /** "user" or "assistant" */
+    role: string;
+
+    /** The recalled turn */
+    text: string;
+
+    /** Cosine similarity to the new message */
+    score: number;
+
+    /** When the turn was indexed */
+    createdAt: Date;
+  }
+
+  /**
+   * Where recall vectors live. InMemoryAiVectorIndex and MongoAiVectorIndex are built in
+   */
+  export interface AiVectorIndex {
+    /** Stores embedded turns for a chat */
+    add(chatId: string | number, scope: string, entries: AiVectorEntry[]): Promise<void>;
+
+    /** Most similar turns for the chat, best first */
+    search(
+      chatId: string | number,
+      scope: string,
+      vector: number[],
+      options?: { topK?: number; minScore?: number; model?: string | null }
+    ): Promise<AiRecallHit[]>;
+
+    /** Forgets the chat's vectors */
+    clear(chatId: string | number, scope: string): Promise<void>;
+
+    connect?(): Promise<any>;
+
+    disconnect?(): Promise<void>;
+  }
+
+  /**
+   * Recall vectors kept in process memory (lost on restart)
+   */
+  export class InMemoryAiVectorIndex implements AiVectorIndex {
+    /**
+     * @param options.maxEntriesPerChat Oldest vectors past this are dropped (default: 2000)
+     */
+    constructor(options?: { maxEntriesPerChat?: number });
+
+    add(chatId: string | number, scope: string, entries: AiVectorEntry[]): Promise<void>;
+
+    search(
+      chatId: string | number,
+      scope: string,
+      vector: number[],
+      options?: { topK?: number; minScore?: number; model?: string | null }
+    ): Promise<AiRecallHit[]>;
+
+    clear(chatId: string | number, scope: string): Promise<void>;
+  }
+
+  /**
+   * Recall vectors stored in MongoDB next to the ai_memory collection. Similarity is computed
+   * in process over the chat's newest maxEntriesPerChat vectors, so no Atlas vector search index is needed
+   */
+  export class MongoAiVectorIndex implements AiVectorIndex {
+    /**
+     * @param options.uri MongoDB connection URI
+     * @param options.dbName MongoDB database name
+     * @param options.collectionName Collection name (default: "ai_memory_vectors")
+     * @param options.maxEntriesPerChat Oldest vectors past this are deleted on insert (default: 2000)
+     * @throws Error If uri or dbName is missing
+     */
+    constructor(options: {
+      uri: string;
+      dbName: string;
+      collectionName?: string;
+      maxEntriesPerChat?: number;
+    });
+
+    /**
+     * Connects lazily and creates the chat lookup index
+     */
+    connect(): Promise<any>;
+
+    /**
+     * Closes the MongoDB connection
+     */
+    disconnect(): Promise<void>;
+
+    add(chatId: string | number, scope: string, entries: AiVectorEntry[]): Promise<void>;
+
+    search(
+      chatId: string | number,
+      scope: string,
+      vector: number[],
+      options?: { topK?: number; minScore?: number; model?: string | null }
+    ): Promise<AiRecallHit[]>;
+
+    clear(chatId: string | number, scope: string): Promise<void>;
+  }
+
+  /**
+   * Counts tokens in a piece of text. A plain function, an object with count(), or an encoder
+   * with encode() (e.g. a tiktoken encoding) all work.
+   */
+  export type AiTokenCounter =
+    | ((text: string) => number)
+    | { count(text: string): number }
+    | { encode(text: string): ArrayLike<any> };
+
+  /**
+   * Settings for rolling conversation summarization
+   */
+  export interface AiSummarizationOptions {
+    /** Stored message count that triggers a summary (default: 30); must be below the store's maxEntries */
+    threshold?: number;
+
+    /** Newest messages left untouched when summarizing (default: 10) */
+    keepRecent?: number;
+
+    /**
+     * Model that writes the summary (default: the primary model). MultiProviderAiWithHistory
+     * also takes { provider, name }.
+     */
+    model?: string | { provider: "openrouter" | "mistral" | "groq"; name?: string };
+
+    /** Any instance with ask({ system, user }) to use instead, e.g. a cheaper GroqAi */
+    summarizer?: { ask(options: { system?: string; user?: any }): Promise<string> };
+
+    /** System prompt for the summarizer */
+    prompt?: string;
+  }
+
+  /**
+   * Settings for long-term recall over stored chat history
+   */
+  export interface AiRecallOptions {
+    /** Where vectors are kept (default: a new InMemoryAiVectorIndex) */
+    index?: AiVectorIndex;
+
+    /**
+     * Anything with embed(texts, { model }) returning { embeddings, model } or number[][]
+     * (default: the instance itself; required for GroqAiWithHistory)
+     */
+    embedder?: {
+      embed(
+        texts: string[],
+        options?: { model?: string }
+      ): Promise<{ embeddings: number[][]; model?: string } | number[][]>;
+    };
+
+    /** Embedding model passed to the embedder */
+    model?: string;
+
+    /** Older turns added to the prompt (default: 4) */
+    topK?: number;
+
+    /** Minimum cosine similarity for a turn to be recalled (default: 0) */
+    minScore?: number;
+  }
+
+  /**
+   * Options shared by every *WithHistory class
+   */
+  export interface AiHistoryOptions {
+    /** Any store implementing AiMemoryBackend */
+    memoryStore: AiMemoryBackend;
+
+    /** Memory namespace (default: "default") */
+    memoryScope?: string;
+
+    /** Maximum messages loaded from the store (default: 10, or 80 when tokenBudget is set) */
+    historyLimit?: number;
+
+    /**
+     * Total tokens the prompt plus reply may use, either one number or a per-model map with an
+     * optional "default" entry. History is trimmed oldest-first so system prompt + history +
+     * new user message + maxTokens fit. With several models the smallest budget wins. Must be
+     * larger than maxTokens; asks throw otherwise.
+     */
+    tokenBudget?: number | Record<string, number>;
+
+    /** Tokenizer used for the budget (default: ~4 characters per token) */
+    tokenCounter?: AiTokenCounter;
+
+    /**
+     * Flat token cost per attachment kind. Kinds left out are sized from their inline data
+     * (pixels, PDF pages or bytes); URL attachments default to image 1000, video 4000,
+     * audio 1000, document 2000.
+     */
+    attachmentTokens?: Partial<Record<"image" | "video" | "audio" | "document", number>>;
+
+    /**
+     * Folds older turns into a stored summary once a chat passes the threshold. The store must
+     * implement deleteOldest(). `true` uses the defaults.
+     */
+    summarization?: boolean | AiSummarizationOptions;
+
+    /**
+     * Embeds stored turns and adds the most relevant ones that have dropped out of the replayed
+     * history to the system prompt. `true` uses an in-memory index and the instance's embed()
+     */
+    recall?: boolean | AiVectorIndex | AiRecallOptions;
+  }
+
+  /**
+   * What a beforeRequest hook sees. `messages` is in the provider's own format (LangChain
+   * messages for Ai, plain role/content objects for GroqAi and MistralAi).
+   */
+  export interface AiHookRequestContext {
+    /** Provider about to be called ("openrouter", "groq" or "mistral") */
+    provider: string;
+
+    /** Model about to be called */
+    model: string;
+
+    /** Which method made the call */
+    operation: "ask" | "askWithTools" | "askJson" | "askStream" | "summarize";
+
+    /** Messages about to be sent */
+    messages: any[];
+
+    /** Sampling settings about to be sent (the instance's, with any per-call overrides applied) */
+    sampling: AiSampling;
+
+    /** Tool definitions in the provider's own format (askWithTools only) */
+    tools?: any[];
+
+    /** "auto", or "none" once maxToolSteps is reached (askWithTools only) */
+    toolChoice?: "auto" | "none";
+
+    /** `{ type: "json_object" }` when askJson asks for JSON mode */
+    responseFormat?: { type: "json_object" };
+  }
+
+  /**
+   * What an afterResponse hook sees
+   */
+  export interface AiHookResponseContext extends AiHookRequestContext {
+    /** Reply text (the raw JSON text for askJson, before it's parsed) */
+    text: string;
+
+    /** Untouched SDK response (null for streams) */
+    raw: any;
+  }
+
+  /**
+   * What an onAttemptError hook sees
+   */
+  export interface AiHookAttemptErrorContext {
+    provider: string;
+    model: string | null;
+    operation: string;
+
+    /** Why the attempt failed */
+    error: Error;
+
+    /** Time spent on the attempt, including retries */
+    latencyMs: number;
+
+    /** 1 for the first failed attempt of the call, 2 for the next, ... */
+    attempt: number;
+  }
+
+  /**
+   * What an onFallback hook sees
+   */
+  export interface AiHookFallbackContext {
+    operation: string;
+
+    /** The model (or provider) that just failed */
+    from: { provider: string; model: string | null };
+
+    /** The one being tried next */
+    to: { provider: string; model: string | null };
+
+    /** Why `from` failed */
+    error: Error;
+  }
+
+  /**
+   * What an onComplete hook sees, once per call
+   */
+  export interface AiHookCompleteContext {
+    /** Provider of the class that made the call (null for MultiProviderAi) */
+    provider: string | null;
+    operation: "ask" | "askWithTools" | "askJson" | "askStream";
+
+    /** What the call resolved to (the done event for streams), or null if it failed */
+    response: any;
+
+    /** Why the call failed, or null if it succeeded */
+    error: any;
+
+    /** True when the consumer stopped reading an askStream() early; response and error are null */
+    stopped?: boolean;
+
+    /** Time from the call to the result */
+    latencyMs: number;
+  }
+
+  /**
+   * Lifecycle hooks run around every model call. Every handler is optional and may be async.
+   */
+  export interface AiHooks {
+    /**
+     * Runs before each request. Return a new messages array to send that instead, or an object
+     * to replace the request: fields it sets (messages, sampling, tools, ...) replace the ones
+     * sent, except provider, model and operation. The cache key is taken before this runs, so
+     * with caching on it must return the same output for the same input
+     */
+    beforeRequest?: (
+      context: AiHookRequestContext
+    ) => any[] | Partial<AiHookRequestContext> | void | Promise<any[] | Partial<AiHookRequestContext> | void>;
+
+    /**
+     * Runs after each successful reply; return a string to replace the text. For askStream()
+     * only the done event's text changes, since the deltas have already been yielded
+     */
+    afterResponse?: (context: AiHookResponseContext) => string | void | Promise<string | void>;
+
+    /** Runs when a model fails (errors thrown here are logged and ignored) */
+    onAttemptError?: (context: AiHookAttemptErrorContext) => void | Promise<void>;
+
+    /** Runs when a failure hands over to the next model or provider */
+    onFallback?: (context: AiHookFallbackContext) => void | Promise<void>;
+
+    /** Runs once the whole call succeeds or fails, or a stream is abandoned early */
+    onComplete?: (context: AiHookCompleteContext) => void | Promise<void>;
+
+    /** Runs when the attachment preprocessing stage changed something */
+    onAttachmentChange?: (context: {
+      provider: string | null;
+      changes: AiAttachmentChange[];
+    }) => void | Promise<void>;
+  }
+
+  /**
+   * Structured logger. Every method takes a message and an optional bag of fields
+   * (provider, model, chatId, scope, attempt, latencyMs, error, ...).
+   */
+  export interface AiLogger {
+    debug(message: string, fields?: Record<string, any>): void;
+    info(message: string, fields?: Record<string, any>): void;
+    warn(message: string, fields?: Record<string, any>): void;
+    error(message: string, fields?: Record<string, any>): void;
+  }
+
+  /**
+   * Builds a logger that prints to the console, skipping anything below `level`
+   * @param options.level Lowest level to print (default: "info")
+   * @throws Error If the level is unknown
+   */
+  export function createConsoleLogger(options?: {
+    level?: "debug" | "info" | "warn" | "error";
+  }): AiLogger;
+
+  /**
+   * Wraps pino, winston or any object with debug/info/warn/error methods as an AiLogger.
+   * Missing level methods are skipped.
+   * @param target Logger to wrap
+   * @param options.fieldsFirst Force pino-style (fields, message) argument order
+   */
+  export function adaptLogger(target: any, options?: { fieldsFirst?: boolean }): AiLogger;
+
+  /**
+   * Converts a LangChain message, an OpenAI/Groq or Mistral chat message, or a stored history
+   * entry into a canonical AiMessage. Media parts and tool calls are kept.
+   * @param message Message in any supported shape
+   */
+  export function toCanonicalMessage(message: any): AiMessage;
+
+  /**
+   * Client-side limits for one provider or model. Unset limits don't apply.
+   */
+  export interface AiRateLimits {
+    /** Requests started per minute (token bucket, starts full) */
+    requestsPerMinute?: number;
+
+    /** Tokens per minute, charged from each reply's reported usage */
+    tokensPerMinute?: number;
+
+    /** Requests in flight at once; a stream holds its slot until it ends */
+    maxConcurrent?: number;
+  }
+
+  /**
+   * Rate limit options for a provider client
+   */
+  export interface AiRateLimitOptions extends AiRateLimits {
+    /**
+     * How long a call queues for room before failing with a RateLimitError (which falls back
+     * to the next model). 0 fails straight away, Infinity waits forever (default: 30000)
+     */
+    maxWaitMs?: number;
+
+    /** Extra limits for individual models, on top of the ones above */
+    models?: Record<string, AiRateLimits>;
+  }
+
+  /**
+   * Token buckets and a concurrency cap applied before every request. Share one instance
+   * between clients that use the same API key.
+   */
+  export class RateLimiter {
+    /**
+     * @throws Error If a limit isn't a positive number
+     */
+    constructor(options?: AiRateLimitOptions);
+
+    /** How long a call queues before failing */
+    maxWaitMs: number;
+
+    /**
+     * Waits for room under every limit that applies to the model, then takes it
+     * @param request.provider Provider name used in the RateLimitError
+     * @param request.model Model the request goes to
+     * @param request.signal Cancels the wait
+     * @returns A permit; call release() with the request's usage once it's done
+     * @throws RateLimitError If there's still no room after maxWaitMs
+     */
+    acquire(request: {
+      provider?: string;
+      model: string;
+      signal?: AbortSignal;
+    }): Promise<{ release(usage?: AiUsage | null): void }>;
+  }
+
+  /**
+   * Circuit breaker settings
+   */
+  export interface CircuitBreakerOptions {
+    /** Failures within windowMs that open a circuit (default: 5) */
+    failureThreshold?: number;
+
+    /** How far back failures are counted (default: 60000) */
+    windowMs?: number;
+
+    /** How long a circuit stays open before a probe is let through (default: 30000) */
+    cooldownMs?: number;
+
+    /**
+     * Decides which errors count. Default: everything except aborts, ContextLengthError and
+     * JsonValidationError
+     */
+    tripOn?: (error: any) => boolean;
+  }
+
+  /**
+   * State of one circuit as reported by CircuitBreaker.snapshot()
+   */
+  export interface CircuitSnapshot {
+    state: "closed" | "open" | "half-open";
+
+    /** Failures counted within the window */
+    failures: number;
+
+    /** When the circuit last opened (ms since epoch) */
+    openedAt: number | null;
+
+    /** When an open circuit can be probed again (ms since epoch) */
+    retryAt: number | null;
+  }
+
+  /**
+   * Per-model and per-provider circuit breaker. Share one instance between clients so they all
+   * skip a model that keeps failing.
+   */
+  export class CircuitBreaker {
+    /**
+     * @throws Error If failureThreshold, windowMs or cooldownMs isn't a positive number
+     */
+    constructor(options?: CircuitBreakerOptions);
+
+    failureThreshold: number;
+    windowMs: number;
+    cooldownMs: number;
+
+    /**
+     * Current state of a model's circuit, or the provider's own circuit when model is left out
+     */
+    getState(provider: string, model?: string | null): "closed" | "open" | "half-open";
+
+    /**
+     * Whether a call may go out now; takes the single probe slot when half-open
+     */
+    allow(provider: string, model?: string | null): boolean;
+
+    /** Closes the circuit and forgets its failures */
+    recordSuccess(provider: string, model?: string | null): void;
 
     /**
-     * Retrieves recent chat messages for context
-     * @param chatId Identifier for the conversation
-     * @param scope Context scope identifier
-     * @param limit Maximum number of messages to retrieve (default: 10)
-     * @returns Promise of message history array
+     * Counts a failure
+     * @returns True when this failure opened the circuit
      */
-    getHistory(
-      chatId: string | number,
-      scope: string,
-      limit?: number
-    ): Promise<Array<{ role: string; content: string | Array<any> | Record<string, any> }>>;
+    recordFailure(provider: string, model?: string | null, error?: any): boolean;
+
+    /** Time until an open circuit can be probed again; 0 when it isn't open */
+    retryAfterMs(provider: string, model?: string | null): number;
+
+    /** Every circuit seen so far, keyed "provider:model" or "provider" */
+    snapshot(): Record<string, CircuitSnapshot>;
+
+    /** Closes one circuit, or all of them when called without arguments */
+    reset(provider?: string, model?: string | null): void;
+  }
+
+  /**
+   * Retry policy applied to each model before moving on to its fallbacks
+   */
+  export interface AiRetryOptions {
+    /** Attempts per model, including the first (default: 3) */
+    maxAttempts?: number;
+
+    /** First backoff delay; doubles each attempt, with jitter (default: 500) */
+    baseDelayMs?: number;
 
     /**
-     * Saves new messages and prunes old ones to maintain history size
-     * @param chatId Identifier for the conversation
-     * @param scope Context scope identifier
-     * @param messages Array of messages to save
-     * @returns Promise that resolves when messages are stored
+     * Longest wait between attempts (default: 10000). A Retry-After longer than this skips
+     * straight to the next model.
      */
-    appendMessages(
-      chatId: string | number,
-      scope: string,
-      messages?: Array<{ role: string; content: string | Array<any> | Record<string, any> }>
-    ): Promise<void>;
+    maxDelayMs?: number;
 
     /**
-     * Clears all stored history for a conversation
-     * @param chatId Identifier for the conversation
-     * @param scope Context scope identifier
-     * @returns Promise that resolves when history is cleared
+     * Decides whether an error is worth retrying. Default: 408/409/425/429/5xx responses and
+     * dropped connections; never timeouts or aborts.
      */
-    clearHistory(chatId: string | number, scope: string): Promise<void>;
+    retryOn?: (error: any, attempt: number) => boolean;
   }
 
   /**
@@ -122,7 +1414,7 @@ declare module "@oof2510/llmjs" {
     /** Custom headers to include with requests */
     defaultHeaders?: Record<string, string>;
     
-    /** Request timeout in milliseconds (default: 20000) */
+    /** Request timeout in milliseconds; for streams, the longest wait between chunks (default: 20000) */
     requestTimeoutMs?: number;
 
     /**
@@ -131,6 +1423,32 @@ declare module "@oof2510/llmjs" {
      * sequentially.
      */
     firstToFinish?: boolean;
+
+    /** Tools the models can call (see registerTool) */
+    tools?: AiTool[];
+
+    /** Maximum tool call rounds per ask before the model must answer in text (default: 5) */
+    maxToolSteps?: number;
+
+    /** Retry policy for transient errors; false disables retries */
+    retry?: boolean | AiRetryOptions;
+
+    /** Lifecycle hooks run around every model call (see use()) */
+    hooks?: AiHooks | AiHooks[];
+    /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+    logger?: AiLogger | Record<string, any>;
+
+    /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+    cache?: boolean | AiCacheBackend | AiCacheOptions;
+
+    /** Client-side rate limits; calls queue instead of failing (pass a RateLimiter to share one) */
+    rateLimit?: RateLimiter | AiRateLimitOptions;
+
+    /** Skip models (and providers) that keep failing; true uses the defaults */
+    circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+
+    /** Attachment size/count limits and image resizing */
+    attachmentOptions?: AiAttachmentOptions;
   }
 
   /**
@@ -165,20 +1483,32 @@ declare module "@oof2510/llmjs" {
      */
     normalizeAttachment(attachment: AiAttachment): Record<string, any> | null;
 
+    /**
+     * Runs the attachment preprocessing stage (read paths and streams, sniff MIME types, resize
+     * images, enforce limits), then checks audio; audio URLs throw an AiError since OpenRouter can't fetch them
+     * @param attachments Attachments for the request
+     * @param signal Cancels reading files and any transcription
+     * @returns The attachments to send, with transcripts filled in where needed
+     * @throws AttachmentError if an attachment fails validation or is over a limit
+     */
+    prepareAttachments(attachments: AiAttachment[], signal?: AbortSignal): Promise<AiAttachment[]>;
+
     /**
      * Converts data to base64 encoding
-     * @param data Input data to encode
+     * @param data A Buffer, base64 string or data URI
+     * @param type Attachment type, named in the error when a string isn't base64 (default: "image")
      * @returns Base64 string or null
+     * @throws AttachmentError If a string is neither base64 nor a data URI
      */
-    toBase64(data: string | Buffer | undefined): string | null;
+    toBase64(data: string | Buffer | undefined, type?: string): string | null;
 
     /**
      * Creates data URI from binary data
      * @param data Input data for URI creation
-     * @param mimeType MIME type for the data
+     * @param mimeType MIME type for the data; read from the bytes when left out
      * @returns Data URI string or null
      */
-    toDataUri(data: string | Buffer | undefined, mimeType: string): string | null;
+    toDataUri(data: string | Buffer | undefined, mimeType?: string): string | null;
 
     /**
      * Converts MIME type to format string
@@ -198,11 +1528,12 @@ declare module "@oof2510/llmjs" {
     }): { message: HumanMessage | null; contentForHistory: string | Array<any> | Record<string, any> | null };
 
     /**
-     * Retrieves a cached LangChain client for the specified model
+     * Retrieves a cached LangChain client for the specified model and sampling settings
      * @param model Model identifier
+     * @param sampling Sampling settings (defaults to the instance's temperature and maxTokens)
      * @returns Configured ChatOpenAI client
      */
-    getClient(model: string): ChatOpenAI;
+    getClient(model: string, sampling?: AiSampling): ChatOpenAI;
 
     /**
      * Constructs message array in format expected by LangChain
@@ -211,7 +1542,7 @@ declare module "@oof2510/llmjs" {
      */
     buildMessages(params: {
       system?: string;
-      messages?: BaseMessage[];
+      messages?: Array<BaseMessage | AiMessage>;
       user?: any;
       attachments?: AiAttachment[];
     }): BaseMessage[];
@@ -227,14 +1558,133 @@ declare module "@oof2510/llmjs" {
      * Sends prompt to AI models with fallback support
      * @param options Prompt parameters
      * @returns Promise resolving to AI response text
-     * @throws Error If no models are configured or all fail
+     * @throws AllModelsFailedError If every model fails
      */
     ask(options?: {
       system?: string;
       user?: any;
-      messages?: BaseMessage[];
+      messages?: Array<BaseMessage | AiMessage>;
       attachments?: AiAttachment[];
-    }): Promise<string>;
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the reply plus provider, model, token usage, finish reason,
+     * latency, attempt count and the raw response
+     * @param options Prompt parameters
+     * @returns Promise resolving to the detailed response
+     * @throws AllModelsFailedError If every model fails
+     */
+    askDetailed(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<AiResponse>;
+
+    /**
+     * Registers a tool the models can call; replaces any tool with the same name
+     * @param tool Tool definition
+     * @returns This instance, for chaining
+     */
+    registerTool(tool: AiTool): this;
+
+    /**
+     * Adds a set of lifecycle hooks; hooks run in the order they were added
+     * @param hook Hook handlers
+     * @returns This instance, for chaining
+     */
+    use(hook: AiHooks): this;
+
+    /**
+     * Runs the tool loop against a single model until it answers in plain text
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param maxToolSteps Maximum tool call rounds
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    runToolLoop(
+      model: string,
+      messages: Array<any>,
+      maxToolSteps: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<Omit<AiToolResult, "latencyMs" | "attempts">>;
+
+    /**
+     * Asks with the registered tools available, executing tool calls and feeding the results
+     * back until the model replies in plain text. Models are tried in order, never raced.
+     * @param options Prompt parameters
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    askWithTools(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+      maxToolSteps?: number;
+    } & AiCallOverrides): Promise<AiToolResult>;
+
+    /**
+     * Runs a single model until it returns JSON matching the schema, re-prompting with validation errors
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param schema JSON Schema the reply must match
+     * @param maxRepairAttempts Re-prompts allowed before giving up on the model
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If the model never produced valid JSON
+     */
+    runJsonLoop(
+      model: string,
+      messages: Array<any>,
+      schema: Record<string, any>,
+      maxRepairAttempts: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<any>;
+
+    /**
+     * Asks for JSON matching a JSON Schema and resolves to the parsed value. Invalid output is
+     * re-prompted with the validation errors before trying the next fallback model.
+     * @param options Prompt parameters and schema
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If no model produced valid JSON
+     * @throws AllModelsFailedError If every model failed for another reason
+     */
+    askJson<T = any>(options: AskJsonOptions): Promise<T>;
+
+    /**
+     * Sends a single system + user prompt to one model, no fallbacks or tools
+     * @param model Model to call
+     * @param options Prompt parameters
+     * @returns Promise resolving to the reply text
+     */
+    completeWithModel(model: string, options: { system?: string; user: string }): Promise<string>;
+
+    /**
+     * Streams the reply as text deltas followed by a final "done" event.
+     * Falls back to the next model if one fails before its first token.
+     * @param options Prompt parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): AsyncGenerator<AiStreamEvent>;
+
+    /**
+     * Embeds text through OpenRouter's OpenAI-compatible embeddings endpoint.
+     * Inputs are batched; each request gets the same timeout, retries and fallback as ask().
+     * @param texts One string or a list of strings
+     * @param options Model (default "openai/text-embedding-3-small"), batch size and signal
+     * @returns Promise resolving to the vectors plus dimensions and usage
+     */
+    embed(texts: string | string[], options?: AiEmbedOptions): Promise<AiEmbeddingResult>;
   }
 
   /**
@@ -246,19 +1696,46 @@ declare module "@oof2510/llmjs" {
      * @param options History-enabled configuration
      * @throws Error If memory store is missing
      */
-    constructor(options: {
-      memoryStore: AiMemoryStore;
-      memoryScope?: string;
-      historyLimit?: number;
-    } & BaseAiOptions);
+    constructor(options: AiHistoryOptions & BaseAiOptions);
 
     /**
-     * Formats stored content for LangChain consumption
+     * Formats stored content (written by any *WithHistory class) for LangChain consumption
      * @param content Content to format
      * @returns Formatted content
      */
     formatStoredContent(content: string | Array<any> | Record<string, any>): string | Record<string, any>;
 
+    /**
+     * Trims stored history to the token budget, oldest turns first
+     * @param entries Stored history, oldest first
+     * @param context The rest of the prompt, so the token budget accounts for it
+     * @returns The entries that fit
+     */
+    fitHistory(
+      entries: AiStoredMessage[],
+      context?: { system?: string; userContent?: any; overrides?: AiCallOverrides }
+    ): AiStoredMessage[];
+
+    /**
+     * Loads stored history for a chat, trims it to the token budget, and formats it for the underlying provider
+     * @param chatId Conversation identifier
+     * @param context The rest of the prompt, so the token budget accounts for it; `entries` is used instead of reading the store
+     * @returns Promise resolving to the formatted history messages
+     */
+    loadHistory(
+      chatId: string | number,
+      context?: {
+        system?: string;
+        userContent?: any;
+        overrides?: AiCallOverrides;
+        entries?: AiStoredMessage[];
+      }
+    ): Promise<Array<any>>;
+
+    /** Normalized summarization settings, or null when off */
+    summarization: Required<Omit<AiSummarizationOptions, "model" | "summarizer">> &
+      Pick<AiSummarizationOptions, "model" | "summarizer"> | null;
+
     /**
      * Executes query with history context and stores response
      * @param chatId Conversation identifier
@@ -271,9 +1748,57 @@ declare module "@oof2510/llmjs" {
         system?: string;
         user?: any;
         attachments?: AiAttachment[];
-      }
+        signal?: AbortSignal;
+      } & AiCallOverrides
     ): Promise<string>;
 
+    /**
+     * History classes need a chatId; calling ask() without one throws
+     */
+    ask(options?: never): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the full response with usage and metadata; the exchange is stored the same way
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Promise resolving to the detailed response
+     */
+    askDetailed(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): Promise<AiResponse>;
+
+    /**
+     * History classes need a chatId; calling askDetailed() without one throws
+     */
+    askDetailed(options?: never): Promise<AiResponse>;
+
+    /**
+     * Streams the reply with history context and stores it once the stream finishes
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): AsyncGenerator<AiStreamEvent>;
+
+    /**
+     * History classes need a chatId; calling askStream() without one throws
+     */
+    askStream(options?: never): AsyncGenerator<AiStreamEvent>;
+
     /**
      * Clears conversation history for a chat
      * @param chatId Conversation identifier
@@ -282,6 +1807,58 @@ declare module "@oof2510/llmjs" {
     clear(chatId: string | number): Promise<void>;
   }
 
+  /**
+   * An OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio, ...)
+   */
+  export interface OpenAICompatibleEndpoint {
+    /** Base URL of the API, e.g. "http://localhost:11434/v1" */
+    baseURL: string;
+
+    /** Headers sent with every request */
+    defaultHeaders?: Record<string, string>;
+
+    /** Default model for embed() */
+    embeddingModel?: string;
+  }
+
+  /**
+   * Configuration options for OpenAICompatibleAi
+   */
+  export interface OpenAICompatibleAiOptions
+    extends Omit<BaseAiOptions, "apiKey" | "model">,
+      OpenAICompatibleEndpoint {
+    /** Model to use */
+    model: string;
+
+    /** API key, if the server wants one */
+    apiKey?: string;
+
+    /** Provider name used in responses, attempts, hooks and circuits (default: "openai-compatible") */
+    name?: string;
+  }
+
+  /**
+   * Ai pointed at any OpenAI-compatible endpoint instead of OpenRouter. Same API as Ai
+   */
+  export class OpenAICompatibleAi extends Ai {
+    /**
+     * @param options Endpoint plus the usual Ai options
+     * @throws Error If baseURL or model is missing
+     */
+    constructor(options: OpenAICompatibleAiOptions);
+  }
+
+  /**
+   * OpenAICompatibleAi with per-chat history. Same API as AiWithHistory
+   */
+  export class OpenAICompatibleAiWithHistory extends AiWithHistory {
+    /**
+     * @param options Endpoint, history and the usual Ai options
+     * @throws Error If baseURL, model or memoryStore is missing
+     */
+    constructor(options: AiHistoryOptions & OpenAICompatibleAiOptions);
+  }
+
   /**
    * Groq version of the Ai class.
    * Same constructor shape, same ask() behavior, fallbacks included.
@@ -301,6 +1878,24 @@ declare module "@oof2510/llmjs" {
       requestTimeoutMs?: number;
       /** Enable parallel racing across Groq models and return the first result */
       firstToFinish?: boolean;
+      /** Tools the models can call (see registerTool) */
+      tools?: AiTool[];
+      /** Maximum tool call rounds per ask (default: 5) */
+      maxToolSteps?: number;
+      /** Retry policy for transient errors; false disables retries */
+      retry?: boolean | AiRetryOptions;
+      /** Lifecycle hooks run around every model call (see use()) */
+      hooks?: AiHooks | AiHooks[];
+      /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+      logger?: AiLogger | Record<string, any>;
+      /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+      cache?: boolean | AiCacheBackend | AiCacheOptions;
+      /** Client-side rate limits; calls queue instead of failing (pass a RateLimiter to share one) */
+      rateLimit?: RateLimiter | AiRateLimitOptions;
+      /** Skip models (and providers) that keep failing; true uses the defaults */
+      circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+      /** Attachment size/count limits and image resizing */
+      attachmentOptions?: AiAttachmentOptions;
     });
 
     /**
@@ -317,20 +1912,33 @@ declare module "@oof2510/llmjs" {
      */
     normalizeAttachment(attachment: AiAttachment): Record<string, any> | null;
 
+    /**
+     * Runs the attachment preprocessing stage against Groq's limits, downloading document URLs
+     * Groq can't fetch, then transcribes audio attachments with transcribe() so they can be
+     * sent as text
+     * @param attachments Attachments for the request
+     * @param signal Cancels reading files, downloads and any transcription
+     * @returns The attachments to send, with transcripts filled in where needed
+     * @throws AttachmentError if an attachment fails validation or is over a limit
+     */
+    prepareAttachments(attachments: AiAttachment[], signal?: AbortSignal): Promise<AiAttachment[]>;
+
     /**
      * Converts incoming blobs into base64 encoding
-     * @param data Input data to encode
+     * @param data A Buffer, base64 string or data URI
+     * @param type Attachment type, named in the error when a string isn't base64 (default: "image")
      * @returns Base64 string or null
+     * @throws AttachmentError If a string is neither base64 nor a data URI
      */
-    toBase64(data: string | Buffer | undefined): string | null;
+    toBase64(data: string | Buffer | undefined, type?: string): string | null;
 
     /**
      * Creates data URI from binary data
      * @param data Input data for URI creation
-     * @param mimeType MIME type for the data
+     * @param mimeType MIME type for the data; read from the bytes when left out
      * @returns Data URI string or null
      */
-    toDataUri(data: string | Buffer | undefined, mimeType: string): string | null;
+    toDataUri(data: string | Buffer | undefined, mimeType?: string): string | null;
 
     /**
      * Builds the outgoing user message with attachments for Groq
@@ -342,6 +1950,18 @@ declare module "@oof2510/llmjs" {
       attachments?: AiAttachment[];
     }): { content: string | Array<any>; contentForHistory: string | Array<any> | null };
 
+    /**
+     * Shapes the system prompt, prior messages, and user turn into Groq chat messages
+     * @param params Message construction parameters
+     * @returns Array of Groq chat messages
+     */
+    buildMessages(params: {
+      system?: string;
+      messages?: Array<BaseMessage | AiMessage | Record<string, any>>;
+      user?: any;
+      attachments?: AiAttachment[];
+    }): Array<{ role: string; content: string | Array<any> }>;
+
     /**
      * Extracts plain text from Groq response
      * @param resp Response from Groq API
@@ -353,14 +1973,124 @@ declare module "@oof2510/llmjs" {
      * Sends prompt to Groq models with fallback support
      * @param options Prompt parameters
      * @returns Promise resolving to AI response text
-     * @throws Error If no models are configured or all fail
+     * @throws AllModelsFailedError If every model fails
      */
     ask(options?: {
       system?: string;
       user?: any;
-      messages?: BaseMessage[];
+      messages?: Array<BaseMessage | AiMessage>;
       attachments?: AiAttachment[];
-    }): Promise<string>;
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the reply plus provider, model, token usage, finish reason,
+     * latency, attempt count and the raw response
+     * @param options Prompt parameters
+     * @returns Promise resolving to the detailed response
+     * @throws AllModelsFailedError If every model fails
+     */
+    askDetailed(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<AiResponse>;
+
+    /**
+     * Registers a tool the models can call; replaces any tool with the same name
+     * @param tool Tool definition
+     * @returns This instance, for chaining
+     */
+    registerTool(tool: AiTool): this;
+
+    /**
+     * Adds a set of lifecycle hooks; hooks run in the order they were added
+     * @param hook Hook handlers
+     * @returns This instance, for chaining
+     */
+    use(hook: AiHooks): this;
+
+    /**
+     * Runs the tool loop against a single model until it answers in plain text
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param maxToolSteps Maximum tool call rounds
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    runToolLoop(
+      model: string,
+      messages: Array<any>,
+      maxToolSteps: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<Omit<AiToolResult, "latencyMs" | "attempts">>;
+
+    /**
+     * Asks with the registered tools available, executing tool calls and feeding the results
+     * back until the model replies in plain text. Models are tried in order, never raced.
+     * @param options Prompt parameters
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    askWithTools(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+      maxToolSteps?: number;
+    } & AiCallOverrides): Promise<AiToolResult>;
+
+    /**
+     * Runs a single model until it returns JSON matching the schema, re-prompting with validation errors
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param schema JSON Schema the reply must match
+     * @param maxRepairAttempts Re-prompts allowed before giving up on the model
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If the model never produced valid JSON
+     */
+    runJsonLoop(
+      model: string,
+      messages: Array<any>,
+      schema: Record<string, any>,
+      maxRepairAttempts: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<any>;
+
+    /**
+     * Asks for JSON matching a JSON Schema and resolves to the parsed value. Invalid output is
+     * re-prompted with the validation errors before trying the next fallback model.
+     * @param options Prompt parameters and schema
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If no model produced valid JSON
+     * @throws AllModelsFailedError If every model failed for another reason
+     */
+    askJson<T = any>(options: AskJsonOptions): Promise<T>;
+
+    /**
+     * Sends a single system + user prompt to one model, no fallbacks or tools
+     * @param model Model to call
+     * @param options Prompt parameters
+     * @returns Promise resolving to the reply text
+     */
+    completeWithModel(model: string, options: { system?: string; user: string }): Promise<string>;
+
+    /**
+     * Streams the reply as text deltas followed by a final "done" event.
+     * Falls back to the next model if one fails before its first token.
+     * @param options Prompt parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): AsyncGenerator<AiStreamEvent>;
 
     /**
      * Transcribes an audio file using Groq Whisper
@@ -371,7 +2101,22 @@ declare module "@oof2510/llmjs" {
       file: string | Buffer | NodeJS.ReadableStream;
       model?: string;
       temperature?: number;
+      signal?: AbortSignal;
     }): Promise<string>;
+
+    /**
+     * Same as transcribe(), but resolves to segments, the detected language and the duration.
+     * Word timestamps come back when asked for with timestamp_granularities: ["word", "segment"].
+     * @param options Transcription parameters
+     * @returns Promise resolving to the detailed transcription
+     */
+    transcribeDetailed(options: {
+      file: string | Buffer | NodeJS.ReadableStream;
+      model?: string;
+      temperature?: number;
+      timestamp_granularities?: Array<"word" | "segment">;
+      signal?: AbortSignal;
+    }): Promise<AiTranscription>;
   }
 
   /**
@@ -384,11 +2129,7 @@ declare module "@oof2510/llmjs" {
      * @param options History-enabled configuration
      * @throws Error If memory store is missing
      */
-    constructor(options: {
-      memoryStore: AiMemoryStore;
-      memoryScope?: string;
-      historyLimit?: number;
-    } & {
+    constructor(options: AiHistoryOptions & {
       apiKey: string;
       model?: string;
       fallbackModels?: string[];
@@ -397,29 +2138,126 @@ declare module "@oof2510/llmjs" {
       requestTimeoutMs?: number;
       /** Enable parallel racing across Groq models and return the first result */
       firstToFinish?: boolean;
+      /** Tools the models can call (see registerTool) */
+      tools?: AiTool[];
+      /** Maximum tool call rounds per ask (default: 5) */
+      maxToolSteps?: number;
+      /** Retry policy for transient errors; false disables retries */
+      retry?: boolean | AiRetryOptions;
+      /** Lifecycle hooks run around every model call (see use()) */
+      hooks?: AiHooks | AiHooks[];
+      /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+      logger?: AiLogger | Record<string, any>;
+      /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+      cache?: boolean | AiCacheBackend | AiCacheOptions;
+      /** Client-side rate limits; calls queue instead of failing (pass a RateLimiter to share one) */
+      rateLimit?: RateLimiter | AiRateLimitOptions;
+      /** Skip models (and providers) that keep failing; true uses the defaults */
+      circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+      /** Attachment size/count limits and image resizing */
+      attachmentOptions?: AiAttachmentOptions;
     });
 
     /**
-     * Formats stored content for LangChain consumption
-     * @param content Content to format
-     * @returns Formatted content
+     * Formats stored content (written by any *WithHistory class) for Groq chat messages
+     * @param content Content to format
+     * @returns Formatted content
+     */
+    formatStoredContent(content: string | Array<any> | Record<string, any>): string | Array<any>;
+
+    /**
+     * Trims stored history to the token budget, oldest turns first
+     * @param entries Stored history, oldest first
+     * @param context The rest of the prompt, so the token budget accounts for it
+     * @returns The entries that fit
+     */
+    fitHistory(
+      entries: AiStoredMessage[],
+      context?: { system?: string; userContent?: any; overrides?: AiCallOverrides }
+    ): AiStoredMessage[];
+
+    /**
+     * Loads stored history for a chat, trims it to the token budget, and formats it for the underlying provider
+     * @param chatId Conversation identifier
+     * @param context The rest of the prompt, so the token budget accounts for it; `entries` is used instead of reading the store
+     * @returns Promise resolving to the formatted history messages
+     */
+    loadHistory(
+      chatId: string | number,
+      context?: {
+        system?: string;
+        userContent?: any;
+        overrides?: AiCallOverrides;
+        entries?: AiStoredMessage[];
+      }
+    ): Promise<Array<any>>;
+
+    /** Normalized summarization settings, or null when off */
+    summarization: Required<Omit<AiSummarizationOptions, "model" | "summarizer">> &
+      Pick<AiSummarizationOptions, "model" | "summarizer"> | null;
+
+    /**
+     * Executes query with history context and stores response for Groq
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Promise resolving to AI response
+     */
+    ask(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): Promise<string>;
+
+    /**
+     * History classes need a chatId; calling ask() without one throws
+     */
+    ask(options?: never): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the full response with usage and metadata; the exchange is stored the same way
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Promise resolving to the detailed response
+     */
+    askDetailed(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): Promise<AiResponse>;
+
+    /**
+     * History classes need a chatId; calling askDetailed() without one throws
      */
-    formatStoredContent(content: string | Array<any> | Record<string, any>): string | Record<string, any>;
+    askDetailed(options?: never): Promise<AiResponse>;
 
     /**
-     * Executes query with history context and stores response for Groq
+     * Streams the reply with history context and stores it once the stream finishes
      * @param chatId Conversation identifier
      * @param options Query parameters
-     * @returns Promise resolving to AI response
+     * @returns Async iterator of stream events
      */
-    ask(
+    askStream(
       chatId: string | number,
       options?: {
         system?: string;
         user?: any;
         attachments?: AiAttachment[];
-      }
-    ): Promise<string>;
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): AsyncGenerator<AiStreamEvent>;
+
+    /**
+     * History classes need a chatId; calling askStream() without one throws
+     */
+    askStream(options?: never): AsyncGenerator<AiStreamEvent>;
 
     /**
      * Clears conversation history for a chat (Groq implementation)
@@ -448,6 +2286,24 @@ declare module "@oof2510/llmjs" {
       requestTimeoutMs?: number;
       /** Enable parallel racing across Mistral models and return the first result */
       firstToFinish?: boolean;
+      /** Tools the models can call (see registerTool) */
+      tools?: AiTool[];
+      /** Maximum tool call rounds per ask (default: 5) */
+      maxToolSteps?: number;
+      /** Retry policy for transient errors; false disables retries */
+      retry?: boolean | AiRetryOptions;
+      /** Lifecycle hooks run around every model call (see use()) */
+      hooks?: AiHooks | AiHooks[];
+      /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+      logger?: AiLogger | Record<string, any>;
+      /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+      cache?: boolean | AiCacheBackend | AiCacheOptions;
+      /** Client-side rate limits; calls queue instead of failing (pass a RateLimiter to share one) */
+      rateLimit?: RateLimiter | AiRateLimitOptions;
+      /** Skip models (and providers) that keep failing; true uses the defaults */
+      circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+      /** Attachment size/count limits and image resizing */
+      attachmentOptions?: AiAttachmentOptions;
     });
 
     /**
@@ -464,20 +2320,32 @@ declare module "@oof2510/llmjs" {
      */
     normalizeAttachment(attachment: AiAttachment): Record<string, any> | null;
 
+    /**
+     * Runs the attachment preprocessing stage against Mistral's limits, then gets audio ready;
+     * audio URLs are transcribed with transcribe()
+     * @param attachments Attachments for the request
+     * @param signal Cancels reading files and any transcription
+     * @returns The attachments to send, with transcripts filled in where needed
+     * @throws AttachmentError if an attachment fails validation or is over a limit
+     */
+    prepareAttachments(attachments: AiAttachment[], signal?: AbortSignal): Promise<AiAttachment[]>;
+
     /**
      * Converts incoming blobs into base64 encoding
-     * @param data Input data to encode
+     * @param data A Buffer, base64 string or data URI
+     * @param type Attachment type, named in the error when a string isn't base64 (default: "image")
      * @returns Base64 string or null
+     * @throws AttachmentError If a string is neither base64 nor a data URI
      */
-    toBase64(data: string | Buffer | undefined): string | null;
+    toBase64(data: string | Buffer | undefined, type?: string): string | null;
 
     /**
      * Creates data URI from binary data
      * @param data Input data for URI creation
-     * @param mimeType MIME type for the data
+     * @param mimeType MIME type for the data; read from the bytes when left out
      * @returns Data URI string or null
      */
-    toDataUri(data: string | Buffer | undefined, mimeType: string): string | null;
+    toDataUri(data: string | Buffer | undefined, mimeType?: string): string | null;
 
     /**
      * Builds the outgoing user message with attachments for Mistral
@@ -489,6 +2357,18 @@ declare module "@oof2510/llmjs" {
       attachments?: AiAttachment[];
     }): { content: string | Array<any>; contentForHistory: string | Array<any> | null };
 
+    /**
+     * Shapes the system prompt, prior messages, and user turn into Mistral chat messages
+     * @param params Message construction parameters
+     * @returns Array of Mistral chat messages
+     */
+    buildMessages(params: {
+      system?: string;
+      messages?: Array<BaseMessage | AiMessage | Record<string, any>>;
+      user?: any;
+      attachments?: AiAttachment[];
+    }): Array<{ role: string; content: string | Array<any> }>;
+
     /**
      * Extracts plain text from Mistral response
      * @param resp Response from Mistral API
@@ -500,14 +2380,124 @@ declare module "@oof2510/llmjs" {
      * Sends prompt to Mistral models with fallback support
      * @param options Prompt parameters
      * @returns Promise resolving to AI response text
-     * @throws Error If no models are configured or all fail
+     * @throws AllModelsFailedError If every model fails
      */
     ask(options?: {
       system?: string;
       user?: any;
-      messages?: BaseMessage[];
+      messages?: Array<BaseMessage | AiMessage>;
       attachments?: AiAttachment[];
-    }): Promise<string>;
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the reply plus provider, model, token usage, finish reason,
+     * latency, attempt count and the raw response
+     * @param options Prompt parameters
+     * @returns Promise resolving to the detailed response
+     * @throws AllModelsFailedError If every model fails
+     */
+    askDetailed(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): Promise<AiResponse>;
+
+    /**
+     * Registers a tool the models can call; replaces any tool with the same name
+     * @param tool Tool definition
+     * @returns This instance, for chaining
+     */
+    registerTool(tool: AiTool): this;
+
+    /**
+     * Adds a set of lifecycle hooks; hooks run in the order they were added
+     * @param hook Hook handlers
+     * @returns This instance, for chaining
+     */
+    use(hook: AiHooks): this;
+
+    /**
+     * Runs the tool loop against a single model until it answers in plain text
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param maxToolSteps Maximum tool call rounds
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    runToolLoop(
+      model: string,
+      messages: Array<any>,
+      maxToolSteps: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<Omit<AiToolResult, "latencyMs" | "attempts">>;
+
+    /**
+     * Asks with the registered tools available, executing tool calls and feeding the results
+     * back until the model replies in plain text. Models are tried in order, never raced.
+     * @param options Prompt parameters
+     * @returns Promise resolving to the final reply and tool calls
+     */
+    askWithTools(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+      maxToolSteps?: number;
+    } & AiCallOverrides): Promise<AiToolResult>;
+
+    /**
+     * Runs a single model until it returns JSON matching the schema, re-prompting with validation errors
+     * @param model Model identifier
+     * @param messages Prepared messages
+     * @param schema JSON Schema the reply must match
+     * @param maxRepairAttempts Re-prompts allowed before giving up on the model
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If the model never produced valid JSON
+     */
+    runJsonLoop(
+      model: string,
+      messages: Array<any>,
+      schema: Record<string, any>,
+      maxRepairAttempts: number,
+      signal?: AbortSignal,
+      sampling?: AiSampling
+    ): Promise<any>;
+
+    /**
+     * Asks for JSON matching a JSON Schema and resolves to the parsed value. Invalid output is
+     * re-prompted with the validation errors before trying the next fallback model.
+     * @param options Prompt parameters and schema
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If no model produced valid JSON
+     * @throws AllModelsFailedError If every model failed for another reason
+     */
+    askJson<T = any>(options: AskJsonOptions): Promise<T>;
+
+    /**
+     * Sends a single system + user prompt to one model, no fallbacks or tools
+     * @param model Model to call
+     * @param options Prompt parameters
+     * @returns Promise resolving to the reply text
+     */
+    completeWithModel(model: string, options: { system?: string; user: string }): Promise<string>;
+
+    /**
+     * Streams the reply as text deltas followed by a final "done" event.
+     * Falls back to the next model if one fails before its first token.
+     * @param options Prompt parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiCallOverrides): AsyncGenerator<AiStreamEvent>;
 
     /**
      * Transcribes an audio file using Mistral Voxtral
@@ -519,8 +2509,24 @@ declare module "@oof2510/llmjs" {
       model?: string;
       language?: string;
       timestamp_granularities?: string[];
+      signal?: AbortSignal;
     }): Promise<string>;
 
+    /**
+     * Same as transcribe(), but resolves to segments, the detected language and the duration.
+     * Segments are asked for by default unless `language` is set, since Voxtral won't take
+     * both. Voxtral has no word timestamps, so `words` is always empty.
+     * @param options Transcription parameters
+     * @returns Promise resolving to the detailed transcription
+     */
+    transcribeDetailed(options: {
+      file: string | Buffer | NodeJS.ReadableStream;
+      model?: string;
+      language?: string;
+      timestamp_granularities?: string[] | null;
+      signal?: AbortSignal;
+    }): Promise<AiTranscription>;
+
     /**
      * Classifies inputs using Mistral moderation models
      * @param inputs Text inputs to classify
@@ -532,8 +2538,18 @@ declare module "@oof2510/llmjs" {
       options?: {
         model?: string;
         requestTimeoutMs?: number;
+        signal?: AbortSignal;
       }
     ): Promise<{ categories: Record<string, boolean>; scores: Record<string, number> }>;
+
+    /**
+     * Embeds text with Mistral embedding models.
+     * Inputs are batched; each request gets the same timeout, retries and fallback as ask().
+     * @param texts One string or a list of strings
+     * @param options Model (default "mistral-embed"), batch size and signal
+     * @returns Promise resolving to the vectors plus dimensions and usage
+     */
+    embed(texts: string | string[], options?: AiEmbedOptions): Promise<AiEmbeddingResult>;
   }
 
   /**
@@ -546,11 +2562,7 @@ declare module "@oof2510/llmjs" {
      * @param options History-enabled configuration
      * @throws Error If memory store is missing
      */
-    constructor(options: {
-      memoryStore: AiMemoryStore;
-      memoryScope?: string;
-      historyLimit?: number;
-    } & {
+    constructor(options: AiHistoryOptions & {
       apiKey: string;
       model?: string;
       fallbackModels?: string[];
@@ -559,14 +2571,63 @@ declare module "@oof2510/llmjs" {
       requestTimeoutMs?: number;
       /** Enable parallel racing across Mistral models and return the first result */
       firstToFinish?: boolean;
+      /** Tools the models can call (see registerTool) */
+      tools?: AiTool[];
+      /** Maximum tool call rounds per ask (default: 5) */
+      maxToolSteps?: number;
+      /** Retry policy for transient errors; false disables retries */
+      retry?: boolean | AiRetryOptions;
+      /** Lifecycle hooks run around every model call (see use()) */
+      hooks?: AiHooks | AiHooks[];
+      /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+      logger?: AiLogger | Record<string, any>;
+      /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+      cache?: boolean | AiCacheBackend | AiCacheOptions;
+      /** Client-side rate limits; calls queue instead of failing (pass a RateLimiter to share one) */
+      rateLimit?: RateLimiter | AiRateLimitOptions;
+      /** Skip models (and providers) that keep failing; true uses the defaults */
+      circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+      /** Attachment size/count limits and image resizing */
+      attachmentOptions?: AiAttachmentOptions;
     });
 
     /**
-     * Formats stored content for LangChain consumption
+     * Formats stored content (written by any *WithHistory class) for Mistral chat messages
      * @param content Content to format
      * @returns Formatted content
      */
-    formatStoredContent(content: string | Array<any> | Record<string, any>): string | Record<string, any>;
+    formatStoredContent(content: string | Array<any> | Record<string, any>): string | Array<any>;
+
+    /**
+     * Trims stored history to the token budget, oldest turns first
+     * @param entries Stored history, oldest first
+     * @param context The rest of the prompt, so the token budget accounts for it
+     * @returns The entries that fit
+     */
+    fitHistory(
+      entries: AiStoredMessage[],
+      context?: { system?: string; userContent?: any; overrides?: AiCallOverrides }
+    ): AiStoredMessage[];
+
+    /**
+     * Loads stored history for a chat, trims it to the token budget, and formats it for the underlying provider
+     * @param chatId Conversation identifier
+     * @param context The rest of the prompt, so the token budget accounts for it; `entries` is used instead of reading the store
+     * @returns Promise resolving to the formatted history messages
+     */
+    loadHistory(
+      chatId: string | number,
+      context?: {
+        system?: string;
+        userContent?: any;
+        overrides?: AiCallOverrides;
+        entries?: AiStoredMessage[];
+      }
+    ): Promise<Array<any>>;
+
+    /** Normalized summarization settings, or null when off */
+    summarization: Required<Omit<AiSummarizationOptions, "model" | "summarizer">> &
+      Pick<AiSummarizationOptions, "model" | "summarizer"> | null;
 
     /**
      * Executes query with history context and stores response for Mistral
@@ -580,9 +2641,57 @@ declare module "@oof2510/llmjs" {
         system?: string;
         user?: any;
         attachments?: AiAttachment[];
-      }
+        signal?: AbortSignal;
+      } & AiCallOverrides
     ): Promise<string>;
 
+    /**
+     * History classes need a chatId; calling ask() without one throws
+     */
+    ask(options?: never): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the full response with usage and metadata; the exchange is stored the same way
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Promise resolving to the detailed response
+     */
+    askDetailed(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): Promise<AiResponse>;
+
+    /**
+     * History classes need a chatId; calling askDetailed() without one throws
+     */
+    askDetailed(options?: never): Promise<AiResponse>;
+
+    /**
+     * Streams the reply with history context and stores it once the stream finishes
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiCallOverrides
+    ): AsyncGenerator<AiStreamEvent>;
+
+    /**
+     * History classes need a chatId; calling askStream() without one throws
+     */
+    askStream(options?: never): AsyncGenerator<AiStreamEvent>;
+
     /**
      * Clears conversation history for a chat (Mistral implementation)
      * @param chatId Conversation identifier
@@ -591,6 +2700,54 @@ declare module "@oof2510/llmjs" {
     clear(chatId: string | number): Promise<void>;
   }
 
+  /**
+   * Constructor options MultiProviderAi hands to a plugged-in provider class, plus any
+   * options given when it was registered
+   */
+  export interface AiProviderOptions {
+    apiKey?: string;
+    model?: string;
+    fallbackModels?: string[];
+    temperature?: number;
+    maxTokens?: number;
+    requestTimeoutMs?: number;
+    firstToFinish?: boolean;
+    maxToolSteps?: number;
+    retry?: boolean | AiRetryOptions;
+    logger?: AiLogger;
+    cache?: boolean | AiCacheBackend | AiCacheOptions;
+    rateLimit?: RateLimiter | AiRateLimitOptions;
+    circuitBreaker?: CircuitBreaker | null;
+    attachmentOptions?: AiAttachmentOptions;
+    [option: string]: any;
+  }
+
+  /**
+   * What a plugged-in provider instance must look like. Only ask() is required; the rest are
+   * used when present (askDetailed() gives richer responses than a wrapped ask())
+   */
+  export interface AiProviderClient {
+    ask(options: any): Promise<string>;
+    askDetailed?(options: any): Promise<AiResponse>;
+    askStream?(options: any): AsyncIterable<AiStreamEvent>;
+    askWithTools?(options: any): Promise<AiToolResult>;
+    askJson?(options: any): Promise<any>;
+    transcribe?(options: any): Promise<string>;
+    transcribeDetailed?(options: any): Promise<AiTranscription>;
+    classify?(inputs: string | string[], options?: any): Promise<any>;
+    embed?(texts: string | string[], options?: any): Promise<AiEmbeddingResult>;
+    registerTool?(tool: AiTool): any;
+    use?(hooks: AiHooks): any;
+    completeWithModel?(model: string, options: { system?: string; user: string }): Promise<string>;
+    models?: string[];
+    lastUsedModel?: any;
+  }
+
+  /**
+   * A provider class MultiProviderAi can construct
+   */
+  export type AiProviderClass = new (options: AiProviderOptions) => AiProviderClient;
+
   /**
    * API keys for the different providers supported by MultiProviderAi.
    */
@@ -601,6 +2758,8 @@ declare module "@oof2510/llmjs" {
     mistral?: string;
     /** Groq API key */
     groq?: string;
+    /** API keys for endpoints and plugged-in providers, by name (optional for endpoints) */
+    [endpoint: string]: string | undefined;
   }
 
   /**
@@ -608,7 +2767,7 @@ declare module "@oof2510/llmjs" {
    */
   export interface MultiProviderModelConfig {
     /** Provider to use for the primary model */
-    provider: "openrouter" | "mistral" | "groq";
+    provider: "openrouter" | "mistral" | "groq" | (string & {});
     /** Provider-specific model name */
     name: string;
   }
@@ -623,6 +2782,8 @@ declare module "@oof2510/llmjs" {
     mistral?: string[];
     /** Fallback models for Groq */
     groq?: string[];
+    /** Models for endpoints and plugged-in providers, by name */
+    [endpoint: string]: string[] | undefined;
   }
 
   /**
@@ -644,7 +2805,7 @@ declare module "@oof2510/llmjs" {
     /** Maximum number of tokens to generate (default: 1000) */
     maxTokens?: number;
 
-    /** Request timeout in milliseconds (default: 20000) */
+    /** Request timeout in milliseconds; for streams, the longest wait between chunks (default: 20000) */
     requestTimeoutMs?: number;
 
     /**
@@ -653,6 +2814,46 @@ declare module "@oof2510/llmjs" {
      * sequentially.
      */
     firstToFinish?: boolean;
+
+    /** Tools registered on every provider (see registerTool) */
+    tools?: AiTool[];
+
+    /** Maximum tool call rounds per ask (default: 5) */
+    maxToolSteps?: number;
+
+    /** Retry policy passed to every provider client; false disables retries */
+    retry?: boolean | AiRetryOptions;
+
+    /** Lifecycle hooks run around every model call (see use()) */
+    hooks?: AiHooks | AiHooks[];
+    /** Where logs go (default: silent). Accepts an AiLogger, pino or winston */
+    logger?: AiLogger | Record<string, any>;
+
+    /** Opt-in cache for ask(), embed(), transcribe() and classify(); true uses an in-memory LRU */
+    cache?: boolean | AiCacheBackend | AiCacheOptions;
+
+    /** Client-side rate limits keyed by provider, e.g. { groq: { requestsPerMinute: 30 } }, or one RateLimiter shared by all */
+    rateLimit?: RateLimiter | Partial<Record<string, RateLimiter | AiRateLimitOptions>>;
+
+    /** Skip models (and providers) that keep failing; true uses the defaults */
+    circuitBreaker?: boolean | CircuitBreaker | CircuitBreakerOptions;
+
+    /** Attachment options handed to every provider, each merging them over its own default limits */
+    attachmentOptions?: AiAttachmentOptions;
+
+    /**
+     * OpenAI-compatible endpoints that join as extra providers, named by key, e.g.
+     * { ollama: { baseURL: "http://localhost:11434/v1" } }. Their key and models come from
+     * apiKeys, model and fallbackModels under that name, like any other provider
+     * @throws Error If a name is already a provider, or an endpoint has no model
+     */
+    endpoints?: Record<string, OpenAICompatibleEndpoint>;
+
+    /**
+     * Provider classes for this instance only, named by key; they join even without an apiKeys
+     * entry. Pass the class or { classRef, options } for extra constructor options
+     */
+    providers?: Record<string, AiProviderClass | { classRef: AiProviderClass; options?: Record<string, any> }>;
   }
 
   /**
@@ -666,12 +2867,47 @@ declare module "@oof2510/llmjs" {
      */
     constructor(options?: MultiProviderAiOptions);
 
+    /**
+     * Makes a provider class available to every MultiProviderAi created afterwards. It joins
+     * when apiKeys names it (the key may be empty) and can be used in model, fallbackModels
+     * and rateLimit like the built-in providers
+     * @param name Provider name; "openrouter", "mistral" and "groq" are reserved
+     * @param classRef Class implementing ask(), optionally transcribe(), classify(), embed() and the rest
+     * @param options Extra constructor options for every instance
+     * @throws Error If the name is reserved or the class has no ask()
+     */
+    static registerProvider(
+      name: string,
+      classRef: AiProviderClass,
+      options?: Record<string, any>
+    ): typeof MultiProviderAi;
+
+    /**
+     * Removes a provider added with registerProvider(); existing instances keep their clients
+     * @returns Whether it was registered
+     */
+    static unregisterProvider(name: string): boolean;
+
     /**
      * Returns the list of providers that are currently configured, ordered by preference.
      * The preferred provider (if configured) is first, followed by the remaining ones.
      */
     getOrderedProviders(): string[];
 
+    /**
+     * Fires onFallback when a failed provider hands over to the next one
+     * @param operation Method that made the call
+     * @param providers Providers in the order they're tried
+     * @param provider Provider that just failed
+     * @param attempts Attempts recorded so far
+     */
+    reportProviderFallback(
+      operation: string,
+      providers: string[],
+      provider: string,
+      attempts: AiAttempt[]
+    ): Promise<void>;
+
     /**
      * Sends a prompt to the configured providers using their own wrappers (Ai, GroqAi, MistralAi)
      * and returns the first successful response, honoring the firstToFinish setting.
@@ -682,9 +2918,89 @@ declare module "@oof2510/llmjs" {
     ask(options?: {
       system?: string;
       user?: any;
-      messages?: BaseMessage[];
+      messages?: Array<BaseMessage | AiMessage>;
       attachments?: AiAttachment[];
-    }): Promise<string>;
+      signal?: AbortSignal;
+    } & AiMultiCallOverrides): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the reply plus provider, model, token usage, finish reason,
+     * latency, attempt count and the raw response
+     * @param options Prompt parameters
+     * @returns Promise resolving to the detailed response
+     * @throws AllModelsFailedError If every model fails
+     */
+    askDetailed(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiMultiCallOverrides): Promise<AiResponse>;
+
+    /**
+     * Registers a tool on every configured provider; replaces any tool with the same name
+     * @param tool Tool definition
+     * @returns This instance, for chaining
+     */
+    registerTool(tool: AiTool): this;
+
+    /**
+     * Adds a set of lifecycle hooks. Per-model hooks are passed to every provider client;
+     * onComplete fires once per call from here
+     * @param hook Hook handlers
+     * @returns This instance, for chaining
+     */
+    use(hook: AiHooks): this;
+
+    /**
+     * Reads attachment paths and streams once, so every provider tried gets the same bytes.
+     * Each provider then applies its own limits
+     * @param attachments Attachments for the request
+     * @param signal Cancels reading
+     * @returns The attachments with their data read
+     */
+    prepareAttachments(attachments: AiAttachment[], signal?: AbortSignal): Promise<AiAttachment[]>;
+
+    /**
+     * Runs the tool loop through the providers in preference order. Tool calls come back in
+     * the same shape whichever provider answers.
+     * @param options Prompt parameters
+     * @returns Promise resolving to the final reply, tool calls and provider
+     */
+    askWithTools(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+      maxToolSteps?: number;
+    } & AiMultiCallOverrides): Promise<AiToolResult>;
+
+    /**
+     * Asks for JSON matching a JSON Schema through the providers in preference order
+     * @param options Prompt parameters and schema
+     * @returns Promise resolving to the parsed value
+     * @throws JsonValidationError If no provider produced valid JSON
+     * @throws AllModelsFailedError If every provider failed for another reason
+     */
+    askJson<T = any>(
+      options: Omit<AskJsonOptions, "model" | "fallbackModels"> & AiMultiCallOverrides
+    ): Promise<T>;
+
+    /**
+     * Streams the reply as text deltas followed by a final "done" event.
+     * Falls back to the next model if one fails before its first token.
+     * @param options Prompt parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(options?: {
+      system?: string;
+      user?: any;
+      messages?: Array<BaseMessage | AiMessage>;
+      attachments?: AiAttachment[];
+      signal?: AbortSignal;
+    } & AiMultiCallOverrides): AsyncGenerator<AiStreamEvent>;
 
     /**
      * Attempts audio transcription using any underlying provider that supports it (Groq/Mistral).
@@ -695,6 +3011,16 @@ declare module "@oof2510/llmjs" {
      */
     transcribe(options?: any): Promise<string>;
 
+    /**
+     * Same as transcribe(), but resolves to segments, word timestamps where the provider has
+     * them, the detected language and the duration, in the same shape for every provider.
+     * Plugged-in providers with only transcribe() come back with just the text.
+     *
+     * @param options Provider-specific transcription parameters
+     * @returns Promise resolving to the detailed transcription
+     */
+    transcribeDetailed(options?: any): Promise<AiTranscription>;
+
     /**
      * Runs content classification / moderation using the first provider that exposes a classify()
      * method (currently Mistral).
@@ -707,8 +3033,23 @@ declare module "@oof2510/llmjs" {
       options?: {
         model?: string;
         requestTimeoutMs?: number;
+        signal?: AbortSignal;
       }
     ): Promise<{ categories: Record<string, boolean>; scores: Record<string, number> }>;
+
+    /**
+     * Embeds text with the first provider that supports it (OpenRouter, Mistral or an endpoint),
+     * falling back to the next one like ask() does.
+     * @param texts One string or a list of strings
+     * @param options Same as the provider options; `model` may also be a map keyed by provider
+     * @returns Promise resolving to the vectors plus dimensions and usage
+     */
+    embed(
+      texts: string | string[],
+      options?: Omit<AiEmbedOptions, "model"> & {
+        model?: string | string[] | Partial<Record<string, string | string[]>>;
+      }
+    ): Promise<AiEmbeddingResult>;
   }
 
   /**
@@ -719,11 +3060,7 @@ declare module "@oof2510/llmjs" {
      * Initializes the multi-provider helper with history tracking capabilities.
      * @param options History-enabled multi-provider configuration
      */
-    constructor(options: {
-      memoryStore: AiMemoryStore;
-      memoryScope?: string;
-      historyLimit?: number;
-    } & MultiProviderAiOptions);
+    constructor(options: AiHistoryOptions & MultiProviderAiOptions);
 
     /**
      * Formats stored content for use with LangChain message constructors.
@@ -732,6 +3069,43 @@ declare module "@oof2510/llmjs" {
      */
     formatStoredContent(content: string | Array<any> | Record<string, any>): string | Record<string, any>;
 
+    /**
+     * Trims stored history to the token budget, oldest turns first
+     * @param entries Stored history, oldest first
+     * @param context The rest of the prompt, so the token budget accounts for it
+     * @returns The entries that fit
+     */
+    fitHistory(
+      entries: AiStoredMessage[],
+      context?: { system?: string; userContent?: any; overrides?: AiCallOverrides }
+    ): AiStoredMessage[];
+
+    /**
+     * Loads stored history for a chat, trims it to the token budget, and formats it for the underlying provider
+     * @param chatId Conversation identifier
+     * @param context The rest of the prompt, so the token budget accounts for it; `entries` is used instead of reading the store
+     * @returns Promise resolving to the formatted history messages
+     */
+    loadHistory(
+      chatId: string | number,
+      context?: {
+        system?: string;
+        userContent?: any;
+        overrides?: AiCallOverrides;
+        entries?: AiStoredMessage[];
+      }
+    ): Promise<Array<any>>;
+
+    /** Normalized summarization settings, or null when off */
+    summarization: Required<Omit<AiSummarizationOptions, "model" | "summarizer">> &
+      Pick<AiSummarizationOptions, "model" | "summarizer"> | null;
+
+    /**
+     * The provider client that runs summarization.model: the one it names, otherwise the first in order
+     * @returns The client, or undefined when that provider isn't configured
+     */
+    summaryClient(): AiProviderClient | undefined;
+
     /**
      * Executes a query with conversation history context and stores both user and assistant
      * messages back into the configured AiMemoryStore.
@@ -746,9 +3120,57 @@ declare module "@oof2510/llmjs" {
         system?: string;
         user?: any;
         attachments?: AiAttachment[];
-      }
+        signal?: AbortSignal;
+      } & AiMultiCallOverrides
     ): Promise<string>;
 
+    /**
+     * History classes need a chatId; calling ask() without one throws
+     */
+    ask(options?: never): Promise<string>;
+
+    /**
+     * Same as ask(), but resolves to the full response with usage and metadata; the exchange is stored the same way
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Promise resolving to the detailed response
+     */
+    askDetailed(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiMultiCallOverrides
+    ): Promise<AiResponse>;
+
+    /**
+     * History classes need a chatId; calling askDetailed() without one throws
+     */
+    askDetailed(options?: never): Promise<AiResponse>;
+
+    /**
+     * Streams the reply with history context and stores it once the stream finishes
+     * @param chatId Conversation identifier
+     * @param options Query parameters
+     * @returns Async iterator of stream events
+     */
+    askStream(
+      chatId: string | number,
+      options?: {
+        system?: string;
+        user?: any;
+        attachments?: AiAttachment[];
+        signal?: AbortSignal;
+      } & AiMultiCallOverrides
+    ): AsyncGenerator<AiStreamEvent>;
+
+    /**
+     * History classes need a chatId; calling askStream() without one throws
+     */
+    askStream(options?: never): AsyncGenerator<AiStreamEvent>;
+
     /**
      * Clears stored conversation history for the given chat and scope.
      * @param chatId Conversation identifier
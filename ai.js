@@ -3,10 +3,17 @@ const {
   HumanMessage,
   AIMessage,
   SystemMessage,
+  ToolMessage,
 } = require("@langchain/core/messages");
 const Groq = require("groq-sdk");
 const { Mistral } = require("@mistralai/mistralai");
 const { MongoClient } = require("mongodb");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
 
 /**
  * Default headers we send up with every OpenRouter call so the service knows who's pinging it.
@@ -17,37 +24,4774 @@ const DEFAULT_HEADERS = {
 };
 
 /**
- * @typedef {Object} AiAttachment
- * @property {"image"|"video"} type - The media type being sent up with the prompt.
- * @property {string} [url] - Remote URL that OpenRouter can fetch directly.
- * @property {string|Buffer} [data] - Raw file contents (Buffer or base64 string).
- * @property {string} [mimeType] - Optional MIME type so we can hint the format when sending inline data.
- * @property {string} [format] - Explicit format override for video blobs (e.g., "mp4").
+ * Base class for errors thrown by this library. `provider`, `model` and `status` are filled
+ * in when known, and `cause` holds the underlying SDK error.
  */
+class AiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ provider?: string, model?: string, status?: number, cause?: any }} [details]
+   */
+  constructor(message, { provider, model, status, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "AiError";
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+  }
+}
 
 /**
- * Wraps a Mongo collection to stash little convo snippets so the bot remembers what folks said.
+ * A model didn't answer within requestTimeoutMs.
  */
-class AiMemoryStore {
+class TimeoutError extends AiError {
   /**
-    * Sets up the memory store with the chosen collection name while deferring the actual connection.
-    * @param {{ collectionName?: string, uri?: string, dbName?: string }} [options]
-    */
-   constructor({ collectionName = "ai_memory", uri, dbName } = {}) {
-     if (!uri || !dbName) {
-       throw new Error("uri and dbName are required for AiMemoryStore");
-     }
-     this.uri = uri;
-     this.dbName = dbName;
-     this.collectionName = collectionName;
-     this.connectionPromise = null;
-     this.client = null;
-     this.collection = null;
-     this.indexEnsured = false;
-   }
+   * @param {string} message
+   * @param {{ timeoutMs?: number, provider?: string, model?: string }} [details]
+   */
+  constructor(message, { timeoutMs, ...details } = {}) {
+    super(message, details);
+    this.name = "TimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The provider answered 429. `retryAfterMs` is set when it said how long to back off.
+ */
+class RateLimitError extends AiError {
+  /**
+   * @param {string} message
+   * @param {{ retryAfterMs?: number|null, provider?: string, model?: string, status?: number, cause?: any }} [details]
+   */
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The API key was rejected (401/403).
+ */
+class AuthError extends AiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * The prompt plus maxTokens doesn't fit in the model's context window.
+ */
+class ContextLengthError extends AiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ContextLengthError";
+  }
+}
+
+/**
+ * The model answered, but with no text.
+ */
+class EmptyResponseError extends AiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EmptyResponseError";
+  }
+}
+
+/**
+ * Every model (or provider) failed. `attempts` lists each try in order with its provider,
+ * model, error and latency; `lastError` is the final one.
+ */
+class AllModelsFailedError extends AiError {
+  /**
+   * @param {string} message
+   * @param {Array<{ provider: string, model: string|null, error: Error, latencyMs: number }>} [attempts]
+   */
+  constructor(message, attempts = []) {
+    const last = attempts[attempts.length - 1]?.error;
+    const summary = attempts
+      .map(({ provider, model, error }) => {
+        const source = [provider, model].filter(Boolean).join("/");
+        return `${source}: ${error?.message || error}`;
+      })
+      .join("; ");
+    super(summary ? `${message} (${summary})` : message, {
+      status: last?.status,
+      cause: last,
+    });
+    this.name = "AllModelsFailedError";
+    this.attempts = attempts;
+  }
+
+  /** @returns {Error|undefined} */
+  get lastError() {
+    return this.attempts[this.attempts.length - 1]?.error;
+  }
+}
+
+/**
+ * Thrown without calling anything when every model (or provider) on the list has an open
+ * circuit. retryAfterMs says when the first of them may be probed again.
+ */
+class CircuitOpenError extends AiError {
+  /**
+   * @param {string} message
+   * @param {{ provider?: string, retryAfterMs?: number|null }} [details]
+   */
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = "CircuitOpenError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * An attachment failed its checks before upload. `index` is its position in `attachments`;
+ * `limit` and `actual` are set when a size or count limit was hit.
+ */
+class AttachmentError extends AiError {
+  /**
+   * @param {string} message
+   * @param {{ index?: number|null, type?: string, limit?: number, actual?: number, provider?: string, cause?: any }} [details]
+   */
+  constructor(message, { index = null, type, limit, actual, ...details } = {}) {
+    super(message, details);
+    this.name = "AttachmentError";
+    this.index = index;
+    this.attachmentType = type;
+    this.limit = limit;
+    this.actual = actual;
+  }
+}
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Logger that drops everything. It's the default so the library stays quiet unless you hand
+ * it a logger.
+ */
+const noopLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Builds a logger that prints to the console, skipping anything below `level`. Structured
+ * fields are printed after the message.
+ * @param {{ level?: "debug"|"info"|"warn"|"error" }} [options]
+ * @returns {AiLogger}
+ */
+function createConsoleLogger({ level = "info" } = {}) {
+  const minIndex = LOG_LEVELS.indexOf(level);
+  if (minIndex === -1) {
+    throw new Error(
+      `Unknown log level "${level}" (expected one of: ${LOG_LEVELS.join(", ")})`,
+    );
+  }
+  const logger = {};
+  LOG_LEVELS.forEach((name, index) => {
+    logger[name] =
+      index < minIndex
+        ? () => {}
+        : (message, fields) => {
+            if (fields && Object.keys(fields).length) {
+              console[name](message, fields);
+            } else {
+              console[name](message);
+            }
+          };
+  });
+  return logger;
+}
+
+/**
+ * Wraps a pino, bunyan or winston style logger so we can call `logger.warn(message, fields)`.
+ * pino and bunyan take the fields first; pass `fieldsFirst` if we guess wrong.
+ * @param {Record<string, any>} target
+ * @param {{ fieldsFirst?: boolean }} [options]
+ * @returns {AiLogger}
+ */
+function adaptLogger(target, { fieldsFirst } = {}) {
+  if (!target || typeof target !== "object") {
+    throw new Error("logger must be an object with debug/info/warn/error methods");
+  }
+  const objectFirst = fieldsFirst ?? typeof target.levels?.values === "object";
+  const logger = {};
+  for (const name of LOG_LEVELS) {
+    const method = target[name];
+    if (typeof method !== "function") {
+      logger[name] = () => {};
+    } else if (objectFirst) {
+      logger[name] = (message, fields = {}) => method.call(target, fields, message);
+    } else {
+      logger[name] = (message, fields = {}) => method.call(target, message, fields);
+    }
+  }
+  return logger;
+}
+
+/**
+ * Turns the `logger` option into a logger with all four level methods. Quiet by default.
+ * @param {Record<string, any>|undefined} logger
+ * @returns {AiLogger}
+ */
+function resolveLogger(logger) {
+  return logger ? adaptLogger(logger) : noopLogger;
+}
+
+/**
+ * Logs the attempt recordAttempt() just added. It's a warning rather than an error because a
+ * fallback may still answer; if none does, the caller gets the error anyway.
+ * @param {AiLogger} logger
+ * @param {string} message
+ * @param {Array<{ provider: string, model: string|null, error: Error, latencyMs: number }>} attempts
+ */
+function logFailedAttempt(logger, message, attempts) {
+  const { provider, model, error, latencyMs } = attempts[attempts.length - 1] ?? {};
+  logger.warn(message, {
+    provider,
+    model,
+    attempt: attempts.length,
+    latencyMs,
+    error: error?.message || String(error),
+  });
+}
+
+/**
+ * Builds the error a cancelled call rejects with. Reuses the signal's reason when it's
+ * already an Error (a bare abort() gives a DOMException named "AbortError").
+ * @param {AbortSignal} [signal]
+ * @returns {Error}
+ */
+function abortErrorFor(signal) {
+  if (signal?.reason instanceof Error) return signal.reason;
+  const err = new Error("The operation was aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * Merges signals into one that aborts as soon as any of them does. Missing entries are skipped.
+ * @param {Array<AbortSignal|undefined|null>} signals
+ * @returns {AbortSignal|undefined}
+ */
+function anySignal(signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) return active[0];
+  if (typeof AbortSignal.any === "function") return AbortSignal.any(active);
+
+  const controller = new AbortController();
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener("abort", () => controller.abort(signal.reason), {
+      once: true,
+    });
+  }
+  return controller.signal;
+}
+
+/**
+ * Races a pending call against a timer so a stuck model can't hang the whole ask.
+ * If `work` is a function it gets an AbortSignal, so the request is cancelled too.
+ * @template T
+ * @param {Promise<T>|((signal: AbortSignal) => Promise<T>)} work
+ * @param {number} timeoutMs - 0 (or less) disables the timer.
+ * @param {string} message - Error message used when the timer wins.
+ * @param {AbortSignal} [signal] - Caller's signal; aborting it rejects right away.
+ * @returns {Promise<T>}
+ */
+function withTimeout(work, timeoutMs, message, signal) {
+  if (signal?.aborted) return Promise.reject(abortErrorFor(signal));
+
+  const controller = new AbortController();
+  const pending =
+    typeof work === "function"
+      ? Promise.resolve().then(() => work(anySignal([signal, controller.signal])))
+      : work;
+  if (!(timeoutMs > 0) && !signal) return pending;
+
+  let timer;
+  let onAbort;
+  const stop = new Promise((_, reject) => {
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const err = new TimeoutError(message, { timeoutMs });
+        controller.abort(err);
+        reject(err);
+      }, timeoutMs);
+    }
+    if (signal) {
+      onAbort = () => reject(abortErrorFor(signal));
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+  return Promise.race([pending, stop]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Opens a provider stream and waits for its first chunk, so a model that never starts talking
+ * counts as a failure. After that `timeoutMs` is an idle timeout per chunk.
+ * Always close() it when done, or the request keeps running.
+ * @param {(signal: AbortSignal) => Promise<AsyncIterable<any>>} openStream
+ * @param {number} timeoutMs
+ * @param {string} message
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ first: IteratorResult<any>, next: () => Promise<IteratorResult<any>>, close: () => Promise<void> }>}
+ */
+async function openStreamWithTimeout(openStream, timeoutMs, message, signal) {
+  const closer = new AbortController();
+  const { iterator, first } = await withTimeout(
+    async (streamSignal) => {
+      const stream = await openStream(anySignal([streamSignal, closer.signal]));
+      const iterator = stream[Symbol.asyncIterator]();
+      return { iterator, first: await iterator.next() };
+    },
+    timeoutMs,
+    message,
+    signal,
+  );
+  return {
+    first,
+    next: () => {
+      const pending = iterator.next();
+      // If the timer or the caller's signal wins, close() makes this reject; nobody's listening.
+      pending.catch(() => {});
+      return withTimeout(pending, timeoutMs, message, signal);
+    },
+    close: async () => {
+      // Abort first: return() waits behind a next() that's still pending.
+      closer.abort();
+      await Promise.resolve(iterator.return?.()).catch(() => {});
+    },
+  };
+}
+
+/**
+ * Reads the HTTP status off a provider error (Groq/OpenAI use `status`, Mistral `statusCode`).
+ * @param {any} err
+ * @returns {number|undefined}
+ */
+function getErrorStatus(err) {
+  const status = err?.status ?? err?.statusCode ?? err?.response?.status;
+  return typeof status === "number" ? status : undefined;
+}
+
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+]);
+
+/**
+ * Default retry classifier: rate limits, 5xx responses and dropped connections are worth
+ * another go; bad requests, auth errors, empty replies, our own timeouts and aborts are not.
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err || err.name === "AbortError" || err.name === "TimeoutError") {
+    return false;
+  }
+  const status = getErrorStatus(err);
+  if (status !== undefined) return RETRYABLE_STATUS_CODES.has(status);
+  if (RETRYABLE_ERROR_CODES.has(err.code ?? err.cause?.code)) return true;
+  return (
+    err.name === "ConnectionError" ||
+    err.constructor?.name === "APIConnectionError"
+  );
+}
+
+/**
+ * Pulls the server's requested wait out of `retry-after-ms` / `retry-after` (seconds or an
+ * HTTP date), whichever header shape the SDK exposes.
+ * @param {any} err
+ * @returns {number|null} Milliseconds, or null when the server didn't say.
+ */
+function getRetryAfterMs(err) {
+  const headers = err?.headers ?? err?.rawResponse?.headers ?? err?.response?.headers;
+  if (!headers) return null;
+  const read = (name) =>
+    typeof headers.get === "function" ? headers.get(name) : headers[name];
+
+  const ms = read("retry-after-ms");
+  if (ms != null && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+
+  const value = read("retry-after");
+  if (value == null || value === "") return null;
+  if (Number.isFinite(Number(value))) return Math.max(0, Number(value) * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const CONTEXT_LENGTH_PATTERN =
+  /context[ _-]?(length|window)|maximum context|too many tokens|prompt is too long|reduce the length/i;
+
+/**
+ * Maps an SDK error onto the library's error classes (rate limit, auth, context length) so
+ * callers can branch on type. Errors that don't fit are returned unchanged.
+ * @param {any} err
+ * @param {{ provider?: string, model?: string }} [source]
+ * @returns {any}
+ */
+function toAiError(err, { provider, model } = {}) {
+  if (err instanceof AiError) {
+    err.provider = err.provider ?? provider;
+    err.model = err.model ?? model;
+    return err;
+  }
+  if (!err || err.name === "AbortError") return err;
+
+  const status = getErrorStatus(err);
+  const message = err.message || String(err);
+  const details = { provider, model, status, cause: err };
+  if (status === 429) {
+    return new RateLimitError(message, {
+      ...details,
+      retryAfterMs: getRetryAfterMs(err),
+    });
+  }
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (
+    (status === undefined || status === 400 || status === 413) &&
+    CONTEXT_LENGTH_PATTERN.test(message)
+  ) {
+    return new ContextLengthError(message, details);
+  }
+  return err;
+}
+
+/**
+ * Adds a failed try to a fallback loop's attempt list. Failures that are already an
+ * AllModelsFailedError (a whole provider giving up) contribute their own attempts.
+ * @param {Array<{ provider: string, model: string|null, error: Error, latencyMs: number }>} attempts
+ * @param {{ provider: string, model?: string|null, error: any, startedAt: number }} attempt
+ */
+function recordAttempt(attempts, { provider, model = null, error, startedAt }) {
+  if (error instanceof AllModelsFailedError || error?.attempts?.length) {
+    attempts.push(...error.attempts);
+    return;
+  }
+  attempts.push({
+    provider,
+    model,
+    error: toAiError(error, { provider, model: model ?? undefined }),
+    latencyMs: Date.now() - startedAt,
+  });
+}
+
+/**
+ * Fills in the retry policy defaults. `false` turns retries off.
+ * @param {boolean|{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryOn?: (err: any, attempt: number) => boolean }|undefined} retry
+ * @returns {{ maxAttempts: number, baseDelayMs: number, maxDelayMs: number, retryOn: (err: any, attempt: number) => boolean }}
+ */
+function normalizeRetryOptions(retry) {
+  const options = retry && typeof retry === "object" ? retry : {};
+  return {
+    maxAttempts:
+      retry === false ? 1 : Math.max(1, Math.floor(options.maxAttempts ?? 3)),
+    baseDelayMs: Math.max(0, Number(options.baseDelayMs ?? 500)),
+    maxDelayMs: Math.max(0, Number(options.maxDelayMs ?? 10000)),
+    retryOn:
+      typeof options.retryOn === "function" ? options.retryOn : isRetryableError,
+  };
+}
+
+/**
+ * Works out how long to wait before the next attempt: the server's Retry-After when it sent
+ * one, otherwise exponential backoff with jitter.
+ * @param {any} err
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {ReturnType<typeof normalizeRetryOptions>} policy
+ * @returns {number|null} null when Retry-After asks for longer than maxDelayMs.
+ */
+function getRetryDelayMs(err, attempt, policy) {
+  const retryAfter = getRetryAfterMs(err);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxDelayMs ? retryAfter : null;
+  }
+  const backoff = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** (attempt - 1),
+  );
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Waits for `ms`, rejecting early if the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortErrorFor(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortErrorFor(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Checks one set of limits and turns it into the state a RateLimiter tracks. Requests and
+ * tokens per minute are buckets that start full and refill continuously.
+ * @param {{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number }} limits
+ * @param {string} label - Option path used in error messages.
+ * @returns {{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number, requests: number, tokens: number, active: number, refilledAt: number }}
+ */
+function createLimitState(limits = {}, label) {
+  const { requestsPerMinute, tokensPerMinute, maxConcurrent } = limits;
+  for (const [name, value] of Object.entries({
+    requestsPerMinute,
+    tokensPerMinute,
+    maxConcurrent,
+  })) {
+    if (value !== undefined && !(typeof value === "number" && value > 0)) {
+      throw new Error(`${label}.${name} must be a positive number`);
+    }
+  }
+  return {
+    requestsPerMinute,
+    tokensPerMinute,
+    maxConcurrent,
+    requests: requestsPerMinute ?? 0,
+    tokens: tokensPerMinute ?? 0,
+    active: 0,
+    refilledAt: Date.now(),
+  };
+}
+
+/**
+ * Client-side requests/tokens per minute and concurrency limits, per provider and optionally per model.
+ * Calls over a limit queue for up to maxWaitMs, then fail with a RateLimitError so we can fall back.
+ */
+class RateLimiter {
+  /**
+   * @param {{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number, maxWaitMs?: number, models?: Record<string, { requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number }> }} [options]
+   */
+  constructor({
+    requestsPerMinute,
+    tokensPerMinute,
+    maxConcurrent,
+    maxWaitMs = 30000,
+    models = {},
+  } = {}) {
+    if (typeof maxWaitMs !== "number" || !(maxWaitMs >= 0)) {
+      throw new Error("rateLimit.maxWaitMs must be a number >= 0");
+    }
+    this.maxWaitMs = maxWaitMs;
+    this.limits = createLimitState(
+      { requestsPerMinute, tokensPerMinute, maxConcurrent },
+      "rateLimit",
+    );
+    this.modelLimits = new Map(
+      Object.entries(models || {}).map(([model, limits]) => [
+        model,
+        createLimitState(limits, `rateLimit.models["${model}"]`),
+      ]),
+    );
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * The limit states a call to `model` has to fit in.
+   * @param {string} model
+   * @returns {Array<ReturnType<typeof createLimitState>>}
+   */
+  limitsFor(model) {
+    return [this.limits, this.modelLimits.get(model)].filter(Boolean);
+  }
+
+  /**
+   * Tops up the buckets for the time that has passed.
+   * @param {number} now
+   */
+  refill(now) {
+    for (const state of [this.limits, ...this.modelLimits.values()]) {
+      const perMs = (now - state.refilledAt) / 60000;
+      state.refilledAt = now;
+      if (state.requestsPerMinute) {
+        state.requests = Math.min(
+          state.requestsPerMinute,
+          state.requests + perMs * state.requestsPerMinute,
+        );
+      }
+      if (state.tokensPerMinute) {
+        state.tokens = Math.min(
+          state.tokensPerMinute,
+          state.tokens + perMs * state.tokensPerMinute,
+        );
+      }
+    }
+  }
+
+  /**
+   * How long until a call to `model` fits: 0 means now, Infinity means it's waiting on a
+   * concurrency slot (freed by release(), not by time).
+   * @param {string} model
+   * @returns {number}
+   */
+  waitFor(model) {
+    let wait = 0;
+    for (const state of this.limitsFor(model)) {
+      if (state.maxConcurrent && state.active >= state.maxConcurrent) return Infinity;
+      if (state.requestsPerMinute && state.requests < 1) {
+        wait = Math.max(wait, ((1 - state.requests) * 60000) / state.requestsPerMinute);
+      }
+      if (state.tokensPerMinute && state.tokens < 1) {
+        wait = Math.max(wait, ((1 - state.tokens) * 60000) / state.tokensPerMinute);
+      }
+    }
+    return Math.ceil(wait);
+  }
+
+  /**
+   * Waits for room under every limit that applies to `model`, then takes it. Resolve the
+   * returned permit's release() once the request is done, with its usage if known.
+   * @param {{ provider?: string, model: string, signal?: AbortSignal }} request
+   * @returns {Promise<{ release: (usage?: { totalTokens?: number }|null) => void }>}
+   * @throws {RateLimitError} When there's still no room after maxWaitMs.
+   */
+  acquire({ provider, model, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(abortErrorFor(signal));
+
+    return new Promise((resolve, reject) => {
+      const waiter = { model, resolve, reject, cleanup: () => {} };
+      const fail = (error) => {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) return;
+        this.queue.splice(index, 1);
+        waiter.cleanup();
+        reject(error);
+        this.drain();
+      };
+
+      const deadline = Number.isFinite(this.maxWaitMs)
+        ? setTimeout(() => {
+            this.refill(Date.now());
+            const retryAfterMs = this.waitFor(model);
+            fail(
+              new RateLimitError(
+                `Client-side rate limit for ${model} still full after waiting ${this.maxWaitMs}ms`,
+                {
+                  provider,
+                  model,
+                  retryAfterMs: Number.isFinite(retryAfterMs) ? retryAfterMs : null,
+                },
+              ),
+            );
+          }, this.maxWaitMs)
+        : null;
+      const onAbort = () => fail(abortErrorFor(signal));
+      signal?.addEventListener("abort", onAbort, { once: true });
+      waiter.cleanup = () => {
+        clearTimeout(deadline);
+        signal?.removeEventListener("abort", onAbort);
+      };
+
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Lets through every queued call that fits right now, in order, and sets a timer for the
+   * next one whose bucket is refilling.
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.refill(Date.now());
+
+    let nextWait = Infinity;
+    for (const waiter of [...this.queue]) {
+      const wait = this.waitFor(waiter.model);
+      if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        continue;
+      }
+      const limits = this.limitsFor(waiter.model);
+      for (const state of limits) {
+        state.active += 1;
+        if (state.requestsPerMinute) state.requests -= 1;
+      }
+      this.queue.splice(this.queue.indexOf(waiter), 1);
+      waiter.cleanup();
+      waiter.resolve(this.permitFor(limits));
+    }
+
+    if (this.queue.length && Number.isFinite(nextWait)) {
+      this.timer = setTimeout(() => this.drain(), nextWait);
+    }
+  }
+
+  /**
+   * Builds the handle that gives a concurrency slot back and charges the tokens used.
+   * Releasing twice is a no-op.
+   * @param {Array<ReturnType<typeof createLimitState>>} limits
+   * @returns {{ release: (usage?: { totalTokens?: number }|null) => void }}
+   */
+  permitFor(limits) {
+    let released = false;
+    return {
+      release: (usage) => {
+        if (released) return;
+        released = true;
+        this.refill(Date.now());
+        for (const state of limits) {
+          state.active -= 1;
+          if (state.tokensPerMinute) state.tokens -= usage?.totalTokens || 0;
+        }
+        this.drain();
+      },
+    };
+  }
+}
+
+/**
+ * Turns the `rateLimit` option into a RateLimiter, or null when it's not set. Passing a
+ * RateLimiter shares it, e.g. between clients that use the same API key.
+ * @param {RateLimiter|Record<string, any>|undefined} rateLimit
+ * @returns {RateLimiter|null}
+ */
+function normalizeRateLimit(rateLimit) {
+  if (!rateLimit) return null;
+  return rateLimit instanceof RateLimiter ? rateLimit : new RateLimiter(rateLimit);
+}
+
+const RATE_LIMIT_OPTION_NAMES = [
+  "requestsPerMinute",
+  "tokensPerMinute",
+  "maxConcurrent",
+  "maxWaitMs",
+  "models",
+];
+
+/**
+ * Checks MultiProviderAi's rateLimit option. A RateLimiter is one budget shared by every
+ * provider; a plain object is keyed by provider. Limits given straight at the top level would
+ * otherwise apply to no provider at all, so they throw.
+ * @param {RateLimiter|Record<string, RateLimiter|Record<string, any>>|undefined} rateLimit
+ * @returns {RateLimiter|Record<string, RateLimiter|Record<string, any>>}
+ */
+function normalizeProviderRateLimits(rateLimit) {
+  if (!rateLimit) return {};
+  if (rateLimit instanceof RateLimiter) return rateLimit;
+  if (typeof rateLimit !== "object") {
+    throw new Error("rateLimit for MultiProviderAi must be a RateLimiter or an object keyed by provider");
+  }
+  const misplaced = Object.keys(rateLimit).filter((key) => RATE_LIMIT_OPTION_NAMES.includes(key));
+  if (misplaced.length) {
+    throw new Error(
+      `rateLimit for MultiProviderAi is keyed by provider (e.g. { groq: { ${misplaced[0]}: ... } }); ` +
+        "pass a RateLimiter to share one budget across providers",
+    );
+  }
+  return rateLimit;
+}
+
+/**
+ * Runs one provider call with retries so a 429 or a brief 503 doesn't knock a model out straight away.
+ * Throws the last error once it gives up, so the caller can fall back.
+ * @template T
+ * @param {() => Promise<T>} run
+ * @param {ReturnType<typeof normalizeRetryOptions>} policy
+ * @param {{ label: string, signal?: AbortSignal, logger?: AiLogger, limiter?: RateLimiter|null, provider?: string, model?: string }} context - label prefixes the retry log line; limiter (if any) gates every attempt; the rest are logged as fields.
+ * @returns {Promise<T>}
+ */
+async function withRetry(
+  run,
+  policy,
+  { label, signal, logger = noopLogger, limiter, ...fields } = {},
+) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      if (!limiter) return await run();
+      const permit = await limiter.acquire({
+        provider: fields.provider,
+        model: fields.model,
+        signal,
+      });
+      let usage = null;
+      try {
+        const result = await run();
+        usage = normalizeUsage(result?.usage ?? result?.usage_metadata);
+        return result;
+      } finally {
+        permit.release(usage);
+      }
+    } catch (err) {
+      if (
+        attempt >= policy.maxAttempts ||
+        signal?.aborted ||
+        !policy.retryOn(err, attempt)
+      ) {
+        throw err;
+      }
+      const delay = getRetryDelayMs(err, attempt, policy);
+      if (delay === null) throw err;
+      logger.warn(
+        `${label} attempt ${attempt}/${policy.maxAttempts} failed, retrying in ${delay}ms`,
+        {
+          ...fields,
+          attempt,
+          maxAttempts: policy.maxAttempts,
+          delayMs: delay,
+          error: err?.message || String(err),
+        },
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Flattens the different token usage shapes (OpenAI/Groq snake_case, Mistral camelCase,
+ * LangChain usage_metadata) into one object.
+ * @param {Record<string, any>|undefined|null} usage
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const promptTokens = Number(
+    usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens ?? 0,
+  );
+  const completionTokens = Number(
+    usage.completionTokens ??
+      usage.completion_tokens ??
+      usage.output_tokens ??
+      0,
+  );
+  const totalTokens = Number(
+    usage.totalTokens ??
+      usage.total_tokens ??
+      promptTokens + completionTokens,
+  );
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+/**
+ * Adds one response's usage onto a running total, for loops that make several calls.
+ * @param {{ promptTokens: number, completionTokens: number, totalTokens: number }|null} total
+ * @param {{ promptTokens: number, completionTokens: number, totalTokens: number }|null} usage
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens,
+  };
+}
+
+const SAMPLING_NUMBER_OPTIONS = [
+  "temperature",
+  "maxTokens",
+  "topP",
+  "seed",
+  "presencePenalty",
+  "frequencyPenalty",
+];
+
+/**
+ * Works out which models and sampling settings a single call runs with. Whatever the call
+ * leaves out comes from the instance; `fallbackModels: []` turns fallback off for that call.
+ * @param {{ models: string[], temperature?: number, maxTokens?: number }} owner
+ * @param {AiCallOverrides} [overrides]
+ * @returns {{ models: string[], sampling: AiSampling }}
+ */
+function resolveCallOverrides(owner, overrides = {}) {
+  const { model, fallbackModels } = overrides;
+  if (fallbackModels != null && !Array.isArray(fallbackModels)) {
+    throw new Error("fallbackModels must be an array of model names");
+  }
+  const models =
+    model == null && fallbackModels == null
+      ? owner.models
+      : [
+          ...new Set(
+            [model || owner.models[0], ...(fallbackModels ?? owner.models.slice(1))].filter(
+              Boolean,
+            ),
+          ),
+        ];
+
+  const sampling = { temperature: owner.temperature, maxTokens: owner.maxTokens };
+  for (const key of SAMPLING_NUMBER_OPTIONS) {
+    const value = overrides[key];
+    if (value == null) continue;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new Error(`${key} must be a number`);
+    }
+    sampling[key] = value;
+  }
+  if (overrides.stop != null) {
+    const stop = [].concat(overrides.stop);
+    if (!stop.length || stop.some((sequence) => typeof sequence !== "string")) {
+      throw new Error("stop must be a string or an array of strings");
+    }
+    sampling.stop = stop;
+  }
+  return { models, sampling };
+}
+
+// Request parameter names each SDK uses for the sampling settings above.
+const GROQ_SAMPLING_PARAMS = {
+  temperature: "temperature",
+  maxTokens: "max_tokens",
+  topP: "top_p",
+  stop: "stop",
+  seed: "seed",
+  presencePenalty: "presence_penalty",
+  frequencyPenalty: "frequency_penalty",
+};
+const MISTRAL_SAMPLING_PARAMS = {
+  temperature: "temperature",
+  maxTokens: "maxTokens",
+  topP: "topP",
+  stop: "stop",
+  seed: "randomSeed",
+  presencePenalty: "presencePenalty",
+  frequencyPenalty: "frequencyPenalty",
+};
+
+/**
+ * Renames resolved sampling settings to one SDK's request parameters, dropping unset ones.
+ * @param {AiSampling} sampling
+ * @param {Record<string, string>} names
+ * @returns {Record<string, any>}
+ */
+function toSamplingParams(sampling, names) {
+  const params = {};
+  for (const [key, value] of Object.entries(sampling)) {
+    if (value !== undefined && names[key]) params[names[key]] = value;
+  }
+  return params;
+}
+
+/**
+ * Splits the per-call overrides for MultiProviderAi into the ones a single provider gets.
+ * `model` and `fallbackModels` may be keyed by provider; everything else is passed as is.
+ * @param {Record<string, any>} options
+ * @param {string} provider
+ * @returns {Record<string, any>}
+ */
+function overridesForProvider(options, provider) {
+  const { model, fallbackModels } = options;
+  const isMap = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+  return {
+    ...options,
+    model: isMap(model) ? model[provider] : model,
+    fallbackModels: isMap(fallbackModels) ? fallbackModels[provider] : fallbackModels,
+  };
+}
+
+const DEFAULT_EMBED_BATCH_SIZE = 64;
+
+/**
+ * Checks embed() input and always hands back an array, so one string and many strings go
+ * down the same path.
+ * @param {string|string[]} texts
+ * @returns {string[]}
+ */
+function normalizeEmbedInputs(texts) {
+  const inputs = Array.isArray(texts) ? texts : [texts];
+  if (texts == null || inputs.length === 0) {
+    throw new Error("texts is required for embed()");
+  }
+  if (inputs.some((text) => typeof text !== "string")) {
+    throw new Error("embed() only accepts strings");
+  }
+  return inputs;
+}
+
+/**
+ * Splits embed() inputs into request-sized batches.
+ * @param {string[]} inputs
+ * @param {number} [batchSize]
+ * @returns {string[][]}
+ */
+function toEmbedBatches(inputs, batchSize = DEFAULT_EMBED_BATCH_SIZE) {
+  const size = Math.max(1, Math.floor(Number(batchSize)) || DEFAULT_EMBED_BATCH_SIZE);
+  const batches = [];
+  for (let i = 0; i < inputs.length; i += size) {
+    batches.push(inputs.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Pulls the vectors out of an OpenAI-style embeddings response (`data[].embedding`), in
+ * input order and as plain number arrays. Missing or empty vectors count as an empty reply.
+ * @param {any} resp
+ * @param {number} expected How many inputs were sent.
+ * @param {{ provider: string, model: string }} source
+ * @returns {number[][]}
+ */
+function readEmbeddings(resp, expected, { provider, model }) {
+  const data = [...(resp?.data || [])].sort((a, b) => (a?.index ?? 0) - (b?.index ?? 0));
+  const vectors = data.map((item) => Array.from(item?.embedding || [], Number));
+  if (vectors.length !== expected || vectors.some((vector) => !vector.length)) {
+    throw new EmptyResponseError(
+      `Embedding model ${model} returned ${vectors.length} vectors for ${expected} inputs`,
+      { provider, model },
+    );
+  }
+  return vectors;
+}
+
+const HOOK_NAMES = [
+  "beforeRequest",
+  "afterResponse",
+  "onAttemptError",
+  "onFallback",
+  "onComplete",
+  "onAttachmentChange",
+];
+
+/**
+ * Checks a hooks object so a typo'd hook name fails loudly instead of never firing.
+ * @param {AiHooks} hook
+ * @returns {AiHooks}
+ */
+function normalizeHook(hook) {
+  if (!hook || typeof hook !== "object") {
+    throw new Error("hooks must be an object of handler functions");
+  }
+  for (const [name, handler] of Object.entries(hook)) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown hook "${name}" (expected one of: ${HOOK_NAMES.join(", ")})`,
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Hook "${name}" must be a function`);
+    }
+  }
+  return { ...hook };
+}
+
+/**
+ * Runs the `name` handler of every hook in order. beforeRequest can return new messages or a
+ * new request (messages, sampling, tools, ...) and afterResponse new text; the other hooks only
+ * observe, so their errors are just logged.
+ * @param {{ hooks: AiHooks[], logger?: AiLogger }} owner - The instance the hooks belong to.
+ * @param {string} name
+ * @param {Record<string, any>} context
+ * @returns {Promise<Record<string, any>>} The context with any rewrites applied.
+ */
+async function runHooks({ hooks, logger = noopLogger }, name, context) {
+  let current = context;
+  for (const hook of hooks) {
+    const handler = hook[name];
+    if (!handler) continue;
+    if (name === "beforeRequest") {
+      const result = await handler(current);
+      if (Array.isArray(result)) {
+        current = { ...current, messages: result };
+      } else if (result && typeof result === "object") {
+        // Where the request goes is decided by the fallback loop, not the hook
+        const { provider, model, operation } = current;
+        current = { ...current, ...result, provider, model, operation };
+      }
+    } else if (name === "afterResponse") {
+      const text = await handler(current);
+      if (typeof text === "string") current = { ...current, text };
+    } else {
+      try {
+        await handler(current);
+      } catch (err) {
+        logger.error(`[Hooks] ${name} handler failed`, {
+          provider: current.provider ?? current.from?.provider,
+          model: current.model ?? current.from?.model,
+          operation: current.operation,
+          error: err?.message || String(err),
+        });
+      }
+    }
+  }
+  return current;
+}
+
+/**
+ * Tells the hooks about the attempt recordAttempt() just added, then about the fallback to
+ * the next entry in `models` if there is one. Races leave `models` out since nothing falls back.
+ * @param {{ hooks: AiHooks[], logger?: AiLogger }} owner
+ * @param {Array<{ provider: string, model: string|null, error: Error, latencyMs: number }>} attempts
+ * @param {{ operation: string, models?: string[] }} context
+ * @returns {Promise<void>}
+ */
+async function reportFailedAttempt(owner, attempts, { operation, models = [] }) {
+  const { provider, model, error, latencyMs } = attempts[attempts.length - 1];
+  await runHooks(owner, "onAttemptError", {
+    provider,
+    model,
+    operation,
+    error,
+    latencyMs,
+    attempt: attempts.length,
+  });
+  const index = models.indexOf(model);
+  if (index !== -1 && index + 1 < models.length) {
+    await runHooks(owner, "onFallback", {
+      operation,
+      from: { provider, model },
+      to: { provider, model: models[index + 1] },
+      error,
+    });
+  }
+}
+
+/**
+ * Fires the onComplete hooks for a call that has settled, with its result or its error.
+ * @param {{ hooks: AiHooks[], logger?: AiLogger }} owner
+ * @param {{ provider: string|null, operation: string }} context
+ * @param {number} startedAt
+ * @param {{ response?: any, error?: any }} outcome
+ * @returns {Promise<void>}
+ */
+async function reportCompletion(owner, context, startedAt, outcome) {
+  await runHooks(owner, "onComplete", {
+    ...context,
+    response: null,
+    error: null,
+    ...outcome,
+    latencyMs: Date.now() - startedAt,
+  });
+}
+
+/**
+ * Runs a whole call and reports how it ended to the onComplete hooks.
+ * @template T
+ * @param {{ hooks: AiHooks[], logger?: AiLogger }} owner
+ * @param {{ provider: string|null, operation: string }} context
+ * @param {() => Promise<T>} run
+ * @returns {Promise<T>}
+ */
+async function completeWithHooks(owner, context, run) {
+  const startedAt = Date.now();
+  try {
+    const response = await run();
+    await reportCompletion(owner, context, startedAt, { response });
+    return response;
+  } catch (error) {
+    await reportCompletion(owner, context, startedAt, { error });
+    throw error;
+  }
+}
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Turns the `cache` option into `{ store, ttlMs, pending }`, or null when caching is off.
+ * `true` means an in-memory LRU; a store object (anything with get/set) is used as is.
+ * @param {boolean|AiCacheBackend|{ store?: AiCacheBackend, ttlMs?: number }|undefined} cache
+ * @returns {{ store: AiCacheBackend, ttlMs: number, pending: Map<string, { promise: Promise<any>, signal?: AbortSignal }> }|null}
+ */
+function normalizeCacheOptions(cache) {
+  if (!cache) return null;
+  const isStore = typeof cache.get === "function" && typeof cache.set === "function";
+  const options = cache === true || isStore ? {} : cache;
+  const store = isStore ? cache : options.store ?? new InMemoryAiCache();
+  const ttlMs = options.ttlMs ?? DEFAULT_CACHE_TTL_MS;
+  if (typeof store.get !== "function" || typeof store.set !== "function") {
+    throw new Error("cache.store must have get() and set() methods");
+  }
+  if (typeof ttlMs !== "number" || !(ttlMs >= 0)) {
+    throw new Error("cache.ttlMs must be a number >= 0 (0 keeps entries until evicted)");
+  }
+  return { store, ttlMs, pending: new Map() };
+}
+
+/**
+ * JSON with object keys sorted, so the same request always serializes the same way.
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (!val || typeof val !== "object" || Array.isArray(val)) return val;
+    return Object.fromEntries(
+      Object.keys(val)
+        .sort()
+        .map((name) => [name, val[name]]),
+    );
+  });
+}
+
+/**
+ * Hashes everything that decides a reply (provider, operation, models, sampling settings,
+ * messages) into a cache key.
+ * @param {Record<string, any>} parts
+ * @returns {string}
+ */
+function cacheKeyFor(parts) {
+  return crypto.createHash("sha256").update(stableStringify(parts)).digest("hex");
+}
+
+/**
+ * Cache key part for a transcription input: URLs as is, Buffers and paths hashed.
+ * Streams can only be read once, so they get null and skip the cache.
+ * @param {any} file
+ * @returns {Promise<string|null>}
+ */
+async function fingerprintFile(file) {
+  if (Buffer.isBuffer(file)) {
+    return crypto.createHash("sha256").update(file).digest("hex");
+  }
+  if (typeof file !== "string") return null;
+  if (/^https?:\/\//i.test(file)) return file;
+  try {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+    return hash.digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+// Whisper's verbose_json names the language ("english"); Voxtral gives the code ("en").
+const WHISPER_LANGUAGE_CODES = Object.fromEntries(
+  (
+    "en:english zh:chinese de:german es:spanish ru:russian ko:korean fr:french ja:japanese " +
+    "pt:portuguese tr:turkish pl:polish ca:catalan nl:dutch ar:arabic sv:swedish it:italian " +
+    "id:indonesian hi:hindi fi:finnish vi:vietnamese he:hebrew uk:ukrainian el:greek ms:malay " +
+    "cs:czech ro:romanian da:danish hu:hungarian ta:tamil no:norwegian th:thai ur:urdu " +
+    "hr:croatian bg:bulgarian lt:lithuanian la:latin mi:maori ml:malayalam cy:welsh sk:slovak " +
+    "te:telugu fa:persian lv:latvian bn:bengali sr:serbian az:azerbaijani sl:slovenian " +
+    "kn:kannada et:estonian mk:macedonian br:breton eu:basque is:icelandic hy:armenian " +
+    "ne:nepali mn:mongolian bs:bosnian kk:kazakh sq:albanian sw:swahili gl:galician " +
+    "mr:marathi pa:punjabi si:sinhala km:khmer sn:shona yo:yoruba so:somali af:afrikaans " +
+    "oc:occitan ka:georgian be:belarusian tg:tajik sd:sindhi gu:gujarati am:amharic " +
+    "yi:yiddish lo:lao uz:uzbek fo:faroese ht:haitian_creole ps:pashto tk:turkmen nn:nynorsk " +
+    "mt:maltese sa:sanskrit lb:luxembourgish my:myanmar bo:tibetan tl:tagalog mg:malagasy " +
+    "as:assamese tt:tatar haw:hawaiian ln:lingala ha:hausa ba:bashkir jw:javanese " +
+    "su:sundanese yue:cantonese"
+  )
+    .split(" ")
+    .map((pair) => pair.split(":").reverse().map((v) => v.replace("_", " "))),
+);
+
+/**
+ * Turns a Groq Whisper or Mistral Voxtral transcription into one shape (segments, words,
+ * language, duration).
+ * @param {any} resp
+ * @param {{ provider: string, model: string }} source
+ * @returns {AiTranscription}
+ */
+function normalizeTranscription(resp, { provider, model }) {
+  const toSeconds = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  const segments = (Array.isArray(resp?.segments) ? resp.segments : []).map((segment) => ({
+    start: toSeconds(segment.start),
+    end: toSeconds(segment.end),
+    text: String(segment.text ?? "").trim(),
+  }));
+  const words = (Array.isArray(resp?.words) ? resp.words : []).map((word) => ({
+    word: String(word.word ?? word.text ?? "").trim(),
+    start: toSeconds(word.start),
+    end: toSeconds(word.end),
+  }));
+  const rawLanguage = typeof resp?.language === "string" ? resp.language.trim().toLowerCase() : "";
+  const duration =
+    toSeconds(resp?.duration) ??
+    toSeconds(resp?.usage?.promptAudioSeconds ?? resp?.usage?.prompt_audio_seconds) ??
+    (segments.length ? segments[segments.length - 1].end : null);
+  return {
+    text: String(resp?.text ?? "").trim(),
+    language: rawLanguage ? WHISPER_LANGUAGE_CODES[rawLanguage] || rawLanguage : null,
+    duration,
+    segments,
+    words,
+    provider,
+    model,
+    cached: false,
+    raw: resp,
+  };
+}
+
+/**
+ * The part of a response worth caching: no raw SDK object, no per-call timings.
+ * @param {AiResponse} response
+ * @returns {{ text: string, provider: string, model: string, usage: any, finishReason: string|null }}
+ */
+function toCachedResponse({ text, provider, model, usage, finishReason }) {
+  return { text, provider, model, usage, finishReason };
+}
+
+/**
+ * Same as toCachedResponse(), for transcribeDetailed() results.
+ * @param {AiTranscription} transcription
+ * @returns {Omit<AiTranscription, "cached" | "raw">}
+ */
+function toCachedTranscription({ text, language, duration, segments, words, provider, model }) {
+  return { text, language, duration, segments, words, provider, model };
+}
+
+/**
+ * Serves `run` from the owner's cache when it can, and joins an identical call that's already running.
+ * A broken store is logged and treated as a miss.
+ * @template T
+ * @param {{ cache: ReturnType<typeof normalizeCacheOptions>, logger: AiLogger }} owner
+ * @param {string|null} key - null skips the cache.
+ * @param {AbortSignal|undefined} signal
+ * @param {() => Promise<T>} run
+ * @param {(value: T) => any} [toEntry]
+ * @returns {Promise<{ value: any, cached: boolean }>} `value` is the stored entry when `cached`.
+ */
+async function withCache(owner, key, signal, run, toEntry = (value) => value) {
+  const { cache, logger } = owner;
+  if (!cache || !key) return { value: await run(), cached: false };
+
+  let stored;
+  try {
+    stored = await cache.store.get(key);
+  } catch (err) {
+    logger.warn("[Cache] lookup failed", { error: err?.message || String(err) });
+  }
+  if (stored != null) return { value: stored, cached: true };
+
+  const inflight = cache.pending.get(key);
+  if (inflight) {
+    try {
+      return { value: await withTimeout(inflight.promise, 0, "", signal), cached: true };
+    } catch (err) {
+      // If the first caller cancelled, that's no reason to fail this one; send our own.
+      if (signal?.aborted || !inflight.signal?.aborted) throw err;
+    }
+  }
+
+  const running = Promise.resolve().then(run);
+  const entry = { promise: running.then(toEntry), signal };
+  entry.promise.catch(() => {});
+  cache.pending.set(key, entry);
+  const release = () => {
+    if (cache.pending.get(key) === entry) cache.pending.delete(key);
+  };
+
+  let value;
+  try {
+    value = await running;
+  } catch (err) {
+    release();
+    throw err;
+  }
+  entry.promise
+    .then((cachedEntry) => cache.store.set(key, cachedEntry, cache.ttlMs))
+    .catch((err) => {
+      logger.warn("[Cache] write failed", { error: err?.message || String(err) });
+    })
+    .finally(release);
+  return { value, cached: false };
+}
+
+/**
+ * Per-model and per-provider circuit breaker. Opens after `failureThreshold` failures within `windowMs`
+ * and lets one probe through after `cooldownMs`. Can be shared between clients.
+ */
+class CircuitBreaker {
+  /**
+   * @param {{ failureThreshold?: number, windowMs?: number, cooldownMs?: number, tripOn?: (error: any) => boolean }} [options]
+   */
+  constructor({
+    failureThreshold = 5,
+    windowMs = 60000,
+    cooldownMs = 30000,
+    tripOn = (error) =>
+      !(
+        error instanceof ContextLengthError ||
+        error instanceof JsonValidationError ||
+        error?.name === "AbortError"
+      ),
+  } = {}) {
+    for (const [name, value] of Object.entries({ failureThreshold, windowMs, cooldownMs })) {
+      if (!(typeof value === "number" && value > 0)) {
+        throw new Error(`circuitBreaker.${name} must be a positive number`);
+      }
+    }
+    this.failureThreshold = failureThreshold;
+    this.windowMs = windowMs;
+    this.cooldownMs = cooldownMs;
+    // Decides which errors count against a circuit; a too-long prompt says nothing about
+    // whether the model is up.
+    this.tripOn = tripOn;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Map key for a model's circuit, or the provider's own circuit when model is left out.
+   * @param {string} provider
+   * @param {string|null} [model]
+   * @returns {string}
+   */
+  key(provider, model) {
+    return model ? `${provider}:${model}` : provider;
+  }
+
+  /**
+   * Current state: "closed", "open", or "half-open" once the cooldown is over.
+   * @param {string} provider
+   * @param {string|null} [model]
+   * @returns {"closed"|"open"|"half-open"}
+   */
+  getState(provider, model) {
+    const circuit = this.circuits.get(this.key(provider, model));
+    if (!circuit) return "closed";
+    if (circuit.state === "open" && Date.now() >= circuit.openedAt + this.cooldownMs) {
+      return "half-open";
+    }
+    return circuit.state;
+  }
+
+  /**
+   * Whether a call may go out now. Takes the probe slot when half-open, so call it right before sending.
+   * @param {string} provider
+   * @param {string|null} [model]
+   * @returns {boolean}
+   */
+  allow(provider, model) {
+    const circuit = this.circuits.get(this.key(provider, model));
+    if (!circuit || circuit.state === "closed") return true;
+    const now = Date.now();
+    if (circuit.state === "open") {
+      if (now < circuit.openedAt + this.cooldownMs) return false;
+      circuit.state = "half-open";
+      circuit.probeStartedAt = null;
+    }
+    if (circuit.probeStartedAt !== null && now < circuit.probeStartedAt + this.cooldownMs) {
+      return false;
+    }
+    circuit.probeStartedAt = now;
+    return true;
+  }
+
+  /**
+   * Closes the circuit and forgets its failures.
+   * @param {string} provider
+   * @param {string|null} [model]
+   */
+  recordSuccess(provider, model) {
+    const circuit = this.circuits.get(this.key(provider, model));
+    if (!circuit) return;
+    circuit.state = "closed";
+    circuit.failures = [];
+    circuit.openedAt = null;
+    circuit.probeStartedAt = null;
+  }
+
+  /**
+   * Counts a failure (if tripOn says it should count) and opens the circuit once there are
+   * failureThreshold of them within windowMs. A failed half-open probe reopens it right away.
+   * @param {string} provider
+   * @param {string|null} [model]
+   * @param {any} [error]
+   * @returns {boolean} True when this failure opened the circuit.
+   */
+  recordFailure(provider, model, error) {
+    if (!this.tripOn(error)) return false;
+    const key = this.key(provider, model);
+    const now = Date.now();
+    const circuit = this.circuits.get(key) || {
+      state: "closed",
+      failures: [],
+      openedAt: null,
+      probeStartedAt: null,
+    };
+    this.circuits.set(key, circuit);
+    circuit.failures = circuit.failures
+      .filter((at) => at > now - this.windowMs)
+      .concat(now);
+    if (
+      circuit.state === "half-open" ||
+      (circuit.state === "closed" && circuit.failures.length >= this.failureThreshold)
+    ) {
+      circuit.state = "open";
+      circuit.openedAt = now;
+      circuit.probeStartedAt = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * How long until the circuit may be probed again; 0 when it's not open.
+   * @param {string} provider
+   * @param {string|null} [model]
+   * @returns {number}
+   */
+  retryAfterMs(provider, model) {
+    const circuit = this.circuits.get(this.key(provider, model));
+    if (circuit?.state !== "open") return 0;
+    return Math.max(0, circuit.openedAt + this.cooldownMs - Date.now());
+  }
+
+  /**
+   * Every circuit seen so far, keyed "provider:model" (or just "provider"), for dashboards
+   * and health checks.
+   * @returns {Record<string, { state: "closed"|"open"|"half-open", failures: number, openedAt: number|null, retryAt: number|null }>}
+   */
+  snapshot() {
+    const now = Date.now();
+    const result = {};
+    for (const [key, circuit] of this.circuits) {
+      const state =
+        circuit.state === "open" && now >= circuit.openedAt + this.cooldownMs
+          ? "half-open"
+          : circuit.state;
+      result[key] = {
+        state,
+        failures: circuit.failures.filter((at) => at > now - this.windowMs).length,
+        openedAt: circuit.openedAt,
+        retryAt: circuit.state === "open" ? circuit.openedAt + this.cooldownMs : null,
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Closes one circuit, or every circuit when called without arguments.
+   * @param {string} [provider]
+   * @param {string|null} [model]
+   */
+  reset(provider, model) {
+    if (provider === undefined) {
+      this.circuits.clear();
+    } else {
+      this.circuits.delete(this.key(provider, model));
+    }
+  }
+}
+
+/**
+ * Turns the `circuitBreaker` option into a CircuitBreaker, or null when it's off. Passing an
+ * instance shares it.
+ * @param {boolean|CircuitBreaker|Record<string, any>|undefined} circuitBreaker
+ * @returns {CircuitBreaker|null}
+ */
+function normalizeCircuitBreaker(circuitBreaker) {
+  if (!circuitBreaker) return null;
+  if (circuitBreaker instanceof CircuitBreaker) return circuitBreaker;
+  return new CircuitBreaker(circuitBreaker === true ? {} : circuitBreaker);
+}
+
+/**
+ * Lazily walks `models`, skipping open circuits. Throws CircuitOpenError if every one was skipped.
+ * @param {{ circuitBreaker: CircuitBreaker|null }} owner
+ * @param {string} provider
+ * @param {string[]} models
+ * @returns {Generator<string>}
+ */
+function* withClosedCircuits({ circuitBreaker }, provider, models) {
+  if (!circuitBreaker) {
+    yield* models;
+    return;
+  }
+  let tried = 0;
+  for (const model of models) {
+    if (!circuitBreaker.allow(provider, model)) continue;
+    tried += 1;
+    yield model;
+  }
+  if (!tried && models.length) {
+    const retryAfterMs = Math.min(
+      ...models.map((model) => circuitBreaker.retryAfterMs(provider, model)),
+    );
+    throw new CircuitOpenError(
+      `Circuit open for every ${provider} model (${models.join(", ")})`,
+      { provider, retryAfterMs },
+    );
+  }
+}
+
+/**
+ * Closes the circuit for a model (or provider, with model left out) that just answered.
+ * @param {{ circuitBreaker: CircuitBreaker|null }} owner
+ * @param {string} provider
+ * @param {string|null} [model]
+ */
+function noteCircuitSuccess({ circuitBreaker }, provider, model = null) {
+  circuitBreaker?.recordSuccess(provider, model);
+}
+
+/**
+ * Counts a failed call against the model's (or, with model null, the provider's) circuit, and
+ * logs when that opens it.
+ * @param {{ circuitBreaker: CircuitBreaker|null, logger: AiLogger }} owner
+ * @param {string} provider
+ * @param {string|null} model
+ * @param {any} error
+ */
+function noteCircuitFailure({ circuitBreaker, logger }, provider, model, error) {
+  if (!circuitBreaker) return;
+  if (circuitBreaker.recordFailure(provider, model, error)) {
+    logger.warn(`[Circuit] ${model ? `${provider}/${model}` : provider} opened`, {
+      provider,
+      model,
+      cooldownMs: circuitBreaker.cooldownMs,
+      error: error?.message || String(error),
+    });
+  }
+}
+
+/**
+ * Checks a tool definition and fills in defaults so every provider gets the same shape.
+ * @param {AiTool} tool
+ * @returns {AiTool}
+ */
+function normalizeToolDefinition(tool) {
+  if (!tool || typeof tool !== "object") {
+    throw new Error("tool must be an object with name and handler");
+  }
+  const { name, description = "", parameters, handler } = tool;
+  if (typeof name !== "string" || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+    throw new Error(
+      `Invalid tool name "${name}": use 1-64 letters, digits, "_" or "-"`,
+    );
+  }
+  if (typeof handler !== "function") {
+    throw new Error(`Tool ${name} needs a handler function`);
+  }
+  return {
+    name,
+    description,
+    parameters: parameters || { type: "object", properties: {} },
+    handler,
+  };
+}
+
+/**
+ * Converts a tool into the OpenAI-style function spec that OpenRouter, Groq and Mistral all accept.
+ * @param {AiTool} tool
+ * @returns {{ type: "function", function: { name: string, description: string, parameters: Record<string, any> } }}
+ */
+function toFunctionToolSpec(tool) {
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  };
+}
+
+/**
+ * Runs one tool call against the registered handlers. Failures are captured rather than
+ * thrown so the model can see what went wrong and carry on.
+ * @param {Map<string, AiTool>} tools
+ * @param {{ id: string, name: string, arguments: string|Record<string, any>|undefined }} call
+ * @param {string} model
+ * @returns {Promise<{ call: AiToolCall, content: string }>}
+ */
+async function runToolCall(tools, { id, name, arguments: rawArgs }, model) {
+  const call = { id, name, arguments: {} };
+  try {
+    if (typeof rawArgs === "string") {
+      call.arguments = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+    } else if (rawArgs && typeof rawArgs === "object") {
+      call.arguments = rawArgs;
+    }
+    const tool = tools.get(name);
+    if (!tool) throw new Error(`Unknown tool ${name}`);
+    call.result = await tool.handler(call.arguments, { id, name, model });
+  } catch (err) {
+    call.error = err?.message || String(err);
+  }
+
+  const content =
+    call.error !== undefined
+      ? JSON.stringify({ error: call.error })
+      : typeof call.result === "string"
+        ? call.result
+        : JSON.stringify(call.result ?? null);
+  return { call, content };
+}
+
+/**
+ * Thrown by askJson() when no model manages to produce JSON that matches the schema.
+ */
+class JsonValidationError extends AiError {
+  /**
+   * @param {string} message
+   * @param {{ errors?: string[], rawText?: string, model?: string, provider?: string }} [details]
+   */
+  constructor(message, { errors = [], rawText = "", model, provider } = {}) {
+    super(message, { model, provider });
+    this.name = "JsonValidationError";
+    this.errors = errors;
+    this.rawText = rawText;
+    this.attempts = [];
+  }
+}
+
+/**
+ * What askJson() throws once every model has had a go: the last schema failure when there was
+ * one, carrying every attempt like AllModelsFailedError does, otherwise AllModelsFailedError.
+ * @param {string} message
+ * @param {Array<{ provider: string, model: string|null, error: Error, latencyMs: number }>} attempts
+ * @returns {JsonValidationError|AllModelsFailedError}
+ */
+function jsonFailureFor(message, attempts) {
+  const invalid = attempts
+    .map(({ error }) => error)
+    .filter((error) => error instanceof JsonValidationError)
+    .pop();
+  if (!invalid) return new AllModelsFailedError(message, attempts);
+  invalid.attempts = attempts;
+  return invalid;
+}
+
+/**
+ * Checks a value against the commonly used bits of JSON Schema; other keywords are ignored.
+ * @param {any} value
+ * @param {Record<string, any>|boolean} schema
+ * @param {string} [path]
+ * @returns {string[]} Human-readable errors, empty when the value is valid.
+ */
+function validateJsonSchema(value, schema, path = "$") {
+  if (schema === true || schema === undefined || schema === null) return [];
+  if (schema === false) return [`${path} is not allowed`];
+
+  const errors = [];
+  const typeOf = (v) => {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    if (typeof v === "number" && Number.isInteger(v)) return "integer";
+    return typeof v;
+  };
+  const matchesType = (v, type) =>
+    type === "number"
+      ? typeof v === "number" && Number.isFinite(v)
+      : typeOf(v) === type;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path} should be ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value),
+    )
+  ) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (
+    "const" in schema &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    errors.push(`${path} should equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(
+        `${path} should have at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateJsonSchema(item, schema.items, `${path}[${index}]`),
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(
+          ...validateJsonSchema(child, properties[key], `${path}.${key}`),
+        );
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(
+          ...validateJsonSchema(
+            child,
+            schema.additionalProperties,
+            `${path}.${key}`,
+          ),
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) {
+      errors.push(...validateJsonSchema(value, sub, path));
+    }
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const passes = schema.anyOf.some(
+      (sub) => validateJsonSchema(value, sub, path).length === 0,
+    );
+    if (!passes) {
+      errors.push(`${path} should match at least one schema in anyOf`);
+    }
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const passing = schema.oneOf.filter(
+      (sub) => validateJsonSchema(value, sub, path).length === 0,
+    );
+    if (passing.length !== 1) {
+      errors.push(`${path} should match exactly one schema in oneOf`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the system prompt line that tells the model which JSON shape we want back.
+ * @param {Record<string, any>} schema
+ * @returns {string}
+ */
+function buildJsonInstruction(schema) {
+  return `Respond only with JSON (no prose, no code fences) that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Strips code fences off a model reply, parses it, and validates it against the schema.
+ * @param {string} text
+ * @param {Record<string, any>} schema
+ * @returns {{ value?: any, errors: string[] }}
+ */
+function parseJsonReply(text, schema) {
+  let candidate = String(text || "").trim();
+  const fenced = candidate.match(
+    /^```[a-zA-Z0-9_-]*\s*\n?([\s\S]*?)\n?```$/,
+  );
+  if (fenced) candidate = fenced[1].trim();
+
+  let value;
+  try {
+    value = JSON.parse(candidate);
+  } catch (err) {
+    return { errors: [`Reply is not valid JSON: ${err.message}`] };
+  }
+
+  return { value, errors: validateJsonSchema(value, schema) };
+}
+
+/**
+ * Follow-up prompt sent when a reply fails validation, so the model can fix its own output.
+ * @param {string[]} errors
+ * @returns {string}
+ */
+function buildJsonRepairPrompt(errors) {
+  return `Your previous reply did not match the required JSON Schema:\n- ${errors.join("\n- ")}\nReply again with corrected JSON only.`;
+}
+
+/**
+ * Makes sure a memory store implements the AiMemoryBackend contract before a history class relies on it.
+ * @param {AiMemoryBackend} memoryStore
+ * @param {string} owner - Class name used in the error message.
+ */
+function assertMemoryStore(memoryStore, owner) {
+  if (!memoryStore) {
+    throw new Error(`memoryStore is required for ${owner}`);
+  }
+  for (const method of ["getHistory", "appendMessages", "clearHistory"]) {
+    if (typeof memoryStore[method] !== "function") {
+      throw new Error(`memoryStore for ${owner} must implement ${method}()`);
+    }
+  }
+}
+
+/**
+ * Rough token cost charged for a non-text part whose size we can't see (a URL reference),
+ * since we can't see how a provider tokenizes media.
+ */
+const DEFAULT_ATTACHMENT_TOKENS = {
+  image: 1000,
+  video: 4000,
+  audio: 1000,
+  document: 2000,
+};
+
+/**
+ * Bytes of inline data charged as one token, per attachment kind. Images with readable
+ * dimensions and PDFs are sized by pixels and pages instead.
+ */
+const ATTACHMENT_BYTES_PER_TOKEN = {
+  image: 750,
+  video: 400,
+  audio: 500,
+  document: 4,
+};
+const IMAGE_PIXELS_PER_TOKEN = 750;
+const PDF_PAGE_TOKENS = 1000;
+
+/**
+ * Finds the inline payload of a media part, in canonical or provider shape. URL references
+ * have none.
+ * @param {Record<string, any>} part
+ * @returns {Buffer|null}
+ */
+function inlineAttachmentData(part) {
+  const candidates = [
+    part.data,
+    part.url,
+    part.image_url?.url ?? part.image_url,
+    part.imageUrl?.url ?? part.imageUrl,
+    part.input_audio?.data ?? part.inputAudio,
+    part.file?.file_data,
+    part.document_url ?? part.documentUrl,
+  ];
+  for (const value of candidates) {
+    if (Buffer.isBuffer(value)) return value;
+    if (typeof value !== "string" || !value) continue;
+    if (value.startsWith("data:")) return readDocumentData(value).buffer;
+    const compact = value.replace(/\s+/g, "");
+    if (value === part.data && /^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+      return Buffer.from(compact, "base64");
+    }
+  }
+  return null;
+}
+
+/**
+ * Sizes a media part from its inline data: images by pixel count, PDFs by page count and
+ * everything else by byte length. Parts without inline data get the flat default.
+ * @param {Record<string, any>} part
+ * @param {"image"|"video"|"audio"|"document"} kind
+ * @returns {number}
+ */
+function estimateAttachmentTokens(part, kind) {
+  const buffer = inlineAttachmentData(part);
+  if (!buffer || !buffer.length) return DEFAULT_ATTACHMENT_TOKENS[kind];
+  if (kind === "image") {
+    const size = imageDimensions(buffer, sniffMimeType(buffer));
+    if (size && size.width > 0 && size.height > 0) {
+      return Math.ceil((size.width * size.height) / IMAGE_PIXELS_PER_TOKEN);
+    }
+  }
+  if (kind === "document" && buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+    const pages = buffer.toString("latin1").match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    if (pages) return pages.length * PDF_PAGE_TOKENS;
+  }
+  return Math.ceil(buffer.length / ATTACHMENT_BYTES_PER_TOKEN[kind]);
+}
+
+/**
+ * Turns the tokenizer option (a function, count(text) or encode(text)) into `(text) => number`.
+ * Without one we guess ~4 characters per token.
+ * @param {((text: string) => number)|{ count?: (text: string) => number, encode?: (text: string) => ArrayLike<any> }} [tokenizer]
+ * @returns {(text: string) => number}
+ */
+function toTokenCounter(tokenizer) {
+  if (typeof tokenizer === "function") return tokenizer;
+  if (tokenizer && typeof tokenizer.count === "function") {
+    return (text) => tokenizer.count(text);
+  }
+  if (tokenizer && typeof tokenizer.encode === "function") {
+    return (text) => tokenizer.encode(text).length;
+  }
+  return (text) => Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Estimates how many tokens a piece of message content costs. Text goes through the counter;
+ * media parts are sized from their data (or charged a flat attachmentTokens cost when one is
+ * set for their kind) so inline base64 isn't counted as text.
+ * @param {any} content
+ * @param {(text: string) => number} countText
+ * @param {Record<string, number>} [attachmentTokens]
+ * @returns {number}
+ */
+function estimateContentTokens(content, countText, attachmentTokens = {}) {
+  if (content === null || content === undefined) return 0;
+  if (typeof content === "string") return countText(content);
+  if (Array.isArray(content)) {
+    return content.reduce(
+      (sum, part) =>
+        sum + estimateContentTokens(part, countText, attachmentTokens),
+      0,
+    );
+  }
+  if (typeof content === "object") {
+    if (typeof content.text === "string") return countText(content.text);
+    if ("content" in content) {
+      return estimateContentTokens(
+        content.content,
+        countText,
+        attachmentTokens,
+      );
+    }
+    const type = String(content.type || "").toLowerCase();
+    const kind = type.includes("file")
+      ? "document"
+      : ["image", "video", "audio", "document"].find((name) =>
+          type.includes(name),
+        );
+    if (kind) {
+      return attachmentTokens?.[kind] ?? estimateAttachmentTokens(content, kind);
+    }
+    return countText(JSON.stringify(content));
+  }
+  return countText(String(content));
+}
+
+/**
+ * Picks the token budget to size history against. With a per-model map we use the smallest
+ * budget among the models that may answer, so a fallback never gets an oversized prompt.
+ * @param {number|Record<string, number>|undefined} tokenBudget
+ * @param {string[]} models
+ * @returns {number|null}
+ */
+function resolveTokenBudget(tokenBudget, models) {
+  if (!tokenBudget) return null;
+  if (typeof tokenBudget === "number") {
+    return tokenBudget > 0 ? tokenBudget : null;
+  }
+  const budgets = models
+    .map((model) => tokenBudget[model] ?? tokenBudget.default)
+    .map(Number)
+    .filter((value) => value > 0);
+  return budgets.length ? Math.min(...budgets) : null;
+}
+
+/**
+ * Drops the oldest history entries until system prompt + history + the new user turn + the
+ * maxTokens reply reserve fit inside the token budget. Without a budget, history is untouched.
+ * Throws when the budget isn't larger than maxTokens, since then no history could ever fit.
+ * @param {AiStoredMessage[]} entries - Oldest first.
+ * @param {{ tokenBudget?: number|Record<string, number>, models: string[], maxTokens?: number, tokenCounter?: any, attachmentTokens?: Record<string, number>, system?: string, userContent?: any }} options
+ * @returns {AiStoredMessage[]}
+ */
+function fitHistoryToBudget(
+  entries,
+  {
+    tokenBudget,
+    models,
+    maxTokens = 0,
+    tokenCounter,
+    attachmentTokens,
+    system,
+    userContent,
+  },
+) {
+  const budget = resolveTokenBudget(tokenBudget, models);
+  if (!budget) return entries;
+  if (budget <= (Number(maxTokens) || 0)) {
+    throw new Error(
+      `tokenBudget (${budget}) must be larger than maxTokens (${maxTokens}), or no history fits`,
+    );
+  }
+
+  // Per-message overhead for role markers and separators
+  const perMessage = 4;
+  const countText = toTokenCounter(tokenCounter);
+  const cost = (content) =>
+    perMessage + estimateContentTokens(content, countText, attachmentTokens);
+
+  const hasUserContent = userContent !== null && userContent !== undefined;
+  let remaining =
+    budget -
+    (Number(maxTokens) || 0) -
+    (system ? cost(system) : 0) -
+    (hasUserContent ? cost(userContent) : 0);
+
+  const kept = [];
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    const entryCost = cost(entries[i].content);
+    if (entryCost > remaining) break;
+    remaining -= entryCost;
+    kept.unshift(entries[i]);
+  }
+  return kept;
+}
+
+/**
+ * Default instructions for the model that condenses older turns.
+ */
+const DEFAULT_SUMMARY_PROMPT =
+  "You maintain a running summary of a chat between a user and an assistant. " +
+  "Merge the previous summary (if any) with the new transcript into one concise summary. " +
+  "Keep names, facts, preferences, decisions and open questions; drop small talk. " +
+  "Reply with the summary only.";
+
+/**
+ * Fills in summarization defaults. The threshold has to stay below the store's maxEntries,
+ * or old turns get trimmed before they're ever summarized.
+ * @param {boolean|{ threshold?: number, keepRecent?: number, model?: string|{ provider: string, name: string }, summarizer?: { ask: Function }, prompt?: string }|undefined} summarization
+ * @param {{ maxEntries?: number }} [memoryStore]
+ * @returns {{ threshold: number, keepRecent: number, model?: any, summarizer?: { ask: Function }, prompt: string }|null}
+ */
+function normalizeSummarizationOptions(summarization, memoryStore) {
+  if (!summarization) return null;
+  const {
+    threshold = 30,
+    keepRecent = 10,
+    model,
+    summarizer,
+    prompt = DEFAULT_SUMMARY_PROMPT,
+  } = summarization === true ? {} : summarization;
+  if (!(keepRecent >= 0) || !(threshold > keepRecent)) {
+    throw new Error("summarization.threshold must be greater than keepRecent");
+  }
+  const maxEntries = memoryStore?.maxEntries;
+  if (typeof maxEntries === "number" && !(threshold < maxEntries)) {
+    throw new Error(
+      `summarization.threshold (${threshold}) must be below the memory store's maxEntries (${maxEntries})`,
+    );
+  }
+  if (summarizer && typeof summarizer.ask !== "function") {
+    throw new Error("summarization.summarizer must have an ask() method");
+  }
+  return { threshold, keepRecent, model, summarizer, prompt };
+}
+
+/**
+ * Flattens stored message content to plain text; attachments show up as "[image]" and the like.
+ * @param {any} content
+ * @returns {string}
+ */
+function renderStoredContent(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map(renderStoredContent).filter(Boolean).join(" ");
+  }
+  if (content && typeof content === "object") {
+    if (typeof content.text === "string") return content.text;
+    if ("content" in content) return renderStoredContent(content.content);
+    return `[${String(content.type || "attachment").replace(/_url$/, "")}]`;
+  }
+  return "";
+}
+
+/**
+ * Renders stored turns as plain text for the summarizer; media parts become placeholders.
+ * @param {AiStoredMessage[]} entries
+ * @returns {string}
+ */
+function renderTranscript(entries) {
+  return entries
+    .map((entry) => {
+      const speaker = entry.role === "assistant" ? "Assistant" : "User";
+      return `${speaker}: ${renderStoredContent(entry.content)}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Puts the stored conversation summary after the caller's system prompt.
+ * @param {string|undefined} system
+ * @param {string|null} summary
+ * @returns {string|undefined}
+ */
+function appendSummaryToSystem(system, summary) {
+  if (!summary) return system;
+  const block = `Summary of the earlier conversation:\n${summary}`;
+  return system ? `${system}\n\n${block}` : block;
+}
+
+/**
+ * Scope the rolling summary for a memory scope is stored under.
+ * @param {string} scope
+ * @returns {string}
+ */
+function summaryScopeFor(scope) {
+  return `${scope}:summary`;
+}
+
+/**
+ * Condenses everything but the newest `keepRecent` messages into the stored summary once a
+ * chat passes the threshold, then removes the condensed turns from history.
+ * @param {{ memoryStore: AiMemoryBackend, chatId: string|number, scope: string, options: ReturnType<typeof normalizeSummarizationOptions>, summarize: (system: string, user: string) => Promise<string> }} params
+ * @returns {Promise<boolean>} Whether a new summary was written.
+ */
+async function rollHistorySummary({
+  memoryStore,
+  chatId,
+  scope,
+  options,
+  summarize,
+}) {
+  const entries = await memoryStore.getHistory(chatId, scope, 1000);
+  if (entries.length <= options.threshold) return false;
+
+  const older = entries.slice(0, entries.length - options.keepRecent);
+  const summaryScope = summaryScopeFor(scope);
+  const [previous] = await memoryStore.getHistory(chatId, summaryScope, 1);
+
+  const user = [
+    previous?.content ? `Previous summary:\n${previous.content}` : "",
+    `New transcript:\n${renderTranscript(older)}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+  const summary = String((await summarize(options.prompt, user)) || "").trim();
+  if (!summary) throw new Error("Summarizer returned an empty summary");
+
+  await memoryStore.clearHistory(chatId, summaryScope);
+  await memoryStore.appendMessages(chatId, summaryScope, [
+    { role: "system", content: summary },
+  ]);
+  await memoryStore.deleteOldest(chatId, scope, older.length);
+  return true;
+}
+
+const DEFAULT_RECALL_TOP_K = 4;
+
+/**
+ * Validates the recall option for the *WithHistory classes. `true` keeps vectors in process and
+ * embeds with the instance's own embed(); anything with search() is taken as the index.
+ * @param {boolean|AiVectorIndex|{ index?: AiVectorIndex, embedder?: { embed: Function }, model?: string, topK?: number, minScore?: number }|undefined} recall
+ * @param {{ embed?: Function }} owner - Default embedder.
+ * @param {string} label - Class name for error messages.
+ * @returns {{ index: AiVectorIndex, embedder: { embed: Function }, model?: string, topK: number, minScore: number }|null}
+ */
+function normalizeRecallOptions(recall, owner, label) {
+  if (!recall) return null;
+  const options =
+    recall === true
+      ? {}
+      : typeof recall.search === "function"
+        ? { index: recall }
+        : recall;
+  const index = options.index ?? new InMemoryAiVectorIndex();
+  for (const method of ["add", "search", "clear"]) {
+    if (typeof index[method] !== "function") {
+      throw new Error(`recall index for ${label} must implement ${method}()`);
+    }
+  }
+  const embedder = options.embedder ?? owner;
+  if (typeof embedder?.embed !== "function") {
+    throw new Error(
+      `recall for ${label} needs an embedder (an object with embed(texts)) since this provider has no embed()`,
+    );
+  }
+  return {
+    index,
+    embedder,
+    model: options.model,
+    topK: Math.max(1, Number(options.topK) || DEFAULT_RECALL_TOP_K),
+    minScore: Number(options.minScore) || 0,
+  };
+}
+
+/**
+ * Cosine similarity of two vectors; 0 when either is all zeros or the lengths differ.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embeds texts with the recall embedder. Accepts either an embed() result or a bare array of
+ * vectors, so custom embedders can stay minimal.
+ * @param {{ embedder: { embed: Function }, model?: string }} recall
+ * @param {string[]} texts
+ * @returns {Promise<{ vectors: number[][], model: string|null }>}
+ */
+async function embedForRecall(recall, texts) {
+  const result = await recall.embedder.embed(texts, { model: recall.model });
+  const vectors = Array.isArray(result) ? result : result?.embeddings;
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`recall embedder returned ${vectors?.length ?? 0} vectors for ${texts.length} texts`);
+  }
+  return { vectors, model: result?.model ?? recall.model ?? null };
+}
+
+/**
+ * Embeds freshly stored turns and adds them to the recall index.
+ * @param {ReturnType<typeof normalizeRecallOptions>} recall
+ * @param {string|number} chatId
+ * @param {string} scope
+ * @param {AiStoredMessage[]} messages
+ * @returns {Promise<void>}
+ */
+async function indexForRecall(recall, chatId, scope, messages) {
+  const entries = messages
+    .map((message) => ({
+      role: message.role,
+      text: renderStoredContent(message.content).trim(),
+    }))
+    .filter((entry) => entry.text);
+  if (!entries.length) return;
+
+  const { vectors, model } = await embedForRecall(
+    recall,
+    entries.map((entry) => entry.text),
+  );
+  const now = Date.now();
+  await recall.index.add(
+    chatId,
+    scope,
+    entries.map((entry, i) => ({
+      ...entry,
+      vector: vectors[i],
+      model,
+      createdAt: new Date(now + i),
+    })),
+  );
+}
+
+/**
+ * Finds stored turns that are relevant to the new message but aren't in `replayed`, the history
+ * window that's actually being sent.
+ * @param {{ recall: ReturnType<typeof normalizeRecallOptions>, chatId: string|number, scope: string, replayed: AiStoredMessage[], userContent: any }} params
+ * @returns {Promise<AiRecallHit[]>}
+ */
+async function recallForPrompt({ recall, chatId, scope, replayed, userContent }) {
+  const query = renderStoredContent(userContent).trim();
+  if (!query) return [];
+
+  const { vectors, model } = await embedForRecall(recall, [query]);
+  const seen = new Set(
+    replayed.map((entry) => `${entry.role}\n${renderStoredContent(entry.content).trim()}`),
+  );
+  const hits = await recall.index.search(chatId, scope, vectors[0], {
+    topK: recall.topK + seen.size,
+    minScore: recall.minScore,
+    model,
+  });
+  return hits.filter((hit) => !seen.has(`${hit.role}\n${hit.text}`)).slice(0, recall.topK);
+}
+
+/**
+ * Puts recalled turns after the caller's system prompt (and summary), oldest first.
+ * @param {string|undefined} system
+ * @param {AiRecallHit[]} hits
+ * @returns {string|undefined}
+ */
+function appendRecallToSystem(system, hits) {
+  if (!hits?.length) return system;
+  const lines = [...hits]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((hit) => `${hit.role === "assistant" ? "Assistant" : "User"}: ${hit.text}`);
+  const block = `Relevant earlier messages from this conversation:\n${lines.join("\n")}`;
+  return system ? `${system}\n\n${block}` : block;
+}
+
+/**
+ * The parts of a *WithHistory instance the history helpers below work with.
+ * @typedef {{ memoryStore: AiMemoryBackend, memoryScope: string, historyLimit: number, summarization: ReturnType<typeof normalizeSummarizationOptions>, summariesInFlight: Set<string>, recall: ReturnType<typeof normalizeRecallOptions>, logger: AiLogger }} AiHistoryHost
+ */
+
+/**
+ * Reads the rolling summary for a chat, if summarization is on and one has been written.
+ * @param {AiHistoryHost} history
+ * @param {string|number} chatId
+ * @returns {Promise<string|null>}
+ */
+async function loadHistorySummary(history, chatId) {
+  if (!history.summarization) return null;
+  const [entry] = await history.memoryStore.getHistory(
+    chatId,
+    summaryScopeFor(history.memoryScope),
+    1,
+  );
+  return typeof entry?.content === "string" ? entry.content : null;
+}
+
+/**
+ * Calls the configured summarizer, or summarization.model on `client`.
+ * @param {NonNullable<AiHistoryHost["summarization"]>} summarization
+ * @param {{ completeWithModel?: Function, models: string[] }|undefined} client
+ * @param {string} system
+ * @param {string} user
+ * @returns {Promise<string>}
+ */
+async function runHistorySummarizer(summarization, client, system, user) {
+  const { summarizer, model } = summarization;
+  if (summarizer) return summarizer.ask({ system, user });
+  if (typeof client?.completeWithModel !== "function") {
+    throw new Error(
+      `No summarizer available for ${typeof model === "object" ? model.provider : "this provider"}`,
+    );
+  }
+  const name = typeof model === "string" ? model : model?.name;
+  return client.completeWithModel(name || client.models[0], { system, user });
+}
+
+/**
+ * Folds older turns into the stored summary in the background; failures are only logged.
+ * At most one summary per chat runs at a time.
+ * @param {AiHistoryHost} history
+ * @param {string|number} chatId
+ * @param {{ label: string, client?: { completeWithModel?: Function, models: string[] } }} options
+ * @returns {Promise<void>}
+ */
+async function summarizeHistory(history, chatId, { label, client }) {
+  const key = String(chatId);
+  if (!history.summarization || history.summariesInFlight.has(key)) return;
+  history.summariesInFlight.add(key);
+  try {
+    await rollHistorySummary({
+      memoryStore: history.memoryStore,
+      chatId,
+      scope: history.memoryScope,
+      options: history.summarization,
+      summarize: (system, user) =>
+        runHistorySummarizer(history.summarization, client, system, user),
+    });
+  } catch (err) {
+    history.logger.error(`${label} Failed to summarize history`, {
+      chatId,
+      error: err?.message || String(err),
+    });
+  } finally {
+    history.summariesInFlight.delete(key);
+  }
+}
+
+/**
+ * Looks up older turns relevant to the new message. A failed lookup is only logged.
+ * @param {AiHistoryHost} history
+ * @param {string|number} chatId
+ * @param {any} userContent
+ * @param {AiStoredMessage[]} replayed - The history window being sent; its turns are skipped.
+ * @param {string} label - Log prefix.
+ * @returns {Promise<AiRecallHit[]>}
+ */
+async function loadRecallHits(history, chatId, userContent, replayed, label) {
+  if (!history.recall) return [];
+  try {
+    return await recallForPrompt({
+      recall: history.recall,
+      chatId,
+      scope: history.memoryScope,
+      replayed,
+      userContent,
+    });
+  } catch (err) {
+    history.logger.warn(`${label} Recall lookup failed`, {
+      chatId,
+      error: err?.message || String(err),
+    });
+    return [];
+  }
+}
+
+/**
+ * Builds the system prompt (with summary and recalled turns) and the stored history to replay.
+ * Recall skips only the turns that survive token-budget trimming, and the window is trimmed
+ * again against the final prompt by loadHistory().
+ * @param {AiHistoryHost & { fitHistory: Function }} history
+ * @param {string|number} chatId
+ * @param {{ system?: string, userContent?: any, overrides?: Record<string, any>, label: string }} context
+ * @returns {Promise<{ system: string|undefined, entries: AiStoredMessage[] }>}
+ */
+async function loadHistoryContext(history, chatId, { system, userContent, overrides, label }) {
+  const [summary, stored] = await Promise.all([
+    loadHistorySummary(history, chatId),
+    history.memoryStore.getHistory(chatId, history.memoryScope, history.historyLimit),
+  ]);
+  const summarySystem = appendSummaryToSystem(system, summary);
+  if (!history.recall) return { system: summarySystem, entries: stored };
+
+  const replayed = history.fitHistory(stored, { system: summarySystem, userContent, overrides });
+  const recalled = await loadRecallHits(history, chatId, userContent, replayed, label);
+  return { system: appendRecallToSystem(summarySystem, recalled), entries: replayed };
+}
+
+/**
+ * Stores the user turn and the reply in the background, then summarizes and indexes them for
+ * recall when those are on. Failures are logged, not thrown.
+ * @param {AiHistoryHost} history
+ * @param {string|number} chatId
+ * @param {string|Array|Record<string, any>|null} contentForHistory
+ * @param {string} response
+ * @param {{ label: string, client?: { completeWithModel?: Function, models: string[] } }} options
+ */
+function persistHistoryExchange(history, chatId, contentForHistory, response, { label, client }) {
+  const toPersist = [];
+  if (contentForHistory !== null && contentForHistory !== undefined) {
+    toPersist.push({ role: "user", content: toCanonicalContent(contentForHistory) });
+  }
+  if (response) toPersist.push({ role: "assistant", content: response });
+  if (!toPersist.length) return;
+
+  history.memoryStore
+    .appendMessages(chatId, history.memoryScope, toPersist)
+    .then(() => summarizeHistory(history, chatId, { label, client }))
+    .catch((err) => {
+      history.logger.error(`${label} Failed to persist chat`, {
+        chatId,
+        error: err?.message || String(err),
+      });
+    });
+  if (history.recall) {
+    indexForRecall(history.recall, chatId, history.memoryScope, toPersist).catch((err) => {
+      history.logger.error(`${label} Failed to index chat for recall`, {
+        chatId,
+        error: err?.message || String(err),
+      });
+    });
+  }
+}
+
+/**
+ * Scores stored entries against a query vector and keeps the best `topK` at or above `minScore`.
+ * @param {AiVectorEntry[]} entries
+ * @param {number[]} vector
+ * @param {{ topK: number, minScore: number, model?: string|null }} options
+ * @returns {AiRecallHit[]}
+ */
+function rankByVector(entries, vector, { topK, minScore, model }) {
+  return entries
+    .filter((entry) => !model || !entry.model || entry.model === model)
+    .map((entry) => ({
+      role: entry.role,
+      text: entry.text,
+      createdAt: entry.createdAt,
+      score: cosineSimilarity(entry.vector, vector),
+    }))
+    .filter((hit) => hit.score > 0 && hit.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+const PDF_MIME_TYPE = "application/pdf";
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const DOCUMENT_MIME_TYPES = {
+  pdf: PDF_MIME_TYPE,
+  txt: "text/plain",
+  text: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  docx: DOCX_MIME_TYPE,
+};
+
+/**
+ * Guesses a document's MIME type from a file name, path or URL extension.
+ * @param {string|undefined} name
+ * @returns {string|undefined}
+ */
+function documentMimeTypeFor(name) {
+  if (!name || String(name).startsWith("data:")) return undefined;
+  const ext = path.extname(String(name).split(/[?#]/)[0]).slice(1).toLowerCase();
+  return DOCUMENT_MIME_TYPES[ext];
+}
+
+/**
+ * Reads document `data` into a Buffer. Strings can be data URIs, base64, or the document's text
+ * itself (anything that isn't clean, padded base64 is taken as text).
+ * @param {string|Buffer|Uint8Array|undefined} data
+ * @returns {{ buffer: Buffer, mimeType?: string }|null}
+ */
+function readDocumentData(data) {
+  if (Buffer.isBuffer(data)) return { buffer: data };
+  if (data instanceof Uint8Array) return { buffer: Buffer.from(data) };
+  if (typeof data !== "string" || !data) return null;
+  if (data.startsWith("data:")) {
+    const comma = data.indexOf(",");
+    const header = data.slice(5, comma);
+    const body = data.slice(comma + 1);
+    const mimeType = header.split(";")[0] || undefined;
+    return {
+      buffer: header.endsWith(";base64")
+        ? Buffer.from(body, "base64")
+        : Buffer.from(decodeURIComponent(body)),
+      mimeType,
+    };
+  }
+  const compact = data.replace(/\s+/g, "");
+  if (compact.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    return { buffer: Buffer.from(compact, "base64") };
+  }
+  return { buffer: Buffer.from(data) };
+}
+
+/**
+ * Builds a canonical document part from a URL or inline data. `path` only supplies the name;
+ * prepareAttachments() reads the file beforehand.
+ * @param {{ url?: string, data?: string|Buffer, path?: string, mimeType?: string, filename?: string }} source
+ * @returns {AiContentPart|null}
+ */
+function toDocumentPart({ url, data, path: filePath, mimeType, filename } = {}) {
+  const inline = data ?? (typeof url === "string" && url.startsWith("data:") ? url : undefined);
+  const name =
+    filename ||
+    (filePath
+      ? path.basename(filePath)
+      : url && !inline
+        ? path.basename(String(url).split(/[?#]/)[0]) || undefined
+        : undefined);
+
+  if (url && !inline && !filePath) {
+    const resolved = mimeType || documentMimeTypeFor(url);
+    return {
+      type: "document",
+      url,
+      ...(resolved ? { mimeType: resolved } : {}),
+      ...(name ? { filename: name } : {}),
+    };
+  }
+
+  const read = readDocumentData(inline);
+  if (!read || !read.buffer.length) return null;
+  const head = read.buffer.subarray(0, 5).toString("latin1");
+  const resolved =
+    mimeType ||
+    read.mimeType ||
+    documentMimeTypeFor(filePath || name) ||
+    (head === "%PDF-" ? PDF_MIME_TYPE : head.startsWith("PK\x03\x04") ? DOCX_MIME_TYPE : "text/plain");
+  return {
+    type: "document",
+    data: read.buffer.toString("base64"),
+    mimeType: resolved,
+    ...(name ? { filename: name } : {}),
+  };
+}
+
+/**
+ * Pulls the strings out of a PDF content stream's text operators (Tj, TJ, ' and "), starting a
+ * new line when the text position moves down the page.
+ * @param {string} content
+ * @returns {string}
+ */
+function readPdfTextOperators(content) {
+  let text = "";
+  let pending = "";
+  let operands = [];
+  let inArray = false;
+  let lastY = null;
+  let i = 0;
+
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === "(") {
+      let depth = 1;
+      let str = "";
+      i += 1;
+      while (i < content.length && depth) {
+        const c = content[i];
+        if (c === "\\") {
+          const next = content[i + 1];
+          const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+          if (/[0-7]/.test(next)) {
+            const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            str += String.fromCharCode(parseInt(octal, 8));
+            i += 1 + octal.length;
+            continue;
+          }
+          if (next === "\r" || next === "\n") {
+            i += next === "\r" && content[i + 2] === "\n" ? 3 : 2;
+            continue;
+          }
+          str += escapes[next] ?? next ?? "";
+          i += 2;
+          continue;
+        }
+        if (c === "(") depth += 1;
+        if (c === ")") depth -= 1;
+        if (depth) str += c;
+        i += 1;
+      }
+      pending += str;
+      continue;
+    }
+    if (ch === "<" && content[i + 1] !== "<") {
+      const end = content.indexOf(">", i);
+      if (end === -1) break;
+      const hex = content.slice(i + 1, end).replace(/\s+/g, "");
+      // Two-byte (CID) strings often map straight to Unicode with a zero high byte.
+      pending += Buffer.from(hex.length % 2 ? `${hex}0` : hex, "hex")
+        .toString("latin1")
+        .replace(/\0/g, "");
+      i = end + 1;
+      continue;
+    }
+    if (ch === "[") inArray = true;
+    if (ch === "]") inArray = false;
+    if (ch === "%") {
+      while (i < content.length && content[i] !== "\n" && content[i] !== "\r") i += 1;
+      continue;
+    }
+    if (/[-+.\d]/.test(ch)) {
+      const number = content.slice(i).match(/^[-+]?(?:\d+\.?\d*|\.\d+)/);
+      if (number) {
+        const value = Number(number[0]);
+        // Big negative kerning inside a TJ array is how most PDFs draw a space.
+        if (inArray && value < -200 && pending && !pending.endsWith(" ")) pending += " ";
+        if (!inArray) operands.push(value);
+        i += number[0].length;
+        continue;
+      }
+    }
+    if (/[A-Za-z'"*]/.test(ch)) {
+      const op = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+      i += op.length;
+      if ((op === "Td" || op === "TD") && operands[operands.length - 1] !== 0) {
+        text += "\n";
+      } else if (op === "T*" || op === "'" || op === '"' || op === "ET") {
+        text += "\n";
+      } else if (op === "Tm") {
+        if (operands[5] !== lastY) text += "\n";
+        lastY = operands[5];
+      }
+      if (op === "Tj" || op === "TJ" || op === "'" || op === '"') text += pending;
+      pending = "";
+      operands = [];
+      continue;
+    }
+    i += 1;
+  }
+  return text;
+}
+
+/**
+ * Best-effort PDF text extraction without a PDF library. Fine for most text PDFs;
+ * scanned pages come out empty.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function extractPdfText(buffer) {
+  const source = buffer.toString("latin1");
+  const pages = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(source))) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf("endstream", start);
+    if (end === -1) break;
+    streamPattern.lastIndex = end + "endstream".length;
+
+    const raw = buffer.subarray(start, end);
+    let content;
+    try {
+      content = zlib.inflateSync(raw).toString("latin1");
+    } catch {
+      content = raw.toString("latin1");
+    }
+    if (!/\bBT\b/.test(content) || !/\bET\b/.test(content)) continue;
+    const text = readPdfTextOperators(content);
+    if (text.trim()) pages.push(text);
+  }
+
+  return pages
+    .join("\n")
+    .replace(/[^\S\n]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, "")
+    .trim();
+}
+
+/**
+ * Reads one file out of a zip archive (stored or deflated entries only), which is all a DOCX needs.
+ * @param {Buffer} buffer
+ * @param {string} name
+ * @returns {Buffer|null}
+ */
+function readZipEntry(buffer, name) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1) return null;
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    if (entryName === name) {
+      const start =
+        localOffset +
+        30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const raw = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return raw;
+      if (method === 8) return zlib.inflateRawSync(raw);
+      return null;
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+/**
+ * Extracts the body text of a DOCX file: paragraphs become lines, tabs and breaks are kept.
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function extractDocxText(buffer) {
+  const xml = readZipEntry(buffer, "word/document.xml");
+  if (!xml) return null;
+  return xml
+    .toString("utf8")
+    .replace(/<w:(tabs|instrText)\b[^>]*>[\s\S]*?<\/w:\1>/g, "")
+    .replace(/<w:tab\b[^>]*\/>/g, "\t")
+    .replace(/<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * Extracts plain text from a document's bytes: text and markdown as-is, PDF and DOCX through
+ * the small readers above. Returns null when nothing readable comes out.
+ * @param {Buffer} buffer
+ * @param {string} [mimeType]
+ * @returns {string|null}
+ */
+function extractDocumentText(buffer, mimeType = "") {
+  try {
+    const head = buffer.subarray(0, 5).toString("latin1");
+    let text;
+    if (mimeType === PDF_MIME_TYPE || head === "%PDF-") {
+      text = extractPdfText(buffer);
+    } else if (mimeType === DOCX_MIME_TYPE || head.startsWith("PK\x03\x04")) {
+      text = extractDocxText(buffer);
+    } else {
+      text = buffer.toString("utf8");
+    }
+    return text && text.trim() ? text.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turns a document part into the text part we send when a provider has no native document input.
+ * @param {{ data?: string, mimeType?: string, filename?: string }} part
+ * @returns {{ type: "text", text: string }}
+ */
+function toDocumentTextPart(part) {
+  const label = part.filename ? `document: ${part.filename}` : "document";
+  const text = part.data
+    ? extractDocumentText(Buffer.from(part.data, "base64"), part.mimeType)
+    : null;
+  return {
+    type: "text",
+    text: text ? `[${label}]\n${text}` : `[${label} could not be read]`,
+  };
+}
+
+const AUDIO_FORMATS = {
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/wav": "wav",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+  "audio/mp4": "m4a",
+  "audio/m4a": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/aac": "aac",
+  "audio/ogg": "ogg",
+  "audio/flac": "flac",
+  "audio/x-flac": "flac",
+  "audio/webm": "webm",
+  "audio/aiff": "aiff",
+  "audio/x-aiff": "aiff",
+};
+
+/**
+ * Works out an audio clip's format ("mp3", "wav", ...) from its MIME type, or failing that from
+ * a file name, path or URL extension.
+ * @param {string} [mimeType]
+ * @param {string} [name]
+ * @returns {string|undefined}
+ */
+function audioFormatFor(mimeType, name) {
+  const fromMime = mimeType && AUDIO_FORMATS[mimeType.split(";")[0].trim().toLowerCase()];
+  if (fromMime) return fromMime;
+  if (!name || String(name).startsWith("data:")) return undefined;
+  const ext = path.extname(String(name).split(/[?#]/)[0]).slice(1).toLowerCase();
+  return Object.values(AUDIO_FORMATS).includes(ext) ? ext : undefined;
+}
+
+/**
+ * Builds a canonical audio part from a URL or inline data (Buffer, base64 or data URI). A local
+ * `path` only helps work out the format; prepareAttachments() reads the file into `data` first.
+ * @param {{ url?: string, data?: string|Buffer, path?: string, mimeType?: string, format?: string, filename?: string }} source
+ * @returns {AiContentPart|null}
+ */
+function toAudioPart({ url, data, path: filePath, mimeType, format, filename } = {}) {
+  let encoded = null;
+  let dataMimeType;
+  if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+    encoded = Buffer.from(data).toString("base64");
+  } else if (typeof data === "string" && data.trim()) {
+    const trimmed = data.trim();
+    if (trimmed.startsWith("data:")) {
+      dataMimeType = trimmed.slice(5, trimmed.indexOf(",")).split(";")[0] || undefined;
+      encoded = trimmed.slice(trimmed.indexOf(",") + 1);
+    } else {
+      encoded = trimmed.replace(/\s+/g, "");
+    }
+  }
+
+  if (!encoded) {
+    if (!url) return null;
+    const resolved = format || audioFormatFor(mimeType, url);
+    return { type: "audio", url, ...(resolved ? { format: resolved } : {}) };
+  }
+  const resolved = format || audioFormatFor(mimeType || dataMimeType, filePath || filename);
+  return { type: "audio", data: encoded, ...(resolved ? { format: resolved } : {}) };
+}
+
+/**
+ * Turns an audio attachment into one provider's content part. One that was already transcribed
+ * (see transcribeAudioAttachments) goes up as its transcript instead.
+ * @param {AiAttachment} attachment
+ * @param {"openai"|"groq"|"mistral"} dialect
+ * @returns {Record<string, any>|null}
+ */
+function toAudioAttachmentPart(attachment, dialect) {
+  if (typeof attachment.transcript === "string") {
+    const name =
+      attachment.filename || (attachment.path ? path.basename(attachment.path) : "");
+    return {
+      type: "text",
+      text: `[audio transcript${name ? `: ${name}` : ""}]\n${attachment.transcript}`,
+    };
+  }
+  const part = toAudioPart(attachment);
+  return part ? toProviderParts([part], dialect)[0] : null;
+}
+
+/**
+ * Sends audio that `inline` accepts as is and transcribes the rest into text.
+ * Throws when the owner can't transcribe.
+ * @param {{ transcribe?: Function }} owner
+ * @param {AiAttachment[]} attachments
+ * @param {{ provider: string, inline?: (attachment: AiAttachment) => boolean, signal?: AbortSignal }} options
+ * @returns {Promise<AiAttachment[]>}
+ */
+async function transcribeAudioAttachments(
+  owner,
+  attachments,
+  { provider, inline = () => false, signal } = {},
+) {
+  if (!Array.isArray(attachments)) return attachments;
+  const prepared = [];
+  for (const attachment of attachments) {
+    if (
+      String(attachment?.type).toLowerCase() !== "audio" ||
+      typeof attachment.transcript === "string" ||
+      inline(attachment)
+    ) {
+      prepared.push(attachment);
+      continue;
+    }
+    if (typeof owner.transcribe !== "function") {
+      throw new AiError(
+        `${provider} can't take this audio attachment as chat input; pass data or path instead of a URL`,
+        { provider },
+      );
+    }
+    const file =
+      attachment.path ||
+      (attachment.data
+        ? Buffer.from(toAudioPart(attachment).data, "base64")
+        : attachment.url);
+    if (!file) {
+      prepared.push(attachment);
+      continue;
+    }
+    const transcript = await owner.transcribe({ file, signal });
+    prepared.push({ ...attachment, transcript });
+  }
+  return prepared;
+}
+
+const ATTACHMENT_TYPES = ["image", "video", "audio", "document"];
+const WEB_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const MB = 1024 * 1024;
+
+// Per-provider defaults from each API's documented limits. Sizes only apply to inline data;
+// URLs are fetched by the provider and never downloaded here.
+const DEFAULT_ATTACHMENT_LIMITS = {
+  groq: { image: { maxCount: 5, maxBytes: 4 * MB }, audio: { maxBytes: 25 * MB } },
+  mistral: { image: { maxCount: 8, maxBytes: 10 * MB }, document: { maxBytes: 50 * MB } },
+};
+
+/**
+ * Validates attachmentOptions and merges its limits over the provider's defaults.
+ * `limits: false` turns the limits off.
+ * @param {AiAttachmentOptions} [attachmentOptions]
+ * @param {string} provider
+ * @returns {{ limits: AiAttachmentLimits, maxImageDimension: number|null, resizeImage: Function|null }}
+ */
+function normalizeAttachmentOptions(attachmentOptions = {}, provider) {
+  const { limits, maxImageDimension = null, resizeImage = null } = attachmentOptions || {};
+  if (resizeImage !== null && typeof resizeImage !== "function") {
+    throw new Error("attachmentOptions.resizeImage must be a function");
+  }
+  if (maxImageDimension !== null && !(Number(maxImageDimension) > 0)) {
+    throw new Error("attachmentOptions.maxImageDimension must be a positive number");
+  }
+
+  const defaults = DEFAULT_ATTACHMENT_LIMITS[provider] || {};
+  const merged = {};
+  if (limits !== false) {
+    const maxCount = limits?.maxCount ?? defaults.maxCount;
+    if (maxCount !== undefined) merged.maxCount = maxCount;
+    for (const type of ATTACHMENT_TYPES) {
+      const typeLimits = { ...defaults[type], ...limits?.[type] };
+      if (Object.keys(typeLimits).length) merged[type] = typeLimits;
+    }
+  }
+  return {
+    limits: merged,
+    maxImageDimension: maxImageDimension === null ? null : Number(maxImageDimension),
+    resizeImage,
+  };
+}
+
+/**
+ * Works out a file's real MIME type from its first bytes. Covers the image, audio, video and
+ * document formats the providers take; returns null for anything else (plain text included).
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function sniffMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (buffer[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF") {
+    const kind = ascii(8, 12);
+    if (kind === "WEBP") return "image/webp";
+    if (kind === "WAVE") return "audio/wav";
+    if (kind === "AVI ") return "video/x-msvideo";
+  }
+  if (ascii(0, 2) === "BM" && buffer.length >= 6 && buffer.readUInt32LE(2) === buffer.length) {
+    return "image/bmp";
+  }
+  if (ascii(0, 4) === "II*\0" || ascii(0, 4) === "MM\0*") return "image/tiff";
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (["heic", "heix", "mif1", "msf1"].includes(brand)) return "image/heic";
+    if (brand === "avif") return "image/avif";
+    if (brand === "M4A ") return "audio/mp4";
+    if (brand === "qt  ") return "video/quicktime";
+    return "video/mp4";
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "video/webm";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (ascii(0, 4) === "fLaC") return "audio/flac";
+  if (ascii(0, 4) === "FORM" && ascii(8, 12) === "AIFF") return "audio/aiff";
+  if (ascii(0, 3) === "ID3") return "audio/mpeg";
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return "audio/aac";
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return "audio/mpeg";
+  if (ascii(0, 5) === "%PDF-") return PDF_MIME_TYPE;
+  if (ascii(0, 4) === "PK\x03\x04") {
+    return buffer.includes("word/") ? DOCX_MIME_TYPE : "application/zip";
+  }
+  return null;
+}
+
+/**
+ * Reads an image's pixel size from its header (PNG, JPEG, GIF and WebP).
+ * @param {Buffer} buffer
+ * @param {string} [mimeType]
+ * @returns {{ width: number, height: number }|null}
+ */
+function imageDimensions(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case "image/png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "image/gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "image/webp": {
+        const chunk = buffer.toString("latin1", 12, 16);
+        if (chunk === "VP8X") {
+          return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+          };
+        }
+        if (chunk === "VP8L") {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === "VP8 ") {
+          return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff,
+          };
+        }
+        return null;
+      }
+      case "image/jpeg": {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+          if (buffer[offset] !== 0xff) return null;
+          const marker = buffer[offset + 1];
+          // SOF0-SOF15 carry the size; C4 (DHT), C8 and CC (DAC) share the range but don't.
+          if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+              width: buffer.readUInt16BE(offset + 7),
+              height: buffer.readUInt16BE(offset + 5),
+            };
+          }
+          offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= MB) return `${Number((bytes / MB).toFixed(1))} MB`;
+  if (bytes >= 1024) return `${Number((bytes / 1024).toFixed(1))} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Decodes data URIs and base64 attachment data. Only documents may be plain text.
+ * @param {string} value
+ * @param {{ index: number, type: string, provider?: string }} context
+ * @returns {{ buffer: Buffer, mimeType?: string }}
+ */
+function decodeAttachmentString(value, { index, type, provider }) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("data:")) {
+    const comma = trimmed.indexOf(",");
+    const header = trimmed.slice(5, comma);
+    const body = trimmed.slice(comma + 1);
+    return {
+      buffer: header.endsWith(";base64")
+        ? Buffer.from(body, "base64")
+        : Buffer.from(decodeURIComponent(body)),
+      mimeType: header.split(";")[0] || undefined,
+    };
+  }
+
+  const compact = trimmed.replace(/\s+/g, "");
+  if (compact && compact.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    const decoded = Buffer.from(compact, "base64");
+    const text = decoded.toString("utf8");
+    if (
+      type !== "document" ||
+      sniffMimeType(decoded) ||
+      (Buffer.from(text).equals(decoded) && !/[\x00-\x08\x0e-\x1f]/.test(text))
+    ) {
+      return { buffer: decoded };
+    }
+  }
+  if (type === "document") return { buffer: Buffer.from(value) };
+  throw new AttachmentError(
+    `${type} attachment${index == null ? "" : ` ${index}`} has string data that isn't base64 or a data URI`,
+    { index, type, provider },
+  );
+}
+
+/**
+ * Base64-encodes inline attachment data for a request body. Strings are decoded the way
+ * processAttachments() reads them, so data that skipped it (stored history, direct
+ * buildMessages() calls) isn't guessed at, and the MIME type comes from a data URI or the bytes.
+ * @param {string|Buffer|Uint8Array|undefined} data
+ * @param {string} type
+ * @param {string} [provider]
+ * @returns {{ base64: string, mimeType?: string }|null}
+ */
+function encodeInlineAttachment(data, type, provider) {
+  let source = null;
+  if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+    source = { buffer: Buffer.from(data) };
+  } else if (typeof data === "string" && data.trim()) {
+    source = decodeAttachmentString(data, { index: null, type, provider });
+  }
+  if (!source?.buffer.length) return null;
+  return {
+    base64: source.buffer.toString("base64"),
+    mimeType: source.mimeType || sniffMimeType(source.buffer) || undefined,
+  };
+}
+
+/**
+ * Downloads an attachment URL for a provider that can't fetch it itself.
+ * @param {string} url
+ * @param {{ index: number, type: string, provider?: string }} context
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ buffer: Buffer, mimeType?: string, fetched: true }>}
+ */
+async function fetchAttachmentUrl(url, context, signal) {
+  const failed = (reason, cause) =>
+    new AttachmentError(
+      `${context.type} attachment ${context.index} couldn't be fetched from ${url}: ${reason}`,
+      { ...context, cause },
+    );
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (err) {
+    if (signal?.aborted) throw abortErrorFor(signal);
+    throw failed(err.message, err);
+  }
+  if (!response.ok) throw failed(`HTTP ${response.status}`);
+  const contentType = response.headers.get("content-type")?.split(";")[0].trim();
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    mimeType: contentType && contentType !== "application/octet-stream" ? contentType : undefined,
+    fetched: true,
+  };
+}
+
+/**
+ * Reads an attachment's bytes from a path, stream, Buffer, string or data URI.
+ * Returns null for plain URLs unless `fetchUrl` is set.
+ * @param {AiAttachment} attachment
+ * @param {{ index: number, type: string, provider?: string }} context
+ * @param {{ fetchUrl?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ buffer: Buffer, mimeType?: string, fetched?: true }|null>}
+ */
+async function readAttachmentSource(attachment, context, { fetchUrl = false, signal } = {}) {
+  const { data, url, path: filePath } = attachment;
+  if (filePath) {
+    try {
+      return { buffer: await fs.promises.readFile(filePath, { signal }) };
+    } catch (err) {
+      if (signal?.aborted) throw abortErrorFor(signal);
+      throw new AttachmentError(
+        `${context.type} attachment ${context.index} couldn't be read from ${filePath}: ${err.message}`,
+        { ...context, cause: err },
+      );
+    }
+  }
+  if (Buffer.isBuffer(data)) return { buffer: data };
+  if (data instanceof Uint8Array) return { buffer: Buffer.from(data) };
+  if (typeof data === "string" && data.trim()) return decodeAttachmentString(data, context);
+  if (data && typeof data[Symbol.asyncIterator] === "function") {
+    const chunks = [];
+    for await (const chunk of data) {
+      if (signal?.aborted) throw abortErrorFor(signal);
+      chunks.push(Buffer.from(chunk));
+    }
+    return { buffer: Buffer.concat(chunks) };
+  }
+  if (typeof url === "string" && url.startsWith("data:")) {
+    return decodeAttachmentString(url, context);
+  }
+  if (fetchUrl && typeof url === "string" && /^https?:\/\//i.test(url)) {
+    return fetchAttachmentUrl(url, context, signal);
+  }
+  return null;
+}
+
+/**
+ * Which family a MIME type belongs to, for spotting attachments labelled with the wrong type.
+ * Audio and video share one, since the same containers (mp4, webm) carry both.
+ * @param {string} mimeType
+ * @returns {"image"|"media"|"document"|null}
+ */
+function mimeFamily(mimeType) {
+  if (mimeType.startsWith("image/")) return "image";
+  if (mimeType.startsWith("audio/") || mimeType.startsWith("video/")) return "media";
+  if ([PDF_MIME_TYPE, DOCX_MIME_TYPE, "application/zip"].includes(mimeType)) return "document";
+  return null;
+}
+
+/**
+ * Hands an image to resizeImage() when it's too big or in a format the APIs don't take.
+ * Without a resizer it's left alone.
+ * @param {Buffer} buffer
+ * @param {string|undefined} mimeType
+ * @param {{ index: number, maxBytes?: number, maxImageDimension?: number|null, resizeImage?: Function|null }} options
+ * @returns {Promise<{ buffer: Buffer, mimeType: string|undefined, change: AiAttachmentChange|null }>}
+ */
+async function fitImage(buffer, mimeType, { index, maxBytes, maxImageDimension, resizeImage }) {
+  const size = imageDimensions(buffer, mimeType);
+  const tooHeavy = Boolean(maxBytes && buffer.length > maxBytes);
+  const tooBig = Boolean(
+    maxImageDimension && size && Math.max(size.width, size.height) > maxImageDimension,
+  );
+  const unsupported = Boolean(mimeType && !WEB_IMAGE_TYPES.includes(mimeType));
+  if (!resizeImage || !(tooHeavy || tooBig || unsupported)) {
+    return { buffer, mimeType, change: null };
+  }
+
+  const result = await resizeImage(
+    { data: buffer, mimeType, width: size?.width, height: size?.height },
+    {
+      maxBytes: maxBytes || null,
+      maxDimension: maxImageDimension || null,
+      mimeType: unsupported ? "image/jpeg" : mimeType,
+    },
+  );
+  const resized = Buffer.isBuffer(result) ? result : result?.data;
+  if (!Buffer.isBuffer(resized)) {
+    throw new Error("attachmentOptions.resizeImage must resolve to a Buffer or { data, mimeType }");
+  }
+  const resizedType = result.mimeType || sniffMimeType(resized) || mimeType;
+  const resizedSize = imageDimensions(resized, resizedType);
+  const sameSize =
+    size && resizedSize && size.width === resizedSize.width && size.height === resizedSize.height;
+  return {
+    buffer: resized,
+    mimeType: resizedType,
+    change: {
+      index,
+      type: "image",
+      change: sameSize ? "reencoded" : "resized",
+      before: { mimeType, bytes: buffer.length, ...size },
+      after: { mimeType: resizedType, bytes: resized.length, ...resizedSize },
+    },
+  };
+}
+
+// Tags an attachment list with the client whose prepareAttachments() produced it. The history
+// classes prepare attachments before storing them and then call the base class, which would
+// otherwise run the whole stage (and onAttachmentChange) a second time.
+const PREPARED_BY = Symbol("preparedBy");
+
+/**
+ * @param {any} owner
+ * @param {AiAttachment[]} attachments
+ * @returns {boolean}
+ */
+function alreadyPrepared(owner, attachments) {
+  return Array.isArray(attachments) && attachments[PREPARED_BY] === owner;
+}
+
+/**
+ * @param {any} owner
+ * @param {AiAttachment[]} attachments
+ * @returns {AiAttachment[]} A tagged copy.
+ */
+function markPrepared(owner, attachments) {
+  if (!Array.isArray(attachments)) return attachments;
+  const prepared = [...attachments];
+  Object.defineProperty(prepared, PREPARED_BY, { value: owner });
+  return prepared;
+}
+
+/**
+ * Attachment preprocessing every class runs before a request: reads paths and streams, sniffs the
+ * real MIME type, resizes images and enforces limits. URLs pass through unless listed in `fetchUrls`.
+ * Images are only downscaled or re-encoded when the caller passes `resizeImage`; without it they
+ * go out as they are, and one over `maxBytes` throws.
+ * @param {AiAttachment[]} attachments
+ * @param {{ provider?: string, limits?: AiAttachmentLimits, maxImageDimension?: number|null, resizeImage?: Function|null, fetchUrls?: string[], signal?: AbortSignal }} [options]
+ * @returns {Promise<{ attachments: AiAttachment[], changes: AiAttachmentChange[] }>}
+ */
+async function processAttachments(
+  attachments,
+  {
+    provider,
+    limits = {},
+    maxImageDimension = null,
+    resizeImage = null,
+    fetchUrls = [],
+    signal,
+  } = {},
+) {
+  if (!Array.isArray(attachments) || !attachments.length) {
+    return { attachments, changes: [] };
+  }
+
+  const counts = {};
+  for (const attachment of attachments) {
+    const type = String(attachment?.type || "").toLowerCase();
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  const total = attachments.filter(Boolean).length;
+  if (limits.maxCount !== undefined && total > limits.maxCount) {
+    throw new AttachmentError(
+      `${provider} takes at most ${limits.maxCount} attachments per request, got ${total}`,
+      { provider, limit: limits.maxCount, actual: total },
+    );
+  }
+  for (const type of ATTACHMENT_TYPES) {
+    const maxCount = limits[type]?.maxCount;
+    if (maxCount !== undefined && (counts[type] || 0) > maxCount) {
+      throw new AttachmentError(
+        `${provider} takes at most ${maxCount} ${type} attachments per request, got ${counts[type]}`,
+        { provider, type, limit: maxCount, actual: counts[type] },
+      );
+    }
+  }
+
+  const changes = [];
+  const processed = [];
+  for (const [index, attachment] of attachments.entries()) {
+    const type = String(attachment?.type || "").toLowerCase();
+    if (
+      !ATTACHMENT_TYPES.includes(type) ||
+      (type === "audio" && typeof attachment.transcript === "string")
+    ) {
+      processed.push(attachment);
+      continue;
+    }
+    const source = await readAttachmentSource(
+      attachment,
+      { index, type, provider },
+      { fetchUrl: fetchUrls.includes(type), signal },
+    );
+    if (!source) {
+      processed.push(attachment);
+      continue;
+    }
+
+    let buffer = source.buffer;
+    const declared = attachment.mimeType || source.mimeType;
+    let mimeType = sniffMimeType(buffer);
+    if (mimeType) {
+      const family = mimeFamily(mimeType);
+      if (family && family !== (type === "audio" || type === "video" ? "media" : type)) {
+        throw new AttachmentError(`${type} attachment ${index} is actually ${mimeType}`, {
+          index,
+          type,
+          provider,
+        });
+      }
+      // mp4 and webm hold audio as well as video
+      if (type === "audio") mimeType = mimeType.replace(/^video\//, "audio/");
+      if (declared && declared !== mimeType) {
+        changes.push({
+          index,
+          type,
+          change: "mimeType",
+          before: { mimeType: declared },
+          after: { mimeType },
+        });
+      }
+    } else {
+      mimeType = declared;
+    }
+
+    const maxBytes = limits[type]?.maxBytes;
+    if (type === "image") {
+      const fitted = await fitImage(buffer, mimeType, {
+        index,
+        maxBytes,
+        maxImageDimension,
+        resizeImage,
+      });
+      ({ buffer, mimeType } = fitted);
+      if (fitted.change) changes.push(fitted.change);
+    }
+    if (maxBytes && buffer.length > maxBytes) {
+      const hint =
+        type === "image" && !resizeImage ? "; set attachmentOptions.resizeImage to downscale it" : "";
+      throw new AttachmentError(
+        `${type} attachment ${index} is ${formatBytes(buffer.length)}, over ${provider}'s ${formatBytes(maxBytes)} limit${hint}`,
+        { index, type, provider, limit: maxBytes, actual: buffer.length },
+      );
+    }
+
+    const next = { ...attachment, type, data: buffer };
+    if (mimeType) next.mimeType = mimeType;
+    if (attachment.path) {
+      delete next.path;
+      next.filename = attachment.filename || path.basename(attachment.path);
+    }
+    if (source.fetched) {
+      const name = path.basename(attachment.url.split(/[?#]/)[0]);
+      if (!next.filename && name) next.filename = name;
+      delete next.url;
+    }
+    if (typeof attachment.url === "string" && attachment.url.startsWith("data:")) delete next.url;
+    processed.push(next);
+  }
+  return { attachments: processed, changes };
+}
+
+/**
+ * Logs what the preprocessing stage changed and fires the onAttachmentChange hook.
+ * @param {{ hooks: AiHooks[], logger: AiLogger }} owner
+ * @param {string} label - Log prefix, e.g. "[GroqAI]".
+ * @param {string|null} provider
+ * @param {AiAttachmentChange[]} changes
+ * @returns {Promise<void>}
+ */
+async function reportAttachmentChanges(owner, label, provider, changes) {
+  if (!changes.length) return;
+  owner.logger.info(`${label} Adjusted attachments`, { provider, changes });
+  await runHooks(owner, "onAttachmentChange", { provider, changes });
+}
+
+const MESSAGE_ROLES = ["system", "user", "assistant", "tool"];
+const LANGCHAIN_ROLES = {
+  human: "user",
+  ai: "assistant",
+  system: "system",
+  tool: "tool",
+  generic: "user",
+};
+
+/**
+ * Tool call arguments come as JSON strings from the chat APIs and as objects from LangChain.
+ * Canonical messages keep objects; anything that doesn't parse stays a string.
+ * @param {any} args
+ * @returns {Record<string, any>|string}
+ */
+function parseToolArguments(args) {
+  if (typeof args !== "string") return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Converts a content part in any provider's shape into a canonical part. Unknown parts are kept as is.
+ * @param {any} part
+ * @returns {AiContentPart|Record<string, any>|null}
+ */
+function toCanonicalPart(part) {
+  if (typeof part === "string") return part ? { type: "text", text: part } : null;
+  if (!part || typeof part !== "object") return null;
+
+  switch (part.type) {
+    case "text":
+      return typeof part.text === "string" ? { type: "text", text: part.text } : null;
+    case "image": {
+      let url = part.url;
+      if (!url && part.data) {
+        const encoded = Buffer.isBuffer(part.data) ? part.data.toString("base64") : part.data;
+        url = String(encoded).startsWith("data:")
+          ? encoded
+          : `data:${part.mimeType || "image/png"};base64,${encoded}`;
+      }
+      if (!url) return null;
+      return { type: "image", url, ...(part.detail ? { detail: part.detail } : {}) };
+    }
+    case "image_url": {
+      const image = part.image_url ?? part.imageUrl;
+      const url = typeof image === "string" ? image : image?.url;
+      if (!url) return null;
+      const detail = typeof image === "object" ? image.detail : undefined;
+      return { type: "image", url, ...(detail ? { detail } : {}) };
+    }
+    case "video":
+    case "input_video": {
+      const video = part.type === "video" ? part : part.video || {};
+      if (video.url) return { type: "video", url: video.url };
+      if (!video.data) return null;
+      return { type: "video", data: video.data, ...(video.format ? { format: video.format } : {}) };
+    }
+    case "audio":
+      return toAudioPart(part);
+    case "input_audio": {
+      const audio =
+        typeof part.inputAudio === "string"
+          ? { data: part.inputAudio }
+          : part.input_audio || part.inputAudio || {};
+      if (audio.url) return { type: "audio", url: audio.url };
+      if (!audio.data) return null;
+      return { type: "audio", data: audio.data, ...(audio.format ? { format: audio.format } : {}) };
+    }
+    case "document":
+      return toDocumentPart(part);
+    case "file": {
+      const file = part.file || {};
+      // Uploaded file ids only mean something to the provider that issued them.
+      if (!file.file_data) return part;
+      return toDocumentPart({ url: file.file_data, filename: file.filename });
+    }
+    case "document_url":
+      return toDocumentPart({
+        url: part.documentUrl ?? part.document_url,
+        filename: part.documentName ?? part.document_name ?? undefined,
+      });
+    default:
+      return part;
+  }
+}
+
+/**
+ * Converts message content into the canonical shape: plain strings stay strings, everything
+ * else becomes an array of canonical parts.
+ * @param {any} content
+ * @returns {string|Array<AiContentPart>}
+ */
+function toCanonicalContent(content) {
+  if (content === null || content === undefined) return "";
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map(toCanonicalPart).filter(Boolean);
+  if (typeof content === "object") {
+    if (!content.type && "content" in content) return toCanonicalContent(content.content);
+    const part = toCanonicalPart(content);
+    return part ? [part] : "";
+  }
+  return String(content);
+}
+
+/**
+ * Converts a message in any supported shape (LangChain, OpenAI/Groq, Mistral, stored history)
+ * into an AiMessage, so history written by one class replays through any other.
+ * @param {any} message
+ * @returns {AiMessage}
+ */
+function toCanonicalMessage(message) {
+  if (typeof message === "string") return { role: "user", content: message };
+  const type =
+    typeof message?._getType === "function"
+      ? message._getType()
+      : typeof message?.getType === "function"
+        ? message.getType()
+        : null;
+  const role = type
+    ? LANGCHAIN_ROLES[type] || "user"
+    : MESSAGE_ROLES.includes(message?.role)
+      ? message.role
+      : "user";
+
+  const canonical = { role, content: toCanonicalContent(message?.content) };
+  if (message?.name) canonical.name = message.name;
+
+  const calls = message?.toolCalls ?? message?.tool_calls;
+  if (Array.isArray(calls) && calls.length) {
+    canonical.toolCalls = calls.map((call) => ({
+      id: call.id,
+      name: call.function ? call.function.name : call.name,
+      arguments: parseToolArguments(
+        call.function ? call.function.arguments : call.arguments ?? call.args,
+      ),
+    }));
+  }
+  const toolCallId = message?.toolCallId ?? message?.tool_call_id;
+  if (toolCallId) canonical.toolCallId = toolCallId;
+  return canonical;
+}
+
+/**
+ * Converts canonical content into one provider's parts ("openai", "groq" or "mistral").
+ * Unsupported documents are inlined as text; other unsupported media becomes a short note.
+ * @param {any} content
+ * @param {"openai"|"groq"|"mistral"} dialect
+ * @returns {Array<Record<string, any>>}
+ */
+function toProviderParts(content, dialect) {
+  const canonical = toCanonicalContent(content);
+  const parts =
+    typeof canonical === "string"
+      ? canonical
+        ? [{ type: "text", text: canonical }]
+        : []
+      : canonical;
+
+  return parts.map((part) => {
+    switch (part.type) {
+      case "text":
+        return part;
+      case "image":
+        return dialect === "mistral"
+          ? { type: "image_url", imageUrl: part.url }
+          : {
+              type: "image_url",
+              image_url: { url: part.url, ...(part.detail ? { detail: part.detail } : {}) },
+            };
+      case "video":
+        if (dialect === "openai") {
+          return {
+            type: "input_video",
+            video: part.url
+              ? { url: part.url }
+              : { data: part.data, ...(part.format ? { format: part.format } : {}) },
+          };
+        }
+        break;
+      case "audio":
+        if (part.data && dialect === "openai") {
+          return {
+            type: "input_audio",
+            input_audio: { data: part.data, ...(part.format ? { format: part.format } : {}) },
+          };
+        }
+        if (part.data && dialect === "mistral") {
+          return { type: "input_audio", inputAudio: part.data };
+        }
+        break;
+      case "document":
+        // OpenRouter reads PDFs (and fetches document URLs) through file parts, Mistral through
+        // document_url. Everything else is extracted here and sent as text.
+        if (part.url && dialect === "openai") {
+          return {
+            type: "file",
+            file: { filename: part.filename || "document", file_data: part.url },
+          };
+        }
+        if (part.url && dialect === "mistral") {
+          return {
+            type: "document_url",
+            documentUrl: part.url,
+            ...(part.filename ? { documentName: part.filename } : {}),
+          };
+        }
+        if (part.data && part.mimeType === PDF_MIME_TYPE && dialect === "openai") {
+          return {
+            type: "file",
+            file: {
+              filename: part.filename || "document.pdf",
+              file_data: `data:${PDF_MIME_TYPE};base64,${part.data}`,
+            },
+          };
+        }
+        if (part.data) return toDocumentTextPart(part);
+        break;
+      default:
+        return part;
+    }
+    return { type: "text", text: `[${part.type} not supported by this provider]` };
+  });
+}
+
+/**
+ * Same as toProviderParts(), but text-only content collapses back into a plain string.
+ * @param {any} content
+ * @param {"openai"|"groq"|"mistral"} dialect
+ * @returns {string|Array<Record<string, any>>}
+ */
+function toProviderContent(content, dialect) {
+  const parts = toProviderParts(content, dialect);
+  if (parts.every((part) => part.type === "text" && typeof part.text === "string")) {
+    return parts.map((part) => part.text).join("\n");
+  }
+  return parts;
+}
+
+/**
+ * Builds the LangChain message for a canonical message (used by Ai and its subclasses).
+ * @param {AiMessage} message
+ * @returns {import("@langchain/core/messages").BaseMessage}
+ */
+function toLangChainMessage(message) {
+  const content =
+    message.role === "user"
+      ? toProviderContent(message.content, "openai")
+      : renderStoredContent(message.content);
+  const name = message.name ? { name: message.name } : {};
+
+  switch (message.role) {
+    case "system":
+      return new SystemMessage({ content, ...name });
+    case "assistant":
+      return new AIMessage({
+        content,
+        ...name,
+        ...(message.toolCalls?.length
+          ? {
+              tool_calls: message.toolCalls.map((call) => ({
+                id: call.id,
+                name: call.name,
+                args: parseToolArguments(call.arguments),
+                type: "tool_call",
+              })),
+            }
+          : {}),
+      });
+    case "tool":
+      return new ToolMessage({ content, tool_call_id: message.toolCallId, ...name });
+    default:
+      return new HumanMessage({ content, ...name });
+  }
+}
+
+/**
+ * Builds the chat completion message for a canonical message, in Groq's (OpenAI-style)
+ * or Mistral's field names.
+ * @param {AiMessage} message
+ * @param {"groq"|"mistral"} dialect
+ * @returns {Record<string, any>}
+ */
+function toChatMessage(message, dialect) {
+  const mistral = dialect === "mistral";
+  const chatMessage = {
+    role: message.role,
+    content:
+      message.role === "user"
+        ? toProviderContent(message.content, dialect)
+        : renderStoredContent(message.content),
+  };
+  // Mistral only takes a name on tool results.
+  if (message.name && (!mistral || message.role === "tool")) {
+    chatMessage.name = message.name;
+  }
+  if (message.toolCalls?.length) {
+    chatMessage[mistral ? "toolCalls" : "tool_calls"] = message.toolCalls.map((call) => ({
+      id: call.id,
+      type: "function",
+      function: {
+        name: call.name,
+        arguments:
+          typeof call.arguments === "string"
+            ? call.arguments
+            : JSON.stringify(call.arguments ?? {}),
+      },
+    }));
+  }
+  if (message.toolCallId) {
+    chatMessage[mistral ? "toolCallId" : "tool_call_id"] = message.toolCallId;
+  }
+  return chatMessage;
+}
+
+/**
+ * @typedef {Object} AiAttachment
+ * @property {"image"|"video"|"audio"|"document"} type - The media type being sent up with the prompt.
+ * @property {string} [url] - Remote URL that OpenRouter can fetch directly.
+ * @property {string|Buffer|NodeJS.ReadableStream} [data] - Raw file contents (Buffer, stream, base64 string or data URI).
+ * @property {string} [path] - Local file to read.
+ * @property {string} [filename] - File name to show the model (documents and audio only, defaults to the path or URL's).
+ * @property {string} [mimeType] - Optional MIME type so we can hint the format when sending inline data.
+ * @property {string} [format] - Explicit format override for video and audio blobs (e.g., "mp4", "wav").
+ * @property {string} [transcript] - Audio already transcribed; sent as text instead of the clip.
+ */
+
+/**
+ * @typedef {Object} AiAttachmentLimits
+ * @property {number} [maxCount] - Most attachments per request, all types together.
+ * @property {{ maxCount?: number, maxBytes?: number }} [image]
+ * @property {{ maxCount?: number, maxBytes?: number }} [video]
+ * @property {{ maxCount?: number, maxBytes?: number }} [audio]
+ * @property {{ maxCount?: number, maxBytes?: number }} [document]
+ */
+
+/**
+ * @typedef {Object} AiAttachmentOptions
+ * @property {AiAttachmentLimits|false} [limits] - Merged over the provider's defaults; false turns the limits off.
+ * @property {number} [maxImageDimension] - Images with a longer side than this go through resizeImage.
+ * @property {(image: { data: Buffer, mimeType?: string, width?: number, height?: number }, target: { maxBytes: number|null, maxDimension: number|null, mimeType: string }) => Promise<Buffer|{ data: Buffer, mimeType?: string }>} [resizeImage] - Downscales or re-encodes an image (e.g. with sharp).
+ */
+
+/**
+ * @typedef {Object} AiAttachmentChange
+ * @property {number} index - Position in `attachments`.
+ * @property {string} type
+ * @property {"mimeType"|"resized"|"reencoded"} change
+ * @property {{ mimeType?: string, bytes?: number, width?: number, height?: number }} before
+ * @property {{ mimeType?: string, bytes?: number, width?: number, height?: number }} after
+ */
+
+/**
+ * @typedef {{ type: "text", text: string }
+ *   | { type: "image", url: string, detail?: string }
+ *   | { type: "video", url?: string, data?: string, format?: string }
+ *   | { type: "audio", url?: string, data?: string, format?: string }
+ *   | { type: "document", url?: string, data?: string, mimeType?: string, filename?: string }} AiContentPart
+ */
+
+/**
+ * @typedef {Object} AiMessage
+ * @property {"system"|"user"|"assistant"|"tool"} role
+ * @property {string|AiContentPart[]} content - Plain text, or text and media parts.
+ * @property {string} [name] - Optional speaker name.
+ * @property {Array<{ id: string, name: string, arguments: Record<string, any>|string }>} [toolCalls] - Tool calls made by an assistant turn.
+ * @property {string} [toolCallId] - The call a "tool" message answers.
+ */
+
+/**
+ * @typedef {Object} AiStreamEvent
+ * @property {"delta"|"done"} type - "delta" for each text chunk, "done" once the reply is complete.
+ * @property {string} text - The new chunk for "delta" events, the full assembled reply for "done".
+ * @property {string} model - Model that produced the text.
+ * @property {string} [provider] - Provider that produced the text (MultiProviderAi only).
+ * @property {{ promptTokens: number, completionTokens: number, totalTokens: number }|null} [usage] - Token usage when the provider reports it ("done" only).
+ */
+
+/**
+ * @typedef {Object} AiTool
+ * @property {string} name - Function name the model calls (letters, digits, "_" and "-", up to 64 chars).
+ * @property {string} [description] - What the tool does, shown to the model.
+ * @property {Record<string, any>} [parameters] - JSON Schema for the arguments object.
+ * @property {(args: Record<string, any>, context: { id: string, name: string, model: string }) => any} handler - Runs the tool; its return value is fed back to the model.
+ */
+
+/**
+ * @typedef {Object} AiToolCall
+ * @property {string} id - Provider-assigned call id.
+ * @property {string} name - Tool that was called.
+ * @property {Record<string, any>} arguments - Parsed arguments the model passed.
+ * @property {any} [result] - What the handler returned.
+ * @property {string} [error] - Error message when the handler (or lookup) failed.
+ */
+
+/**
+ * @typedef {Object} AiToolResult
+ * @property {string} text - Final reply once the model stops calling tools.
+ * @property {AiToolCall[]} toolCalls - Every tool call made along the way, in order.
+ * @property {string} model - Model that produced the reply.
+ * @property {string} [provider] - Provider that produced the reply (MultiProviderAi only).
+ */
+
+/**
+ * @typedef {Object} AiEmbeddingResult
+ * @property {number[][]} embeddings - One vector per input text, in input order.
+ * @property {number} dimensions - Length of each vector.
+ * @property {string} provider - Provider that produced the vectors.
+ * @property {string} model - Embedding model that produced the vectors.
+ * @property {{ promptTokens: number, completionTokens: number, totalTokens: number }|null} usage - Token usage summed across batches.
+ * @property {boolean} cached - True when the vectors came from the response cache.
+ */
+
+/**
+ * @typedef {Object} AiTranscription
+ * @property {string} text - Whole transcript.
+ * @property {string|null} language - Detected (or given) language as an ISO code, e.g. "en".
+ * @property {number|null} duration - Audio length in seconds.
+ * @property {Array<{ start: number|null, end: number|null, text: string }>} segments - Timed segments, in seconds.
+ * @property {Array<{ word: string, start: number|null, end: number|null }>} words - Word timestamps; empty unless asked for and available.
+ * @property {string} provider - Provider that transcribed the audio.
+ * @property {string|null} model - Model that transcribed the audio.
+ * @property {boolean} cached - True when the result came from the response cache.
+ * @property {any} raw - Untouched SDK response (null when cached).
+ */
+
+/**
+ * @typedef {Object} AiCallOverrides
+ * @property {string} [model] - Model to try first for this call instead of the instance's.
+ * @property {string[]} [fallbackModels] - Fallbacks for this call; [] turns fallback off.
+ * @property {number} [temperature] - Sampling temperature for this call.
+ * @property {number} [maxTokens] - Cap on generated tokens for this call.
+ * @property {number} [topP] - Nucleus sampling cutoff.
+ * @property {string|string[]} [stop] - Sequences that end the reply early.
+ * @property {number} [seed] - Seed for providers that support deterministic sampling.
+ * @property {number} [presencePenalty] - Penalises tokens that already appeared at all.
+ * @property {number} [frequencyPenalty] - Penalises tokens by how often they already appeared.
+ */
+
+/**
+ * @typedef {Omit<AiCallOverrides, "model"|"fallbackModels"> & { model?: string|Record<string, string>, fallbackModels?: string[]|Record<string, string[]> }} AiMultiCallOverrides
+ */
+
+/**
+ * @typedef {Object} AiSampling
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {number} [topP]
+ * @property {string[]} [stop]
+ * @property {number} [seed]
+ * @property {number} [presencePenalty]
+ * @property {number} [frequencyPenalty]
+ */
+
+/**
+ * @typedef {Object} AiLogger
+ * @property {(message: string, fields?: Record<string, any>) => void} debug
+ * @property {(message: string, fields?: Record<string, any>) => void} info
+ * @property {(message: string, fields?: Record<string, any>) => void} warn - Failed or retried model attempts.
+ * @property {(message: string, fields?: Record<string, any>) => void} error - Hook and memory write failures.
+ */
+
+/**
+ * @typedef {Object} AiStoredMessage
+ * @property {string} role - "user" or "assistant".
+ * @property {string|Array|Record<string, any>} content - Whatever the history class handed over for that turn.
+ */
+
+/**
+ * The contract every memory store implements; the *WithHistory classes take any object with these methods.
+ * @typedef {Object} AiMemoryBackend
+ * @property {(chatId: string|number, scope: string, limit?: number) => Promise<AiStoredMessage[]>} getHistory - Latest `limit` messages for the chat, oldest first.
+ * @property {(chatId: string|number, scope: string, messages: AiStoredMessage[]) => Promise<void>} appendMessages - Stores new messages in order, skipping entries without role or content.
+ * @property {(chatId: string|number, scope: string) => Promise<void>} clearHistory - Forgets everything stored for the chat.
+ * @property {(chatId: string|number, scope: string, count: number) => Promise<void>} [deleteOldest] - Removes the `count` oldest messages; needed for summarization.
+ * @property {() => Promise<any>} [connect] - Optional eager setup.
+ * @property {() => Promise<void>} [disconnect] - Optional teardown.
+ */
+
+/**
+ * @typedef {Object} AiVectorEntry
+ * @property {string} role - "user" or "assistant".
+ * @property {string} text - The turn flattened to text.
+ * @property {number[]} vector - Its embedding.
+ * @property {string|null} [model] - Embedding model that produced the vector.
+ * @property {Date} createdAt - When the turn was indexed.
+ */
+
+/**
+ * @typedef {Object} AiRecallHit
+ * @property {string} role - "user" or "assistant".
+ * @property {string} text - The recalled turn.
+ * @property {number} score - Cosine similarity to the new message.
+ * @property {Date} createdAt - When the turn was indexed.
+ */
+
+/**
+ * Where recall vectors live. InMemoryAiVectorIndex and MongoAiVectorIndex are built in; any
+ * object with these methods works.
+ * @typedef {Object} AiVectorIndex
+ * @property {(chatId: string|number, scope: string, entries: AiVectorEntry[]) => Promise<void>} add - Stores embedded turns.
+ * @property {(chatId: string|number, scope: string, vector: number[], options?: { topK?: number, minScore?: number, model?: string|null }) => Promise<AiRecallHit[]>} search - Most similar turns for the chat, best first.
+ * @property {(chatId: string|number, scope: string) => Promise<void>} clear - Forgets the chat's vectors.
+ */
+
+/**
+ * Wraps a Mongo collection to stash little convo snippets so the bot remembers what folks said.
+ */
+class AiMemoryStore {
+  /**
+    * Sets up the memory store with the chosen collection name while deferring the actual connection.
+    * @param {{ collectionName?: string, uri?: string, dbName?: string, maxEntries?: number, logger?: AiLogger }} [options]
+    */
+   constructor({
+     collectionName = "ai_memory",
+     uri,
+     dbName,
+     maxEntries = 80,
+     logger,
+   } = {}) {
+     if (!uri || !dbName) {
+       throw new Error("uri and dbName are required for AiMemoryStore");
+     }
+     this.uri = uri;
+     this.dbName = dbName;
+     this.collectionName = collectionName;
+     this.maxEntries = maxEntries;
+     this.logger = resolveLogger(logger);
+     this.connectionPromise = null;
+     this.client = null;
+     this.collection = null;
+     this.indexEnsured = false;
+   }
+
+  /**
+   * Connects to Mongo lazily and hands back the collection once it's ready to use.
+   * @returns {Promise<import("mongodb").Collection>}
+   */
+  async connect() {
+    if (!this.connectionPromise) {
+      this.connectionPromise = (async () => {
+        this.client = new MongoClient(this.uri);
+        await this.client.connect();
+        const db = this.client.db(this.dbName);
+        this.collection = db.collection(this.collectionName);
+        if (!this.indexEnsured) {
+          await this.collection.createIndex({
+            scope: 1,
+            chatId: 1,
+            createdAt: 1,
+          });
+          this.indexEnsured = true;
+        }
+        return this.collection;
+      })().catch((err) => {
+        this.connectionPromise = null;
+        throw err;
+      });
+    }
+
+    await this.connectionPromise;
+    return this.collection;
+  }
+
+  /**
+   * Closes the Mongo connection so we aren't hoarding sockets when the bot shuts down.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      this.collection = null;
+      this.connectionPromise = null;
+      this.indexEnsured = false;
+    }
+  }
+
+  /**
+   * Pulls the latest chat messages for a scope so we can feed them back into the AI.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number} [limit]
+   * @returns {Promise<Array<{role: string, content: string|Array|Record<string, any>}>>}
+   */
+  async getHistory(chatId, scope, limit = 10) {
+    if (!chatId || !scope) return [];
+    const collection = await this.connect();
+    const normalizedChatId = String(chatId);
+    const docs = await collection
+      .find({ chatId: normalizedChatId, scope })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    return docs
+      .reverse()
+      .map((doc) => ({ role: doc.role, content: doc.content }))
+      .filter((entry) => entry.role && entry.content);
+  }
+
+  /**
+   * Saves fresh AI/user messages and trims the history so it doesn't blow up forever.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {Array<{role: string, content: string|Array|Record<string, any>}>} messages
+   * @returns {Promise<void>}
+   */
+  async appendMessages(chatId, scope, messages = []) {
+    if (
+      !chatId ||
+      !scope ||
+      !Array.isArray(messages) ||
+      messages.length === 0
+    ) {
+      return;
+    }
+    const collection = await this.connect();
+    const normalizedChatId = String(chatId);
+    const docs = messages
+      .filter((msg) => msg && msg.role && msg.content)
+      .map((msg) => ({
+        chatId: normalizedChatId,
+        scope,
+        role: msg.role,
+        content: msg.content,
+        createdAt: new Date(),
+      }));
+
+    if (docs.length === 0) return;
+
+    await collection.insertMany(docs, { ordered: false }).catch((error) => {
+      this.logger.error("[AI Memory] Failed to append messages", {
+        chatId: normalizedChatId,
+        scope,
+        error: error?.message || String(error),
+      });
+    });
+
+    // Keep only the latest maxEntries messages (40 exchanges by default) per chat scope
+    const maxEntries = this.maxEntries;
+    collection
+      .aggregate([
+        { $match: { chatId: normalizedChatId, scope } },
+        { $sort: { createdAt: -1 } },
+        { $skip: maxEntries },
+        { $project: { _id: 1 } },
+      ])
+      .toArray()
+      .then((staleDocs) => {
+        if (staleDocs.length) {
+          const ids = staleDocs.map((doc) => doc._id);
+          collection.deleteMany({ _id: { $in: ids } }).catch((err) => {
+            this.logger.error("[AI Memory] Failed to trim history", {
+              chatId: normalizedChatId,
+              scope,
+              error: err?.message || String(err),
+            });
+          });
+        }
+      })
+      .catch((err) => {
+        this.logger.error("[AI Memory] Failed to schedule trim", {
+          chatId: normalizedChatId,
+          scope,
+          error: err?.message || String(err),
+        });
+      });
+  }
+
+  /**
+   * Drops the oldest messages for a chat scope, e.g. once they've been folded into a summary.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  async deleteOldest(chatId, scope, count) {
+    if (!chatId || !scope || !(count > 0)) return;
+    const collection = await this.connect();
+    const staleDocs = await collection
+      .find({ chatId: String(chatId), scope }, { projection: { _id: 1 } })
+      .sort({ createdAt: 1 })
+      .limit(count)
+      .toArray();
+    if (staleDocs.length) {
+      const ids = staleDocs.map((doc) => doc._id);
+      await collection.deleteMany({ _id: { $in: ids } });
+    }
+  }
+
+  /**
+   * Nukes any remembered lines for a chat scope when someone wants a clean slate.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {Promise<void>}
+   */
+  async clearHistory(chatId, scope) {
+    if (!chatId || !scope) return;
+    const collection = await this.connect();
+    await collection.deleteMany({ chatId: String(chatId), scope });
+    this.logger.info(`[AI Memory] History cleared for ${chatId} in scope ${scope}`, {
+      chatId: String(chatId),
+      scope,
+    });
+  }
+}
+
+
+/**
+ * Keeps chat history in process memory. Handy for tests, scripts, and small bots that don't
+ * need history to survive a restart.
+ */
+class InMemoryAiMemoryStore {
+  /**
+   * @param {{ maxEntries?: number }} [options]
+   */
+  constructor({ maxEntries = 80 } = {}) {
+    this.maxEntries = maxEntries;
+    this.chats = new Map();
+  }
+
+  /**
+   * Builds the map key for a chat scope.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {string}
+   */
+  key(chatId, scope) {
+    return JSON.stringify([scope, String(chatId)]);
+  }
+
+  /**
+   * Nothing to connect to; here so callers can treat every store the same.
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Nothing to close; here so callers can treat every store the same.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {}
+
+  /**
+   * Returns the latest messages for a chat scope, oldest first.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number} [limit]
+   * @returns {Promise<AiStoredMessage[]>}
+   */
+  async getHistory(chatId, scope, limit = 10) {
+    if (!chatId || !scope) return [];
+    const entries = this.chats.get(this.key(chatId, scope)) || [];
+    return entries
+      .slice(-limit)
+      .map((entry) => ({
+        role: entry.role,
+        content: structuredClone(entry.content),
+      }))
+      .filter((entry) => entry.role && entry.content);
+  }
+
+  /**
+   * Saves new messages and drops the oldest ones past maxEntries.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {AiStoredMessage[]} messages
+   * @returns {Promise<void>}
+   */
+  async appendMessages(chatId, scope, messages = []) {
+    if (
+      !chatId ||
+      !scope ||
+      !Array.isArray(messages) ||
+      messages.length === 0
+    ) {
+      return;
+    }
+    const docs = messages
+      .filter((msg) => msg && msg.role && msg.content)
+      .map((msg) => ({
+        role: msg.role,
+        content: structuredClone(msg.content),
+        createdAt: new Date().toISOString(),
+      }));
+    if (docs.length === 0) return;
+
+    const key = this.key(chatId, scope);
+    const entries = (this.chats.get(key) || []).concat(docs);
+    this.chats.set(key, entries.slice(-this.maxEntries));
+  }
+
+  /**
+   * Drops the oldest messages for a chat scope.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  async deleteOldest(chatId, scope, count) {
+    if (!chatId || !scope || !(count > 0)) return;
+    const key = this.key(chatId, scope);
+    const entries = this.chats.get(key);
+    if (entries) this.chats.set(key, entries.slice(count));
+  }
+
+  /**
+   * Forgets everything stored for a chat scope.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {Promise<void>}
+   */
+  async clearHistory(chatId, scope) {
+    if (!chatId || !scope) return;
+    this.chats.delete(this.key(chatId, scope));
+  }
+}
+
+/**
+ * Keeps chat history in a local JSON file so small deployments survive restarts.
+ * Meant for modest amounts of history and a single process.
+ */
+class FileAiMemoryStore extends InMemoryAiMemoryStore {
+  /**
+   * @param {{ filePath: string, maxEntries?: number }} options
+   */
+  constructor({ filePath, maxEntries } = {}) {
+    if (!filePath) {
+      throw new Error("filePath is required for FileAiMemoryStore");
+    }
+    super({ maxEntries });
+    this.filePath = path.resolve(filePath);
+    this.loadPromise = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Loads the history file once; a missing file just means no history yet.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const raw = await fs.promises.readFile(this.filePath, "utf8");
+          const data = JSON.parse(raw);
+          this.chats = new Map(Object.entries(data?.chats || {}));
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      })().catch((err) => {
+        this.loadPromise = null;
+        throw err;
+      });
+    }
+    await this.loadPromise;
+  }
+
+  /**
+   * Waits for pending writes so nothing is lost when the bot shuts down.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.writeChain;
+  }
+
+  /**
+   * Writes the current history to disk. Writes are queued so they never interleave.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const snapshot = JSON.stringify({
+      version: 1,
+      chats: Object.fromEntries(this.chats),
+    });
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+    return this.writeChain;
+  }
+
+  async getHistory(chatId, scope, limit = 10) {
+    await this.connect();
+    return super.getHistory(chatId, scope, limit);
+  }
+
+  async appendMessages(chatId, scope, messages = []) {
+    await this.connect();
+    const key = this.key(chatId, scope);
+    const before = this.chats.get(key);
+    await super.appendMessages(chatId, scope, messages);
+    if (this.chats.get(key) !== before) await this.save();
+  }
+
+  async deleteOldest(chatId, scope, count) {
+    await this.connect();
+    if (!chatId || !scope || !(count > 0)) return;
+    await super.deleteOldest(chatId, scope, count);
+    await this.save();
+  }
+
+  async clearHistory(chatId, scope) {
+    await this.connect();
+    if (!chatId || !scope) return;
+    await super.clearHistory(chatId, scope);
+    await this.save();
+  }
+}
+
+
+/**
+ * Keeps recall vectors in process memory, per chat and scope. Fine for a single process; the
+ * index is lost on restart, so use MongoAiVectorIndex when history outlives the process.
+ */
+class InMemoryAiVectorIndex {
+  /**
+   * @param {{ maxEntriesPerChat?: number }} [options]
+   */
+  constructor({ maxEntriesPerChat = 2000 } = {}) {
+    this.maxEntriesPerChat = maxEntriesPerChat;
+    this.entries = new Map();
+  }
+
+  /**
+   * Builds the map key for a chat/scope pair.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {string}
+   */
+  key(chatId, scope) {
+    return `${scope}:${String(chatId)}`;
+  }
+
+  /**
+   * Adds embedded turns, dropping the oldest ones past maxEntriesPerChat.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {AiVectorEntry[]} entries
+   * @returns {Promise<void>}
+   */
+  async add(chatId, scope, entries = []) {
+    if (!chatId || !scope || !entries.length) return;
+    const key = this.key(chatId, scope);
+    const list = this.entries.get(key) ?? [];
+    list.push(...entries.map((entry) => ({ ...entry, vector: [...entry.vector] })));
+    if (list.length > this.maxEntriesPerChat) {
+      list.splice(0, list.length - this.maxEntriesPerChat);
+    }
+    this.entries.set(key, list);
+  }
+
+  /**
+   * Returns the `topK` entries most similar to `vector`, best first. Entries embedded with a
+   * different model are skipped since their vectors aren't comparable.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number[]} vector
+   * @param {{ topK?: number, minScore?: number, model?: string|null }} [options]
+   * @returns {Promise<AiRecallHit[]>}
+   */
+  async search(chatId, scope, vector, { topK = DEFAULT_RECALL_TOP_K, minScore = 0, model } = {}) {
+    if (!chatId || !scope) return [];
+    return rankByVector(this.entries.get(this.key(chatId, scope)) ?? [], vector, {
+      topK,
+      minScore,
+      model,
+    });
+  }
+
+  /**
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {Promise<void>}
+   */
+  async clear(chatId, scope) {
+    if (!chatId || !scope) return;
+    this.entries.delete(this.key(chatId, scope));
+  }
+}
+
+/**
+ * Stores recall vectors in a Mongo collection next to `ai_memory`. Similarity is worked out in
+ * process over the chat's newest `maxEntriesPerChat` vectors, so no Atlas vector search index
+ * is needed.
+ */
+class MongoAiVectorIndex {
+  /**
+   * Remembers the connection details; nothing connects until the first call.
+   * @param {{ uri: string, dbName: string, collectionName?: string, maxEntriesPerChat?: number }} options
+   */
+  constructor({
+    uri,
+    dbName,
+    collectionName = "ai_memory_vectors",
+    maxEntriesPerChat = 2000,
+  } = {}) {
+    if (!uri || !dbName) {
+      throw new Error("uri and dbName are required for MongoAiVectorIndex");
+    }
+    this.uri = uri;
+    this.dbName = dbName;
+    this.collectionName = collectionName;
+    this.maxEntriesPerChat = maxEntriesPerChat;
+    this.connectionPromise = null;
+    this.client = null;
+    this.collection = null;
+  }
+
+  /**
+   * Connects lazily and makes sure the chat lookup index exists.
+   * @returns {Promise<import("mongodb").Collection>}
+   */
+  async connect() {
+    if (!this.connectionPromise) {
+      this.connectionPromise = (async () => {
+        this.client = new MongoClient(this.uri);
+        await this.client.connect();
+        const db = this.client.db(this.dbName);
+        this.collection = db.collection(this.collectionName);
+        await this.collection.createIndex({ scope: 1, chatId: 1, createdAt: 1 });
+        return this.collection;
+      })().catch((err) => {
+        this.connectionPromise = null;
+        throw err;
+      });
+    }
+
+    await this.connectionPromise;
+    return this.collection;
+  }
+
+  /**
+   * Closes the Mongo connection.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      this.collection = null;
+      this.connectionPromise = null;
+    }
+  }
+
+  /**
+   * Adds embedded turns, deleting the oldest ones past maxEntriesPerChat.
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {AiVectorEntry[]} entries
+   * @returns {Promise<void>}
+   */
+  async add(chatId, scope, entries = []) {
+    if (!chatId || !scope || !entries.length) return;
+    const collection = await this.connect();
+    const normalizedChatId = String(chatId);
+    await collection.insertMany(
+      entries.map((entry) => ({
+        chatId: normalizedChatId,
+        scope,
+        role: entry.role,
+        text: entry.text,
+        vector: entry.vector,
+        model: entry.model ?? null,
+        createdAt: entry.createdAt ?? new Date(),
+      })),
+    );
+
+    const stale = await collection
+      .find({ chatId: normalizedChatId, scope }, { projection: { _id: 1 } })
+      .sort({ createdAt: -1 })
+      .skip(this.maxEntriesPerChat)
+      .toArray();
+    if (stale.length) {
+      await collection.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+    }
+  }
+
+  /**
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @param {number[]} vector
+   * @param {{ topK?: number, minScore?: number, model?: string|null }} [options]
+   * @returns {Promise<AiRecallHit[]>}
+   */
+  async search(chatId, scope, vector, { topK = DEFAULT_RECALL_TOP_K, minScore = 0, model } = {}) {
+    if (!chatId || !scope) return [];
+    const collection = await this.connect();
+    const query = { chatId: String(chatId), scope };
+    if (model) query.model = model;
+    // Capped as well, in case another writer let the chat grow past maxEntriesPerChat
+    const docs = await collection
+      .find(query, { projection: { _id: 0, role: 1, text: 1, vector: 1, model: 1, createdAt: 1 } })
+      .sort({ createdAt: -1 })
+      .limit(this.maxEntriesPerChat)
+      .toArray();
+    return rankByVector(docs, vector, { topK, minScore, model });
+  }
+
+  /**
+   * @param {string|number} chatId
+   * @param {string} scope
+   * @returns {Promise<void>}
+   */
+  async clear(chatId, scope) {
+    if (!chatId || !scope) return;
+    const collection = await this.connect();
+    await collection.deleteMany({ chatId: String(chatId), scope });
+  }
+}
+
+/**
+ * Keeps cached responses in process memory. Once `maxEntries` is reached the least recently
+ * used entry is dropped.
+ */
+class InMemoryAiCache {
+  /**
+   * @param {{ maxEntries?: number }} [options]
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    // Map keeps insertion order, so re-inserting on every hit makes the first key the LRU one.
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the entry for `key`, or undefined when it's missing or expired.
+   * @param {string} key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used ones past maxEntries.
+   * @param {string} key
+   * @param {any} value
+   * @param {number} [ttlMs] - 0 keeps it until evicted.
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs = 0) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null,
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
 
   /**
-   * Connects to Mongo lazily and hands back the collection once it's ready to use.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Keeps cached responses in a Mongo collection so they're shared between processes and survive
+ * restarts. Expired entries are ignored on read and cleaned up by a TTL index.
+ */
+class MongoAiCache {
+  /**
+   * Remembers the connection details; nothing connects until the first lookup.
+   * @param {{ uri: string, dbName: string, collectionName?: string }} options
+   */
+  constructor({ uri, dbName, collectionName = "ai_cache" } = {}) {
+    if (!uri || !dbName) {
+      throw new Error("uri and dbName are required for MongoAiCache");
+    }
+    this.uri = uri;
+    this.dbName = dbName;
+    this.collectionName = collectionName;
+    this.connectionPromise = null;
+    this.client = null;
+    this.collection = null;
+  }
+
+  /**
+   * Connects lazily and makes sure the TTL index exists.
    * @returns {Promise<import("mongodb").Collection>}
    */
   async connect() {
@@ -57,14 +4801,7 @@ class AiMemoryStore {
         await this.client.connect();
         const db = this.client.db(this.dbName);
         this.collection = db.collection(this.collectionName);
-        if (!this.indexEnsured) {
-          await this.collection.createIndex({
-            scope: 1,
-            chatId: 1,
-            createdAt: 1,
-          });
-          this.indexEnsured = true;
-        }
+        await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
         return this.collection;
       })().catch((err) => {
         this.connectionPromise = null;
@@ -77,7 +4814,7 @@ class AiMemoryStore {
   }
 
   /**
-   * Closes the Mongo connection so we aren't hoarding sockets when the bot shuts down.
+   * Closes the Mongo connection.
    * @returns {Promise<void>}
    */
   async disconnect() {
@@ -86,104 +4823,63 @@ class AiMemoryStore {
       this.client = null;
       this.collection = null;
       this.connectionPromise = null;
-      this.indexEnsured = false;
     }
   }
 
   /**
-   * Pulls the latest chat messages for a scope so we can feed them back into the AI.
-   * @param {string|number} chatId
-   * @param {string} scope
-   * @param {number} [limit]
-   * @returns {Promise<Array<{role: string, content: string|Array|Record<string, any>}>>}
+   * Returns the entry for `key`, or undefined when it's missing or expired. Mongo's TTL
+   * monitor only runs every minute or so, hence the expiry check here.
+   * @param {string} key
+   * @returns {Promise<any>}
    */
-  async getHistory(chatId, scope, limit = 10) {
-    if (!chatId || !scope) return [];
+  async get(key) {
     const collection = await this.connect();
-    const normalizedChatId = String(chatId);
-    const docs = await collection
-      .find({ chatId: normalizedChatId, scope })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .toArray();
-    return docs
-      .reverse()
-      .map((doc) => ({ role: doc.role, content: doc.content }))
-      .filter((entry) => entry.role && entry.content);
+    const doc = await collection.findOne({ _id: key });
+    if (!doc || (doc.expiresAt && doc.expiresAt <= new Date())) return undefined;
+    return doc.value;
   }
 
   /**
-   * Saves fresh AI/user messages and trims the history so it doesn't blow up forever.
-   * @param {string|number} chatId
-   * @param {string} scope
-   * @param {Array<{role: string, content: string|Array|Record<string, any>}>} messages
+   * Stores (or replaces) an entry.
+   * @param {string} key
+   * @param {any} value
+   * @param {number} [ttlMs] - 0 keeps it until deleted.
    * @returns {Promise<void>}
    */
-  async appendMessages(chatId, scope, messages = []) {
-    if (
-      !chatId ||
-      !scope ||
-      !Array.isArray(messages) ||
-      messages.length === 0
-    ) {
-      return;
-    }
+  async set(key, value, ttlMs = 0) {
     const collection = await this.connect();
-    const normalizedChatId = String(chatId);
-    const docs = messages
-      .filter((msg) => msg && msg.role && msg.content)
-      .map((msg) => ({
-        chatId: normalizedChatId,
-        scope,
-        role: msg.role,
-        content: msg.content,
-        createdAt: new Date(),
-      }));
-
-    if (docs.length === 0) return;
-
-    await collection.insertMany(docs, { ordered: false }).catch((error) => {
-      console.error("[AI Memory] Failed to append messages:", error);
-    });
+    await collection.updateOne(
+      { _id: key },
+      {
+        $set: {
+          value,
+          createdAt: new Date(),
+          expiresAt: ttlMs > 0 ? new Date(Date.now() + ttlMs) : null,
+        },
+      },
+      { upsert: true },
+    );
+  }
 
-    // Keep only the latest 40 exchanges per chat scope to avoid unbounded growth
-    const maxEntries = 80;
-    collection
-      .aggregate([
-        { $match: { chatId: normalizedChatId, scope } },
-        { $sort: { createdAt: -1 } },
-        { $skip: maxEntries },
-        { $project: { _id: 1 } },
-      ])
-      .toArray()
-      .then((staleDocs) => {
-        if (staleDocs.length) {
-          const ids = staleDocs.map((doc) => doc._id);
-          collection.deleteMany({ _id: { $in: ids } }).catch((err) => {
-            console.error("[AI Memory] Failed to trim history:", err);
-          });
-        }
-      })
-      .catch((err) => {
-        console.error("[AI Memory] Failed to schedule trim:", err);
-      });
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const collection = await this.connect();
+    await collection.deleteOne({ _id: key });
   }
 
   /**
-   * Nukes any remembered lines for a chat scope when someone wants a clean slate.
-   * @param {string|number} chatId
-   * @param {string} scope
+   * Drops every cached entry in the collection.
    * @returns {Promise<void>}
    */
-  async clearHistory(chatId, scope) {
-    if (!chatId || !scope) return;
+  async clear() {
     const collection = await this.connect();
-    await collection.deleteMany({ chatId: String(chatId), scope });
-    console.log(`[AI Memory] History cleared for ${chatId} in scope ${scope}`);
+    await collection.deleteMany({});
   }
 }
 
-
 /**
  * High-level wrapper for firing prompts at OpenRouter while handling fallbacks.
  */
@@ -198,7 +4894,16 @@ class Ai {
     *  maxTokens?: number,
     *  defaultHeaders?: Record<string, string>,
     *  requestTimeoutMs?: number
-    *  firstToFinish?: boolean
+    *  firstToFinish?: boolean,
+    *  tools?: AiTool[],
+    *  maxToolSteps?: number,
+    *  retry?: boolean|{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryOn?: (err: any, attempt: number) => boolean },
+    *  hooks?: AiHooks|AiHooks[],
+    *  logger?: AiLogger,
+    *  cache?: boolean|AiCacheBackend|{ store?: AiCacheBackend, ttlMs?: number },
+    *  rateLimit?: RateLimiter|{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number, maxWaitMs?: number, models?: Record<string, { requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number }> },
+    *  circuitBreaker?: boolean|CircuitBreaker|{ failureThreshold?: number, windowMs?: number, cooldownMs?: number, tripOn?: (error: any) => boolean },
+    *  attachmentOptions?: AiAttachmentOptions
     * }} [options]
     */
     constructor({
@@ -210,11 +4915,24 @@ class Ai {
       defaultHeaders = {},
       requestTimeoutMs = 20000,
       firstToFinish = false,
+      tools = [],
+      maxToolSteps = 5,
+      retry,
+      hooks,
+      logger,
+      cache,
+      rateLimit,
+      circuitBreaker,
+      attachmentOptions,
     } = {}) {
      if (!apiKey) {
        throw new Error("apiKey is required for Ai");
      }
      this.apiKey = apiKey;
+     // OpenAICompatibleAi swaps these for its own endpoint and provider name.
+     this.provider = "openrouter";
+     this.baseURL = OPENROUTER_BASE_URL;
+     this.embeddingModel = "openai/text-embedding-3-small";
      this.models = [model, ...fallbackModels].filter(Boolean);
      this.temperature = temperature;
      this.maxTokens = maxTokens;
@@ -226,6 +4944,21 @@ class Ai {
      // Default: 20000ms (20s). A value of 0 disables the timeout.
      this.requestTimeoutMs = Number(requestTimeoutMs) || 0;
      this.firstToFinish = firstToFinish;
+     // Transient failures (429s, 5xx, dropped connections) are retried on the
+     // same model with backoff before moving on to the next one.
+     this.retry = normalizeRetryOptions(retry);
+     // Registered tools keyed by name. When any are present, ask() runs the
+     // call -> execute -> feed back loop for up to maxToolSteps rounds.
+     this.tools = new Map();
+     this.maxToolSteps = maxToolSteps;
+     for (const tool of tools) this.registerTool(tool);
+     this.logger = resolveLogger(logger);
+     this.cache = normalizeCacheOptions(cache);
+     this.rateLimiter = normalizeRateLimit(rateLimit);
+     this.circuitBreaker = normalizeCircuitBreaker(circuitBreaker);
+     this.attachmentOptions = normalizeAttachmentOptions(attachmentOptions, this.provider);
+     this.hooks = [];
+     for (const hook of [].concat(hooks ?? [])) this.use(hook);
    }
 
   /**
@@ -234,13 +4967,7 @@ class Ai {
    * @returns {Array}
    */
   ensureContentArray(content) {
-    if (Array.isArray(content)) {
-      return [...content];
-    }
-    if (typeof content === "string" && content.length) {
-      return [{ type: "text", text: content }];
-    }
-    return [];
+    return toProviderParts(content, "openai");
   }
 
   /**
@@ -258,7 +4985,7 @@ class Ai {
         return { type: "image_url", image_url: { url } };
       }
 
-      const dataUri = this.toDataUri(data, mimeType || "image/png");
+      const dataUri = this.toDataUri(data, mimeType);
       if (!dataUri) return null;
       return { type: "image_url", image_url: { url: dataUri } };
     }
@@ -268,7 +4995,7 @@ class Ai {
         return { type: "input_video", video: { url } };
       }
 
-      const encoded = this.toBase64(data);
+      const encoded = this.toBase64(data, "video");
       if (!encoded) return null;
       const payload = { data: encoded };
       const resolvedFormat =
@@ -279,49 +5006,67 @@ class Ai {
       return { type: "input_video", video: payload };
     }
 
+    if (type === "audio") {
+      return toAudioAttachmentPart(attachment, "openai");
+    }
+
+    if (type === "document") {
+      const part = toDocumentPart(attachment);
+      return part ? toProviderParts([part], "openai")[0] : null;
+    }
+
     return null;
   }
 
   /**
-   * Converts incoming blobs into base64 so the API can ingest them inline.
+   * Runs processAttachments(), then checks audio: OpenRouter can't fetch audio URLs, so those throw.
+   * @param {AiAttachment[]} attachments
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<AiAttachment[]>}
+   */
+  async prepareAttachments(attachments, signal) {
+    if (alreadyPrepared(this, attachments)) return attachments;
+    const { attachments: processed, changes } = await processAttachments(attachments, {
+      provider: this.provider,
+      ...this.attachmentOptions,
+      signal,
+    });
+    await reportAttachmentChanges(this, "[AI]", this.provider, changes);
+    return markPrepared(
+      this,
+      await transcribeAudioAttachments(this, processed, {
+        provider: this.provider,
+        inline: (attachment) => Boolean(attachment.data || attachment.path),
+        signal,
+      }),
+    );
+  }
+
+  /**
+   * Converts attachment data into base64 so the API can ingest it inline. Strings must be base64
+   * or a data URI; see encodeInlineAttachment().
    * @param {string|Buffer|undefined} data
+   * @param {string} [type] - Attachment type, named in the error for undecodable strings.
    * @returns {string|null}
    */
-  toBase64(data) {
-    if (!data) return null;
-    if (Buffer.isBuffer(data)) {
-      return data.toString("base64");
-    }
-    if (typeof data === "string") {
-      const trimmed = data.trim();
-      if (!trimmed) return null;
-      if (trimmed.startsWith("data:")) {
-        const base64Part = trimmed.substring(trimmed.indexOf(",") + 1);
-        return base64Part ? base64Part.trim() : null;
-      }
-      const base64Like = trimmed.replace(/\s+/g, "");
-      if (/^[A-Za-z0-9+/]+={0,2}$/.test(base64Like)) {
-        return base64Like;
-      }
-      return Buffer.from(trimmed).toString("base64");
-    }
-    return null;
+  toBase64(data, type = "image") {
+    return encodeInlineAttachment(data, type, this.provider)?.base64 ?? null;
   }
 
   /**
    * Shapes data blobs into data URIs when the API expects them that way (mostly for images).
+   * Without a mimeType, the type is read from the bytes.
    * @param {string|Buffer|undefined} data
-   * @param {string} mimeType
+   * @param {string} [mimeType]
    * @returns {string|null}
    */
   toDataUri(data, mimeType) {
-    if (!data) return null;
     if (typeof data === "string" && data.trim().startsWith("data:")) {
       return data.trim();
     }
-    const encoded = this.toBase64(data);
+    const encoded = encodeInlineAttachment(data, "image", this.provider);
     if (!encoded) return null;
-    return `data:${mimeType};base64,${encoded}`;
+    return `data:${mimeType || encoded.mimeType || "image/png"};base64,${encoded.base64}`;
   }
 
   /**
@@ -364,7 +5109,7 @@ class Ai {
     }
 
     if (Array.isArray(user)) {
-      const contentPieces = [...user, ...normalizedAttachments];
+      const contentPieces = [...this.ensureContentArray(user), ...normalizedAttachments];
       if (!contentPieces.length) {
         return { message: null, contentForHistory: null };
       }
@@ -404,98 +5149,723 @@ class Ai {
           contentForHistory: trimmedUser,
         };
       }
-      return { message: null, contentForHistory: null };
-    }
+      return { message: null, contentForHistory: null };
+    }
+
+    const contentPieces = [];
+    if (typeof trimmedUser === "string" && trimmedUser.length) {
+      contentPieces.push({ type: "text", text: trimmedUser });
+    }
+    contentPieces.push(...normalizedAttachments);
+
+    if (!contentPieces.length) {
+      return { message: null, contentForHistory: null };
+    }
+
+    return {
+      message: new HumanMessage({ content: contentPieces }),
+      contentForHistory: contentPieces,
+    };
+  }
+
+  /**
+    * Returns a cached LangChain client for the given model and sampling settings so we aren't
+    * rebuilding it each ask.
+    * @param {string} model
+    * @param {AiSampling} [sampling] Defaults to the instance's temperature and maxTokens.
+    * @returns {import("@langchain/openai").ChatOpenAI}
+    */
+   getClient(model, sampling = { temperature: this.temperature, maxTokens: this.maxTokens }) {
+     const key = `${model}\n${stableStringify(sampling)}`;
+     if (!this.clientCache.has(key)) {
+       const { temperature, maxTokens, topP, stop, seed, presencePenalty, frequencyPenalty } =
+         sampling;
+       const client = new ChatOpenAI({
+         apiKey: this.apiKey,
+         model,
+         temperature,
+         maxTokens,
+         topP,
+         stop,
+         presencePenalty,
+         frequencyPenalty,
+         // LangChain takes seed per request, not on the client, so it rides along as a raw param.
+         ...(seed !== undefined ? { modelKwargs: { seed } } : {}),
+         // Retries are handled by this.retry
+         maxRetries: 0,
+         configuration: {
+           baseURL: this.baseURL,
+           defaultHeaders: this.defaultHeaders,
+         },
+       });
+       this.clientCache.set(key, client);
+     }
+     return this.clientCache.get(key);
+   }
+
+  /**
+   * Shapes the message payload so LangChain gets the context in the order it expects.
+   * Non-LangChain messages are converted first.
+   * @param {{ system?: string, messages?: Array<import("@langchain/core/messages").BaseMessage|AiMessage>, user?: any, attachments?: AiAttachment[] }} params
+   * @returns {Array<import("@langchain/core/messages").BaseMessage>}
+   */
+  buildMessages({ system, messages = [], user, attachments = [] }) {
+    const payload = [];
+    if (system) {
+      payload.push(new SystemMessage(system));
+    }
+    if (messages.length) {
+      payload.push(
+        ...messages.map((message) =>
+          typeof message?._getType === "function"
+            ? message
+            : toLangChainMessage(toCanonicalMessage(message)),
+        ),
+      );
+    }
+    const { message } = this.buildUserMessagePayload({ user, attachments });
+    if (message) {
+      payload.push(message);
+    }
+    return payload;
+  }
+
+  /**
+   * Normalizes the AI response content into a clean string no matter the underlying format.
+   * @param {import("@langchain/core/messages").AIMessage | string | undefined} aiMessage
+   * @returns {string}
+   */
+  extractText(aiMessage) {
+    if (!aiMessage) return "";
+    if (typeof aiMessage.content === "string") {
+      return aiMessage.content;
+    }
+    if (Array.isArray(aiMessage.content)) {
+      return aiMessage.content
+        .map((chunk) => {
+          if (typeof chunk === "string") return chunk;
+          if (typeof chunk?.text === "string") return chunk.text;
+          if (typeof chunk?.content === "string") return chunk.content;
+          return "";
+        })
+        .join("\n")
+        .trim();
+    }
+    return "";
+  }
+
+  /**
+   * Sends a single prompt to one specific model with no fallbacks or tools. Used for side jobs
+   * like condensing history, where the model is chosen separately from the chat models.
+   * @param {string} model
+   * @param {{ system?: string, user: string }} options
+   * @returns {Promise<string>}
+   */
+  async completeWithModel(model, { system, user }) {
+    const request = await runHooks(this, "beforeRequest", {
+      provider: this.provider,
+      model,
+      operation: "summarize",
+      messages: this.buildMessages({ system, user }),
+      sampling: { temperature: this.temperature, maxTokens: this.maxTokens },
+    });
+    const response = await withRetry(
+      () =>
+        withTimeout(
+          (signal) =>
+            this.getClient(model, request.sampling).invoke(request.messages, { signal }),
+          this.requestTimeoutMs,
+          `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+        ),
+      this.retry,
+      {
+        label: `[AI] ${model}`,
+        provider: this.provider,
+        model,
+        logger: this.logger,
+        limiter: this.rateLimiter,
+      },
+    );
+    const text = this.extractText(response)?.trim();
+    if (!text) {
+      throw new EmptyResponseError(`Empty response from ${model}`, {
+        provider: this.provider,
+        model,
+      });
+    }
+    const reply = await runHooks(this, "afterResponse", {
+      ...request,
+      text,
+      raw: response,
+    });
+    return reply.text;
+  }
+
+  /**
+   * Adds a tool the models can call. Registering a tool with an existing name replaces it.
+   * @param {AiTool} tool
+   * @returns {this}
+   */
+  registerTool(tool) {
+    const normalized = normalizeToolDefinition(tool);
+    this.tools.set(normalized.name, normalized);
+    return this;
+  }
+
+  /**
+   * Adds a set of lifecycle hooks. They run in the order they were added.
+   * @param {AiHooks} hook
+   * @returns {this}
+   */
+  use(hook) {
+    this.hooks.push(normalizeHook(hook));
+    return this;
+  }
+
+  /**
+   * Runs the tool loop against one model until it answers in plain text or runs out of steps.
+   * On the last step tool_choice is set to "none" so the model has to wrap up with text.
+   * @param {string} model
+   * @param {Array<import("@langchain/core/messages").BaseMessage>} builtMessages
+   * @param {number} maxToolSteps
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<AiToolResult>}
+   */
+  async runToolLoop(model, builtMessages, maxToolSteps, signal, sampling) {
+    const specs = [...this.tools.values()].map(toFunctionToolSpec);
+    const conversation = [...builtMessages];
+    const toolCalls = [];
+    let usage = null;
+
+    for (let step = 0; ; step += 1) {
+      const canCallTools = step < maxToolSteps;
+      const request = await runHooks(this, "beforeRequest", {
+        provider: this.provider,
+        model,
+        operation: "askWithTools",
+        messages: conversation,
+        sampling,
+        tools: specs,
+        toolChoice: canCallTools ? "auto" : "none",
+      });
+      const client = this.getClient(model, request.sampling).bindTools(request.tools, {
+        tool_choice: request.toolChoice,
+      });
+      const response = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) => client.invoke(request.messages, { signal: requestSignal }),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[AI] ${model}`,
+          provider: this.provider,
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+      usage = addUsage(usage, normalizeUsage(response?.usage_metadata));
+
+      const calls = canCallTools ? response?.tool_calls || [] : [];
+      if (!calls.length) {
+        const text = this.extractText(response)?.trim();
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: this.provider,
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: response,
+        });
+        return {
+          text: reply.text,
+          toolCalls,
+          provider: this.provider,
+          model,
+          usage,
+          finishReason: response?.response_metadata?.finish_reason ?? null,
+          raw: response,
+        };
+      }
+
+      conversation.push(response);
+      for (const toolCall of calls) {
+        const { call, content } = await runToolCall(
+          this.tools,
+          { id: toolCall.id, name: toolCall.name, arguments: toolCall.args },
+          model,
+        );
+        toolCalls.push(call);
+        conversation.push(
+          new ToolMessage({ content, tool_call_id: toolCall.id }),
+        );
+      }
+    }
+  }
+
+  /**
+   * Asks with the registered tools, running tool calls until the model replies in plain text.
+   * Models are tried in order, never raced, so handlers don't run twice.
+   * @param {{ system?: string, user?: any, messages?: Array<import("@langchain/core/messages").BaseMessage>, attachments?: AiAttachment[], maxToolSteps?: number, signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiToolResult>}
+   */
+  async askWithTools({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxToolSteps = this.maxToolSteps,
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) {
+      throw new Error("No AI models configured");
+    }
+
+    const completion = { provider: this.provider, operation: "askWithTools" };
+    return completeWithHooks(this, completion, async () => {
+      const builtMessages = this.buildMessages({
+        system,
+        user,
+        messages,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const callStartedAt = Date.now();
+      const attempts = [];
+      for (const model of withClosedCircuits(this, this.provider, models)) {
+        const startedAt = Date.now();
+        try {
+          const result = await this.runToolLoop(
+            model,
+            builtMessages,
+            maxToolSteps,
+            signal,
+            sampling,
+          );
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, this.provider, model);
+          return {
+            ...result,
+            latencyMs: Date.now() - callStartedAt,
+            attempts: attempts.length + 1,
+            cached: false,
+          };
+        } catch (error) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: this.provider,
+            model,
+            error,
+            startedAt,
+          });
+          noteCircuitFailure(this, this.provider, model, error);
+          logFailedAttempt(this.logger, `[AI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askWithTools",
+            models,
+          });
+        }
+      }
+
+      throw new AllModelsFailedError("All AI models failed", attempts);
+    });
+  }
+
+  /**
+   * Runs one model until it returns JSON matching the schema, re-prompting with the
+   * validation errors up to maxRepairAttempts times.
+   * @param {string} model
+   * @param {Array<import("@langchain/core/messages").BaseMessage>} builtMessages
+   * @param {Record<string, any>} schema
+   * @param {number} maxRepairAttempts
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<any>}
+   */
+  async runJsonLoop(model, builtMessages, schema, maxRepairAttempts, signal, sampling) {
+    const conversation = [...builtMessages];
+    // json_object mode only allows a top-level object, so skip it for array/scalar schemas
+    const jsonMode = schema.type === "object";
+    let errors = [];
+    let rawText = "";
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt += 1) {
+      const request = await runHooks(this, "beforeRequest", {
+        provider: this.provider,
+        model,
+        operation: "askJson",
+        messages: conversation,
+        sampling,
+        responseFormat: jsonMode ? { type: "json_object" } : undefined,
+      });
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.getClient(model, request.sampling).invoke(request.messages, {
+                ...(request.responseFormat ? { response_format: request.responseFormat } : {}),
+                signal: requestSignal,
+              }),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[AI] ${model}`,
+          provider: this.provider,
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+
+      rawText = this.extractText(resp)?.trim();
+      if (!rawText) {
+        throw new EmptyResponseError(`Empty response from ${model}`, {
+          provider: this.provider,
+          model,
+        });
+      }
 
-    const contentPieces = [];
-    if (typeof trimmedUser === "string" && trimmedUser.length) {
-      contentPieces.push({ type: "text", text: trimmedUser });
-    }
-    contentPieces.push(...normalizedAttachments);
+      rawText = (
+        await runHooks(this, "afterResponse", {
+          ...request,
+          text: rawText,
+          raw: resp,
+        })
+      ).text;
 
-    if (!contentPieces.length) {
-      return { message: null, contentForHistory: null };
+      const parsed = parseJsonReply(rawText, schema);
+      if (!parsed.errors.length) return parsed.value;
+
+      errors = parsed.errors;
+      conversation.push(
+        new AIMessage(rawText),
+        new HumanMessage(buildJsonRepairPrompt(errors)),
+      );
     }
 
-    return {
-      message: new HumanMessage({ content: contentPieces }),
-      contentForHistory: contentPieces,
-    };
+    throw new JsonValidationError(
+      `Model ${model} did not return valid JSON after ${maxRepairAttempts + 1} attempts`,
+      { errors, rawText, model },
+    );
   }
 
   /**
-    * Returns a cached LangChain client for the given model so we aren't rebuilding it each ask.
-    * @param {string} model
-    * @returns {import("@langchain/openai").ChatOpenAI}
-    */
-   getClient(model) {
-     if (!this.clientCache.has(model)) {
-       const client = new ChatOpenAI({
-         apiKey: this.apiKey,
-         model,
-         temperature: this.temperature,
-         maxTokens: this.maxTokens,
-         configuration: {
-           baseURL: "https://openrouter.ai/api/v1",
-           defaultHeaders: this.defaultHeaders,
-         },
-       });
-       this.clientCache.set(model, client);
-     }
-     return this.clientCache.get(model);
-   }
-
-  /**
-   * Shapes the message payload so LangChain gets the context in the order it expects.
-   * @param {{ system?: string, messages?: Array<import("@langchain/core/messages").BaseMessage>, user?: any, attachments?: AiAttachment[] }} params
-   * @returns {Array<import("@langchain/core/messages").BaseMessage>}
+   * Asks for JSON matching a JSON Schema and resolves to the parsed value, re-prompting with
+   * the validation errors before falling back.
+   * @param {{ schema: Record<string, any>, system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxRepairAttempts?: number, signal?: AbortSignal } & AiCallOverrides} options
+   * @returns {Promise<any>}
+   * @throws {JsonValidationError} When no model produced valid JSON.
+   * @throws {AllModelsFailedError} When every model failed for some other reason.
    */
-  buildMessages({ system, messages = [], user, attachments = [] }) {
-    const payload = [];
-    if (system) {
-      payload.push(new SystemMessage(system));
-    }
-    if (messages.length) {
-      payload.push(...messages);
+  async askJson({
+    schema,
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxRepairAttempts = 2,
+    signal,
+    ...overrides
+  } = {}) {
+    if (!schema || typeof schema !== "object") {
+      throw new Error("schema is required for askJson()");
     }
-    const { message } = this.buildUserMessagePayload({ user, attachments });
-    if (message) {
-      payload.push(message);
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) {
+      throw new Error("No AI models configured");
     }
-    return payload;
+
+    const completion = { provider: this.provider, operation: "askJson" };
+    return completeWithHooks(this, completion, async () => {
+      const builtMessages = this.buildMessages({
+        system: [system, buildJsonInstruction(schema)]
+          .filter(Boolean)
+          .join("\n\n"),
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const attempts = [];
+      for (const model of withClosedCircuits(this, this.provider, models)) {
+        const startedAt = Date.now();
+        try {
+          const value = await this.runJsonLoop(
+            model,
+            builtMessages,
+            schema,
+            maxRepairAttempts,
+            signal,
+            sampling,
+          );
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, this.provider, model);
+          return value;
+        } catch (err) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: this.provider,
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, this.provider, model, err);
+          logFailedAttempt(this.logger, `[AI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askJson",
+            models,
+          });
+        }
+      }
+
+      throw jsonFailureFor("All AI models failed", attempts);
+    });
   }
 
   /**
-   * Normalizes the AI response content into a clean string no matter the underlying format.
-   * @param {import("@langchain/core/messages").AIMessage | string | undefined} aiMessage
-   * @returns {string}
+   * Sends a prompt to the configured models, trying fallbacks until one answers.
+   * Runs the tool loop instead when tools are registered.
+   * @param {{ system?: string, user?: any, messages?: Array<import("@langchain/core/messages").BaseMessage>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<string>}
    */
-  extractText(aiMessage) {
-    if (!aiMessage) return "";
-    if (typeof aiMessage.content === "string") {
-      return aiMessage.content;
+  async ask(options = {}) {
+    const { text } = await this.askDetailed(options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response (text, model, usage, latency, ...).
+   * @param {{ system?: string, user?: any, messages?: Array<import("@langchain/core/messages").BaseMessage>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed({ system, user, messages = [], attachments = [], signal, ...overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) {
+      throw new Error("No AI models configured");
     }
-    if (Array.isArray(aiMessage.content)) {
-      return aiMessage.content
-        .map((chunk) => {
-          if (typeof chunk === "string") return chunk;
-          if (typeof chunk?.text === "string") return chunk.text;
-          if (typeof chunk?.content === "string") return chunk.content;
-          return "";
-        })
-        .join("\n")
-        .trim();
+
+    if (this.tools.size) {
+      return this.askWithTools({
+        system,
+        user,
+        messages,
+        attachments,
+        signal,
+        ...overrides,
+      });
     }
-    return "";
+
+    const completion = { provider: this.provider, operation: "ask" };
+    return completeWithHooks(this, completion, async () => {
+      const builtMessages = this.buildMessages({
+        system,
+        user,
+        messages,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const callStartedAt = Date.now();
+      const runOnce = async (model, callSignal) => {
+        const request = await runHooks(this, "beforeRequest", {
+          provider: this.provider,
+          model,
+          operation: "ask",
+          messages: builtMessages,
+          sampling,
+        });
+        const response = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) =>
+                this.getClient(model, request.sampling).invoke(request.messages, { signal: requestSignal }),
+              this.requestTimeoutMs,
+              `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
+            ),
+          this.retry,
+          {
+            label: `[AI] ${model}`,
+            provider: this.provider,
+            model,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
+
+        const text = this.extractText(response)?.trim();
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: this.provider,
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: response,
+        });
+        return {
+          text: reply.text,
+          provider: this.provider,
+          model,
+          usage: normalizeUsage(response?.usage_metadata),
+          finishReason: response?.response_metadata?.finish_reason ?? null,
+          raw: response,
+        };
+      };
+
+      const callModels = async () => {
+        if (!this.firstToFinish || models.length === 1) {
+          const attempts = [];
+          for (const model of withClosedCircuits(this, this.provider, models)) {
+            const startedAt = Date.now();
+            try {
+              const result = await runOnce(model, signal);
+              this.lastUsedModel = model;
+              noteCircuitSuccess(this, this.provider, model);
+              return {
+                ...result,
+                latencyMs: Date.now() - callStartedAt,
+                attempts: attempts.length + 1,
+              };
+            } catch (error) {
+              if (signal?.aborted) throw abortErrorFor(signal);
+              recordAttempt(attempts, {
+                provider: this.provider,
+                model,
+                error,
+                startedAt,
+              });
+              noteCircuitFailure(this, this.provider, model, error);
+              logFailedAttempt(this.logger, `[AI] ${model} failed`, attempts);
+              await reportFailedAttempt(this, attempts, {
+                operation: "ask",
+                models,
+              });
+            }
+          }
+
+          throw new AllModelsFailedError("All AI models failed", attempts);
+        }
+
+        // Once a model wins, the rest are aborted so they stop running (and billing).
+        const race = new AbortController();
+        const raceSignal = anySignal([signal, race.signal]);
+
+        return new Promise((resolve, reject) => {
+          let settled = false;
+          const candidates = [...withClosedCircuits(this, this.provider, models)];
+          let remaining = candidates.length;
+          const attempts = [];
+
+          for (const model of candidates) {
+            (async () => {
+              const startedAt = Date.now();
+              try {
+                const result = await runOnce(model, raceSignal);
+                if (!settled) {
+                  settled = true;
+                  race.abort();
+                  this.lastUsedModel = model;
+                  noteCircuitSuccess(this, this.provider, model);
+                  resolve({
+                    ...result,
+                    latencyMs: Date.now() - callStartedAt,
+                    attempts: attempts.length + 1,
+                  });
+                }
+              } catch (error) {
+                if (settled) return;
+                if (signal?.aborted) {
+                  settled = true;
+                  reject(abortErrorFor(signal));
+                  return;
+                }
+                recordAttempt(attempts, {
+                  provider: this.provider,
+                  model,
+                  error,
+                  startedAt,
+                });
+                noteCircuitFailure(this, this.provider, model, error);
+                logFailedAttempt(this.logger, `[AI] ${model} failed`, attempts);
+                await reportFailedAttempt(this, attempts, { operation: "ask" });
+              } finally {
+                remaining -= 1;
+                if (!settled && remaining === 0) {
+                  settled = true;
+                  reject(new AllModelsFailedError("All AI models failed", attempts));
+                }
+              }
+            })();
+          }
+        });
+      };
+
+      const cacheKey = this.cache
+        ? cacheKeyFor({
+            provider: this.provider,
+            operation: "ask",
+            models,
+            sampling,
+            messages: builtMessages.map((message) => ({
+              role: message.getType(),
+              content: message.content,
+            })),
+          })
+        : null;
+      const { value, cached } = await withCache(
+        this,
+        cacheKey,
+        signal,
+        callModels,
+        toCachedResponse,
+      );
+      if (!cached) return { ...value, cached: false };
+      this.lastUsedModel = value.model;
+      return {
+        ...value,
+        raw: null,
+        latencyMs: Date.now() - callStartedAt,
+        attempts: 0,
+        cached: true,
+      };
+    });
   }
 
   /**
-   * Sends a prompt to the configured models, trying fallbacks until one answers.
-   * @param {{ system?: string, user?: any, messages?: Array<import("@langchain/core/messages").BaseMessage>, attachments?: AiAttachment[] }} [options]
-   * @returns {Promise<string>}
+   * Streams a reply from the configured models, yielding text deltas.
+   * A model that fails before its first token is skipped for the next one. afterResponse hooks
+   * can only change the done event's text, since the deltas have already been yielded.
+   * @param {{ system?: string, user?: any, messages?: Array<import("@langchain/core/messages").BaseMessage>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {AsyncGenerator<AiStreamEvent>}
    */
-  async ask({ system, user, messages = [], attachments = [] } = {}) {
-    if (!this.models.length) {
+  async *askStream({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) {
       throw new Error("No AI models configured");
     }
 
@@ -503,109 +5873,284 @@ class Ai {
       system,
       user,
       messages,
-      attachments,
+      attachments: await this.prepareAttachments(attachments, signal),
     });
 
-    if (!this.firstToFinish || this.models.length === 1) {
-      let lastError;
-      for (const model of this.models) {
+    const completion = { provider: this.provider, operation: "askStream" };
+    const callStartedAt = Date.now();
+    let settled = false;
+    try {
+      const attempts = [];
+      for (const model of withClosedCircuits(this, this.provider, models)) {
+        let started = false;
+        let permit = null;
+        let stream = null;
+        let usage = null;
+        const startedAt = Date.now();
         try {
-          const client = this.getClient(model);
-
-          let response;
-          if (this.requestTimeoutMs > 0) {
-            let timer;
-            const work = client.invoke(builtMessages).then((res) => {
-              if (timer) clearTimeout(timer);
-              return res;
-            });
-
-            const timeoutPromise = new Promise((_, reject) => {
-              timer = setTimeout(() => {
-                reject(
-                  new Error(
-                    `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                  ),
-                );
-              }, this.requestTimeoutMs);
-            });
-
-            response = await Promise.race([work, timeoutPromise]);
-          } else {
-            response = await client.invoke(builtMessages);
+          const request = await runHooks(this, "beforeRequest", {
+            provider: this.provider,
+            model,
+            operation: "askStream",
+            messages: builtMessages,
+            sampling,
+          });
+          const client = this.getClient(model, request.sampling);
+          // Held until the stream ends, so a long reply keeps its concurrency slot.
+          permit = this.rateLimiter
+            ? await this.rateLimiter.acquire({ provider: this.provider, model, signal })
+            : null;
+          stream = await withRetry(
+            () =>
+              openStreamWithTimeout(
+                (streamSignal) =>
+                  client.stream(request.messages, { signal: streamSignal }),
+                this.requestTimeoutMs,
+                `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+                signal,
+              ),
+            this.retry,
+            {
+              label: `[AI] ${model}`,
+              provider: this.provider,
+              model,
+              signal,
+              logger: this.logger,
+            },
+          );
+
+          let text = "";
+          for (let step = stream.first; !step.done; step = await stream.next()) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            const chunk = step.value;
+            if (chunk?.usage_metadata) usage = normalizeUsage(chunk.usage_metadata);
+            const delta = typeof chunk?.content === "string"
+              ? chunk.content
+              : this.extractText(chunk);
+            if (!delta) continue;
+            started = true;
+            text += delta;
+            yield { type: "delta", text: delta, model };
           }
 
-          const text = this.extractText(response)?.trim();
-          if (!text) {
-            throw new Error(`Empty response from ${model}`);
+          if (!text.trim()) {
+            throw new EmptyResponseError(`Empty response from ${model}`, {
+              provider: this.provider,
+              model,
+            });
           }
+          const reply = await runHooks(this, "afterResponse", {
+            ...request,
+            text: text.trim(),
+            raw: null,
+          });
           this.lastUsedModel = model;
-          return text;
+          noteCircuitSuccess(this, this.provider, model);
+          const done = { type: "done", text: reply.text, model, usage };
+          settled = true;
+          await reportCompletion(this, completion, callStartedAt, {
+            response: done,
+          });
+          yield done;
+          return;
         } catch (error) {
-          lastError = error;
-          console.error(`[AI] ${model} failed:`, error?.message || error);
+          if (signal?.aborted) throw abortErrorFor(signal);
+          if (started) throw toAiError(error, { provider: this.provider, model });
+          recordAttempt(attempts, {
+            provider: this.provider,
+            model,
+            error,
+            startedAt,
+          });
+          noteCircuitFailure(this, this.provider, model, error);
+          logFailedAttempt(this.logger, `[AI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askStream",
+            models,
+          });
+        } finally {
+          await stream?.close();
+          permit?.release(usage);
         }
       }
 
-      throw lastError || new Error("All AI models failed");
+      throw new AllModelsFailedError("All AI models failed", attempts);
+    } catch (error) {
+      settled = true;
+      await reportCompletion(this, completion, callStartedAt, { error });
+      throw error;
+    } finally {
+      // Reached without an error or a done event when the consumer stops reading early
+      if (!settled) {
+        await reportCompletion(this, completion, callStartedAt, { stopped: true });
+      }
     }
+  }
 
-    return new Promise((resolve, reject) => {
-      let settled = false;
-      let remaining = this.models.length;
-      let lastError;
+  /**
+   * Posts one batch to the OpenAI-compatible embeddings endpoint. LangChain's
+   * embeddings wrapper drops the usage block, so this talks to the API directly.
+   * @param {string} model
+   * @param {string[]} inputs
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+  async requestEmbeddings(model, inputs, signal) {
+    const response = await fetch(`${this.baseURL}/embeddings`, {
+      method: "POST",
+      headers: {
+        ...this.defaultHeaders,
+        Authorization: `Bearer ${this.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ model, input: inputs, encoding_format: "float" }),
+      signal,
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || body?.error) {
+      const error = new Error(
+        body?.error?.message ||
+          `Embeddings request to ${this.provider} failed with status ${response.status}`,
+      );
+      error.status = response.ok ? Number(body.error.code) || undefined : response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return body;
+  }
+
+  /**
+   * Turns text into embedding vectors, in batches of `batchSize`, with fallbacks like ask().
+   * @param {string|string[]} texts
+   * @param {{ model?: string|string[], batchSize?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<AiEmbeddingResult>}
+   */
+  async embed(
+    texts,
+    { model = this.embeddingModel, batchSize, signal } = {},
+  ) {
+    const inputs = normalizeEmbedInputs(texts);
+    const models = [].concat(model).filter(Boolean);
+    if (!models.length) throw new Error("model is required for embed()");
+    const batches = toEmbedBatches(inputs, batchSize);
+
+    const runOnce = async (targetModel, callSignal) => {
+      const embeddings = [];
+      let usage = null;
+      for (const batch of batches) {
+        const response = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) => this.requestEmbeddings(targetModel, batch, requestSignal),
+              this.requestTimeoutMs,
+              `Embedding model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
+            ),
+          this.retry,
+          {
+            label: `[AI] embeddings ${targetModel}`,
+            provider: this.provider,
+            model: targetModel,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
+        embeddings.push(
+          ...readEmbeddings(response, batch.length, {
+            provider: this.provider,
+            model: targetModel,
+          }),
+        );
+        usage = addUsage(usage, normalizeUsage(response?.usage));
+      }
+      return {
+        embeddings,
+        dimensions: embeddings[0].length,
+        provider: this.provider,
+        model: targetModel,
+        usage,
+      };
+    };
 
-      for (const model of this.models) {
-        (async () => {
+    const callModels = async () => {
+      if (!this.firstToFinish || models.length === 1) {
+        const attempts = [];
+        for (const m of withClosedCircuits(this, this.provider, models)) {
+          const startedAt = Date.now();
           try {
-            const client = this.getClient(model);
-
-            let response;
-            if (this.requestTimeoutMs > 0) {
-              let timer;
-              const work = client.invoke(builtMessages).then((res) => {
-                if (timer) clearTimeout(timer);
-                return res;
-              });
+            const result = await runOnce(m, signal);
+            this.lastUsedModel = m;
+            noteCircuitSuccess(this, this.provider, m);
+            return result;
+          } catch (error) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            recordAttempt(attempts, {
+              provider: this.provider,
+              model: m,
+              error,
+              startedAt,
+            });
+            noteCircuitFailure(this, this.provider, m, error);
+            logFailedAttempt(this.logger, "[AI] embeddings failed", attempts);
+          }
+        }
+        throw new AllModelsFailedError("All AI embedding models failed", attempts);
+      }
 
-              const timeoutPromise = new Promise((_, reject) => {
-                timer = setTimeout(() => {
-                  reject(
-                    new Error(
-                      `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                    ),
-                  );
-                }, this.requestTimeoutMs);
-              });
+      const race = new AbortController();
+      const raceSignal = anySignal([signal, race.signal]);
 
-              response = await Promise.race([work, timeoutPromise]);
-            } else {
-              response = await client.invoke(builtMessages);
-            }
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        const candidates = [...withClosedCircuits(this, this.provider, models)];
+        let remaining = candidates.length;
+        const attempts = [];
 
-            const text = this.extractText(response)?.trim();
-            if (!text) {
-              throw new Error(`Empty response from ${model}`);
+        for (const m of candidates) {
+          (async () => {
+            const startedAt = Date.now();
+            try {
+              const result = await runOnce(m, raceSignal);
+              if (!settled) {
+                settled = true;
+                race.abort();
+                this.lastUsedModel = m;
+                noteCircuitSuccess(this, this.provider, m);
+                resolve(result);
+              }
+            } catch (error) {
+              if (settled) return;
+              if (signal?.aborted) {
+                settled = true;
+                reject(abortErrorFor(signal));
+                return;
+              }
+              recordAttempt(attempts, {
+                provider: this.provider,
+                model: m,
+                error,
+                startedAt,
+              });
+              noteCircuitFailure(this, this.provider, m, error);
+              logFailedAttempt(this.logger, "[AI] embeddings failed", attempts);
+            } finally {
+              remaining -= 1;
+              if (!settled && remaining === 0) {
+                settled = true;
+                reject(new AllModelsFailedError("All AI embedding models failed", attempts));
+              }
             }
+          })();
+        }
+      });
+    };
 
-            if (!settled) {
-              settled = true;
-              this.lastUsedModel = model;
-              resolve(text);
-            }
-          } catch (error) {
-            lastError = error;
-            console.error(`[AI] ${model} failed:`, error?.message || error);
-          } finally {
-            remaining -= 1;
-            if (!settled && remaining === 0) {
-              settled = true;
-              reject(lastError || new Error("All AI models failed"));
-            }
-          }
-        })();
-      }
-    });
+    const cacheKey = this.cache
+      ? cacheKeyFor({ provider: this.provider, operation: "embed", models, inputs })
+      : null;
+    const { value, cached } = await withCache(this, cacheKey, signal, callModels);
+    return { ...value, cached };
   }
 }
 
@@ -615,93 +6160,210 @@ class Ai {
 class AiWithHistory extends Ai {
   /**
    * Rehydrates stored content into something LangChain message constructors understand.
+   * History written by any of the *WithHistory classes reads back the same way.
    * @param {string|Array|Record<string, any>} content
    * @returns {string|Record<string, any>}
    */
   formatStoredContent(content) {
-    if (Array.isArray(content)) {
-      return { content };
-    }
-    if (content && typeof content === "object" && "content" in content) {
-      return content;
-    }
-    return content;
+    const formatted = toProviderContent(content, "openai");
+    return typeof formatted === "string" ? formatted : { content: formatted };
   }
 
   /**
     * Boots the AI helper while wiring in a memory store for contextual answers.
+    * tokenBudget, summarization and recall control what gets replayed.
     * @param {{
-    *  memoryStore: AiMemoryStore,
+    *  memoryStore: AiMemoryBackend,
     *  memoryScope?: string,
-    *  historyLimit?: number
+    *  historyLimit?: number,
+    *  tokenBudget?: number|Record<string, number>,
+    *  tokenCounter?: ((text: string) => number)|{ count?: Function, encode?: Function },
+    *  attachmentTokens?: Record<string, number>,
+    *  summarization?: boolean|{ threshold?: number, keepRecent?: number, model?: string, summarizer?: { ask: Function }, prompt?: string },
+    *  recall?: boolean|AiVectorIndex|{ index?: AiVectorIndex, embedder?: { embed: Function }, model?: string, topK?: number, minScore?: number }
     * }} [options]
     */
    constructor({
      memoryStore,
      memoryScope = "default",
-     historyLimit = 10,
+     historyLimit,
+     tokenBudget,
+     tokenCounter,
+     attachmentTokens,
+     summarization,
+     recall,
      ...options
    } = {}) {
-     if (!memoryStore) {
-       throw new Error("memoryStore is required for AiWithHistory");
+     assertMemoryStore(memoryStore, "AiWithHistory");
+     const summarizationOptions = normalizeSummarizationOptions(summarization, memoryStore);
+     if (
+       summarizationOptions &&
+       typeof memoryStore.deleteOldest !== "function"
+     ) {
+       throw new Error(
+         "memoryStore for AiWithHistory must implement deleteOldest() to use summarization",
+       );
      }
      super(options);
      this.memoryStore = memoryStore;
      this.memoryScope = memoryScope;
-     this.historyLimit = historyLimit;
+     this.historyLimit = historyLimit ?? (tokenBudget ? 80 : 10);
+     this.tokenBudget = tokenBudget;
+     this.tokenCounter = tokenCounter;
+     this.attachmentTokens = attachmentTokens;
+     this.summarization = summarizationOptions;
+     this.summariesInFlight = new Set();
+     this.recall = normalizeRecallOptions(recall, this, "AiWithHistory");
    }
 
   /**
-   * Fetches chat history, asks the AI, and stores both the user and bot messages.
+   * Trims stored history to the token budget (if any), dropping the oldest turns first.
+   * @param {AiStoredMessage[]} entries
+   * @param {{ system?: string, userContent?: any, overrides?: AiCallOverrides }} [context] - The rest of the prompt (and any per-call model overrides), so the budget accounts for it.
+   * @returns {AiStoredMessage[]}
+   */
+  fitHistory(entries, { system, userContent, overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    return fitHistoryToBudget(entries, {
+      tokenBudget: this.tokenBudget,
+      models,
+      maxTokens: sampling.maxTokens,
+      tokenCounter: this.tokenCounter,
+      attachmentTokens: this.attachmentTokens,
+      system,
+      userContent,
+    });
+  }
+
+  /**
+   * Loads the stored history for a chat, trims it to the token budget (if any), and turns it
+   * into LangChain messages.
+   * @param {string|number} chatId
+   * @param {{ system?: string, userContent?: any, overrides?: AiCallOverrides, entries?: AiStoredMessage[] }} [context] - The rest of the prompt, as for fitHistory(). `entries` replaces the store read.
+   * @returns {Promise<Array<import("@langchain/core/messages").BaseMessage>>}
+   */
+  async loadHistory(chatId, { entries, ...context } = {}) {
+    const historyEntries = this.fitHistory(
+      entries ??
+        (await this.memoryStore.getHistory(chatId, this.memoryScope, this.historyLimit)),
+      context,
+    );
+
+    return historyEntries.map((entry) => {
+      const payload = this.formatStoredContent(entry.content);
+      return entry.role === "assistant"
+        ? new AIMessage(payload)
+        : new HumanMessage(payload);
+    });
+  }
+
+  /**
+   * Fetches chat history, asks the AI, and stores both the user and bot messages.
+   * @param {string|number} chatId
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<string>}
+   */
+  async ask(chatId, options = {}) {
+    const { text } = await this.askDetailed(chatId, options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response. History is saved the same way.
+   * @param {string|number} chatId
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) {
+      throw new Error("chatId is required for AiWithHistory");
+    }
+    attachments = await this.prepareAttachments(attachments, signal);
+
+    const { contentForHistory } = this.buildUserMessagePayload({
+      user,
+      attachments,
+    });
+
+    const context = await loadHistoryContext(this, chatId, {
+      system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[AI Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    const response = await super.askDetailed({
+      system: context.system,
+      user,
+      attachments,
+      messages: formattedHistory,
+      signal,
+      ...overrides,
+    });
+
+    // An aborted call never made it to the user, so it stays out of history
+    if (!signal?.aborted) {
+      persistHistoryExchange(this, chatId, contentForHistory, response.text, {
+        label: "[AI Memory]",
+        client: this,
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Streams a reply with chat history as context, saving the assembled reply once the stream finishes.
    * @param {string|number} chatId
-   * @param {{ system?: string, user?: any, attachments?: AiAttachment[] }} [options]
-   * @returns {Promise<string>}
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {AsyncGenerator<AiStreamEvent>}
    */
-  async ask(chatId, { system, user, attachments = [] } = {}) {
+  async *askStream(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
     if (!chatId) {
       throw new Error("chatId is required for AiWithHistory");
     }
-
-    const historyEntries = await this.memoryStore.getHistory(
-      chatId,
-      this.memoryScope,
-      this.historyLimit,
-    );
-
-    const formattedHistory = historyEntries.map((entry) => {
-      const payload = this.formatStoredContent(entry.content);
-      return entry.role === "assistant"
-        ? new AIMessage(payload)
-        : new HumanMessage(payload);
-    });
+    attachments = await this.prepareAttachments(attachments, signal);
 
     const { contentForHistory } = this.buildUserMessagePayload({
       user,
       attachments,
     });
 
-    const response = await super.ask({
+    const context = await loadHistoryContext(this, chatId, {
       system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[AI Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    for await (const event of super.askStream({
+      system: context.system,
       user,
       attachments,
       messages: formattedHistory,
-    });
-
-    const toPersist = [];
-    if (contentForHistory !== null && contentForHistory !== undefined) {
-      toPersist.push({ role: "user", content: contentForHistory });
-    }
-    if (response) toPersist.push({ role: "assistant", content: response });
-
-    if (toPersist.length) {
-      this.memoryStore
-        .appendMessages(chatId, this.memoryScope, toPersist)
-        .catch((err) => {
-          console.error("[AI Memory] Failed to persist chat:", err);
+      signal,
+      ...overrides,
+    })) {
+      if (event.type === "done" && !signal?.aborted) {
+        persistHistoryExchange(this, chatId, contentForHistory, event.text, {
+          label: "[AI Memory]",
+          client: this,
         });
+      }
+      yield event;
     }
-
-    return response;
   }
 
   /**
@@ -711,6 +6373,82 @@ class AiWithHistory extends Ai {
    */
   async clear(chatId) {
     await this.memoryStore.clearHistory(chatId, this.memoryScope);
+    if (this.summarization) {
+      await this.memoryStore.clearHistory(
+        chatId,
+        summaryScopeFor(this.memoryScope),
+      );
+    }
+    if (this.recall) {
+      await this.recall.index.clear(chatId, this.memoryScope);
+    }
+  }
+}
+
+/**
+ * Points an Ai instance at an OpenAI-compatible server instead of OpenRouter.
+ * @param {Ai} owner
+ * @param {{ baseURL: string, name?: string, defaultHeaders?: Record<string, string>, embeddingModel?: string }} endpoint
+ */
+function useCompatibleEndpoint(owner, { baseURL, name, defaultHeaders = {}, embeddingModel }) {
+  owner.baseURL = String(baseURL).replace(/\/+$/, "");
+  owner.provider = name || "openai-compatible";
+  // Only the caller's headers; OpenRouter's attribution headers mean nothing here.
+  owner.defaultHeaders = { ...defaultHeaders };
+  owner.embeddingModel = embeddingModel;
+}
+
+/**
+ * Ai for any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...). Requests go to
+ * `baseURL` and are labelled with `name`.
+ */
+class OpenAICompatibleAi extends Ai {
+  /**
+   * @param {{
+   *  baseURL: string,
+   *  model: string,
+   *  apiKey?: string,
+   *  name?: string,
+   *  embeddingModel?: string,
+   *  defaultHeaders?: Record<string, string>
+   * }} options - Plus every other Ai option.
+   */
+  constructor({ baseURL, apiKey, name, embeddingModel, defaultHeaders, ...options } = {}) {
+    if (!baseURL) {
+      throw new Error("baseURL is required for OpenAICompatibleAi");
+    }
+    if (!options.model) {
+      throw new Error("model is required for OpenAICompatibleAi");
+    }
+    // Local servers usually ignore the key, but the OpenAI client won't start without one.
+    super({ ...options, apiKey: apiKey || "not-needed" });
+    useCompatibleEndpoint(this, { baseURL, name, defaultHeaders, embeddingModel });
+  }
+}
+
+/**
+ * OpenAICompatibleAi with per-chat history; same API as AiWithHistory.
+ */
+class OpenAICompatibleAiWithHistory extends AiWithHistory {
+  /**
+   * @param {{
+   *  baseURL: string,
+   *  model: string,
+   *  apiKey?: string,
+   *  name?: string,
+   *  embeddingModel?: string,
+   *  defaultHeaders?: Record<string, string>
+   * }} options - Plus every AiWithHistory option.
+   */
+  constructor({ baseURL, apiKey, name, embeddingModel, defaultHeaders, ...options } = {}) {
+    if (!baseURL) {
+      throw new Error("baseURL is required for OpenAICompatibleAiWithHistory");
+    }
+    if (!options.model) {
+      throw new Error("model is required for OpenAICompatibleAiWithHistory");
+    }
+    super({ ...options, apiKey: apiKey || "not-needed" });
+    useCompatibleEndpoint(this, { baseURL, name, defaultHeaders, embeddingModel });
   }
 }
 
@@ -728,7 +6466,16 @@ class GroqAi {
    *  temperature?: number,
    *  maxTokens?: number,
    *  requestTimeoutMs?: number,
-   *  firstToFinish?: boolean
+   *  firstToFinish?: boolean,
+   *  tools?: AiTool[],
+   *  maxToolSteps?: number,
+   *  retry?: boolean|{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryOn?: (err: any, attempt: number) => boolean },
+   *  hooks?: AiHooks|AiHooks[],
+   *  logger?: AiLogger,
+   *  cache?: boolean|AiCacheBackend|{ store?: AiCacheBackend, ttlMs?: number },
+   *  rateLimit?: RateLimiter|{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number, maxWaitMs?: number, models?: Record<string, { requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number }> },
+   *  circuitBreaker?: boolean|CircuitBreaker|{ failureThreshold?: number, windowMs?: number, cooldownMs?: number, tripOn?: (error: any) => boolean },
+   *  attachmentOptions?: AiAttachmentOptions
    * }} [options]
    */
   constructor({
@@ -739,6 +6486,15 @@ class GroqAi {
      maxTokens = 1000,
      requestTimeoutMs = 20000,
      firstToFinish = false,
+     tools = [],
+     maxToolSteps = 5,
+     retry,
+     hooks,
+     logger,
+     cache,
+     rateLimit,
+     circuitBreaker,
+     attachmentOptions,
    } = {}) {
      if (!apiKey) {
        throw new Error("apiKey is required for GroqAi");
@@ -747,9 +6503,21 @@ class GroqAi {
      this.temperature = temperature;
      this.maxTokens = maxTokens;
      this.requestTimeoutMs = Number(requestTimeoutMs) || 0;
-     this.client = new Groq({ apiKey });
+     this.retry = normalizeRetryOptions(retry);
+     // Retries are handled by this.retry, so the SDK's own are switched off
+     this.client = new Groq({ apiKey, maxRetries: 0 });
      this.lastUsedModel = null;
      this.firstToFinish = firstToFinish;
+     this.tools = new Map();
+     this.maxToolSteps = maxToolSteps;
+     for (const tool of tools) this.registerTool(tool);
+     this.logger = resolveLogger(logger);
+     this.cache = normalizeCacheOptions(cache);
+     this.rateLimiter = normalizeRateLimit(rateLimit);
+     this.circuitBreaker = normalizeCircuitBreaker(circuitBreaker);
+     this.attachmentOptions = normalizeAttachmentOptions(attachmentOptions, "groq");
+     this.hooks = [];
+     for (const hook of [].concat(hooks ?? [])) this.use(hook);
    }
 
   /**
@@ -758,13 +6526,7 @@ class GroqAi {
    * @returns {Array}
    */
   ensureContentArray(content) {
-    if (Array.isArray(content)) {
-      return [...content];
-    }
-    if (typeof content === "string" && content.length) {
-      return [{ type: "text", text: content }];
-    }
-    return [];
+    return toProviderParts(content, "groq");
   }
 
   /**
@@ -782,60 +6544,81 @@ class GroqAi {
         return { type: "image_url", image_url: { url } };
       }
 
-      const dataUri = this.toDataUri(data, mimeType || "image/png");
+      const dataUri = this.toDataUri(data, mimeType);
       if (!dataUri) return null;
       return { type: "image_url", image_url: { url: dataUri } };
     }
 
     // Groq doesn't support video attachments yet, but we keep the structure for consistency
     if (type === "video") {
-      console.warn("[GroqAI] Video attachments not supported by Groq");
+      this.logger.warn("[GroqAI] Video attachments not supported by Groq", {
+        provider: "groq",
+      });
       return null;
     }
 
+    // Groq has no audio input either; prepareAttachments() transcribes clips before we get here
+    if (type === "audio") {
+      return toAudioAttachmentPart(attachment, "groq");
+    }
+
+    // Groq has no document input, so the text is extracted locally and inlined (document URLs
+    // are downloaded by prepareAttachments() first)
+    if (type === "document") {
+      const part = toDocumentPart(attachment);
+      return part ? toProviderParts([part], "groq")[0] : null;
+    }
+
     return null;
   }
 
   /**
-   * Converts incoming blobs into base64 so the API can ingest them inline.
+   * Runs processAttachments() against Groq's limits, downloading document URLs, then transcribes
+   * audio since Groq's chat models don't take it.
+   * @param {AiAttachment[]} attachments
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<AiAttachment[]>}
+   */
+  async prepareAttachments(attachments, signal) {
+    if (alreadyPrepared(this, attachments)) return attachments;
+    const { attachments: processed, changes } = await processAttachments(attachments, {
+      provider: "groq",
+      ...this.attachmentOptions,
+      fetchUrls: ["document"],
+      signal,
+    });
+    await reportAttachmentChanges(this, "[GroqAI]", "groq", changes);
+    return markPrepared(
+      this,
+      await transcribeAudioAttachments(this, processed, { provider: "groq", signal }),
+    );
+  }
+
+  /**
+   * Converts attachment data into base64 so the API can ingest it inline. Strings must be base64
+   * or a data URI; see encodeInlineAttachment().
    * @param {string|Buffer|undefined} data
+   * @param {string} [type] - Attachment type, named in the error for undecodable strings.
    * @returns {string|null}
    */
-  toBase64(data) {
-    if (!data) return null;
-    if (Buffer.isBuffer(data)) {
-      return data.toString("base64");
-    }
-    if (typeof data === "string") {
-      const trimmed = data.trim();
-      if (!trimmed) return null;
-      if (trimmed.startsWith("data:")) {
-        const base64Part = trimmed.substring(trimmed.indexOf(",") + 1);
-        return base64Part ? base64Part.trim() : null;
-      }
-      const base64Like = trimmed.replace(/\s+/g, "");
-      if (/^[A-Za-z0-9+/]+={0,2}$/.test(base64Like)) {
-        return base64Like;
-      }
-      return Buffer.from(trimmed).toString("base64");
-    }
-    return null;
+  toBase64(data, type = "image") {
+    return encodeInlineAttachment(data, type, "groq")?.base64 ?? null;
   }
 
   /**
    * Shapes data blobs into data URIs when the API expects them that way (mostly for images).
+   * Without a mimeType, the type is read from the bytes.
    * @param {string|Buffer|undefined} data
-   * @param {string} mimeType
+   * @param {string} [mimeType]
    * @returns {string|null}
    */
   toDataUri(data, mimeType) {
-    if (!data) return null;
     if (typeof data === "string" && data.trim().startsWith("data:")) {
       return data.trim();
     }
-    const encoded = this.toBase64(data);
+    const encoded = encodeInlineAttachment(data, "image", "groq");
     if (!encoded) return null;
-    return `data:${mimeType};base64,${encoded}`;
+    return `data:${mimeType || encoded.mimeType || "image/png"};base64,${encoded.base64}`;
   }
 
   /**
@@ -850,9 +6633,9 @@ class GroqAi {
           .filter(Boolean)
       : [];
 
-    const baseContent = this.ensureContentArray(
-      typeof user === "string" ? user : user?.content,
-    );
+    const userContent =
+      typeof user === "string" || Array.isArray(user) ? user : user?.content;
+    const baseContent = this.ensureContentArray(userContent);
 
     const contentPieces = [...baseContent, ...normalizedAttachments];
 
@@ -860,19 +6643,16 @@ class GroqAi {
       return { content: "", contentForHistory: null };
     }
 
-    // For Groq, if we have attachments, we need to use the content array format
+    // For Groq, if we have attachments (or media parts), we need to use the content array format
     // Otherwise, we can use a simple string
     const finalContent =
-      normalizedAttachments.length > 0
-        ? contentPieces
-        : typeof user === "string"
-          ? user
-          : user?.content || "";
+      typeof userContent === "string" && !normalizedAttachments.length
+        ? userContent
+        : contentPieces;
 
     return {
       content: finalContent,
-      contentForHistory:
-        normalizedAttachments.length > 0 ? contentPieces : finalContent,
+      contentForHistory: finalContent,
     };
   }
 
@@ -884,41 +6664,20 @@ class GroqAi {
     }
   }
 
-  async ask({ system, user, messages = [], attachments = [] } = {}) {
-    if (!this.models.length) throw new Error("No Groq models configured");
-
+  /**
+   * Shapes the system prompt, prior messages, and user turn into Groq chat messages.
+   * @param {{ system?: string, messages?: Array<any>, user?: any, attachments?: AiAttachment[] }} params
+   * @returns {Array<{ role: string, content: string|Array }>}
+   */
+  buildMessages({ system, messages = [], user, attachments = [] }) {
     const groqMessages = [];
     if (system) groqMessages.push({ role: "system", content: system });
 
     if (messages.length) {
+      // Canonical, LangChain, stored-history or other providers' messages all go through the
+      // canonical shape, so media parts and tool calls survive the trip.
       groqMessages.push(
-        ...messages.map((m) => {
-          // Handle plain objects that already have role/content
-          if (m.role && m.content) {
-            return {
-              role: m.role,
-              content:
-                typeof m.content === "string"
-                  ? m.content
-                  : JSON.stringify(m.content),
-            };
-          }
-          // Handle LangChain message objects
-          if (typeof m._getType === "function") {
-            return {
-              role: m._getType() === "ai" ? "assistant" : "user",
-              content:
-                typeof m.content === "string"
-                  ? m.content
-                  : JSON.stringify(m.content),
-            };
-          }
-          // Fallback for unknown format
-          return {
-            role: "user",
-            content: JSON.stringify(m),
-          };
-        }),
+        ...messages.map((m) => toChatMessage(toCanonicalMessage(m), "groq")),
       );
     }
 
@@ -928,207 +6687,956 @@ class GroqAi {
       groqMessages.push({ role: "user", content });
     }
 
-    if (!this.firstToFinish || this.models.length === 1) {
-      let lastError;
-      for (const model of this.models) {
+    return groqMessages;
+  }
+
+  /**
+   * Sends a single prompt to one specific Groq model with no fallbacks or tools.
+   * @param {string} model
+   * @param {{ system?: string, user: string }} options
+   * @returns {Promise<string>}
+   */
+  async completeWithModel(model, { system, user }) {
+    const request = await runHooks(this, "beforeRequest", {
+      provider: "groq",
+      model,
+      operation: "summarize",
+      messages: this.buildMessages({ system, user }),
+      sampling: { temperature: this.temperature, maxTokens: this.maxTokens },
+    });
+    const resp = await withRetry(
+      () =>
+        withTimeout(
+          (signal) =>
+            this.client.chat.completions.create(
+              {
+                model,
+                messages: request.messages,
+                ...toSamplingParams(request.sampling, GROQ_SAMPLING_PARAMS),
+              },
+              { signal },
+            ),
+          this.requestTimeoutMs,
+          `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+        ),
+      this.retry,
+      {
+        label: `[GroqAI] ${model}`,
+        provider: "groq",
+        model,
+        logger: this.logger,
+        limiter: this.rateLimiter,
+      },
+    );
+    const text = this.extractText(resp);
+    if (!text) {
+      throw new EmptyResponseError(`Empty response from ${model}`, {
+        provider: "groq",
+        model,
+      });
+    }
+    const reply = await runHooks(this, "afterResponse", {
+      ...request,
+      text,
+      raw: resp,
+    });
+    return reply.text;
+  }
+
+  /**
+   * Adds a tool the models can call. Registering a tool with an existing name replaces it.
+   * @param {AiTool} tool
+   * @returns {this}
+   */
+  registerTool(tool) {
+    const normalized = normalizeToolDefinition(tool);
+    this.tools.set(normalized.name, normalized);
+    return this;
+  }
+
+  /**
+   * Adds a set of lifecycle hooks. They run in the order they were added.
+   * @param {AiHooks} hook
+   * @returns {this}
+   */
+  use(hook) {
+    this.hooks.push(normalizeHook(hook));
+    return this;
+  }
+
+  /**
+   * Runs the tool loop against one Groq model until it answers in plain text or runs out of steps.
+   * @param {string} model
+   * @param {Array<Record<string, any>>} groqMessages
+   * @param {number} maxToolSteps
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<AiToolResult>}
+   */
+  async runToolLoop(
+    model,
+    groqMessages,
+    maxToolSteps,
+    signal,
+    sampling = { temperature: this.temperature, maxTokens: this.maxTokens },
+  ) {
+    const tools = [...this.tools.values()].map(toFunctionToolSpec);
+    const conversation = [...groqMessages];
+    const toolCalls = [];
+    let usage = null;
+
+    for (let step = 0; ; step += 1) {
+      const canCallTools = step < maxToolSteps;
+      const request = await runHooks(this, "beforeRequest", {
+        provider: "groq",
+        model,
+        operation: "askWithTools",
+        messages: conversation,
+        sampling,
+        tools,
+        toolChoice: canCallTools ? "auto" : "none",
+      });
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.chat.completions.create(
+                {
+                  model,
+                  messages: request.messages,
+                  ...toSamplingParams(request.sampling, GROQ_SAMPLING_PARAMS),
+                  tools: request.tools,
+                  tool_choice: request.toolChoice,
+                },
+                { signal: requestSignal },
+              ),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[GroqAI] ${model}`,
+          provider: "groq",
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+      usage = addUsage(usage, normalizeUsage(resp?.usage));
+
+      const message = resp?.choices?.[0]?.message;
+      const calls = canCallTools ? message?.tool_calls || [] : [];
+      if (!calls.length) {
+        const text = this.extractText(resp);
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: "groq",
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: resp,
+        });
+        return {
+          text: reply.text,
+          toolCalls,
+          provider: "groq",
+          model,
+          usage,
+          finishReason: resp?.choices?.[0]?.finish_reason ?? null,
+          raw: resp,
+        };
+      }
+
+      conversation.push({
+        role: "assistant",
+        content: message.content ?? null,
+        tool_calls: calls,
+      });
+      for (const toolCall of calls) {
+        const { call, content } = await runToolCall(
+          this.tools,
+          {
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments,
+          },
+          model,
+        );
+        toolCalls.push(call);
+        conversation.push({
+          role: "tool",
+          tool_call_id: toolCall.id,
+          content,
+        });
+      }
+    }
+  }
+
+  /**
+   * Asks with the registered tools, running tool calls until the model replies in plain text.
+   * Models are tried in order, never raced, so handlers don't run twice.
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxToolSteps?: number, signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiToolResult>}
+   */
+  async askWithTools({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxToolSteps = this.maxToolSteps,
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Groq models configured");
+
+    const completion = { provider: "groq", operation: "askWithTools" };
+    return completeWithHooks(this, completion, async () => {
+      const groqMessages = this.buildMessages({
+        system,
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const callStartedAt = Date.now();
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "groq", models)) {
+        const startedAt = Date.now();
         try {
-          const work = this.client.chat.completions.create({
+          const result = await this.runToolLoop(
             model,
-            messages: groqMessages,
-            temperature: this.temperature,
-            max_tokens: this.maxTokens,
+            groqMessages,
+            maxToolSteps,
+            signal,
+            sampling,
+          );
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, "groq", model);
+          return {
+            ...result,
+            latencyMs: Date.now() - callStartedAt,
+            attempts: attempts.length + 1,
+            cached: false,
+          };
+        } catch (err) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: "groq",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "groq", model, err);
+          logFailedAttempt(this.logger, `[GroqAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askWithTools",
+            models,
           });
+        }
+      }
 
-          const resp =
-            this.requestTimeoutMs > 0
-              ? await Promise.race([
-                  work,
-                  new Promise((_, reject) =>
-                    setTimeout(
-                      () =>
-                        reject(
-                          new Error(
-                            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                          ),
-                        ),
-                      this.requestTimeoutMs,
-                    ),
-                  ),
-                ])
-              : await work;
+      throw new AllModelsFailedError("All Groq models failed", attempts);
+    });
+  }
+
+  /**
+   * Runs one Groq model until it returns JSON matching the schema, re-prompting with the
+   * validation errors up to maxRepairAttempts times.
+   * @param {string} model
+   * @param {Array<Record<string, any>>} groqMessages
+   * @param {Record<string, any>} schema
+   * @param {number} maxRepairAttempts
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<any>}
+   */
+  async runJsonLoop(
+    model,
+    groqMessages,
+    schema,
+    maxRepairAttempts,
+    signal,
+    sampling = { temperature: this.temperature, maxTokens: this.maxTokens },
+  ) {
+    const conversation = [...groqMessages];
+    const jsonMode = schema.type === "object";
+    let errors = [];
+    let rawText = "";
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt += 1) {
+      const request = await runHooks(this, "beforeRequest", {
+        provider: "groq",
+        model,
+        operation: "askJson",
+        messages: conversation,
+        sampling,
+        responseFormat: jsonMode ? { type: "json_object" } : undefined,
+      });
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.chat.completions.create(
+                {
+                  model,
+                  messages: request.messages,
+                  ...toSamplingParams(request.sampling, GROQ_SAMPLING_PARAMS),
+                  ...(request.responseFormat ? { response_format: request.responseFormat } : {}),
+                },
+                { signal: requestSignal },
+              ),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[GroqAI] ${model}`,
+          provider: "groq",
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+
+      rawText = this.extractText(resp)?.trim();
+      if (!rawText) {
+        throw new EmptyResponseError(`Empty response from ${model}`, {
+          provider: "groq",
+          model,
+        });
+      }
+
+      rawText = (
+        await runHooks(this, "afterResponse", {
+          ...request,
+          text: rawText,
+          raw: resp,
+        })
+      ).text;
+
+      const parsed = parseJsonReply(rawText, schema);
+      if (!parsed.errors.length) return parsed.value;
+
+      errors = parsed.errors;
+      conversation.push(
+        { role: "assistant", content: rawText },
+        { role: "user", content: buildJsonRepairPrompt(errors) },
+      );
+    }
+
+    throw new JsonValidationError(
+      `Model ${model} did not return valid JSON after ${maxRepairAttempts + 1} attempts`,
+      { errors, rawText, model },
+    );
+  }
+
+  /**
+   * Asks for JSON matching a JSON Schema and resolves to the parsed value, re-prompting with
+   * the validation errors before falling back.
+   * @param {{ schema: Record<string, any>, system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxRepairAttempts?: number, signal?: AbortSignal } & AiCallOverrides} options
+   * @returns {Promise<any>}
+   * @throws {JsonValidationError} When no model produced valid JSON.
+   * @throws {AllModelsFailedError} When every model failed for some other reason.
+   */
+  async askJson({
+    schema,
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxRepairAttempts = 2,
+    signal,
+    ...overrides
+  } = {}) {
+    if (!schema || typeof schema !== "object") {
+      throw new Error("schema is required for askJson()");
+    }
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Groq models configured");
 
-          const text = this.extractText(resp);
-          if (!text) throw new Error(`Empty response from ${model}`);
+    const completion = { provider: "groq", operation: "askJson" };
+    return completeWithHooks(this, completion, async () => {
+      const groqMessages = this.buildMessages({
+        system: [system, buildJsonInstruction(schema)]
+          .filter(Boolean)
+          .join("\n\n"),
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
 
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "groq", models)) {
+        const startedAt = Date.now();
+        try {
+          const value = await this.runJsonLoop(
+            model,
+            groqMessages,
+            schema,
+            maxRepairAttempts,
+            signal,
+            sampling,
+          );
           this.lastUsedModel = model;
-          return text;
+          noteCircuitSuccess(this, "groq", model);
+          return value;
         } catch (err) {
-          lastError = err;
-          console.error(`[GroqAI] ${model} failed:`, err?.message || err);
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: "groq",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "groq", model, err);
+          logFailedAttempt(this.logger, `[GroqAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askJson",
+            models,
+          });
         }
       }
 
-      throw lastError || new Error("All Groq models failed");
+      throw jsonFailureFor("All Groq models failed", attempts);
+    });
+  }
+
+  async ask(options = {}) {
+    const { text } = await this.askDetailed(options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response (text, model, usage, latency, ...).
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed({ system, user, messages = [], attachments = [], signal, ...overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Groq models configured");
+
+    if (this.tools.size) {
+      return this.askWithTools({
+        system,
+        user,
+        messages,
+        attachments,
+        signal,
+        ...overrides,
+      });
     }
 
-    return new Promise((resolve, reject) => {
-      let settled = false;
-      let remaining = this.models.length;
-      let lastError;
+    const completion = { provider: "groq", operation: "ask" };
+    return completeWithHooks(this, completion, async () => {
+      const groqMessages = this.buildMessages({
+        system,
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
 
-      for (const model of this.models) {
-        (async () => {
-          try {
-            const work = this.client.chat.completions.create({
-              model,
-              messages: groqMessages,
-              temperature: this.temperature,
-              max_tokens: this.maxTokens,
-            });
+      const callStartedAt = Date.now();
+      const runOnce = async (model, callSignal) => {
+        const request = await runHooks(this, "beforeRequest", {
+          provider: "groq",
+          model,
+          operation: "ask",
+          messages: groqMessages,
+          sampling,
+        });
+        const resp = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) =>
+                this.client.chat.completions.create(
+                  {
+                    model,
+                    messages: request.messages,
+                    ...toSamplingParams(request.sampling, GROQ_SAMPLING_PARAMS),
+                  },
+                  { signal: requestSignal },
+                ),
+              this.requestTimeoutMs,
+              `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
+            ),
+          this.retry,
+          {
+            label: `[GroqAI] ${model}`,
+            provider: "groq",
+            model,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
+
+        const text = this.extractText(resp);
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: "groq",
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: resp,
+        });
+        return {
+          text: reply.text,
+          provider: "groq",
+          model,
+          usage: normalizeUsage(resp?.usage),
+          finishReason: resp?.choices?.[0]?.finish_reason ?? null,
+          raw: resp,
+        };
+      };
 
-            const resp =
-              this.requestTimeoutMs > 0
-                ? await Promise.race([
-                    work,
-                    new Promise((_, reject) =>
-                      setTimeout(
-                        () =>
-                          reject(
-                            new Error(
-                              `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                            ),
-                          ),
-                        this.requestTimeoutMs,
-                      ),
-                    ),
-                  ])
-                : await work;
-
-            const text = this.extractText(resp);
-            if (!text) throw new Error(`Empty response from ${model}`);
-
-            if (!settled) {
-              settled = true;
+      const callModels = async () => {
+        if (!this.firstToFinish || models.length === 1) {
+          const attempts = [];
+          for (const model of withClosedCircuits(this, "groq", models)) {
+            const startedAt = Date.now();
+            try {
+              const result = await runOnce(model, signal);
               this.lastUsedModel = model;
-              resolve(text);
-            }
-          } catch (err) {
-            lastError = err;
-            console.error(`[GroqAI] ${model} failed:`, err?.message || err);
-          } finally {
-            remaining -= 1;
-            if (!settled && remaining === 0) {
-              settled = true;
-              reject(lastError || new Error("All Groq models failed"));
+              noteCircuitSuccess(this, "groq", model);
+              return {
+                ...result,
+                latencyMs: Date.now() - callStartedAt,
+                attempts: attempts.length + 1,
+              };
+            } catch (err) {
+              if (signal?.aborted) throw abortErrorFor(signal);
+              recordAttempt(attempts, {
+                provider: "groq",
+                model,
+                error: err,
+                startedAt,
+              });
+              noteCircuitFailure(this, "groq", model, err);
+              logFailedAttempt(this.logger, `[GroqAI] ${model} failed`, attempts);
+              await reportFailedAttempt(this, attempts, {
+                operation: "ask",
+                models,
+              });
             }
           }
-        })();
-      }
+
+          throw new AllModelsFailedError("All Groq models failed", attempts);
+        }
+
+        const race = new AbortController();
+        const raceSignal = anySignal([signal, race.signal]);
+
+        return new Promise((resolve, reject) => {
+          let settled = false;
+          const candidates = [...withClosedCircuits(this, "groq", models)];
+          let remaining = candidates.length;
+          const attempts = [];
+
+          for (const model of candidates) {
+            (async () => {
+              const startedAt = Date.now();
+              try {
+                const result = await runOnce(model, raceSignal);
+                if (!settled) {
+                  settled = true;
+                  race.abort();
+                  this.lastUsedModel = model;
+                  noteCircuitSuccess(this, "groq", model);
+                  resolve({
+                    ...result,
+                    latencyMs: Date.now() - callStartedAt,
+                    attempts: attempts.length + 1,
+                  });
+                }
+              } catch (err) {
+                if (settled) return;
+                if (signal?.aborted) {
+                  settled = true;
+                  reject(abortErrorFor(signal));
+                  return;
+                }
+                recordAttempt(attempts, {
+                  provider: "groq",
+                  model,
+                  error: err,
+                  startedAt,
+                });
+                noteCircuitFailure(this, "groq", model, err);
+                logFailedAttempt(this.logger, `[GroqAI] ${model} failed`, attempts);
+                await reportFailedAttempt(this, attempts, { operation: "ask" });
+              } finally {
+                remaining -= 1;
+                if (!settled && remaining === 0) {
+                  settled = true;
+                  reject(new AllModelsFailedError("All Groq models failed", attempts));
+                }
+              }
+            })();
+          }
+        });
+      };
+
+      const cacheKey = this.cache
+        ? cacheKeyFor({
+            provider: "groq",
+            operation: "ask",
+            models,
+            sampling,
+            messages: groqMessages,
+          })
+        : null;
+      const { value, cached } = await withCache(
+        this,
+        cacheKey,
+        signal,
+        callModels,
+        toCachedResponse,
+      );
+      if (!cached) return { ...value, cached: false };
+      this.lastUsedModel = value.model;
+      return {
+        ...value,
+        raw: null,
+        latencyMs: Date.now() - callStartedAt,
+        attempts: 0,
+        cached: true,
+      };
+    });
+  }
+
+  /**
+   * Streams a reply from the configured Groq models, yielding text deltas.
+   * A model that fails before its first token is skipped for the next one.
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {AsyncGenerator<AiStreamEvent>}
+   */
+  async *askStream({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Groq models configured");
+
+    const groqMessages = this.buildMessages({
+      system,
+      messages,
+      user,
+      attachments: await this.prepareAttachments(attachments, signal),
     });
+
+    const completion = { provider: "groq", operation: "askStream" };
+    const callStartedAt = Date.now();
+    let settled = false;
+    try {
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "groq", models)) {
+        let started = false;
+        let permit = null;
+        let stream = null;
+        let usage = null;
+        const startedAt = Date.now();
+        try {
+          const request = await runHooks(this, "beforeRequest", {
+            provider: "groq",
+            model,
+            operation: "askStream",
+            messages: groqMessages,
+            sampling,
+          });
+          permit = this.rateLimiter
+            ? await this.rateLimiter.acquire({ provider: "groq", model, signal })
+            : null;
+          stream = await withRetry(
+            () =>
+              openStreamWithTimeout(
+                (streamSignal) =>
+                  this.client.chat.completions.create(
+                    {
+                      model,
+                      messages: request.messages,
+                      ...toSamplingParams(request.sampling, GROQ_SAMPLING_PARAMS),
+                      stream: true,
+                    },
+                    { signal: streamSignal },
+                  ),
+                this.requestTimeoutMs,
+                `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+                signal,
+              ),
+            this.retry,
+            {
+              label: `[GroqAI] ${model}`,
+              provider: "groq",
+              model,
+              signal,
+              logger: this.logger,
+            },
+          );
+
+          let text = "";
+          for (let step = stream.first; !step.done; step = await stream.next()) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            const chunk = step.value;
+            if (chunk?.x_groq?.usage) usage = normalizeUsage(chunk.x_groq.usage);
+            const delta = chunk?.choices?.[0]?.delta?.content;
+            if (!delta) continue;
+            started = true;
+            text += delta;
+            yield { type: "delta", text: delta, model };
+          }
+
+          if (!text.trim()) {
+            throw new EmptyResponseError(`Empty response from ${model}`, {
+              provider: "groq",
+              model,
+            });
+          }
+
+          const reply = await runHooks(this, "afterResponse", {
+            ...request,
+            text: text.trim(),
+            raw: null,
+          });
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, "groq", model);
+          const done = { type: "done", text: reply.text, model, usage };
+          settled = true;
+          await reportCompletion(this, completion, callStartedAt, {
+            response: done,
+          });
+          yield done;
+          return;
+        } catch (err) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          if (started) throw toAiError(err, { provider: "groq", model });
+          recordAttempt(attempts, {
+            provider: "groq",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "groq", model, err);
+          logFailedAttempt(this.logger, `[GroqAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askStream",
+            models,
+          });
+        } finally {
+          await stream?.close();
+          permit?.release(usage);
+        }
+      }
+
+      throw new AllModelsFailedError("All Groq models failed", attempts);
+    } catch (error) {
+      settled = true;
+      await reportCompletion(this, completion, callStartedAt, { error });
+      throw error;
+    } finally {
+      if (!settled) {
+        await reportCompletion(this, completion, callStartedAt, { stopped: true });
+      }
+    }
   }
 
   /**
    * Transcribes an audio file using Groq Whisper.
    * @param {Object} options
-   * @param {string|Buffer|fs.ReadStream} options.file - Path, buffer, or stream
+   * @param {string|Buffer|fs.ReadStream} options.file - Path, URL, buffer, or stream
    * @param {string} [options.model="whisper-large-v3-turbo"]
    * @param {number} [options.temperature=0]
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<string>}
    */
-  async transcribe({
+  async transcribe(options = {}) {
+    const { text } = await this.transcribeDetailed(options);
+    return text;
+  }
+
+  /**
+   * Same as transcribe(), but with segment timestamps, the language and the duration.
+   * @param {Object} options
+   * @param {string|Buffer|fs.ReadStream} options.file - Path, URL, buffer, or stream
+   * @param {string} [options.model="whisper-large-v3-turbo"]
+   * @param {number} [options.temperature=0]
+   * @param {Array<"word"|"segment">} [options.timestamp_granularities] - Segments only by default
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<AiTranscription>}
+   */
+  async transcribeDetailed({
     file,
     model = "whisper-large-v3-turbo",
     temperature = 0,
+    timestamp_granularities,
+    signal,
   } = {}) {
     if (!file) throw new Error("file is required for GroqAi.transcribe");
 
-    let input;
-    if (typeof file === "string") {
-      // path
-      const fs = require("fs");
-      input = fs.createReadStream(file);
-    } else {
-      // buffer or stream
-      input = file;
-    }
+    // A path gets a fresh read stream per request so retries don't send a drained stream.
+    // URLs are fetched by Groq, and a Buffer is wrapped once as an uploadable file.
+    const isUrl = typeof file === "string" && /^https?:\/\//i.test(file);
+    const upload = Buffer.isBuffer(file) ? await Groq.toFile(file, "audio.mp3") : file;
+    const openInput = () =>
+      isUrl
+        ? { url: file }
+        : { file: typeof file === "string" ? fs.createReadStream(file) : upload };
 
     const models = model ? [model] : this.models.length ? this.models : [
       "whisper-large-v3-turbo",
     ];
 
-    const runOnce = async (targetModel) => {
-      const work = this.client.audio.transcriptions.create({
-        file: input,
-        model: targetModel,
-        temperature,
-        response_format: "verbose_json",
-      });
-
-      const resp =
-        this.requestTimeoutMs > 0
-          ? await Promise.race([
-              work,
-              new Promise((_, reject) =>
-                setTimeout(
-                  () =>
-                    reject(
-                      new Error(
-                        `Groq transcription model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
-                      ),
-                    ),
-                  this.requestTimeoutMs,
-                ),
+    const runOnce = async (targetModel, callSignal) => {
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.audio.transcriptions.create(
+                {
+                  ...openInput(),
+                  model: targetModel,
+                  temperature,
+                  response_format: "verbose_json",
+                  ...(timestamp_granularities ? { timestamp_granularities } : {}),
+                },
+                { signal: requestSignal },
               ),
-            ])
-          : await work;
+            this.requestTimeoutMs,
+            `Groq transcription model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
+            callSignal,
+          ),
+        this.retry,
+        {
+          label: `[GroqAI] transcription ${targetModel}`,
+          provider: "groq",
+          model: targetModel,
+          signal: callSignal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
 
       const text = resp?.text || "";
-      if (!text) throw new Error(`Groq transcription returned empty text for ${targetModel}`);
-      return text.trim();
+      if (!text) {
+        throw new EmptyResponseError(`Groq transcription returned empty text for ${targetModel}`, {
+          provider: "groq",
+          model: targetModel,
+        });
+      }
+      return normalizeTranscription(resp, { provider: "groq", model: targetModel });
     };
 
-    if (!this.firstToFinish || models.length === 1) {
-      let lastError;
-      for (const m of models) {
-        try {
-          const text = await runOnce(m);
-          this.lastUsedModel = m;
-          return text;
-        } catch (err) {
-          lastError = err;
-          console.error("[GroqAI] transcription failed:", err?.message || err);
+    const callModels = async () => {
+      if (!this.firstToFinish || models.length === 1) {
+        const attempts = [];
+        for (const m of withClosedCircuits(this, "groq", models)) {
+          const startedAt = Date.now();
+          try {
+            const text = await runOnce(m, signal);
+            this.lastUsedModel = m;
+            noteCircuitSuccess(this, "groq", m);
+            return text;
+          } catch (err) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            recordAttempt(attempts, {
+              provider: "groq",
+              model: m,
+              error: err,
+              startedAt,
+            });
+            noteCircuitFailure(this, "groq", m, err);
+            logFailedAttempt(this.logger, "[GroqAI] transcription failed", attempts);
+          }
         }
+        throw new AllModelsFailedError("All Groq transcription models failed", attempts);
       }
-      throw lastError || new Error("All Groq transcription models failed");
-    }
 
-    return new Promise((resolve, reject) => {
-      let settled = false;
-      let remaining = models.length;
-      let lastError;
+      const race = new AbortController();
+      const raceSignal = anySignal([signal, race.signal]);
 
-      for (const m of models) {
-        (async () => {
-          try {
-            const text = await runOnce(m);
-            if (!settled) {
-              settled = true;
-              this.lastUsedModel = m;
-              resolve(text);
-            }
-          } catch (err) {
-            lastError = err;
-            console.error("[GroqAI] transcription failed:", err?.message || err);
-          } finally {
-            remaining -= 1;
-            if (!settled && remaining === 0) {
-              settled = true;
-              reject(lastError || new Error("All Groq transcription models failed"));
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        const candidates = [...withClosedCircuits(this, "groq", models)];
+        let remaining = candidates.length;
+        const attempts = [];
+
+        for (const m of candidates) {
+          (async () => {
+            const startedAt = Date.now();
+            try {
+              const text = await runOnce(m, raceSignal);
+              if (!settled) {
+                settled = true;
+                race.abort();
+                this.lastUsedModel = m;
+                noteCircuitSuccess(this, "groq", m);
+                resolve(text);
+              }
+            } catch (err) {
+              if (settled) return;
+              if (signal?.aborted) {
+                settled = true;
+                reject(abortErrorFor(signal));
+                return;
+              }
+              recordAttempt(attempts, {
+                provider: "groq",
+                model: m,
+                error: err,
+                startedAt,
+              });
+              noteCircuitFailure(this, "groq", m, err);
+              logFailedAttempt(this.logger, "[GroqAI] transcription failed", attempts);
+            } finally {
+              remaining -= 1;
+              if (!settled && remaining === 0) {
+                settled = true;
+                reject(
+                  new AllModelsFailedError("All Groq transcription models failed", attempts),
+                );
+              }
             }
-          }
-        })();
-      }
-    });
+          })();
+        }
+      });
+    };
+
+    const fingerprint = this.cache ? await fingerprintFile(file) : null;
+    const cacheKey = fingerprint
+      ? cacheKeyFor({
+          provider: "groq",
+          operation: "transcribeDetailed",
+          models,
+          temperature,
+          timestamp_granularities,
+          file: fingerprint,
+        })
+      : null;
+    const { value, cached } = await withCache(
+      this,
+      cacheKey,
+      signal,
+      callModels,
+      toCachedTranscription,
+    );
+    if (!cached) return value;
+    this.lastUsedModel = value.model;
+    return { ...value, cached: true, raw: null };
   }
 }
 
@@ -1140,73 +7648,169 @@ class GroqAiWithHistory extends GroqAi {
    constructor({
      memoryStore,
      memoryScope = "default",
-     historyLimit = 10,
+     historyLimit,
+     tokenBudget,
+     tokenCounter,
+     attachmentTokens,
+     summarization,
+     recall,
      ...options
    } = {}) {
-     if (!memoryStore) {
-       throw new Error("memoryStore is required for GroqAiWithHistory");
+     assertMemoryStore(memoryStore, "GroqAiWithHistory");
+     const summarizationOptions = normalizeSummarizationOptions(summarization, memoryStore);
+     if (
+       summarizationOptions &&
+       typeof memoryStore.deleteOldest !== "function"
+     ) {
+       throw new Error(
+         "memoryStore for GroqAiWithHistory must implement deleteOldest() to use summarization",
+       );
      }
      super(options);
      this.memoryStore = memoryStore;
      this.memoryScope = memoryScope;
-     this.historyLimit = historyLimit;
+     this.historyLimit = historyLimit ?? (tokenBudget ? 80 : 10);
+     this.tokenBudget = tokenBudget;
+     this.tokenCounter = tokenCounter;
+     this.attachmentTokens = attachmentTokens;
+     this.summarization = summarizationOptions;
+     this.summariesInFlight = new Set();
+     this.recall = normalizeRecallOptions(recall, this, "GroqAiWithHistory");
    }
 
   formatStoredContent(content) {
-    if (Array.isArray(content)) return content.join("\n");
-    if (typeof content === "object" && content !== null) {
-      return JSON.stringify(content);
-    }
-    return content;
+    return toProviderContent(content, "groq");
   }
 
-  async ask(chatId, { system, user, attachments = [] } = {}) {
-    if (!chatId) throw new Error("chatId is required for GroqAiWithHistory");
+  fitHistory(entries, { system, userContent, overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    return fitHistoryToBudget(entries, {
+      tokenBudget: this.tokenBudget,
+      models,
+      maxTokens: sampling.maxTokens,
+      tokenCounter: this.tokenCounter,
+      attachmentTokens: this.attachmentTokens,
+      system,
+      userContent,
+    });
+  }
 
-    const history = await this.memoryStore.getHistory(
-      chatId,
-      this.memoryScope,
-      this.historyLimit,
+  async loadHistory(chatId, { entries, ...context } = {}) {
+    const history = this.fitHistory(
+      entries ??
+        (await this.memoryStore.getHistory(chatId, this.memoryScope, this.historyLimit)),
+      context,
     );
 
-    const formattedHistory = history.map((entry) => ({
+    return history.map((entry) => ({
       role: entry.role === "assistant" ? "assistant" : "user",
       content: this.formatStoredContent(entry.content),
     }));
+  }
+
+  async ask(chatId, options = {}) {
+    const { text } = await this.askDetailed(chatId, options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response. History is saved the same way.
+   * @param {string|number} chatId
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) throw new Error("chatId is required for GroqAiWithHistory");
+    attachments = await this.prepareAttachments(attachments, signal);
 
     const { contentForHistory } = this.buildUserMessagePayload({
       user,
       attachments,
     });
 
-    const response = await super.ask({
+    const context = await loadHistoryContext(this, chatId, {
       system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[Groq Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    const response = await super.askDetailed({
+      system: context.system,
       user,
       attachments,
       messages: formattedHistory,
+      signal,
+      ...overrides,
     });
 
-    const toPersist = [];
-    if (contentForHistory !== null && contentForHistory !== undefined) {
-      toPersist.push({ role: "user", content: contentForHistory });
-    }
-    if (response) {
-      toPersist.push({ role: "assistant", content: response });
+    if (!signal?.aborted) {
+      persistHistoryExchange(this, chatId, contentForHistory, response.text, {
+        label: "[Groq Memory]",
+        client: this,
+      });
     }
 
-    if (toPersist.length) {
-      this.memoryStore
-        .appendMessages(chatId, this.memoryScope, toPersist)
-        .catch((e) => {
-          console.error("[Groq Memory] Failed to persist:", e);
+    return response;
+  }
+
+  async *askStream(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) throw new Error("chatId is required for GroqAiWithHistory");
+    attachments = await this.prepareAttachments(attachments, signal);
+
+    const { contentForHistory } = this.buildUserMessagePayload({
+      user,
+      attachments,
+    });
+
+    const context = await loadHistoryContext(this, chatId, {
+      system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[Groq Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    for await (const event of super.askStream({
+      system: context.system,
+      user,
+      attachments,
+      messages: formattedHistory,
+      signal,
+      ...overrides,
+    })) {
+      if (event.type === "done" && !signal?.aborted) {
+        persistHistoryExchange(this, chatId, contentForHistory, event.text, {
+          label: "[Groq Memory]",
+          client: this,
         });
+      }
+      yield event;
     }
-
-    return response;
   }
 
   async clear(chatId) {
     await this.memoryStore.clearHistory(chatId, this.memoryScope);
+    if (this.summarization) {
+      await this.memoryStore.clearHistory(
+        chatId,
+        summaryScopeFor(this.memoryScope),
+      );
+    }
+    if (this.recall) {
+      await this.recall.index.clear(chatId, this.memoryScope);
+    }
   }
 }
 
@@ -1224,7 +7828,16 @@ class MistralAi {
    *  temperature?: number,
    *  maxTokens?: number,
    *  requestTimeoutMs?: number,
-   *  firstToFinish?: boolean
+   *  firstToFinish?: boolean,
+   *  tools?: AiTool[],
+   *  maxToolSteps?: number,
+   *  retry?: boolean|{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryOn?: (err: any, attempt: number) => boolean },
+   *  hooks?: AiHooks|AiHooks[],
+   *  logger?: AiLogger,
+   *  cache?: boolean|AiCacheBackend|{ store?: AiCacheBackend, ttlMs?: number },
+   *  rateLimit?: RateLimiter|{ requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number, maxWaitMs?: number, models?: Record<string, { requestsPerMinute?: number, tokensPerMinute?: number, maxConcurrent?: number }> },
+   *  circuitBreaker?: boolean|CircuitBreaker|{ failureThreshold?: number, windowMs?: number, cooldownMs?: number, tripOn?: (error: any) => boolean },
+   *  attachmentOptions?: AiAttachmentOptions
    * }} [options]
    */
   constructor({
@@ -1235,6 +7848,15 @@ class MistralAi {
      maxTokens = 1000,
      requestTimeoutMs = 20000,
      firstToFinish = false,
+     tools = [],
+     maxToolSteps = 5,
+     retry,
+     hooks,
+     logger,
+     cache,
+     rateLimit,
+     circuitBreaker,
+     attachmentOptions,
    } = {}) {
      if (!apiKey) {
        throw new Error("apiKey is required for MistralAi");
@@ -1243,9 +7865,20 @@ class MistralAi {
      this.temperature = temperature;
      this.maxTokens = maxTokens;
      this.requestTimeoutMs = Number(requestTimeoutMs) || 0;
+     this.retry = normalizeRetryOptions(retry);
      this.client = new Mistral({ apiKey });
      this.lastUsedModel = null;
      this.firstToFinish = firstToFinish;
+     this.tools = new Map();
+     this.maxToolSteps = maxToolSteps;
+     for (const tool of tools) this.registerTool(tool);
+     this.logger = resolveLogger(logger);
+     this.cache = normalizeCacheOptions(cache);
+     this.rateLimiter = normalizeRateLimit(rateLimit);
+     this.circuitBreaker = normalizeCircuitBreaker(circuitBreaker);
+     this.attachmentOptions = normalizeAttachmentOptions(attachmentOptions, "mistral");
+     this.hooks = [];
+     for (const hook of [].concat(hooks ?? [])) this.use(hook);
    }
 
   /**
@@ -1254,13 +7887,7 @@ class MistralAi {
    * @returns {Array}
    */
   ensureContentArray(content) {
-    if (Array.isArray(content)) {
-      return [...content];
-    }
-    if (typeof content === "string" && content.length) {
-      return [{ type: "text", text: content }];
-    }
-    return [];
+    return toProviderParts(content, "mistral");
   }
 
   /**
@@ -1278,62 +7905,82 @@ class MistralAi {
         return { type: "image_url", imageUrl: url };
       }
 
-      const dataUri = this.toDataUri(data, mimeType || "image/png");
+      const dataUri = this.toDataUri(data, mimeType);
       if (!dataUri) return null;
       return { type: "image_url", imageUrl: dataUri };
     }
 
     // Mistral supports some video formats through image conversion
     if (type === "video") {
-      console.warn(
+      this.logger.warn(
         "[MistralAI] Video attachments should be converted to images for Mistral",
+        { provider: "mistral" },
       );
       return null;
     }
 
+    if (type === "audio") {
+      return toAudioAttachmentPart(attachment, "mistral");
+    }
+
+    if (type === "document") {
+      const part = toDocumentPart(attachment);
+      return part ? toProviderParts([part], "mistral")[0] : null;
+    }
+
     return null;
   }
 
   /**
-   * Converts incoming blobs into base64 so the API can ingest them inline.
+   * Runs processAttachments() against Mistral's limits. Audio URLs are transcribed since Voxtral
+   * needs the bytes.
+   * @param {AiAttachment[]} attachments
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<AiAttachment[]>}
+   */
+  async prepareAttachments(attachments, signal) {
+    if (alreadyPrepared(this, attachments)) return attachments;
+    const { attachments: processed, changes } = await processAttachments(attachments, {
+      provider: "mistral",
+      ...this.attachmentOptions,
+      signal,
+    });
+    await reportAttachmentChanges(this, "[MistralAI]", "mistral", changes);
+    return markPrepared(
+      this,
+      await transcribeAudioAttachments(this, processed, {
+        provider: "mistral",
+        inline: (attachment) => Boolean(attachment.data || attachment.path),
+        signal,
+      }),
+    );
+  }
+
+  /**
+   * Converts attachment data into base64 so the API can ingest it inline. Strings must be base64
+   * or a data URI; see encodeInlineAttachment().
    * @param {string|Buffer|undefined} data
+   * @param {string} [type] - Attachment type, named in the error for undecodable strings.
    * @returns {string|null}
    */
-  toBase64(data) {
-    if (!data) return null;
-    if (Buffer.isBuffer(data)) {
-      return data.toString("base64");
-    }
-    if (typeof data === "string") {
-      const trimmed = data.trim();
-      if (!trimmed) return null;
-      if (trimmed.startsWith("data:")) {
-        const base64Part = trimmed.substring(trimmed.indexOf(",") + 1);
-        return base64Part ? base64Part.trim() : null;
-      }
-      const base64Like = trimmed.replace(/\s+/g, "");
-      if (/^[A-Za-z0-9+/]+={0,2}$/.test(base64Like)) {
-        return base64Like;
-      }
-      return Buffer.from(trimmed).toString("base64");
-    }
-    return null;
+  toBase64(data, type = "image") {
+    return encodeInlineAttachment(data, type, "mistral")?.base64 ?? null;
   }
 
   /**
    * Shapes data blobs into data URIs when the API expects them that way (mostly for images).
+   * Without a mimeType, the type is read from the bytes.
    * @param {string|Buffer|undefined} data
-   * @param {string} mimeType
+   * @param {string} [mimeType]
    * @returns {string|null}
    */
   toDataUri(data, mimeType) {
-    if (!data) return null;
     if (typeof data === "string" && data.trim().startsWith("data:")) {
       return data.trim();
     }
-    const encoded = this.toBase64(data);
+    const encoded = encodeInlineAttachment(data, "image", "mistral");
     if (!encoded) return null;
-    return `data:${mimeType};base64,${encoded}`;
+    return `data:${mimeType || encoded.mimeType || "image/png"};base64,${encoded.base64}`;
   }
 
   /**
@@ -1348,9 +7995,9 @@ class MistralAi {
           .filter(Boolean)
       : [];
 
-    const baseContent = this.ensureContentArray(
-      typeof user === "string" ? user : user?.content,
-    );
+    const userContent =
+      typeof user === "string" || Array.isArray(user) ? user : user?.content;
+    const baseContent = this.ensureContentArray(userContent);
 
     const contentPieces = [...baseContent, ...normalizedAttachments];
 
@@ -1358,171 +8005,817 @@ class MistralAi {
       return { content: "", contentForHistory: null };
     }
 
-    // For Mistral, if we have attachments, we need to use the content array format
-    // Otherwise, we can use a simple string
-    const finalContent =
-      normalizedAttachments.length > 0
-        ? contentPieces
-        : typeof user === "string"
-          ? user
-          : user?.content || "";
+    // For Mistral, if we have attachments (or media parts), we need to use the content array format
+    // Otherwise, we can use a simple string
+    const finalContent =
+      typeof userContent === "string" && !normalizedAttachments.length
+        ? userContent
+        : contentPieces;
+
+    return {
+      content: finalContent,
+      contentForHistory: finalContent,
+    };
+  }
+
+  extractText(resp) {
+    try {
+      return resp.choices?.[0]?.message?.content?.trim() || "";
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Shapes the system prompt, prior messages, and user turn into Mistral chat messages.
+   * @param {{ system?: string, messages?: Array<any>, user?: any, attachments?: AiAttachment[] }} params
+   * @returns {Array<{ role: string, content: string|Array }>}
+   */
+  buildMessages({ system, messages = [], user, attachments = [] }) {
+    const mistralMessages = [];
+    if (system) mistralMessages.push({ role: "system", content: system });
+
+    if (messages.length) {
+      mistralMessages.push(
+        ...messages.map((m) => toChatMessage(toCanonicalMessage(m), "mistral")),
+      );
+    }
+
+    // Handle user message with attachments
+    if (user || attachments.length > 0) {
+      const { content } = this.buildUserMessagePayload({ user, attachments });
+      mistralMessages.push({ role: "user", content });
+    }
+
+    return mistralMessages;
+  }
+
+  /**
+   * Sends a single prompt to one specific Mistral model with no fallbacks or tools.
+   * @param {string} model
+   * @param {{ system?: string, user: string }} options
+   * @returns {Promise<string>}
+   */
+  async completeWithModel(model, { system, user }) {
+    const request = await runHooks(this, "beforeRequest", {
+      provider: "mistral",
+      model,
+      operation: "summarize",
+      messages: this.buildMessages({ system, user }),
+      sampling: { temperature: this.temperature, maxTokens: this.maxTokens },
+    });
+    const resp = await withRetry(
+      () =>
+        withTimeout(
+          (signal) =>
+            this.client.chat.complete(
+              {
+                model,
+                messages: request.messages,
+                ...toSamplingParams(request.sampling, MISTRAL_SAMPLING_PARAMS),
+              },
+              { signal },
+            ),
+          this.requestTimeoutMs,
+          `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+        ),
+      this.retry,
+      {
+        label: `[MistralAI] ${model}`,
+        provider: "mistral",
+        model,
+        logger: this.logger,
+        limiter: this.rateLimiter,
+      },
+    );
+    const text = this.extractText(resp);
+    if (!text) {
+      throw new EmptyResponseError(`Empty response from ${model}`, {
+        provider: "mistral",
+        model,
+      });
+    }
+    const reply = await runHooks(this, "afterResponse", {
+      ...request,
+      text,
+      raw: resp,
+    });
+    return reply.text;
+  }
+
+  /**
+   * Adds a tool the models can call. Registering a tool with an existing name replaces it.
+   * @param {AiTool} tool
+   * @returns {this}
+   */
+  registerTool(tool) {
+    const normalized = normalizeToolDefinition(tool);
+    this.tools.set(normalized.name, normalized);
+    return this;
+  }
+
+  /**
+   * Adds a set of lifecycle hooks. They run in the order they were added.
+   * @param {AiHooks} hook
+   * @returns {this}
+   */
+  use(hook) {
+    this.hooks.push(normalizeHook(hook));
+    return this;
+  }
+
+  /**
+   * Runs the tool loop against one Mistral model until it answers in plain text or runs out of steps.
+   * @param {string} model
+   * @param {Array<Record<string, any>>} mistralMessages
+   * @param {number} maxToolSteps
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<AiToolResult>}
+   */
+  async runToolLoop(
+    model,
+    mistralMessages,
+    maxToolSteps,
+    signal,
+    sampling = { temperature: this.temperature, maxTokens: this.maxTokens },
+  ) {
+    const tools = [...this.tools.values()].map(toFunctionToolSpec);
+    const conversation = [...mistralMessages];
+    const toolCalls = [];
+    let usage = null;
+
+    for (let step = 0; ; step += 1) {
+      const canCallTools = step < maxToolSteps;
+      const request = await runHooks(this, "beforeRequest", {
+        provider: "mistral",
+        model,
+        operation: "askWithTools",
+        messages: conversation,
+        sampling,
+        tools,
+        toolChoice: canCallTools ? "auto" : "none",
+      });
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.chat.complete(
+                {
+                  model,
+                  messages: request.messages,
+                  ...toSamplingParams(request.sampling, MISTRAL_SAMPLING_PARAMS),
+                  tools: request.tools,
+                  toolChoice: request.toolChoice,
+                },
+                { signal: requestSignal },
+              ),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[MistralAI] ${model}`,
+          provider: "mistral",
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+      usage = addUsage(usage, normalizeUsage(resp?.usage));
+
+      const message = resp?.choices?.[0]?.message;
+      const calls = canCallTools ? message?.toolCalls || [] : [];
+      if (!calls.length) {
+        const text = this.extractText(resp);
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: "mistral",
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: resp,
+        });
+        return {
+          text: reply.text,
+          toolCalls,
+          provider: "mistral",
+          model,
+          usage,
+          finishReason: resp?.choices?.[0]?.finishReason ?? null,
+          raw: resp,
+        };
+      }
+
+      conversation.push({
+        role: "assistant",
+        content: message.content ?? "",
+        toolCalls: calls,
+      });
+      for (const toolCall of calls) {
+        const { call, content } = await runToolCall(
+          this.tools,
+          {
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments,
+          },
+          model,
+        );
+        toolCalls.push(call);
+        conversation.push({
+          role: "tool",
+          toolCallId: toolCall.id,
+          name: toolCall.function?.name,
+          content,
+        });
+      }
+    }
+  }
+
+  /**
+   * Asks with the registered tools, running tool calls until the model replies in plain text.
+   * Models are tried in order, never raced, so handlers don't run twice.
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxToolSteps?: number, signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiToolResult>}
+   */
+  async askWithTools({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxToolSteps = this.maxToolSteps,
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Mistral models configured");
+
+    const completion = { provider: "mistral", operation: "askWithTools" };
+    return completeWithHooks(this, completion, async () => {
+      const mistralMessages = this.buildMessages({
+        system,
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const callStartedAt = Date.now();
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "mistral", models)) {
+        const startedAt = Date.now();
+        try {
+          const result = await this.runToolLoop(
+            model,
+            mistralMessages,
+            maxToolSteps,
+            signal,
+            sampling,
+          );
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, "mistral", model);
+          return {
+            ...result,
+            latencyMs: Date.now() - callStartedAt,
+            attempts: attempts.length + 1,
+            cached: false,
+          };
+        } catch (err) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: "mistral",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "mistral", model, err);
+          logFailedAttempt(this.logger, `[MistralAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askWithTools",
+            models,
+          });
+        }
+      }
+
+      throw new AllModelsFailedError("All Mistral models failed", attempts);
+    });
+  }
+
+  /**
+   * Runs one Mistral model until it returns JSON matching the schema, re-prompting with the
+   * validation errors up to maxRepairAttempts times.
+   * @param {string} model
+   * @param {Array<Record<string, any>>} mistralMessages
+   * @param {Record<string, any>} schema
+   * @param {number} maxRepairAttempts
+   * @param {AbortSignal} [signal]
+   * @param {AiSampling} [sampling]
+   * @returns {Promise<any>}
+   */
+  async runJsonLoop(
+    model,
+    mistralMessages,
+    schema,
+    maxRepairAttempts,
+    signal,
+    sampling = { temperature: this.temperature, maxTokens: this.maxTokens },
+  ) {
+    const conversation = [...mistralMessages];
+    const jsonMode = schema.type === "object";
+    let errors = [];
+    let rawText = "";
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt += 1) {
+      const request = await runHooks(this, "beforeRequest", {
+        provider: "mistral",
+        model,
+        operation: "askJson",
+        messages: conversation,
+        sampling,
+        responseFormat: jsonMode ? { type: "json_object" } : undefined,
+      });
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.chat.complete(
+                {
+                  model,
+                  messages: request.messages,
+                  ...toSamplingParams(request.sampling, MISTRAL_SAMPLING_PARAMS),
+                  ...(request.responseFormat ? { responseFormat: request.responseFormat } : {}),
+                },
+                { signal: requestSignal },
+              ),
+            this.requestTimeoutMs,
+            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[MistralAI] ${model}`,
+          provider: "mistral",
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+
+      rawText = this.extractText(resp)?.trim();
+      if (!rawText) {
+        throw new EmptyResponseError(`Empty response from ${model}`, {
+          provider: "mistral",
+          model,
+        });
+      }
+
+      rawText = (
+        await runHooks(this, "afterResponse", {
+          ...request,
+          text: rawText,
+          raw: resp,
+        })
+      ).text;
+
+      const parsed = parseJsonReply(rawText, schema);
+      if (!parsed.errors.length) return parsed.value;
+
+      errors = parsed.errors;
+      conversation.push(
+        { role: "assistant", content: rawText },
+        { role: "user", content: buildJsonRepairPrompt(errors) },
+      );
+    }
+
+    throw new JsonValidationError(
+      `Model ${model} did not return valid JSON after ${maxRepairAttempts + 1} attempts`,
+      { errors, rawText, model },
+    );
+  }
+
+  /**
+   * Asks for JSON matching a JSON Schema and resolves to the parsed value, re-prompting with
+   * the validation errors before falling back.
+   * @param {{ schema: Record<string, any>, system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxRepairAttempts?: number, signal?: AbortSignal } & AiCallOverrides} options
+   * @returns {Promise<any>}
+   * @throws {JsonValidationError} When no model produced valid JSON.
+   * @throws {AllModelsFailedError} When every model failed for some other reason.
+   */
+  async askJson({
+    schema,
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    maxRepairAttempts = 2,
+    signal,
+    ...overrides
+  } = {}) {
+    if (!schema || typeof schema !== "object") {
+      throw new Error("schema is required for askJson()");
+    }
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Mistral models configured");
+
+    const completion = { provider: "mistral", operation: "askJson" };
+    return completeWithHooks(this, completion, async () => {
+      const mistralMessages = this.buildMessages({
+        system: [system, buildJsonInstruction(schema)]
+          .filter(Boolean)
+          .join("\n\n"),
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
+
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "mistral", models)) {
+        const startedAt = Date.now();
+        try {
+          const value = await this.runJsonLoop(
+            model,
+            mistralMessages,
+            schema,
+            maxRepairAttempts,
+            signal,
+            sampling,
+          );
+          this.lastUsedModel = model;
+          noteCircuitSuccess(this, "mistral", model);
+          return value;
+        } catch (err) {
+          if (signal?.aborted) throw abortErrorFor(signal);
+          recordAttempt(attempts, {
+            provider: "mistral",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "mistral", model, err);
+          logFailedAttempt(this.logger, `[MistralAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askJson",
+            models,
+          });
+        }
+      }
+
+      throw jsonFailureFor("All Mistral models failed", attempts);
+    });
+  }
 
-    return {
-      content: finalContent,
-      contentForHistory:
-        normalizedAttachments.length > 0 ? contentPieces : finalContent,
-    };
+  async ask(options = {}) {
+    const { text } = await this.askDetailed(options);
+    return text;
   }
 
-  extractText(resp) {
-    try {
-      return resp.choices?.[0]?.message?.content?.trim() || "";
-    } catch {
-      return "";
+  /**
+   * Same as ask(), but resolves to the whole response (text, model, usage, latency, ...).
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed({ system, user, messages = [], attachments = [], signal, ...overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Mistral models configured");
+
+    if (this.tools.size) {
+      return this.askWithTools({
+        system,
+        user,
+        messages,
+        attachments,
+        signal,
+        ...overrides,
+      });
     }
-  }
 
-  async ask({ system, user, messages = [], attachments = [] } = {}) {
-    if (!this.models.length) throw new Error("No Mistral models configured");
+    const completion = { provider: "mistral", operation: "ask" };
+    return completeWithHooks(this, completion, async () => {
+      const mistralMessages = this.buildMessages({
+        system,
+        messages,
+        user,
+        attachments: await this.prepareAttachments(attachments, signal),
+      });
 
-    const mistralMessages = [];
-    if (system) mistralMessages.push({ role: "system", content: system });
+      const callStartedAt = Date.now();
+      const runOnce = async (model, callSignal) => {
+        const request = await runHooks(this, "beforeRequest", {
+          provider: "mistral",
+          model,
+          operation: "ask",
+          messages: mistralMessages,
+          sampling,
+        });
+        const resp = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) =>
+                this.client.chat.complete(
+                  {
+                    model,
+                    messages: request.messages,
+                    ...toSamplingParams(request.sampling, MISTRAL_SAMPLING_PARAMS),
+                  },
+                  { signal: requestSignal },
+                ),
+              this.requestTimeoutMs,
+              `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
+            ),
+          this.retry,
+          {
+            label: `[MistralAI] ${model}`,
+            provider: "mistral",
+            model,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
+
+        const text = this.extractText(resp);
+        if (!text) {
+          throw new EmptyResponseError(`Empty response from ${model}`, {
+            provider: "mistral",
+            model,
+          });
+        }
+        const reply = await runHooks(this, "afterResponse", {
+          ...request,
+          text,
+          raw: resp,
+        });
+        return {
+          text: reply.text,
+          provider: "mistral",
+          model,
+          usage: normalizeUsage(resp?.usage),
+          finishReason: resp?.choices?.[0]?.finishReason ?? null,
+          raw: resp,
+        };
+      };
 
-    if (messages.length) {
-      mistralMessages.push(
-        ...messages.map((m) => {
-          // Handle plain objects that already have role/content
-          if (m.role && m.content) {
-            return {
-              role: m.role,
-              content:
-                typeof m.content === "string"
-                  ? m.content
-                  : JSON.stringify(m.content),
-            };
+      const callModels = async () => {
+        if (!this.firstToFinish || models.length === 1) {
+          const attempts = [];
+          for (const model of withClosedCircuits(this, "mistral", models)) {
+            const startedAt = Date.now();
+            try {
+              const result = await runOnce(model, signal);
+              this.lastUsedModel = model;
+              noteCircuitSuccess(this, "mistral", model);
+              return {
+                ...result,
+                latencyMs: Date.now() - callStartedAt,
+                attempts: attempts.length + 1,
+              };
+            } catch (err) {
+              if (signal?.aborted) throw abortErrorFor(signal);
+              recordAttempt(attempts, {
+                provider: "mistral",
+                model,
+                error: err,
+                startedAt,
+              });
+              noteCircuitFailure(this, "mistral", model, err);
+              logFailedAttempt(this.logger, `[MistralAI] ${model} failed`, attempts);
+              await reportFailedAttempt(this, attempts, {
+                operation: "ask",
+                models,
+              });
+            }
           }
-          // Handle LangChain message objects
-          if (typeof m._getType === "function") {
-            return {
-              role: m._getType() === "ai" ? "assistant" : "user",
-              content:
-                typeof m.content === "string"
-                  ? m.content
-                  : JSON.stringify(m.content),
-            };
+
+          throw new AllModelsFailedError("All Mistral models failed", attempts);
+        }
+
+        const race = new AbortController();
+        const raceSignal = anySignal([signal, race.signal]);
+
+        return new Promise((resolve, reject) => {
+          let settled = false;
+          const candidates = [...withClosedCircuits(this, "mistral", models)];
+          let remaining = candidates.length;
+          const attempts = [];
+
+          for (const model of candidates) {
+            (async () => {
+              const startedAt = Date.now();
+              try {
+                const result = await runOnce(model, raceSignal);
+                if (!settled) {
+                  settled = true;
+                  race.abort();
+                  this.lastUsedModel = model;
+                  noteCircuitSuccess(this, "mistral", model);
+                  resolve({
+                    ...result,
+                    latencyMs: Date.now() - callStartedAt,
+                    attempts: attempts.length + 1,
+                  });
+                }
+              } catch (err) {
+                if (settled) return;
+                if (signal?.aborted) {
+                  settled = true;
+                  reject(abortErrorFor(signal));
+                  return;
+                }
+                recordAttempt(attempts, {
+                  provider: "mistral",
+                  model,
+                  error: err,
+                  startedAt,
+                });
+                noteCircuitFailure(this, "mistral", model, err);
+                logFailedAttempt(this.logger, `[MistralAI] ${model} failed`, attempts);
+                await reportFailedAttempt(this, attempts, { operation: "ask" });
+              } finally {
+                remaining -= 1;
+                if (!settled && remaining === 0) {
+                  settled = true;
+                  reject(new AllModelsFailedError("All Mistral models failed", attempts));
+                }
+              }
+            })();
           }
-          // Fallback for unknown format
-          return {
-            role: "user",
-            content: JSON.stringify(m),
-          };
-        }),
+        });
+      };
+
+      const cacheKey = this.cache
+        ? cacheKeyFor({
+            provider: "mistral",
+            operation: "ask",
+            models,
+            sampling,
+            messages: mistralMessages,
+          })
+        : null;
+      const { value, cached } = await withCache(
+        this,
+        cacheKey,
+        signal,
+        callModels,
+        toCachedResponse,
       );
-    }
+      if (!cached) return { ...value, cached: false };
+      this.lastUsedModel = value.model;
+      return {
+        ...value,
+        raw: null,
+        latencyMs: Date.now() - callStartedAt,
+        attempts: 0,
+        cached: true,
+      };
+    });
+  }
 
-    // Handle user message with attachments
-    if (user || attachments.length > 0) {
-      const { content } = this.buildUserMessagePayload({ user, attachments });
-      mistralMessages.push({ role: "user", content });
-    }
+  /**
+   * Streams a reply from the configured Mistral models, yielding text deltas.
+   * A model that fails before its first token is skipped for the next one.
+   * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {AsyncGenerator<AiStreamEvent>}
+   */
+  async *askStream({
+    system,
+    user,
+    messages = [],
+    attachments = [],
+    signal,
+    ...overrides
+  } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    if (!models.length) throw new Error("No Mistral models configured");
+
+    const mistralMessages = this.buildMessages({
+      system,
+      messages,
+      user,
+      attachments: await this.prepareAttachments(attachments, signal),
+    });
 
-    if (!this.firstToFinish || this.models.length === 1) {
-      let lastError;
-      for (const model of this.models) {
+    const completion = { provider: "mistral", operation: "askStream" };
+    const callStartedAt = Date.now();
+    let settled = false;
+    try {
+      const attempts = [];
+      for (const model of withClosedCircuits(this, "mistral", models)) {
+        let started = false;
+        let permit = null;
+        let stream = null;
+        let usage = null;
+        const startedAt = Date.now();
         try {
-          const work = this.client.chat.complete({
+          const request = await runHooks(this, "beforeRequest", {
+            provider: "mistral",
             model,
+            operation: "askStream",
             messages: mistralMessages,
-            temperature: this.temperature,
-            maxTokens: this.maxTokens,
+            sampling,
           });
-
-          const resp =
-            this.requestTimeoutMs > 0
-              ? await Promise.race([
-                  work,
-                  new Promise((_, reject) =>
-                    setTimeout(
-                      () =>
-                        reject(
-                          new Error(
-                            `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                          ),
-                        ),
-                      this.requestTimeoutMs,
-                    ),
+          permit = this.rateLimiter
+            ? await this.rateLimiter.acquire({ provider: "mistral", model, signal })
+            : null;
+          stream = await withRetry(
+            () =>
+              openStreamWithTimeout(
+                (streamSignal) =>
+                  this.client.chat.stream(
+                    {
+                      model,
+                      messages: request.messages,
+                      ...toSamplingParams(request.sampling, MISTRAL_SAMPLING_PARAMS),
+                    },
+                    { signal: streamSignal },
                   ),
-                ])
-              : await work;
+                this.requestTimeoutMs,
+                `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
+                signal,
+              ),
+            this.retry,
+            {
+              label: `[MistralAI] ${model}`,
+              provider: "mistral",
+              model,
+              signal,
+              logger: this.logger,
+            },
+          );
+
+          let text = "";
+          for (let step = stream.first; !step.done; step = await stream.next()) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            const chunk = step.value?.data;
+            if (chunk?.usage) usage = normalizeUsage(chunk.usage);
+            const content = chunk?.choices?.[0]?.delta?.content;
+            const delta = Array.isArray(content)
+              ? content.map((part) => part?.text || "").join("")
+              : content;
+            if (!delta) continue;
+            started = true;
+            text += delta;
+            yield { type: "delta", text: delta, model };
+          }
 
-          const text = this.extractText(resp);
-          if (!text) throw new Error(`Empty response from ${model}`);
+          if (!text.trim()) {
+            throw new EmptyResponseError(`Empty response from ${model}`, {
+              provider: "mistral",
+              model,
+            });
+          }
 
+          const reply = await runHooks(this, "afterResponse", {
+            ...request,
+            text: text.trim(),
+            raw: null,
+          });
           this.lastUsedModel = model;
-          return text;
+          noteCircuitSuccess(this, "mistral", model);
+          const done = { type: "done", text: reply.text, model, usage };
+          settled = true;
+          await reportCompletion(this, completion, callStartedAt, {
+            response: done,
+          });
+          yield done;
+          return;
         } catch (err) {
-          lastError = err;
-          console.error(`[MistralAI] ${model} failed:`, err?.message || err);
+          if (signal?.aborted) throw abortErrorFor(signal);
+          if (started) throw toAiError(err, { provider: "mistral", model });
+          recordAttempt(attempts, {
+            provider: "mistral",
+            model,
+            error: err,
+            startedAt,
+          });
+          noteCircuitFailure(this, "mistral", model, err);
+          logFailedAttempt(this.logger, `[MistralAI] ${model} failed`, attempts);
+          await reportFailedAttempt(this, attempts, {
+            operation: "askStream",
+            models,
+          });
+        } finally {
+          await stream?.close();
+          permit?.release(usage);
         }
       }
 
-      throw lastError || new Error("All Mistral models failed");
-    }
-
-    return new Promise((resolve, reject) => {
-      let settled = false;
-      let remaining = this.models.length;
-      let lastError;
-
-      for (const model of this.models) {
-        (async () => {
-          try {
-            const work = this.client.chat.complete({
-              model,
-              messages: mistralMessages,
-              temperature: this.temperature,
-              maxTokens: this.maxTokens,
-            });
-
-            const resp =
-              this.requestTimeoutMs > 0
-                ? await Promise.race([
-                    work,
-                    new Promise((_, reject) =>
-                      setTimeout(
-                        () =>
-                          reject(
-                            new Error(
-                              `Model ${model} timed out after ${this.requestTimeoutMs}ms`,
-                            ),
-                          ),
-                        this.requestTimeoutMs,
-                      ),
-                    ),
-                  ])
-                : await work;
-
-            const text = this.extractText(resp);
-            if (!text) throw new Error(`Empty response from ${model}`);
-
-            if (!settled) {
-              settled = true;
-              this.lastUsedModel = model;
-              resolve(text);
-            }
-          } catch (err) {
-            lastError = err;
-            console.error(`[MistralAI] ${model} failed:`, err?.message || err);
-          } finally {
-            remaining -= 1;
-            if (!settled && remaining === 0) {
-              settled = true;
-              reject(lastError || new Error("All Mistral models failed"));
-            }
-          }
-        })();
+      throw new AllModelsFailedError("All Mistral models failed", attempts);
+    } catch (error) {
+      settled = true;
+      await reportCompletion(this, completion, callStartedAt, { error });
+      throw error;
+    } finally {
+      if (!settled) {
+        await reportCompletion(this, completion, callStartedAt, { stopped: true });
       }
-    });
+    }
   }
 
   /**
@@ -1532,19 +8825,43 @@ class MistralAi {
    * @param {string} [options.model="voxtral-mini-latest"]
    * @param {string} [options.language]
    * @param {Array<string>} [options.timestamp_granularities] - Timestamp granularities for transcription
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<string>}
    */
-  async transcribe({
+  async transcribe(options = {}) {
+    const { text } = await this.transcribeDetailed({
+      timestamp_granularities: null,
+      ...options,
+    });
+    return text;
+  }
+
+  /**
+   * Same as transcribe(), but with segment timestamps, the language and the duration.
+   * @param {Object} options
+   * @param {string|Buffer|ReadableStream} options.file - Path, URL, buffer, or stream
+   * @param {string} [options.model="voxtral-mini-latest"]
+   * @param {string} [options.language]
+   * @param {Array<string>} [options.timestamp_granularities] - ["segment"] unless `language` is set
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<AiTranscription>}
+   */
+  async transcribeDetailed({
     file,
     model = "voxtral-mini-latest",
     language,
-    timestamp_granularities,
+    // Voxtral won't take a language and timestamps together, so segments are only asked
+    // for by default when the language is left to detection.
+    timestamp_granularities = language ? null : ["segment"],
+    signal,
   } = {}) {
     if (!file) throw new Error("file is required for MistralAi.transcribe");
 
     const params = { model };
     if (language) params.language = language;
-    if (timestamp_granularities) params.timestamp_granularities = timestamp_granularities;
+    // The SDK only knows "segment" (and drops snake_case keys), so "word" is left out here.
+    const granularities = (timestamp_granularities || []).filter((g) => g === "segment");
+    if (granularities.length) params.timestampGranularities = granularities;
 
     let inputFile = file;
     if (file && typeof file.pipe === 'function') {
@@ -1580,88 +8897,151 @@ class MistralAi {
         "voxtral-mini-latest",
       ];
 
-      const runOnce = async (targetModel) => {
-        const work = this.client.audio.transcriptions.complete({
-          ...params,
-          model: targetModel,
-        });
-
-        const resp =
-          this.requestTimeoutMs > 0
-            ? await Promise.race([
-                work,
-                new Promise((_, reject) =>
-                  setTimeout(
-                    () =>
-                      reject(
-                        new Error(
-                          `Mistral transcription model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
-                        ),
-                      ),
-                    this.requestTimeoutMs,
-                  ),
+      const runOnce = async (targetModel, callSignal) => {
+        const resp = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) =>
+                this.client.audio.transcriptions.complete(
+                  { ...params, model: targetModel },
+                  { signal: requestSignal },
                 ),
-              ])
-            : await work;
+              this.requestTimeoutMs,
+              `Mistral transcription model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
+            ),
+          this.retry,
+          {
+            label: `[MistralAI] transcription ${targetModel}`,
+            provider: "mistral",
+            model: targetModel,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
 
         const text = resp?.text || "";
-        if (!text) throw new Error(`Mistral transcription returned empty text for ${targetModel}`);
-        return text.trim();
-      };
-
-      if (!this.firstToFinish || models.length === 1) {
-        let lastError;
-        for (const m of models) {
-          try {
-            const text = await runOnce(m);
-            this.lastUsedModel = m;
-            return text;
-          } catch (err) {
-            lastError = err;
-            console.error("[MistralAI] transcription failed:", err?.message || err);
-          }
+        if (!text) {
+          throw new EmptyResponseError(`Mistral transcription returned empty text for ${targetModel}`, {
+            provider: "mistral",
+            model: targetModel,
+          });
         }
-        throw lastError || new Error("All Mistral transcription models failed");
-      }
-
-      return await new Promise((resolve, reject) => {
-        let settled = false;
-        let remaining = models.length;
-        let lastError;
+        return normalizeTranscription(resp, { provider: "mistral", model: targetModel });
+      };
 
-        for (const m of models) {
-          (async () => {
+      const callModels = async () => {
+        if (!this.firstToFinish || models.length === 1) {
+          const attempts = [];
+          for (const m of withClosedCircuits(this, "mistral", models)) {
+            const startedAt = Date.now();
             try {
-              const text = await runOnce(m);
-              if (!settled) {
-                settled = true;
-                this.lastUsedModel = m;
-                resolve(text);
-              }
+              const text = await runOnce(m, signal);
+              this.lastUsedModel = m;
+              noteCircuitSuccess(this, "mistral", m);
+              return text;
             } catch (err) {
-              lastError = err;
-              console.error("[MistralAI] transcription failed:", err?.message || err);
-            } finally {
-              remaining -= 1;
-              if (!settled && remaining === 0) {
-                settled = true;
-                reject(
-                  lastError || new Error("All Mistral transcription models failed"),
-                );
-              }
+              if (signal?.aborted) throw abortErrorFor(signal);
+              recordAttempt(attempts, {
+                provider: "mistral",
+                model: m,
+                error: err,
+                startedAt,
+              });
+              noteCircuitFailure(this, "mistral", m, err);
+              logFailedAttempt(this.logger, "[MistralAI] transcription failed", attempts);
             }
-          })();
+          }
+          throw new AllModelsFailedError(
+            "All Mistral transcription models failed",
+            attempts,
+          );
         }
-      });
+
+        const race = new AbortController();
+        const raceSignal = anySignal([signal, race.signal]);
+
+        return new Promise((resolve, reject) => {
+          let settled = false;
+          const candidates = [...withClosedCircuits(this, "mistral", models)];
+          let remaining = candidates.length;
+          const attempts = [];
+
+          for (const m of candidates) {
+            (async () => {
+              const startedAt = Date.now();
+              try {
+                const text = await runOnce(m, raceSignal);
+                if (!settled) {
+                  settled = true;
+                  race.abort();
+                  this.lastUsedModel = m;
+                  noteCircuitSuccess(this, "mistral", m);
+                  resolve(text);
+                }
+              } catch (err) {
+                if (settled) return;
+                if (signal?.aborted) {
+                  settled = true;
+                  reject(abortErrorFor(signal));
+                  return;
+                }
+                recordAttempt(attempts, {
+                  provider: "mistral",
+                  model: m,
+                  error: err,
+                  startedAt,
+                });
+                noteCircuitFailure(this, "mistral", m, err);
+                logFailedAttempt(this.logger, "[MistralAI] transcription failed", attempts);
+              } finally {
+                remaining -= 1;
+                if (!settled && remaining === 0) {
+                  settled = true;
+                  reject(
+                    new AllModelsFailedError("All Mistral transcription models failed", attempts),
+                  );
+                }
+              }
+            })();
+          }
+        });
+      };
+
+      const fingerprint = this.cache ? await fingerprintFile(inputFile) : null;
+      const cacheKey = fingerprint
+        ? cacheKeyFor({
+            provider: "mistral",
+            operation: "transcribeDetailed",
+            models,
+            language,
+            timestamp_granularities: granularities,
+            file: fingerprint,
+          })
+        : null;
+      const { value, cached } = await withCache(
+        this,
+        cacheKey,
+        signal,
+        callModels,
+        toCachedTranscription,
+      );
+      if (!cached) return value;
+      this.lastUsedModel = value.model;
+      return { ...value, cached: true, raw: null };
     } catch (err) {
-      console.error("[MistralAI] transcription failed:", err?.message || err);
+      this.logger.error("[MistralAI] transcription failed", {
+        provider: "mistral",
+        error: err?.message || String(err),
+      });
       throw err;
     }
   }
 
   async classify(
     inputs,
-    { model = "mistral-moderation-latest", requestTimeoutMs } = {},
+    { model = "mistral-moderation-latest", requestTimeoutMs, signal } = {},
   ) {
     if (inputs == null || (Array.isArray(inputs) && inputs.length === 0)) {
       throw new Error("inputs is required for classify()");
@@ -1675,36 +9055,183 @@ class MistralAi {
         ? Number(requestTimeoutMs)
         : Number(this.requestTimeoutMs) || 0;
 
-    const work = this.client.classifiers.moderate({
-      model,
-      inputs: normalizedInputs,
+    const cacheKey = this.cache
+      ? cacheKeyFor({
+          provider: "mistral",
+          operation: "classify",
+          model,
+          inputs: normalizedInputs,
+        })
+      : null;
+    const { value: mapped } = await withCache(this, cacheKey, signal, async () => {
+      const resp = await withRetry(
+        () =>
+          withTimeout(
+            (requestSignal) =>
+              this.client.classifiers.moderate(
+                { model, inputs: normalizedInputs },
+                { signal: requestSignal },
+              ),
+            timeout,
+            `Moderation model ${model} timed out after ${timeout}ms`,
+            signal,
+          ),
+        this.retry,
+        {
+          label: `[MistralAI] moderation ${model}`,
+          provider: "mistral",
+          model,
+          signal,
+          logger: this.logger,
+          limiter: this.rateLimiter,
+        },
+      );
+
+      return (resp.results || []).map((r) => ({
+        categories: r.categories || {},
+        scores: r.category_scores || {},
+      }));
     });
 
-    const resp =
-      timeout > 0
-        ? await Promise.race([
-            work,
-            new Promise((_, reject) =>
-              setTimeout(
-                () =>
-                  reject(
-                  new Error(
-                    `Moderation model ${model} timed out after ${timeout}ms`,
-                  ),
+    // Single input → first item, multi-input → whole array
+    return isArrayInput ? mapped : mapped[0] || { categories: {}, scores: {} };
+  }
+
+  /**
+   * Turns text into embedding vectors, in batches of `batchSize`, with fallbacks like ask().
+   * @param {string|string[]} texts
+   * @param {{ model?: string|string[], batchSize?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<AiEmbeddingResult>}
+   */
+  async embed(
+    texts,
+    { model = "mistral-embed", batchSize, signal } = {},
+  ) {
+    const inputs = normalizeEmbedInputs(texts);
+    const models = [].concat(model).filter(Boolean);
+    const batches = toEmbedBatches(inputs, batchSize);
+
+    const runOnce = async (targetModel, callSignal) => {
+      const embeddings = [];
+      let usage = null;
+      for (const batch of batches) {
+        const resp = await withRetry(
+          () =>
+            withTimeout(
+              (requestSignal) =>
+                this.client.embeddings.create(
+                  { model: targetModel, inputs: batch },
+                  { signal: requestSignal },
                 ),
-                timeout,
-              ),
+              this.requestTimeoutMs,
+              `Embedding model ${targetModel} timed out after ${this.requestTimeoutMs}ms`,
+              callSignal,
             ),
-          ])
-        : await work;
+          this.retry,
+          {
+            label: `[MistralAI] embeddings ${targetModel}`,
+            provider: "mistral",
+            model: targetModel,
+            signal: callSignal,
+            logger: this.logger,
+            limiter: this.rateLimiter,
+          },
+        );
+        embeddings.push(
+          ...readEmbeddings(resp, batch.length, {
+            provider: "mistral",
+            model: targetModel,
+          }),
+        );
+        usage = addUsage(usage, normalizeUsage(resp?.usage));
+      }
+      return {
+        embeddings,
+        dimensions: embeddings[0].length,
+        provider: "mistral",
+        model: targetModel,
+        usage,
+      };
+    };
 
-    const mapped = (resp.results || []).map((r) => ({
-      categories: r.categories || {},
-      scores: r.category_scores || {},
-    }));
+    const callModels = async () => {
+      if (!this.firstToFinish || models.length === 1) {
+        const attempts = [];
+        for (const m of withClosedCircuits(this, "mistral", models)) {
+          const startedAt = Date.now();
+          try {
+            const result = await runOnce(m, signal);
+            this.lastUsedModel = m;
+            noteCircuitSuccess(this, "mistral", m);
+            return result;
+          } catch (err) {
+            if (signal?.aborted) throw abortErrorFor(signal);
+            recordAttempt(attempts, {
+              provider: "mistral",
+              model: m,
+              error: err,
+              startedAt,
+            });
+            noteCircuitFailure(this, "mistral", m, err);
+            logFailedAttempt(this.logger, "[MistralAI] embeddings failed", attempts);
+          }
+        }
+        throw new AllModelsFailedError("All Mistral embedding models failed", attempts);
+      }
 
-    // Single input → first item, multi-input → whole array
-    return isArrayInput ? mapped : mapped[0] || { categories: {}, scores: {} };
+      const race = new AbortController();
+      const raceSignal = anySignal([signal, race.signal]);
+
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        const candidates = [...withClosedCircuits(this, "mistral", models)];
+        let remaining = candidates.length;
+        const attempts = [];
+
+        for (const m of candidates) {
+          (async () => {
+            const startedAt = Date.now();
+            try {
+              const result = await runOnce(m, raceSignal);
+              if (!settled) {
+                settled = true;
+                race.abort();
+                this.lastUsedModel = m;
+                noteCircuitSuccess(this, "mistral", m);
+                resolve(result);
+              }
+            } catch (err) {
+              if (settled) return;
+              if (signal?.aborted) {
+                settled = true;
+                reject(abortErrorFor(signal));
+                return;
+              }
+              recordAttempt(attempts, {
+                provider: "mistral",
+                model: m,
+                error: err,
+                startedAt,
+              });
+              noteCircuitFailure(this, "mistral", m, err);
+              logFailedAttempt(this.logger, "[MistralAI] embeddings failed", attempts);
+            } finally {
+              remaining -= 1;
+              if (!settled && remaining === 0) {
+                settled = true;
+                reject(new AllModelsFailedError("All Mistral embedding models failed", attempts));
+              }
+            }
+          })();
+        }
+      });
+    };
+
+    const cacheKey = this.cache
+      ? cacheKeyFor({ provider: "mistral", operation: "embed", models, inputs })
+      : null;
+    const { value, cached } = await withCache(this, cacheKey, signal, callModels);
+    return { ...value, cached };
   }
 }
 
@@ -1716,74 +9243,277 @@ class MistralAiWithHistory extends MistralAi {
    constructor({
      memoryStore,
      memoryScope = "default",
-     historyLimit = 10,
+     historyLimit,
+     tokenBudget,
+     tokenCounter,
+     attachmentTokens,
+     summarization,
+     recall,
      ...options
    } = {}) {
-     if (!memoryStore) {
-       throw new Error("memoryStore is required for MistralAiWithHistory");
+     assertMemoryStore(memoryStore, "MistralAiWithHistory");
+     const summarizationOptions = normalizeSummarizationOptions(summarization, memoryStore);
+     if (
+       summarizationOptions &&
+       typeof memoryStore.deleteOldest !== "function"
+     ) {
+       throw new Error(
+         "memoryStore for MistralAiWithHistory must implement deleteOldest() to use summarization",
+       );
      }
      super(options);
      this.memoryStore = memoryStore;
      this.memoryScope = memoryScope;
-     this.historyLimit = historyLimit;
+     this.historyLimit = historyLimit ?? (tokenBudget ? 80 : 10);
+     this.tokenBudget = tokenBudget;
+     this.tokenCounter = tokenCounter;
+     this.attachmentTokens = attachmentTokens;
+     this.summarization = summarizationOptions;
+     this.summariesInFlight = new Set();
+     this.recall = normalizeRecallOptions(recall, this, "MistralAiWithHistory");
    }
 
   formatStoredContent(content) {
-    if (Array.isArray(content)) return content.join("\n");
-    if (typeof content === "object" && content !== null) {
-      return JSON.stringify(content);
-    }
-    return content;
+    return toProviderContent(content, "mistral");
   }
 
-  async ask(chatId, { system, user, attachments = [] } = {}) {
-    if (!chatId) throw new Error("chatId is required for MistralAiWithHistory");
+  fitHistory(entries, { system, userContent, overrides } = {}) {
+    const { models, sampling } = resolveCallOverrides(this, overrides);
+    return fitHistoryToBudget(entries, {
+      tokenBudget: this.tokenBudget,
+      models,
+      maxTokens: sampling.maxTokens,
+      tokenCounter: this.tokenCounter,
+      attachmentTokens: this.attachmentTokens,
+      system,
+      userContent,
+    });
+  }
 
-    const history = await this.memoryStore.getHistory(
-      chatId,
-      this.memoryScope,
-      this.historyLimit,
+  async loadHistory(chatId, { entries, ...context } = {}) {
+    const history = this.fitHistory(
+      entries ??
+        (await this.memoryStore.getHistory(chatId, this.memoryScope, this.historyLimit)),
+      context,
     );
 
-    const formattedHistory = history.map((entry) => ({
+    return history.map((entry) => ({
       role: entry.role === "assistant" ? "assistant" : "user",
       content: this.formatStoredContent(entry.content),
     }));
+  }
+
+  async ask(chatId, options = {}) {
+    const { text } = await this.askDetailed(chatId, options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response. History is saved the same way.
+   * @param {string|number} chatId
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) throw new Error("chatId is required for MistralAiWithHistory");
+    attachments = await this.prepareAttachments(attachments, signal);
 
     const { contentForHistory } = this.buildUserMessagePayload({
       user,
       attachments,
     });
 
-    const response = await super.ask({
+    const context = await loadHistoryContext(this, chatId, {
       system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[Mistral Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    const response = await super.askDetailed({
+      system: context.system,
       user,
       attachments,
       messages: formattedHistory,
+      signal,
+      ...overrides,
+    });
+
+    if (!signal?.aborted) {
+      persistHistoryExchange(this, chatId, contentForHistory, response.text, {
+        label: "[Mistral Memory]",
+        client: this,
+      });
+    }
+
+    return response;
+  }
+
+  async *askStream(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) throw new Error("chatId is required for MistralAiWithHistory");
+    attachments = await this.prepareAttachments(attachments, signal);
+
+    const { contentForHistory } = this.buildUserMessagePayload({
+      user,
+      attachments,
+    });
+
+    const context = await loadHistoryContext(this, chatId, {
+      system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[Mistral Memory]",
     });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    for await (const event of super.askStream({
+      system: context.system,
+      user,
+      attachments,
+      messages: formattedHistory,
+      signal,
+      ...overrides,
+    })) {
+      if (event.type === "done" && !signal?.aborted) {
+        persistHistoryExchange(this, chatId, contentForHistory, event.text, {
+          label: "[Mistral Memory]",
+          client: this,
+        });
+      }
+      yield event;
+    }
+  }
 
-    const toPersist = [];
-    if (contentForHistory !== null && contentForHistory !== undefined) {
-      toPersist.push({ role: "user", content: contentForHistory });
+  async clear(chatId) {
+    await this.memoryStore.clearHistory(chatId, this.memoryScope);
+    if (this.summarization) {
+      await this.memoryStore.clearHistory(
+        chatId,
+        summaryScopeFor(this.memoryScope),
+      );
     }
-    if (response) {
-      toPersist.push({ role: "assistant", content: response });
+    if (this.recall) {
+      await this.recall.index.clear(chatId, this.memoryScope);
     }
+  }
+}
 
-    if (toPersist.length) {
-      this.memoryStore
-        .appendMessages(chatId, this.memoryScope, toPersist)
-        .catch((e) => {
-          console.error("[Mistral Memory] Failed to persist:", e);
-        });
+const BUILT_IN_PROVIDERS = ["openrouter", "mistral", "groq"];
+
+// Methods MultiProviderAi uses when a provider client has them; only ask() is required.
+const OPTIONAL_PROVIDER_METHODS = [
+  "askDetailed",
+  "askStream",
+  "askWithTools",
+  "askJson",
+  "transcribe",
+  "transcribeDetailed",
+  "classify",
+  "embed",
+  "registerTool",
+  "use",
+  "completeWithModel",
+];
+
+/**
+ * Providers added with MultiProviderAi.registerProvider(), by name.
+ * @type {Map<string, { classRef: Function, modelKey: string, options: Record<string, any> }>}
+ */
+const registeredProviders = new Map();
+
+/**
+ * Checks a plugged-in provider class and turns it into a provider config. Takes the class
+ * itself or `{ classRef, options }`, where `options` are extra constructor options.
+ * @param {string} name
+ * @param {Function|{ classRef: Function, options?: Record<string, any> }} plugin
+ * @returns {{ classRef: Function, modelKey: string, options: Record<string, any> }}
+ */
+function normalizeProviderPlugin(name, plugin) {
+  if (typeof name !== "string" || !name) {
+    throw new Error("provider name must be a non-empty string");
+  }
+  if (BUILT_IN_PROVIDERS.includes(name)) {
+    throw new Error(`"${name}" is a built-in provider and can't be replaced`);
+  }
+  const { classRef, options = {} } =
+    typeof plugin === "function" ? { classRef: plugin } : plugin || {};
+  if (typeof classRef !== "function") {
+    throw new Error(`provider "${name}" must be a class`);
+  }
+  if (typeof classRef.prototype?.ask !== "function") {
+    throw new Error(`provider "${name}" must implement ask()`);
+  }
+  for (const method of OPTIONAL_PROVIDER_METHODS) {
+    const impl = classRef.prototype[method];
+    if (impl !== undefined && typeof impl !== "function") {
+      throw new Error(`provider "${name}" has a ${method} that isn't a method`);
     }
+  }
+  return { classRef, modelKey: name, options };
+}
 
-    return response;
+/**
+ * Calls askDetailed() on a provider client, or wraps ask() for plugged-in providers that only
+ * implement that. The result is labelled with the name MultiProviderAi knows the provider by.
+ * @param {any} client
+ * @param {string} provider
+ * @param {Record<string, any>} options
+ * @returns {Promise<AiResponse>}
+ */
+async function askProviderDetailed(client, provider, options) {
+  if (typeof client.askDetailed === "function") {
+    return { ...(await client.askDetailed(options)), provider };
   }
+  const startedAt = Date.now();
+  const text = await client.ask(options);
+  return {
+    text: typeof text === "string" ? text : String(text ?? ""),
+    provider,
+    model: typeof client.lastUsedModel === "string" ? client.lastUsedModel : null,
+    usage: null,
+    finishReason: null,
+    latencyMs: Date.now() - startedAt,
+    attempts: 1,
+    cached: false,
+    raw: null,
+  };
+}
 
-  async clear(chatId) {
-    await this.memoryStore.clearHistory(chatId, this.memoryScope);
+/**
+ * Calls transcribeDetailed() on a provider client, or wraps transcribe() for plugged-in
+ * providers that only implement that (no segments, language or duration).
+ * @param {any} client
+ * @param {string} provider
+ * @param {Record<string, any>} options
+ * @returns {Promise<AiTranscription>}
+ */
+async function transcribeProviderDetailed(client, provider, options) {
+  if (typeof client.transcribeDetailed === "function") {
+    return { ...(await client.transcribeDetailed(options)), provider };
   }
+  const text = await client.transcribe(options);
+  return {
+    text: typeof text === "string" ? text : String(text ?? ""),
+    language: null,
+    duration: null,
+    segments: [],
+    words: [],
+    provider,
+    model: typeof client.lastUsedModel === "string" ? client.lastUsedModel : null,
+    cached: false,
+    raw: null,
+  };
 }
 
 /**
@@ -1813,6 +9543,17 @@ class MultiProviderAi {
      maxTokens = 1000,
      requestTimeoutMs = 20000,
      firstToFinish = false,
+     tools = [],
+     maxToolSteps = 5,
+     retry,
+     hooks,
+     logger,
+     cache,
+     rateLimit,
+     circuitBreaker,
+     attachmentOptions,
+     endpoints = {},
+     providers = {},
    } = {}) {
      if (!apiKeys || typeof apiKeys !== "object") {
        throw new Error("apiKeys must be a non-null object with provider keys");
@@ -1821,6 +9562,17 @@ class MultiProviderAi {
      this.maxTokens = maxTokens;
      this.requestTimeoutMs = Number(requestTimeoutMs) || 0;
      this.firstToFinish = firstToFinish;
+     this.maxToolSteps = maxToolSteps;
+     this.retry = retry;
+     this.logger = resolveLogger(logger);
+     // Handed to every client, so each provider caches its own replies.
+     this.cache = cache;
+     // Keyed by provider, e.g. { groq: { requestsPerMinute: 30 } }, or one RateLimiter for all.
+     this.rateLimit = normalizeProviderRateLimits(rateLimit);
+     // Shared with every client: they track models, this tracks whole providers.
+     this.circuitBreaker = normalizeCircuitBreaker(circuitBreaker);
+     // Handed to every client, which merges it over its own provider's default limits.
+     this.attachmentOptions = attachmentOptions;
 
      this.primaryProvider = model && typeof model === "object" ? model.provider : undefined;
 
@@ -1830,21 +9582,70 @@ class MultiProviderAi {
        openrouter: {
          classRef: Ai,
          modelKey: "openrouter",
+         requiresKey: true,
        },
        mistral: {
          classRef: MistralAi,
          modelKey: "mistral",
+         requiresKey: true,
        },
        groq: {
          classRef: GroqAi,
          modelKey: "groq",
+         requiresKey: true,
        },
      };
 
-     for (const [provider, key] of Object.entries(apiKeys)) {
-      if (!key) continue;
+     // Registered providers join when apiKeys names them; ones passed to this instance always do.
+     for (const [name, cfg] of registeredProviders) providerConfigs[name] = cfg;
+     for (const [name, plugin] of Object.entries(providers || {})) {
+       providerConfigs[name] = normalizeProviderPlugin(name, plugin);
+     }
+
+     // OpenAI-compatible endpoints (Ollama, vLLM, ...) join as providers named by their key.
+     // Their API key is optional, so they're set up even without an apiKeys entry.
+     for (const [name, endpoint] of Object.entries(endpoints || {})) {
+       if (name in providerConfigs) {
+         throw new Error(`endpoint name "${name}" is already a provider`);
+       }
+       if (!endpoint?.baseURL) {
+         throw new Error(`endpoint "${name}" needs a baseURL`);
+       }
+       // Keys and models go through apiKeys, model and fallbackModels like every other provider.
+       const misplaced = {
+         apiKey: `apiKeys.${name}`,
+         model: `model or fallbackModels.${name}`,
+         fallbackModels: `fallbackModels.${name}`,
+       };
+       for (const [key, option] of Object.entries(misplaced)) {
+         if (key in endpoint) {
+           throw new Error(`endpoint "${name}" can't set ${key}; use ${option} instead`);
+         }
+       }
+       const hasModel =
+         (model && typeof model === "object" && model.provider === name && model.name) ||
+         fallbackModels?.[name]?.length;
+       if (!hasModel) {
+         throw new Error(
+           `endpoint "${name}" needs a model: set model.provider to "${name}" or give fallbackModels.${name}`,
+         );
+       }
+       providerConfigs[name] = {
+         classRef: OpenAICompatibleAi,
+         modelKey: name,
+         options: { ...endpoint, name },
+       };
+     }
+
+     const providerEntries = Object.entries(apiKeys);
+     for (const name of [...Object.keys(providers || {}), ...Object.keys(endpoints || {})]) {
+       if (!(name in apiKeys)) providerEntries.push([name, undefined]);
+     }
+
+     for (const [provider, key] of providerEntries) {
       const cfg = providerConfigs[provider];
       if (!cfg) continue;
+      if (!key && cfg.requiresKey) continue;
 
       const isPrimary =
         model &&
@@ -1854,11 +9655,20 @@ class MultiProviderAi {
         model.name.length > 0;
 
       const ctorOptions = {
-        apiKey: key,
+        ...cfg.options,
+        apiKey: key || cfg.options?.apiKey,
         temperature: this.temperature,
         maxTokens: this.maxTokens,
         requestTimeoutMs: this.requestTimeoutMs,
         firstToFinish: this.firstToFinish,
+        maxToolSteps: this.maxToolSteps,
+        retry: this.retry,
+        logger: this.logger,
+        cache: this.cache,
+        rateLimit:
+          this.rateLimit instanceof RateLimiter ? this.rateLimit : this.rateLimit[provider],
+        circuitBreaker: this.circuitBreaker,
+        attachmentOptions: this.attachmentOptions,
       };
 
       const fallbacks = fallbackModels?.[provider];
@@ -1879,6 +9689,97 @@ class MultiProviderAi {
     }
 
      this.lastUsedModel = null;
+     this.tools = new Map();
+     for (const tool of tools) this.registerTool(tool);
+     this.hooks = [];
+     for (const hook of [].concat(hooks ?? [])) this.use(hook);
+   }
+
+   /**
+    * Makes a provider class available to every MultiProviderAi created afterwards. It joins when
+    * apiKeys names it; only ask() is required.
+    * @param {string} name
+    * @param {Function} classRef
+    * @param {Record<string, any>} [options] - Extra constructor options for every instance.
+    * @returns {typeof MultiProviderAi}
+    */
+   static registerProvider(name, classRef, options = {}) {
+     registeredProviders.set(name, normalizeProviderPlugin(name, { classRef, options }));
+     return this;
+   }
+
+   /**
+    * Removes a provider added with registerProvider(). Existing instances keep their clients.
+    * @param {string} name
+    * @returns {boolean} Whether it was registered.
+    */
+   static unregisterProvider(name) {
+     return registeredProviders.delete(name);
+   }
+
+   /**
+    * Registers a tool on every configured provider so calls keep working whichever one answers.
+    * @param {AiTool} tool
+    * @returns {this}
+    */
+   registerTool(tool) {
+     const normalized = normalizeToolDefinition(tool);
+     this.tools.set(normalized.name, normalized);
+     for (const client of Object.values(this.clients)) {
+       if (typeof client.registerTool === "function") {
+         client.registerTool(normalized);
+       }
+     }
+     return this;
+   }
+
+   /**
+    * Adds a set of lifecycle hooks. Per-model hooks are handed to every provider; onComplete
+    * stays here so it fires once per call rather than once per provider tried.
+    * @param {AiHooks} hook
+    * @returns {this}
+    */
+   use(hook) {
+     const normalized = normalizeHook(hook);
+     this.hooks.push(normalized);
+     const { onComplete, ...perModel } = normalized;
+     for (const client of Object.values(this.clients)) {
+       if (typeof client.use === "function") client.use(perModel);
+     }
+     return this;
+   }
+
+   /**
+    * Reads paths and streams once up front, so every provider tried gets the same bytes.
+    * @param {AiAttachment[]} attachments
+    * @param {AbortSignal} [signal] - Cancels reading
+    * @returns {Promise<AiAttachment[]>}
+    */
+   async prepareAttachments(attachments, signal) {
+     if (alreadyPrepared(this, attachments)) return attachments;
+     const { attachments: processed, changes } = await processAttachments(attachments, { signal });
+     await reportAttachmentChanges(this, "[MultiProviderAI]", null, changes);
+     return markPrepared(this, processed);
+   }
+
+   /**
+    * Fires onFallback when a failed provider hands over to the next one in `providers`.
+    * @param {string} operation
+    * @param {string[]} providers
+    * @param {string} provider - The provider that just failed.
+    * @param {Array<{ provider: string, model: string|null, error: Error }>} attempts
+    * @returns {Promise<void>}
+    */
+   async reportProviderFallback(operation, providers, provider, attempts) {
+     const next = providers[providers.indexOf(provider) + 1];
+     if (!next) return;
+     const last = attempts[attempts.length - 1];
+     await runHooks(this, "onFallback", {
+       operation,
+       from: { provider, model: last?.model ?? null },
+       to: { provider: next, model: this.clients[next]?.models?.[0] ?? null },
+       error: last?.error,
+     });
    }
 
    getOrderedProviders() {
@@ -1890,73 +9791,322 @@ class MultiProviderAi {
        : available[0];
 
      const rest = available.filter((p) => p !== preferred);
-     return [preferred, ...rest];
+     const ordered = [preferred, ...rest];
+     if (!this.circuitBreaker) return ordered;
+
+     // Skip providers with an open circuit. If every one is open, keep them all and let each
+     // client's model circuits decide.
+     const closed = ordered.filter((p) => this.circuitBreaker.getState(p) !== "open");
+     return closed.length ? closed : ordered;
    }
 
-   async ask({ system, user, messages = [], attachments = [] } = {}) {
-     const providers = this.getOrderedProviders();
+   /**
+    * Runs the tool loop through the configured providers in preference order. Tool calls and
+    * results come back in the same shape whichever provider answers. Providers are never raced.
+    * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxToolSteps?: number, signal?: AbortSignal } & AiMultiCallOverrides} [options]
+    * @returns {Promise<AiToolResult>}
+    */
+   async askWithTools(options = {}) {
+     const providers = this.getOrderedProviders().filter((p) =>
+       typeof this.clients[p]?.askWithTools === "function",
+     );
      if (!providers.length) {
        throw new Error("No AI providers configured for MultiProviderAi");
      }
 
-     if (!this.firstToFinish || providers.length === 1) {
-       let lastError;
+     const completion = { provider: null, operation: "askWithTools" };
+     return completeWithHooks(this, completion, async () => {
+       options = { ...options, attachments: await this.prepareAttachments(options.attachments, options.signal) };
+       const callStartedAt = Date.now();
+       const attempts = [];
        for (const provider of providers) {
          const client = this.clients[provider];
-         if (!client || typeof client.ask !== "function") continue;
+         const startedAt = Date.now();
          try {
-           const resp = await client.ask({ system, user, messages, attachments });
-           this.lastUsedModel = { provider, model: client.lastUsedModel || null };
-           return resp;
+           const result = await client.askWithTools(overridesForProvider(options, provider));
+           this.lastUsedModel = { provider, model: result.model || null };
+           noteCircuitSuccess(this, provider);
+           return {
+             ...result,
+             provider,
+             latencyMs: Date.now() - callStartedAt,
+             attempts: attempts.length + result.attempts,
+           };
          } catch (err) {
-           lastError = err;
-           console.error(`[MultiProviderAI] ${provider} failed:`, err?.message || err);
+           if (options.signal?.aborted) throw abortErrorFor(options.signal);
+           recordAttempt(attempts, { provider, error: err, startedAt });
+           noteCircuitFailure(this, provider, null, err);
+           logFailedAttempt(this.logger, `[MultiProviderAI] ${provider} failed`, attempts);
+           await this.reportProviderFallback("askWithTools", providers, provider, attempts);
          }
        }
-       throw lastError || new Error("All AI providers failed");
-     }
+       throw new AllModelsFailedError("All AI providers failed", attempts);
+     });
+   }
 
-     return new Promise((resolve, reject) => {
-       let settled = false;
-       let remaining = providers.length;
-       let lastError;
+   /**
+    * Asks for JSON matching a JSON Schema through the providers in preference order, each
+    * one repairing and falling back across its own models first. Providers are never raced.
+    * @param {{ schema: Record<string, any>, system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], maxRepairAttempts?: number, signal?: AbortSignal } & AiMultiCallOverrides} options
+    * @returns {Promise<any>}
+    * @throws {JsonValidationError} When no provider produced valid JSON.
+    * @throws {AllModelsFailedError} When every provider failed for some other reason.
+    */
+   async askJson(options = {}) {
+     const providers = this.getOrderedProviders().filter((p) =>
+       typeof this.clients[p]?.askJson === "function",
+     );
+     if (!providers.length) {
+       throw new Error("No AI providers configured for MultiProviderAi");
+     }
 
+     const completion = { provider: null, operation: "askJson" };
+     return completeWithHooks(this, completion, async () => {
+       options = { ...options, attachments: await this.prepareAttachments(options.attachments, options.signal) };
+       const attempts = [];
        for (const provider of providers) {
          const client = this.clients[provider];
-         if (!client || typeof client.ask !== "function") {
-           remaining -= 1;
-           if (!settled && remaining === 0) {
-             reject(lastError || new Error("All AI providers failed"));
-           }
-           continue;
+         const startedAt = Date.now();
+         try {
+           const value = await client.askJson(overridesForProvider(options, provider));
+           this.lastUsedModel = { provider, model: client.lastUsedModel || null };
+           noteCircuitSuccess(this, provider);
+           return value;
+         } catch (err) {
+           if (options.signal?.aborted) throw abortErrorFor(options.signal);
+           recordAttempt(attempts, { provider, error: err, startedAt });
+           noteCircuitFailure(this, provider, null, err);
+           logFailedAttempt(this.logger, `[MultiProviderAI] ${provider} failed`, attempts);
+           await this.reportProviderFallback("askJson", providers, provider, attempts);
          }
+       }
+       throw jsonFailureFor("All AI providers failed", attempts);
+     });
+   }
 
-         (async () => {
+   /**
+    * Sends a prompt through the configured providers, each falling back across its own models.
+    * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiMultiCallOverrides} [options]
+    * @returns {Promise<string>}
+    */
+   async ask(options = {}) {
+     const { text } = await this.askDetailed(options);
+     return text;
+   }
+
+   /**
+    * Same as ask(), but resolves to the whole response. `attempts` counts every model tried
+    * across all providers.
+    * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiMultiCallOverrides} [options]
+    * @returns {Promise<AiResponse>}
+    */
+   async askDetailed({ system, user, messages = [], attachments = [], signal, ...overrides } = {}) {
+     const providers = this.getOrderedProviders();
+     if (!providers.length) {
+       throw new Error("No AI providers configured for MultiProviderAi");
+     }
+     attachments = await this.prepareAttachments(attachments, signal);
+
+     if (this.tools.size) {
+       return this.askWithTools({
+         system,
+         user,
+         messages,
+         attachments,
+         signal,
+         ...overrides,
+       });
+     }
+
+     const completion = { provider: null, operation: "ask" };
+     return completeWithHooks(this, completion, async () => {
+       const callStartedAt = Date.now();
+
+       if (!this.firstToFinish || providers.length === 1) {
+         const attempts = [];
+         for (const provider of providers) {
+           const client = this.clients[provider];
+           if (!client || typeof client.ask !== "function") continue;
+           const startedAt = Date.now();
            try {
-             const resp = await client.ask({ system, user, messages, attachments });
-             if (!settled) {
-               settled = true;
-               this.lastUsedModel = { provider, model: client.lastUsedModel || null };
-               resolve(resp);
-             }
+             const result = await askProviderDetailed(client, provider, {
+               ...overridesForProvider(overrides, provider),
+               system,
+               user,
+               messages,
+               attachments,
+               signal,
+             });
+             this.lastUsedModel = { provider, model: result.model };
+             noteCircuitSuccess(this, provider);
+             return {
+               ...result,
+               latencyMs: Date.now() - callStartedAt,
+               attempts: attempts.length + result.attempts,
+             };
            } catch (err) {
-             lastError = err;
-             console.error(`[MultiProviderAI] ${provider} failed:`, err?.message || err);
-           } finally {
+             if (signal?.aborted) throw abortErrorFor(signal);
+             recordAttempt(attempts, { provider, error: err, startedAt });
+             noteCircuitFailure(this, provider, null, err);
+             logFailedAttempt(this.logger, `[MultiProviderAI] ${provider} failed`, attempts);
+             await this.reportProviderFallback("ask", providers, provider, attempts);
+           }
+         }
+         throw new AllModelsFailedError("All AI providers failed", attempts);
+       }
+
+       const race = new AbortController();
+       const raceSignal = anySignal([signal, race.signal]);
+
+       return new Promise((resolve, reject) => {
+         let settled = false;
+         let remaining = providers.length;
+         const attempts = [];
+
+         for (const provider of providers) {
+           const client = this.clients[provider];
+           if (!client || typeof client.ask !== "function") {
              remaining -= 1;
              if (!settled && remaining === 0) {
+               reject(new AllModelsFailedError("All AI providers failed", attempts));
+             }
+             continue;
+           }
+
+           (async () => {
+             const startedAt = Date.now();
+             try {
+               const result = await askProviderDetailed(client, provider, {
+                 ...overridesForProvider(overrides, provider),
+                 system,
+                 user,
+                 messages,
+                 attachments,
+                 signal: raceSignal,
+               });
+               if (!settled) {
+                 settled = true;
+                 race.abort();
+                 this.lastUsedModel = { provider, model: result.model };
+                 noteCircuitSuccess(this, provider);
+                 resolve({
+                   ...result,
+                   latencyMs: Date.now() - callStartedAt,
+                   attempts: attempts.length + result.attempts,
+                 });
+               }
+             } catch (err) {
+               if (settled) return;
+               if (signal?.aborted) {
+                 settled = true;
+                 reject(abortErrorFor(signal));
+                 return;
+               }
+               recordAttempt(attempts, { provider, error: err, startedAt });
+               noteCircuitFailure(this, provider, null, err);
+               logFailedAttempt(this.logger, `[MultiProviderAI] ${provider} failed`, attempts);
+             } finally {
+               remaining -= 1;
+               if (!settled && remaining === 0) {
+                 settled = true;
+                 reject(new AllModelsFailedError("All AI providers failed", attempts));
+               }
+             }
+           })();
+         }
+       });
+     });
+   }
+
+   /**
+    * Streams a reply through the configured providers in preference order. A provider that
+    * fails before producing any text hands over to the next one; providers are never raced.
+    * @param {{ system?: string, user?: any, messages?: Array<any>, attachments?: AiAttachment[], signal?: AbortSignal } & AiMultiCallOverrides} [options]
+    * @returns {AsyncGenerator<AiStreamEvent>}
+    */
+   async *askStream({
+     system,
+     user,
+     messages = [],
+     attachments = [],
+     signal,
+     ...overrides
+   } = {}) {
+     const providers = this.getOrderedProviders().filter((p) =>
+       typeof this.clients[p]?.askStream === "function",
+     );
+     if (!providers.length) {
+       throw new Error("No AI providers configured for MultiProviderAi");
+     }
+     attachments = await this.prepareAttachments(attachments, signal);
+
+     const completion = { provider: null, operation: "askStream" };
+     const callStartedAt = Date.now();
+     let settled = false;
+     try {
+       const attempts = [];
+       for (const provider of providers) {
+         const client = this.clients[provider];
+         let started = false;
+         const startedAt = Date.now();
+         try {
+           for await (const event of client.askStream({
+             ...overridesForProvider(overrides, provider),
+             system,
+             user,
+             messages,
+             attachments,
+             signal,
+           })) {
+             started = true;
+             if (event.type === "done") {
+               this.lastUsedModel = { provider, model: event.model || null };
+               noteCircuitSuccess(this, provider);
                settled = true;
-               reject(lastError || new Error("All AI providers failed"));
+               await reportCompletion(this, completion, callStartedAt, {
+                 response: { ...event, provider },
+               });
              }
+             yield { ...event, provider };
            }
-         })();
+           return;
+         } catch (err) {
+           if (signal?.aborted) throw abortErrorFor(signal);
+           if (started) throw toAiError(err, { provider });
+           recordAttempt(attempts, { provider, error: err, startedAt });
+           noteCircuitFailure(this, provider, null, err);
+           logFailedAttempt(this.logger, `[MultiProviderAI] ${provider} failed`, attempts);
+           await this.reportProviderFallback("askStream", providers, provider, attempts);
+         }
        }
-     });
+       throw new AllModelsFailedError("All AI providers failed", attempts);
+     } catch (error) {
+       settled = true;
+       await reportCompletion(this, completion, callStartedAt, { error });
+       throw error;
+     } finally {
+       if (!settled) {
+         await reportCompletion(this, completion, callStartedAt, { stopped: true });
+       }
+     }
    }
 
    async transcribe(options = {}) {
-     const providers = this.getOrderedProviders().filter((p) =>
-       typeof this.clients[p]?.transcribe === "function",
+     const { text } = await this.transcribeDetailed(options);
+     return text;
+   }
+
+   /**
+    * Same as transcribe(), but resolves to segments, word timestamps where the provider has
+    * them, the detected language and the duration, in the same shape for every provider.
+    * @param {Record<string, any>} [options] - Passed through to the provider's transcribeDetailed()
+    * @returns {Promise<AiTranscription>}
+    */
+   async transcribeDetailed(options = {}) {
+     const providers = this.getOrderedProviders().filter(
+       (p) =>
+         typeof this.clients[p]?.transcribeDetailed === "function" ||
+         typeof this.clients[p]?.transcribe === "function",
      );
 
      if (!providers.length) {
@@ -1964,50 +10114,74 @@ class MultiProviderAi {
      }
 
      if (!this.firstToFinish || providers.length === 1) {
-       let lastError;
+       const attempts = [];
        for (const provider of providers) {
          const client = this.clients[provider];
+         const startedAt = Date.now();
          try {
-           const text = await client.transcribe(options);
-           this.lastUsedModel = { provider, model: client.lastUsedModel || null };
-           return text;
+           const result = await transcribeProviderDetailed(client, provider, options);
+           this.lastUsedModel = { provider, model: result.model || client.lastUsedModel || null };
+           noteCircuitSuccess(this, provider);
+           return result;
          } catch (err) {
-           lastError = err;
-           console.error(
-             `[MultiProviderAI] transcription via ${provider} failed:`,
-             err?.message || err,
-           );
+           if (options.signal?.aborted) throw abortErrorFor(options.signal);
+           recordAttempt(attempts, { provider, error: err, startedAt });
+           noteCircuitFailure(this, provider, null, err);
+           logFailedAttempt(
+             this.logger,
+             `[MultiProviderAI] transcription via ${provider} failed`,
+             attempts,
+             );
          }
        }
-       throw lastError || new Error("All transcription providers failed");
+       throw new AllModelsFailedError("All transcription providers failed", attempts);
      }
 
+     const race = new AbortController();
+     const raceSignal = anySignal([options.signal, race.signal]);
+
      return new Promise((resolve, reject) => {
        let settled = false;
        let remaining = providers.length;
-       let lastError;
+       const attempts = [];
 
        for (const provider of providers) {
          const client = this.clients[provider];
          (async () => {
+           const startedAt = Date.now();
            try {
-             const text = await client.transcribe(options);
+             const result = await transcribeProviderDetailed(client, provider, {
+               ...options,
+               signal: raceSignal,
+             });
              if (!settled) {
                settled = true;
-               this.lastUsedModel = { provider, model: client.lastUsedModel || null };
-               resolve(text);
+               race.abort();
+               this.lastUsedModel = { provider, model: result.model || client.lastUsedModel || null };
+               noteCircuitSuccess(this, provider);
+               resolve(result);
              }
            } catch (err) {
-             lastError = err;
-             console.error(
-               `[MultiProviderAI] transcription via ${provider} failed:`,
-               err?.message || err,
-             );
+             if (settled) return;
+             if (options.signal?.aborted) {
+               settled = true;
+               reject(abortErrorFor(options.signal));
+               return;
+             }
+             recordAttempt(attempts, { provider, error: err, startedAt });
+             noteCircuitFailure(this, provider, null, err);
+             logFailedAttempt(
+               this.logger,
+               `[MultiProviderAI] transcription via ${provider} failed`,
+               attempts,
+               );
            } finally {
              remaining -= 1;
              if (!settled && remaining === 0) {
                settled = true;
-               reject(lastError || new Error("All transcription providers failed"));
+               reject(
+                 new AllModelsFailedError("All transcription providers failed", attempts),
+               );
              }
            }
          })();
@@ -2034,6 +10208,105 @@ class MultiProviderAi {
      this.lastUsedModel = { provider, model: client.lastUsedModel || null };
      return result;
    }
+
+   /**
+    * Embeds text with the first provider that has embed(), falling back like ask() does.
+    * @param {string|string[]} texts
+    * @param {{ model?: string|string[]|Record<string, string|string[]>, batchSize?: number, signal?: AbortSignal }} [options]
+    * @returns {Promise<AiEmbeddingResult>}
+    */
+   async embed(texts, options = {}) {
+     const providers = this.getOrderedProviders().filter((p) =>
+       typeof this.clients[p]?.embed === "function",
+     );
+
+     if (!providers.length) {
+       throw new Error("No providers with embed() configured for MultiProviderAi");
+     }
+
+     const optionsFor = (provider, signal) => {
+       const { model } = options;
+       const perProvider =
+         model && typeof model === "object" && !Array.isArray(model);
+       return {
+         ...options,
+         model: perProvider ? model[provider] : model,
+         signal,
+       };
+     };
+
+     if (!this.firstToFinish || providers.length === 1) {
+       const attempts = [];
+       for (const provider of providers) {
+         const client = this.clients[provider];
+         const startedAt = Date.now();
+         try {
+           const result = await client.embed(texts, optionsFor(provider, options.signal));
+           this.lastUsedModel = { provider, model: result.model };
+           noteCircuitSuccess(this, provider);
+           return result;
+         } catch (err) {
+           if (options.signal?.aborted) throw abortErrorFor(options.signal);
+           recordAttempt(attempts, { provider, error: err, startedAt });
+           noteCircuitFailure(this, provider, null, err);
+           logFailedAttempt(
+             this.logger,
+             `[MultiProviderAI] embeddings via ${provider} failed`,
+             attempts,
+             );
+         }
+       }
+       throw new AllModelsFailedError("All embedding providers failed", attempts);
+     }
+
+     const race = new AbortController();
+     const raceSignal = anySignal([options.signal, race.signal]);
+
+     return new Promise((resolve, reject) => {
+       let settled = false;
+       let remaining = providers.length;
+       const attempts = [];
+
+       for (const provider of providers) {
+         const client = this.clients[provider];
+         (async () => {
+           const startedAt = Date.now();
+           try {
+             const result = await client.embed(texts, optionsFor(provider, raceSignal));
+             if (!settled) {
+               settled = true;
+               race.abort();
+               this.lastUsedModel = { provider, model: result.model };
+               noteCircuitSuccess(this, provider);
+               resolve(result);
+             }
+           } catch (err) {
+             if (settled) return;
+             if (options.signal?.aborted) {
+               settled = true;
+               reject(abortErrorFor(options.signal));
+               return;
+             }
+             recordAttempt(attempts, { provider, error: err, startedAt });
+             noteCircuitFailure(this, provider, null, err);
+             logFailedAttempt(
+               this.logger,
+               `[MultiProviderAI] embeddings via ${provider} failed`,
+               attempts,
+               );
+           } finally {
+             remaining -= 1;
+             if (!settled && remaining === 0) {
+               settled = true;
+               reject(
+                 new AllModelsFailedError("All embedding providers failed", attempts),
+               );
+             }
+           }
+         })();
+       }
+     });
+   }
  }
 
 /**
@@ -2044,69 +10317,58 @@ class MultiProviderAi {
  */
 class MultiProviderAiWithHistory extends MultiProviderAi {
   formatStoredContent(content) {
-    if (Array.isArray(content)) {
-      return { content };
-    }
-    if (content && typeof content === "object" && "content" in content) {
-      return content;
-    }
-    return content;
+    const formatted = toProviderContent(content, "openai");
+    return typeof formatted === "string" ? formatted : { content: formatted };
   }
 
   constructor({
     memoryStore,
     memoryScope = "default",
-    historyLimit = 10,
+    historyLimit,
+    tokenBudget,
+    tokenCounter,
+    attachmentTokens,
+    summarization,
+    recall,
     ...options
   } = {}) {
-    if (!memoryStore) {
-      throw new Error("memoryStore is required for MultiProviderAiWithHistory");
+    assertMemoryStore(memoryStore, "MultiProviderAiWithHistory");
+    const summarizationOptions = normalizeSummarizationOptions(summarization, memoryStore);
+    if (
+      summarizationOptions &&
+      typeof memoryStore.deleteOldest !== "function"
+    ) {
+      throw new Error(
+        "memoryStore for MultiProviderAiWithHistory must implement deleteOldest() to use summarization",
+      );
     }
     super(options);
     this.memoryStore = memoryStore;
     this.memoryScope = memoryScope;
-    this.historyLimit = historyLimit;
+    this.historyLimit = historyLimit ?? (tokenBudget ? 80 : 10);
+    this.tokenBudget = tokenBudget;
+    this.tokenCounter = tokenCounter;
+    this.attachmentTokens = attachmentTokens;
+    this.summarization = summarizationOptions;
+    this.summariesInFlight = new Set();
+    this.recall = normalizeRecallOptions(recall, this, "MultiProviderAiWithHistory");
   }
 
   ensureContentArray(content) {
-    if (Array.isArray(content)) {
-      return [...content];
-    }
-    if (typeof content === "string" && content.length) {
-      return [{ type: "text", text: content }];
-    }
-    return [];
+    return toProviderParts(content, "openai");
   }
 
-  toBase64(data) {
-    if (!data) return null;
-    if (Buffer.isBuffer(data)) {
-      return data.toString("base64");
-    }
-    if (typeof data === "string") {
-      const trimmed = data.trim();
-      if (!trimmed) return null;
-      if (trimmed.startsWith("data:")) {
-        const base64Part = trimmed.substring(trimmed.indexOf(",") + 1);
-        return base64Part ? base64Part.trim() : null;
-      }
-      const base64Like = trimmed.replace(/\s+/g, "");
-      if (/^[A-Za-z0-9+/]+={0,2}$/.test(base64Like)) {
-        return base64Like;
-      }
-      return Buffer.from(trimmed).toString("base64");
-    }
-    return null;
+  toBase64(data, type = "image") {
+    return encodeInlineAttachment(data, type)?.base64 ?? null;
   }
 
   toDataUri(data, mimeType) {
-    if (!data) return null;
     if (typeof data === "string" && data.trim().startsWith("data:")) {
       return data.trim();
     }
-    const encoded = this.toBase64(data);
+    const encoded = encodeInlineAttachment(data, "image");
     if (!encoded) return null;
-    return `data:${mimeType};base64,${encoded}`;
+    return `data:${mimeType || encoded.mimeType || "image/png"};base64,${encoded.base64}`;
   }
 
   mimeTypeToFormat(mimeType) {
@@ -2126,7 +10388,7 @@ class MultiProviderAiWithHistory extends MultiProviderAi {
         return { type: "image_url", image_url: { url } };
       }
 
-      const dataUri = this.toDataUri(data, mimeType || "image/png");
+      const dataUri = this.toDataUri(data, mimeType);
       if (!dataUri) return null;
       return { type: "image_url", image_url: { url: dataUri } };
     }
@@ -2136,7 +10398,7 @@ class MultiProviderAiWithHistory extends MultiProviderAi {
         return { type: "input_video", video: { url } };
       }
 
-      const encoded = this.toBase64(data);
+      const encoded = this.toBase64(data, "video");
       if (!encoded) return null;
       const payload = { data: encoded };
       const resolvedFormat =
@@ -2147,6 +10409,15 @@ class MultiProviderAiWithHistory extends MultiProviderAi {
       return { type: "input_video", video: payload };
     }
 
+    if (type === "audio") {
+      return toAudioAttachmentPart(attachment, "openai");
+    }
+
+    if (type === "document") {
+      const part = toDocumentPart(attachment);
+      return part ? toProviderParts([part], "openai")[0] : null;
+    }
+
     return null;
   }
 
@@ -2173,7 +10444,7 @@ class MultiProviderAiWithHistory extends MultiProviderAi {
     }
 
     if (Array.isArray(user)) {
-      const contentPieces = [...user, ...normalizedAttachments];
+      const contentPieces = [...this.ensureContentArray(user), ...normalizedAttachments];
       if (!contentPieces.length) {
         return { message: null, contentForHistory: null };
       }
@@ -2232,57 +10503,157 @@ class MultiProviderAiWithHistory extends MultiProviderAi {
     };
   }
 
-  async ask(chatId, { system, user, attachments = [] } = {}) {
-    if (!chatId) {
-      throw new Error("chatId is required for MultiProviderAiWithHistory");
-    }
+  fitHistory(entries, { system, userContent, overrides = {} } = {}) {
+    return fitHistoryToBudget(entries, {
+      tokenBudget: this.tokenBudget,
+      models: Object.entries(this.clients).flatMap(([provider, client]) =>
+        client.models
+          ? resolveCallOverrides(client, overridesForProvider(overrides, provider)).models
+          : [],
+      ),
+      maxTokens: overrides.maxTokens ?? this.maxTokens,
+      tokenCounter: this.tokenCounter,
+      attachmentTokens: this.attachmentTokens,
+      system,
+      userContent,
+    });
+  }
 
-    const historyEntries = await this.memoryStore.getHistory(
-      chatId,
-      this.memoryScope,
-      this.historyLimit,
+  async loadHistory(chatId, { entries, ...context } = {}) {
+    const historyEntries = this.fitHistory(
+      entries ??
+        (await this.memoryStore.getHistory(chatId, this.memoryScope, this.historyLimit)),
+      context,
     );
 
-    const formattedHistory = historyEntries.map((entry) => {
+    return historyEntries.map((entry) => {
       const payload = this.formatStoredContent(entry.content);
       return entry.role === "assistant"
         ? new AIMessage(payload)
         : new HumanMessage(payload);
     });
+  }
+
+  /**
+   * The client that runs summarization.model: its provider when the model names one, otherwise
+   * the first provider in order.
+   * @returns {any}
+   */
+  summaryClient() {
+    const model = this.summarization?.model;
+    const provider =
+      (model && typeof model === "object" && model.provider) ||
+      this.getOrderedProviders()[0];
+    return this.clients[provider];
+  }
+
+  async ask(chatId, options = {}) {
+    const { text } = await this.askDetailed(chatId, options);
+    return text;
+  }
+
+  /**
+   * Same as ask(), but resolves to the whole response. History is saved the same way.
+   * @param {string|number} chatId
+   * @param {{ system?: string, user?: any, attachments?: AiAttachment[], signal?: AbortSignal } & AiMultiCallOverrides} [options]
+   * @returns {Promise<AiResponse>}
+   */
+  async askDetailed(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) {
+      throw new Error("chatId is required for MultiProviderAiWithHistory");
+    }
+    attachments = await this.prepareAttachments(attachments, signal);
 
     const { contentForHistory } = this.buildUserMessagePayload({
       user,
       attachments,
     });
 
-    const response = await super.ask({
+    const context = await loadHistoryContext(this, chatId, {
       system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[MultiProvider Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
+
+    const response = await super.askDetailed({
+      system: context.system,
       user,
       attachments,
       messages: formattedHistory,
+      signal,
+      ...overrides,
     });
 
-    const toPersist = [];
-    if (contentForHistory !== null && contentForHistory !== undefined) {
-      toPersist.push({ role: "user", content: contentForHistory });
+    if (!signal?.aborted) {
+      persistHistoryExchange(this, chatId, contentForHistory, response.text, {
+        label: "[MultiProvider Memory]",
+        client: this.summaryClient(),
+      });
     }
-    if (response) {
-      toPersist.push({ role: "assistant", content: response });
+
+    return response;
+  }
+
+  async *askStream(chatId, { system, user, attachments = [], signal, ...overrides } = {}) {
+    if (!chatId) {
+      throw new Error("chatId is required for MultiProviderAiWithHistory");
     }
+    attachments = await this.prepareAttachments(attachments, signal);
+
+    const { contentForHistory } = this.buildUserMessagePayload({
+      user,
+      attachments,
+    });
+
+    const context = await loadHistoryContext(this, chatId, {
+      system,
+      userContent: contentForHistory,
+      overrides,
+      label: "[MultiProvider Memory]",
+    });
+    const formattedHistory = await this.loadHistory(chatId, {
+      system: context.system,
+      userContent: contentForHistory,
+      overrides,
+      entries: context.entries,
+    });
 
-    if (toPersist.length) {
-      this.memoryStore
-        .appendMessages(chatId, this.memoryScope, toPersist)
-        .catch((err) => {
-          console.error("[MultiProvider Memory] Failed to persist chat:", err);
+    for await (const event of super.askStream({
+      system: context.system,
+      user,
+      attachments,
+      messages: formattedHistory,
+      signal,
+      ...overrides,
+    })) {
+      if (event.type === "done" && !signal?.aborted) {
+        persistHistoryExchange(this, chatId, contentForHistory, event.text, {
+          label: "[MultiProvider Memory]",
+          client: this.summaryClient(),
         });
+      }
+      yield event;
     }
-
-    return response;
   }
 
   async clear(chatId) {
     await this.memoryStore.clearHistory(chatId, this.memoryScope);
+    if (this.summarization) {
+      await this.memoryStore.clearHistory(
+        chatId,
+        summaryScopeFor(this.memoryScope),
+      );
+    }
+    if (this.recall) {
+      await this.recall.index.clear(chatId, this.memoryScope);
+    }
   }
 }
 
@@ -2290,10 +10661,33 @@ module.exports = {
   Ai,
   AiWithHistory,
   AiMemoryStore,
+  InMemoryAiMemoryStore,
+  FileAiMemoryStore,
+  InMemoryAiCache,
+  MongoAiCache,
+  InMemoryAiVectorIndex,
+  MongoAiVectorIndex,
+  RateLimiter,
+  CircuitBreaker,
   GroqAi,
   GroqAiWithHistory,
   MistralAi,
   MistralAiWithHistory,
+  OpenAICompatibleAi,
+  OpenAICompatibleAiWithHistory,
   MultiProviderAi,
   MultiProviderAiWithHistory,
+  createConsoleLogger,
+  adaptLogger,
+  AiError,
+  TimeoutError,
+  RateLimitError,
+  AuthError,
+  ContextLengthError,
+  EmptyResponseError,
+  AllModelsFailedError,
+  CircuitOpenError,
+  AttachmentError,
+  JsonValidationError,
+  toCanonicalMessage,
 };
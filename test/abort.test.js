@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  AllModelsFailedError,
+} = require("../ai.js");
+const { stubGroq, reply, settle } = require("./helpers.js");
+
+/** A request that only ends when its signal aborts, like a stuck HTTP call. */
+function hang(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
+}
+
+test("a timed-out request is aborted, not left running", async () => {
+  const signals = [];
+  const { ai } = stubGroq(
+    (body, { signal }) => {
+      signals.push(signal);
+      return hang(signal);
+    },
+    { fallbackModels: ["b"], requestTimeoutMs: 20, retry: false },
+  );
+  await assert.rejects(ai.ask({ user: "hi" }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    assert.deepEqual(
+      error.attempts.map((attempt) => attempt.error.name),
+      ["TimeoutError", "TimeoutError"],
+    );
+    return true;
+  });
+  assert.deepEqual(
+    signals.map((signal) => signal.aborted),
+    [true, true],
+  );
+});
+
+test("firstToFinish aborts the models that lost the race", async () => {
+  const signals = {};
+  const { ai } = stubGroq(
+    (body, { signal }) => {
+      signals[body.model] = signal;
+      return body.model === "fast" ? reply("won") : hang(signal);
+    },
+    { model: "slow", fallbackModels: ["fast"], firstToFinish: true, retry: false },
+  );
+  assert.equal(await ai.ask({ user: "hi" }), "won");
+  assert.equal(signals.slow.aborted, true);
+});
+
+test("the caller's signal cancels the request without falling back", async () => {
+  const signals = [];
+  const { ai, requests } = stubGroq(
+    (body, { signal }) => {
+      signals.push(signal);
+      return hang(signal);
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  const controller = new AbortController();
+  const pending = ai.ask({ user: "hi", signal: controller.signal });
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(pending, { name: "AbortError" });
+  assert.equal(requests.length, 1);
+  assert.equal(signals[0].aborted, true);
+});
+
+test("an already aborted signal never reaches the provider", async () => {
+  const { ai, requests } = stubGroq(() => reply("ok"));
+  await assert.rejects(ai.ask({ user: "hi", signal: AbortSignal.abort() }), { name: "AbortError" });
+  assert.equal(requests.length, 0);
+});
+
+test("transcribe() passes the signal down to the request", async () => {
+  const { ai } = stubGroq(() => reply("unused"), { retry: false });
+  let seen;
+  ai.client.audio = {
+    transcriptions: {
+      create: async (body, { signal }) => {
+        seen = signal;
+        return hang(signal);
+      },
+    },
+  };
+  const controller = new AbortController();
+  const pending = ai.transcribe({ file: Buffer.from("audio"), signal: controller.signal });
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(pending, { name: "AbortError" });
+  assert.equal(seen.aborted, true);
+});
+
+test("history classes don't store an aborted exchange", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const controller = new AbortController();
+  const { ai } = stubGroq(
+    async () => {
+      // The reply arrives, but the caller gave up while it was on its way.
+      controller.abort();
+      return reply("too late");
+    },
+    { memoryStore, retry: false },
+    GroqAiWithHistory,
+  );
+  await ai.ask("chat", { user: "hi", signal: controller.signal }).catch(() => {});
+  await settle();
+  assert.deepEqual(await memoryStore.getHistory("chat", ai.memoryScope, 10), []);
+});
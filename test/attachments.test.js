@@ -0,0 +1,260 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const {
+  Ai,
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  MultiProviderAi,
+  AttachmentError,
+} = require("../ai.js");
+const { stubGroq, reply, httpError, makePdf, makeZip, makeDocx } = require("./helpers.js");
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from([0, 0, 0, 13]),
+  Buffer.from("IHDR"),
+  Buffer.from([0, 0, 0, 4, 0, 0, 0, 2, 8, 6, 0, 0, 0]),
+]);
+
+/** `header` padded out so every sniffer check has bytes to look at. */
+function bytes(header) {
+  return Buffer.concat([Buffer.from(header, "latin1"), Buffer.alloc(16)]);
+}
+
+async function prepare(attachments, options = {}) {
+  const ai = new Ai({ apiKey: "test", ...options });
+  return ai.prepareAttachments(attachments);
+}
+
+test("sniffs the real MIME type from the first bytes", async () => {
+  const cases = [
+    ["image", PNG, "image/png"],
+    ["image", bytes("\xff\xd8\xff\xe0"), "image/jpeg"],
+    ["image", bytes("GIF89a"), "image/gif"],
+    ["image", bytes("RIFF\0\0\0\0WEBP"), "image/webp"],
+    ["audio", bytes("RIFF\0\0\0\0WAVE"), "audio/wav"],
+    ["audio", bytes("ID3\x04"), "audio/mpeg"],
+    ["audio", bytes("OggS"), "audio/ogg"],
+    ["audio", bytes("\0\0\0\x18ftypisom"), "audio/mp4"],
+    ["video", bytes("\0\0\0\x18ftypisom"), "video/mp4"],
+    ["video", bytes("\x1a\x45\xdf\xa3"), "video/webm"],
+    ["document", makePdf(["hi"]), "application/pdf"],
+    [
+      "document",
+      makeDocx(["hi"]),
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+  ];
+  for (const [type, data, expected] of cases) {
+    const [prepared] = await prepare([{ type, data }]);
+    assert.equal(prepared.mimeType, expected, `${type} ${expected}`);
+  }
+});
+
+test("replaces a wrong declared type and reports the change", async () => {
+  const changes = [];
+  const ai = new Ai({
+    apiKey: "test",
+    hooks: { onAttachmentChange: (event) => changes.push(...event.changes) },
+  });
+  const [prepared] = await ai.prepareAttachments([
+    { type: "image", data: PNG, mimeType: "image/jpeg" },
+  ]);
+  assert.equal(prepared.mimeType, "image/png");
+  assert.deepEqual(changes, [
+    {
+      index: 0,
+      type: "image",
+      change: "mimeType",
+      before: { mimeType: "image/jpeg" },
+      after: { mimeType: "image/png" },
+    },
+  ]);
+});
+
+test("keeps the declared type when the bytes aren't recognised", async () => {
+  const [doc] = await prepare([{ type: "document", data: Buffer.from("plain words"), mimeType: "text/plain" }]);
+  assert.equal(doc.mimeType, "text/plain");
+  const [zip] = await prepare([{ type: "document", data: makeZip({ "a.txt": "x" }) }]);
+  assert.equal(zip.mimeType, "application/zip");
+});
+
+test("rejects an attachment whose bytes are a different kind of file", async () => {
+  await assert.rejects(prepare([{ type: "image", data: makePdf(["hi"]) }]), (error) => {
+    assert.ok(error instanceof AttachmentError);
+    assert.equal(error.index, 0);
+    assert.equal(error.attachmentType, "image");
+    assert.match(error.message, /actually application\/pdf/);
+    return true;
+  });
+});
+
+test("enforces count limits, including the provider defaults", async () => {
+  const images = Array.from({ length: 6 }, () => ({ type: "image", data: PNG }));
+  const { ai } = stubGroq(() => reply("ok"));
+  await assert.rejects(ai.prepareAttachments(images), (error) => {
+    assert.ok(error instanceof AttachmentError);
+    assert.equal(error.index, null);
+    assert.equal(error.limit, 5);
+    assert.equal(error.actual, 6);
+    return true;
+  });
+
+  await assert.rejects(
+    prepare([{ type: "image", data: PNG }, { type: "audio", data: bytes("ID3") }], {
+      attachmentOptions: { limits: { maxCount: 1 } },
+    }),
+    { name: "AttachmentError", limit: 1, actual: 2 },
+  );
+});
+
+test("enforces byte limits unless limits are turned off", async () => {
+  const data = Buffer.alloc(64, "a");
+  await assert.rejects(
+    prepare([{ type: "document", data, mimeType: "text/plain" }], {
+      attachmentOptions: { limits: { document: { maxBytes: 32 } } },
+    }),
+    (error) => {
+      assert.ok(error instanceof AttachmentError);
+      assert.equal(error.index, 0);
+      assert.equal(error.limit, 32);
+      assert.equal(error.actual, 64);
+      return true;
+    },
+  );
+
+  const { ai } = stubGroq(() => reply("ok"), { attachmentOptions: { limits: false } });
+  const images = Array.from({ length: 6 }, () => ({ type: "image", data: PNG }));
+  assert.equal((await ai.prepareAttachments(images)).length, 6);
+});
+
+test("hands oversized images to resizeImage()", async () => {
+  const calls = [];
+  const [prepared] = await prepare([{ type: "image", data: PNG }], {
+    attachmentOptions: {
+      maxImageDimension: 2,
+      resizeImage: async (image, target) => {
+        calls.push({ width: image.width, height: image.height, ...target });
+        return { data: bytes("\xff\xd8\xff\xe0"), mimeType: "image/jpeg" };
+      },
+    },
+  });
+  assert.deepEqual(calls, [
+    { width: 4, height: 2, maxBytes: null, maxDimension: 2, mimeType: "image/png" },
+  ]);
+  assert.equal(prepared.mimeType, "image/jpeg");
+});
+
+test("reads paths and streams into Buffers", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llmjs-"));
+  try {
+    const file = path.join(dir, "photo.bin");
+    fs.writeFileSync(file, PNG);
+    const prepared = await prepare([
+      { type: "image", path: file },
+      { type: "image", data: Readable.from([PNG.subarray(0, 10), PNG.subarray(10)]) },
+      { type: "image", url: "https://example.com/a.png" },
+    ]);
+    assert.deepEqual(prepared[0].data, PNG);
+    assert.equal(prepared[0].filename, "photo.bin");
+    assert.equal(prepared[0].path, undefined);
+    assert.deepEqual(prepared[1].data, PNG);
+    assert.deepEqual(prepared[2], { type: "image", url: "https://example.com/a.png" });
+
+    await assert.rejects(prepare([{ type: "image", path: path.join(dir, "missing.png") }]), AttachmentError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("an aborted signal cancels attachment reads", async () => {
+  const ai = new Ai({ apiKey: "test" });
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    ai.prepareAttachments([{ type: "image", path: __filename }], controller.signal),
+    { name: "AbortError" },
+  );
+});
+
+test("history classes run the preprocessing stage once per call", async () => {
+  const changes = [];
+  const ai = new GroqAiWithHistory({
+    apiKey: "test",
+    model: "a",
+    memoryStore: new InMemoryAiMemoryStore(),
+    hooks: { onAttachmentChange: (event) => changes.push(event) },
+  });
+  ai.client = { chat: { completions: { create: async () => reply("ok") } } };
+  await ai.ask("chat", { user: "look", attachments: [{ type: "image", data: PNG, mimeType: "image/gif" }] });
+  assert.equal(changes.length, 1);
+});
+
+test("MultiProviderAi reads a stream once and gives every provider the same bytes", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "groq", name: "g" },
+    fallbackModels: { mistral: ["m"] },
+    retry: false,
+  });
+  let reads = 0;
+  const stream = Readable.from(
+    (function* () {
+      reads += 1;
+      yield PNG;
+    })(),
+  );
+  ai.clients.groq.client = {
+    chat: {
+      completions: {
+        create: async () => {
+          throw httpError(500);
+        },
+      },
+    },
+  };
+  const sent = [];
+  ai.clients.mistral.client = {
+    chat: {
+      complete: async (body) => {
+        sent.push(body);
+        return reply("from mistral");
+      },
+    },
+  };
+
+  assert.equal(
+    await ai.ask({ user: "look", attachments: [{ type: "image", data: stream }] }),
+    "from mistral",
+  );
+  assert.equal(reads, 1);
+  assert.equal(
+    sent[0].messages.at(-1).content[1].imageUrl,
+    `data:image/png;base64,${PNG.toString("base64")}`,
+  );
+});
+
+test("inline base64 images without a mimeType get the sniffed type", async () => {
+  const { ai, requests } = stubGroq(() => reply("ok"));
+  const base64 = PNG.toString("base64");
+  assert.equal(ai.toBase64(base64), base64);
+  assert.equal(ai.toDataUri(PNG), `data:image/png;base64,${base64}`);
+  assert.equal(ai.toDataUri(`data:image/gif;base64,${base64}`), `data:image/gif;base64,${base64}`);
+
+  await ai.ask({ user: "look", attachments: [{ type: "image", data: base64 }] });
+  assert.equal(
+    requests[0].messages.at(-1).content[1].image_url.url,
+    `data:image/png;base64,${base64}`,
+  );
+});
+
+test("toBase64() rejects strings that aren't base64 or a data URI", () => {
+  const { ai } = stubGroq(() => reply("ok"));
+  assert.throws(() => ai.toBase64("not base64!"), AttachmentError);
+  assert.equal(ai.toBase64(""), null);
+  assert.equal(ai.toBase64(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AIMessage } = require("@langchain/core/messages");
+const {
+  MistralAi,
+  AiWithHistory,
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  AiError,
+} = require("../ai.js");
+const { stubGroq, reply, settle } = require("./helpers.js");
+
+const mp3 = Buffer.concat([Buffer.from("ID3"), Buffer.alloc(16)]);
+const b64 = mp3.toString("base64");
+
+/** Runs `fn` with the path of a temporary a.mp3 holding `mp3`. */
+async function withMp3File(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llmjs-audio-"));
+  const file = path.join(dir, "a.mp3");
+  fs.writeFileSync(file, mp3);
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("Ai sends audio as input_audio with the format from the MIME type or file name", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const ai = new AiWithHistory({ apiKey: "test", model: "o", retry: false, memoryStore });
+  let seen;
+  ai.getClient = () => ({
+    invoke: async (messages) => {
+      seen = messages;
+      return new AIMessage("k");
+    },
+  });
+  await withMp3File((file) =>
+    ai.ask("c", {
+      user: "tone?",
+      attachments: [
+        { type: "audio", data: mp3, mimeType: "audio/mpeg" },
+        { type: "audio", path: file },
+        { type: "audio", data: "data:audio/wav;base64,AAAA" },
+      ],
+    }),
+  );
+  assert.deepEqual(seen.at(-1).content.slice(1), [
+    { type: "input_audio", input_audio: { data: b64, format: "mp3" } },
+    { type: "input_audio", input_audio: { data: b64, format: "mp3" } },
+    { type: "input_audio", input_audio: { data: "AAAA", format: "wav" } },
+  ]);
+
+  await settle();
+  const [userTurn] = await memoryStore.getHistory("c", "default", 10);
+  assert.deepEqual(userTurn.content[1], { type: "audio", data: b64, format: "mp3" });
+
+  await assert.rejects(
+    ai.ask("c", { user: "x", attachments: [{ type: "audio", url: "https://x/a.mp3" }] }),
+    (error) => error instanceof AiError && /data or path/.test(error.message),
+  );
+});
+
+test("Groq transcribes audio first and stores the transcript", async () => {
+  const transcriptions = [];
+  const { ai, requests } = stubGroq(
+    () => reply("ok"),
+    { memoryStore: new InMemoryAiMemoryStore() },
+    GroqAiWithHistory,
+  );
+  ai.client.audio = {
+    transcriptions: {
+      create: async (body) => {
+        transcriptions.push(body);
+        return { text: " hello there " };
+      },
+    },
+  };
+  await withMp3File((file) =>
+    ai.ask("c", {
+      user: "sum",
+      attachments: [
+        { type: "audio", path: file },
+        { type: "audio", url: "https://x/b.wav" },
+        { type: "audio", data: mp3, filename: "c.mp3" },
+      ],
+    }),
+  );
+  assert.equal(transcriptions.length, 3);
+  assert.ok(transcriptions[0].file);
+  assert.equal(transcriptions[1].url, "https://x/b.wav");
+  assert.equal(transcriptions[2].file.name, "audio.mp3");
+  assert.deepEqual(requests[0].messages.at(-1).content.slice(1), [
+    { type: "text", text: "[audio transcript: a.mp3]\nhello there" },
+    { type: "text", text: "[audio transcript]\nhello there" },
+    { type: "text", text: "[audio transcript: c.mp3]\nhello there" },
+  ]);
+
+  await settle();
+  const [userTurn] = await ai.memoryStore.getHistory("c", "default", 10);
+  assert.equal(userTurn.content[1].text, "[audio transcript: a.mp3]\nhello there");
+
+  await ai.ask("d", {
+    user: "x",
+    attachments: [{ type: "audio", transcript: "given", url: "https://x/q.mp3" }],
+  });
+  assert.equal(transcriptions.length, 3, "a supplied transcript skips transcription");
+});
+
+test("Mistral sends inline audio natively and transcribes audio URLs", async () => {
+  const requests = [];
+  const transcribed = [];
+  const ai = new MistralAi({ apiKey: "test", model: "m", retry: false });
+  ai.client = {
+    chat: {
+      complete: async (body) => {
+        requests.push(body);
+        return { choices: [{ message: { content: "ok" } }] };
+      },
+    },
+    audio: {
+      transcriptions: {
+        complete: async (body) => {
+          transcribed.push(body.fileUrl);
+          return { text: "words" };
+        },
+      },
+    },
+  };
+  await ai.ask({
+    user: "q",
+    attachments: [
+      { type: "audio", data: mp3 },
+      { type: "audio", url: "https://x/b.wav" },
+    ],
+  });
+  assert.deepEqual(requests[0].messages[0].content.slice(1), [
+    { type: "input_audio", inputAudio: b64 },
+    { type: "text", text: "[audio transcript]\nwords" },
+  ]);
+  assert.deepEqual(transcribed, ["https://x/b.wav"]);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GroqAiWithHistory, InMemoryAiMemoryStore } = require("../ai.js");
+const { stubGroq, reply } = require("./helpers.js");
+
+/** One character per token keeps the arithmetic readable. */
+const tokenCounter = (text) => text.length;
+
+async function historyAi(entries, options) {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const { ai, requests } = stubGroq(
+    () => reply("ok"),
+    { memoryStore, tokenCounter, maxTokens: 1, retry: false, ...options },
+    GroqAiWithHistory,
+  );
+  await memoryStore.appendMessages("chat", ai.memoryScope, entries);
+  return { ai, requests };
+}
+
+/** Just enough of a PNG for its dimensions to be read. */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from("89504e470d0a1a0a0000000d49484452", "hex").copy(buffer);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+const sentHistory = (body) =>
+  body.messages.filter((message) => message.role !== "system").slice(0, -1);
+
+test("drops the oldest history until the prompt and reply reserve fit", async () => {
+  const entries = Array.from({ length: 8 }, (_, i) => ({
+    role: i % 2 ? "assistant" : "user",
+    content: `message ${i}!`,
+  }));
+  // Each entry costs 10 + 4; 100 - 20 (maxTokens) - 6 (the new "hi") leaves room for five.
+  const { ai, requests } = await historyAi(entries, { tokenBudget: 100, maxTokens: 20 });
+  await ai.ask("chat", { user: "hi" });
+  assert.deepEqual(
+    sentHistory(requests[0]).map((message) => message.content),
+    ["message 3!", "message 4!", "message 5!", "message 6!", "message 7!"],
+  );
+});
+
+test("uses the smallest budget among the models that may answer", async () => {
+  const entries = [
+    { role: "user", content: "x".repeat(40) },
+    { role: "assistant", content: "y".repeat(10) },
+  ];
+  const { ai, requests } = await historyAi(entries, {
+    fallbackModels: ["b"],
+    tokenBudget: { a: 1000, b: 30, default: 1000 },
+  });
+  await ai.ask("chat", { user: "hi" });
+  assert.deepEqual(
+    sentHistory(requests[0]).map((message) => message.content),
+    ["y".repeat(10)],
+  );
+});
+
+test("sizes images by their pixels instead of a flat cost", async () => {
+  const image = {
+    type: "image",
+    url: `data:image/png;base64,${pngHeader(1500, 1000).toString("base64")}`,
+  };
+  const entries = [
+    { role: "user", content: [image] },
+    { role: "assistant", content: "nice" },
+  ];
+  // 1500x1000 pixels is 2000 tokens, more than the flat 1000 an image used to cost.
+  const tight = await historyAi(entries, { tokenBudget: 1500 });
+  await tight.ai.ask("chat", { user: "hi" });
+  assert.deepEqual(
+    sentHistory(tight.requests[0]).map((message) => message.content),
+    ["nice"],
+  );
+
+  const roomy = await historyAi(entries, { tokenBudget: 2100 });
+  await roomy.ai.ask("chat", { user: "hi" });
+  assert.equal(sentHistory(roomy.requests[0]).length, 2);
+
+  const flat = await historyAi(entries, { tokenBudget: 1500, attachmentTokens: { image: 100 } });
+  await flat.ai.ask("chat", { user: "hi" });
+  assert.equal(sentHistory(flat.requests[0]).length, 2);
+});
+
+test("throws when the budget leaves no room beyond maxTokens", async () => {
+  const { ai, requests } = await historyAi([{ role: "user", content: "old" }], {
+    tokenBudget: 500,
+    maxTokens: 500,
+  });
+  await assert.rejects(ai.ask("chat", { user: "hi" }), /tokenBudget \(500\) must be larger than maxTokens \(500\)/);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { InMemoryAiCache } = require("../ai.js");
+const { stubGroq, reply } = require("./helpers.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("cache evicts the least recently used entry", async () => {
+  const cache = new InMemoryAiCache({ maxEntries: 2 });
+  await cache.set("a", 1);
+  await cache.set("b", 2);
+  assert.equal(await cache.get("a"), 1);
+  await cache.set("c", 3);
+  assert.equal(await cache.get("b"), undefined);
+  assert.equal(await cache.get("a"), 1);
+  assert.equal(await cache.get("c"), 3);
+});
+
+test("cache expires entries after their ttl and hands out copies", async () => {
+  const cache = new InMemoryAiCache();
+  await cache.set("short", { n: 1 }, 10);
+  await cache.set("kept", { n: 2 });
+  const copy = await cache.get("kept");
+  copy.n = 99;
+  assert.deepEqual(await cache.get("kept"), { n: 2 });
+  await sleep(20);
+  assert.equal(await cache.get("short"), undefined);
+});
+
+test("cached clients answer repeats from the cache and join identical calls in flight", async () => {
+  const { ai, requests } = stubGroq(async () => {
+    await sleep(10);
+    return reply("hello");
+  }, { cache: true });
+  const [one, two] = await Promise.all([ai.ask({ user: "hi" }), ai.ask({ user: "hi" })]);
+  assert.equal(one, "hello");
+  assert.equal(two, "hello");
+  assert.equal(await ai.ask({ user: "hi" }), "hello");
+  assert.equal(requests.length, 1);
+  assert.equal(await ai.ask({ user: "something else" }), "hello");
+  assert.equal(requests.length, 2);
+});
+
+test("cached replies are flagged, and different settings miss the cache", async () => {
+  const { ai, requests } = stubGroq(() => reply("hello"), { cache: true });
+  const first = await ai.askDetailed({ user: "hi" });
+  const second = await ai.askDetailed({ user: "hi" });
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.attempts, 0);
+  assert.equal(second.raw, null);
+  assert.equal(second.text, "hello");
+
+  await ai.ask({ user: "hi", temperature: 0.9 });
+  assert.equal(requests.length, 2);
+});
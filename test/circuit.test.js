@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CircuitBreaker,
+  MultiProviderAi,
+  CircuitOpenError,
+  ContextLengthError,
+} = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("circuit opens at the threshold and probes once after the cooldown", async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 30 });
+  assert.equal(breaker.recordFailure("groq", "a", new Error("down")), false);
+  assert.equal(breaker.allow("groq", "a"), true);
+  assert.equal(breaker.recordFailure("groq", "a", new Error("down")), true);
+  assert.equal(breaker.getState("groq", "a"), "open");
+  assert.equal(breaker.allow("groq", "a"), false);
+  assert.equal(breaker.allow("groq", "b"), true);
+
+  await sleep(40);
+  assert.equal(breaker.getState("groq", "a"), "half-open");
+  assert.equal(breaker.allow("groq", "a"), true);
+  assert.equal(breaker.allow("groq", "a"), false, "only one probe at a time");
+
+  assert.equal(breaker.recordFailure("groq", "a", new Error("still down")), true);
+  assert.equal(breaker.getState("groq", "a"), "open");
+
+  await sleep(40);
+  assert.equal(breaker.allow("groq", "a"), true);
+  breaker.recordSuccess("groq", "a");
+  assert.equal(breaker.getState("groq", "a"), "closed");
+  assert.deepEqual(breaker.snapshot()["groq:a"], {
+    state: "closed",
+    failures: 0,
+    openedAt: null,
+    retryAt: null,
+  });
+});
+
+test("circuit only counts failures inside the window and the ones tripOn accepts", async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, windowMs: 20 });
+  breaker.recordFailure("groq", "a", new Error("down"));
+  await sleep(30);
+  assert.equal(breaker.recordFailure("groq", "a", new Error("down")), false);
+
+  assert.equal(breaker.recordFailure("groq", "a", new ContextLengthError("too long")), false);
+  assert.equal(breaker.getState("groq", "a"), "closed");
+  assert.throws(() => new CircuitBreaker({ cooldownMs: 0 }), /cooldownMs/);
+});
+
+test("clients skip models whose circuit is open", async () => {
+  const { ai, requests } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      return reply("from b");
+    },
+    { fallbackModels: ["b"], retry: false, circuitBreaker: { failureThreshold: 1 } },
+  );
+  assert.equal(await ai.ask({ user: "hi" }), "from b");
+  assert.equal(await ai.ask({ user: "hi" }), "from b");
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "b", "b"],
+  );
+
+  ai.circuitBreaker.recordFailure("groq", "b", new Error("down"));
+  await assert.rejects(ai.ask({ user: "hi" }), CircuitOpenError);
+  assert.equal(requests.length, 3);
+});
+
+
+test("MultiProviderAi skips a provider whose circuit is open", async () => {
+  const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "groq", name: "a" },
+    retry: false,
+    circuitBreaker,
+  });
+  const groq = stubGroq(() => {
+    throw httpError(500);
+  });
+  ai.clients.groq.client = groq.ai.client;
+  ai.clients.mistral.client = {
+    chat: { complete: async () => ({ choices: [{ message: { content: "from mistral" } }] }) },
+  };
+
+  assert.equal(await ai.ask({ user: "hi" }), "from mistral");
+  assert.equal(circuitBreaker.getState("groq"), "open");
+  assert.deepEqual(ai.getOrderedProviders(), ["mistral"]);
+  assert.equal(await ai.ask({ user: "hi" }), "from mistral");
+  assert.equal(groq.requests.length, 1);
+});
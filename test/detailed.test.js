@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  Ai,
+  MistralAi,
+  MultiProviderAi,
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+} = require("../ai.js");
+const { stubGroq, httpError, settle } = require("./helpers.js");
+
+test("GroqAi.askDetailed reports text, usage, finish reason, latency and attempts", async () => {
+  const raw = {
+    choices: [{ message: { content: " hi " }, finish_reason: "stop" }],
+    usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 },
+  };
+  const { ai } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      return raw;
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  const response = await ai.askDetailed({ user: "hello" });
+  assert.equal(typeof response.latencyMs, "number");
+  assert.deepEqual(
+    { ...response, latencyMs: 0 },
+    {
+      text: "hi",
+      provider: "groq",
+      model: "b",
+      usage: { promptTokens: 7, completionTokens: 2, totalTokens: 9 },
+      finishReason: "stop",
+      latencyMs: 0,
+      attempts: 2,
+      cached: false,
+      raw,
+    },
+  );
+  assert.equal(await ai.ask({ user: "hello" }), "hi");
+});
+
+test("MistralAi.askDetailed reads Mistral's camelCase usage", async () => {
+  const ai = new MistralAi({ apiKey: "test", model: "m", retry: false });
+  ai.client = {
+    chat: {
+      complete: async () => ({
+        choices: [{ message: { content: "bonjour" }, finishReason: "length" }],
+        usage: { promptTokens: 4, completionTokens: 1, totalTokens: 5 },
+      }),
+    },
+  };
+  const response = await ai.askDetailed({ user: "hello" });
+  assert.equal(response.text, "bonjour");
+  assert.equal(response.provider, "mistral");
+  assert.equal(response.finishReason, "length");
+  assert.deepEqual(response.usage, { promptTokens: 4, completionTokens: 1, totalTokens: 5 });
+  assert.equal(response.attempts, 1);
+});
+
+test("Ai.askDetailed reads LangChain usage metadata", async () => {
+  const ai = new Ai({ apiKey: "test", model: "gpt", retry: false });
+  ai.getClient = () => ({
+    invoke: async () => ({
+      content: "hey",
+      usage_metadata: { input_tokens: 3, output_tokens: 1, total_tokens: 4 },
+      response_metadata: { finish_reason: "stop" },
+    }),
+  });
+  const response = await ai.askDetailed({ user: "hello" });
+  assert.equal(response.text, "hey");
+  assert.equal(response.model, "gpt");
+  assert.equal(response.finishReason, "stop");
+  assert.deepEqual(response.usage, { promptTokens: 3, completionTokens: 1, totalTokens: 4 });
+});
+
+test("MultiProviderAi.askDetailed says which provider answered", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "mistral", name: "m" },
+    retry: false,
+  });
+  ai.clients.mistral.client = {
+    chat: {
+      complete: async () => {
+        throw httpError(503);
+      },
+    },
+  };
+  const { ai: groq } = stubGroq(() => ({ choices: [{ message: { content: "from groq" } }] }));
+  ai.clients.groq.client = groq.client;
+
+  const response = await ai.askDetailed({ user: "hello" });
+  assert.equal(response.text, "from groq");
+  assert.equal(response.provider, "groq");
+  assert.equal(response.attempts, 2);
+});
+
+test("history classes store the exchange from askDetailed too", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const { ai } = stubGroq(
+    () => ({ choices: [{ message: { content: "stored" } }] }),
+    { memoryStore, retry: false },
+    GroqAiWithHistory,
+  );
+  const response = await ai.askDetailed("chat", { user: "hello" });
+  assert.equal(response.text, "stored");
+  await settle();
+  assert.deepEqual(
+    (await memoryStore.getHistory("chat", ai.memoryScope, 10)).map((entry) => entry.content),
+    ["hello", "stored"],
+  );
+  await assert.rejects(ai.askDetailed(undefined, { user: "hello" }), /chatId is required/);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AIMessage } = require("@langchain/core/messages");
+const {
+  GroqAi,
+  AiWithHistory,
+  MistralAiWithHistory,
+  InMemoryAiMemoryStore,
+  toCanonicalMessage,
+} = require("../ai.js");
+const { stubGroq, reply, settle, makePdf, makeDocx } = require("./helpers.js");
+
+const pdf = makePdf(["Quarterly report", "Revenue up \\(5%\\)"]);
+
+test("inlines PDF, DOCX and markdown text for providers without document input", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llmjs-doc-"));
+  const docxPath = path.join(dir, "w.docx");
+  fs.writeFileSync(docxPath, makeDocx(["Hello &amp; welcome", "Bye"]));
+  try {
+    const { ai, requests } = stubGroq(() => reply("ok"));
+    await ai.ask({
+      user: "sum up",
+      attachments: [
+        { type: "document", data: pdf, filename: "q.pdf" },
+        { type: "document", path: docxPath },
+        { type: "document", data: "# Hi there\nmore text", mimeType: "text/markdown" },
+        { type: "document", data: makePdf([]), filename: "empty.pdf" },
+      ],
+    });
+    assert.deepEqual(
+      requests[0].messages.at(-1).content.slice(1).map((part) => part.text),
+      [
+        "[document: q.pdf]\nQuarterly report\nRevenue up (5%)",
+        "[document: w.docx]\nHello & welcome\nBye",
+        "[document]\n# Hi there\nmore text",
+        "[document: empty.pdf could not be read]",
+      ],
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("Ai sends PDFs as file parts and history keeps them as canonical documents", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const ai = new AiWithHistory({ apiKey: "test", model: "o", retry: false, memoryStore });
+  let seen;
+  ai.getClient = () => ({
+    invoke: async (messages) => {
+      seen = messages;
+      return new AIMessage("k");
+    },
+  });
+  await ai.ask("c", {
+    user: "read",
+    attachments: [
+      { type: "document", data: pdf, filename: "r.pdf" },
+      { type: "document", url: "https://x/y.pdf" },
+      { type: "document", data: makeDocx(["Hi"]), filename: "a.docx" },
+    ],
+  });
+  const parts = seen.at(-1).content;
+  assert.deepEqual(parts[1], {
+    type: "file",
+    file: { filename: "r.pdf", file_data: `data:application/pdf;base64,${pdf.toString("base64")}` },
+  });
+  assert.deepEqual(parts[2], { type: "file", file: { filename: "y.pdf", file_data: "https://x/y.pdf" } });
+  assert.equal(parts[3].text, "[document: a.docx]\nHi");
+
+  await settle();
+  const [userTurn] = await memoryStore.getHistory("c", "default", 10);
+  assert.deepEqual(userTurn.content.slice(1, 3), [
+    { type: "document", data: pdf.toString("base64"), mimeType: "application/pdf", filename: "r.pdf" },
+    { type: "document", url: "https://x/y.pdf", mimeType: "application/pdf", filename: "y.pdf" },
+  ]);
+
+  const mistralRequests = [];
+  const mistral = new MistralAiWithHistory({ apiKey: "test", model: "m", retry: false, memoryStore });
+  mistral.client = {
+    chat: {
+      complete: async (body) => {
+        mistralRequests.push(body);
+        return { choices: [{ message: { content: "ok" } }] };
+      },
+    },
+  };
+  await mistral.ask("c", { user: "again" });
+  const replayed = mistralRequests[0].messages[0].content;
+  assert.match(replayed[1].text, /^\[document: r\.pdf\]\nQuarterly report/);
+  assert.deepEqual(replayed[2], {
+    type: "document_url",
+    documentUrl: "https://x/y.pdf",
+    documentName: "y.pdf",
+  });
+});
+
+test("provider document parts convert back to canonical ones", () => {
+  assert.deepEqual(
+    toCanonicalMessage({
+      role: "user",
+      content: [{ type: "document_url", documentUrl: "https://a/b.docx" }],
+    }).content,
+    [
+      {
+        type: "document",
+        url: "https://a/b.docx",
+        mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        filename: "b.docx",
+      },
+    ],
+  );
+  assert.deepEqual(
+    toCanonicalMessage({ role: "user", content: [{ type: "file", file: { file_id: "f1" } }] }).content,
+    [{ type: "file", file: { file_id: "f1" } }],
+  );
+  const unreadable = new GroqAi({ apiKey: "test", model: "g" }).normalizeAttachment({
+    type: "document",
+    data: Buffer.from("%PDF-1.4 nothing"),
+    filename: "j.pdf",
+  });
+  assert.deepEqual(unreadable, { type: "text", text: "[document: j.pdf could not be read]" });
+});
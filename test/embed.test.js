@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  Ai,
+  MistralAi,
+  AllModelsFailedError,
+  EmptyResponseError,
+  RateLimitError,
+  AuthError,
+} = require("../ai.js");
+
+/** The embeddings response shape, one `[i, i]` vector per input. */
+function vectors(inputs, usage = { prompt_tokens: inputs.length, total_tokens: inputs.length }) {
+  return { data: inputs.map((_, index) => ({ index, embedding: [index, index] })), usage };
+}
+
+/** A MistralAi whose embeddings client is swapped for `create`; every body lands in `requests`. */
+function stubMistral(create, options = {}) {
+  const ai = new MistralAi({ apiKey: "test", model: "m", retry: false, ...options });
+  const requests = [];
+  ai.client = {
+    embeddings: {
+      create: async (body) => {
+        requests.push(body);
+        return create(body);
+      },
+    },
+  };
+  return { ai, requests };
+}
+
+function statusError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.statusCode = status;
+  return error;
+}
+
+test("embeds in batches and adds up usage across them", async () => {
+  const { ai, requests } = stubMistral((body) => vectors(body.inputs));
+  const result = await ai.embed(["a", "b", "c"], { batchSize: 2 });
+  assert.deepEqual(
+    requests.map((body) => body.inputs),
+    [["a", "b"], ["c"]],
+  );
+  assert.deepEqual(result.embeddings, [[0, 0], [1, 1], [0, 0]]);
+  assert.equal(result.dimensions, 2);
+  assert.equal(result.model, "mistral-embed");
+  assert.equal(result.usage.totalTokens, 3);
+  assert.equal(result.cached, false);
+});
+
+test("Mistral embed falls back and keeps each model's error on its attempt", async () => {
+  const { ai } = stubMistral((body) => {
+    if (body.model === "e1") throw statusError(429);
+    if (body.model === "e2") throw statusError(401);
+    return { data: [] };
+  });
+  await assert.rejects(ai.embed("hi", { model: ["e1", "e2", "e3"] }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    assert.deepEqual(
+      error.attempts.map((attempt) => [attempt.provider, attempt.model]),
+      [
+        ["mistral", "e1"],
+        ["mistral", "e2"],
+        ["mistral", "e3"],
+      ],
+    );
+    const [limited, denied, empty] = error.attempts.map((attempt) => attempt.error);
+    assert.ok(limited instanceof RateLimitError);
+    assert.equal(limited.status, 429);
+    assert.ok(denied instanceof AuthError);
+    assert.ok(empty instanceof EmptyResponseError);
+    assert.match(empty.message, /returned 0 vectors for 1 inputs/);
+    return true;
+  });
+});
+
+test("Mistral embed with firstToFinish records the losing models' errors", async () => {
+  const { ai } = stubMistral(
+    (body) => {
+      throw statusError(body.model === "e1" ? 429 : 500);
+    },
+    { firstToFinish: true },
+  );
+  await assert.rejects(ai.embed("hi", { model: ["e1", "e2"] }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    const byModel = Object.fromEntries(error.attempts.map((attempt) => [attempt.model, attempt]));
+    assert.ok(byModel.e1.error instanceof RateLimitError);
+    assert.equal(byModel.e2.error.message, "HTTP 500");
+    assert.equal(typeof byModel.e2.latencyMs, "number");
+    return true;
+  });
+});
+
+test("Ai embed falls back to the next model", async () => {
+  const ai = new Ai({ apiKey: "test", model: "gpt", retry: false });
+  const calls = [];
+  ai.requestEmbeddings = async (model, inputs) => {
+    calls.push(model);
+    if (model === "small") throw Object.assign(new Error("down"), { status: 503 });
+    return vectors(inputs);
+  };
+  const result = await ai.embed(["x"], { model: ["small", "large"] });
+  assert.deepEqual(calls, ["small", "large"]);
+  assert.equal(result.model, "large");
+  assert.equal(ai.lastUsedModel, "large");
+});
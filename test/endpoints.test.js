@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MultiProviderAi, OpenAICompatibleAi, RateLimiter } = require("../ai.js");
+const { stubGroq, httpError } = require("./helpers.js");
+
+const baseURL = "http://localhost:11434/v1/";
+
+function withEndpoint(options = {}) {
+  return new MultiProviderAi({
+    apiKeys: { groq: "test" },
+    model: { provider: "groq", name: "a" },
+    endpoints: { ollama: { baseURL, defaultHeaders: { "X-Team": "search" } } },
+    fallbackModels: { ollama: ["llama3.1", "qwen"] },
+    retry: false,
+    ...options,
+  });
+}
+
+test("an endpoint joins as a provider configured through apiKeys, fallbackModels and rateLimit", () => {
+  const ai = withEndpoint({
+    apiKeys: { groq: "test", ollama: "local-key" },
+    rateLimit: { ollama: { maxConcurrent: 1 } },
+  });
+  const client = ai.clients.ollama;
+  assert.ok(client instanceof OpenAICompatibleAi);
+  assert.equal(client.provider, "ollama");
+  assert.equal(client.baseURL, "http://localhost:11434/v1");
+  assert.deepEqual(client.defaultHeaders, { "X-Team": "search" });
+  assert.equal(client.apiKey, "local-key");
+  assert.deepEqual(client.models, ["llama3.1", "qwen"]);
+  assert.ok(client.rateLimiter instanceof RateLimiter);
+  assert.deepEqual(ai.getOrderedProviders(), ["groq", "ollama"]);
+});
+
+test("an endpoint can be the primary provider without an apiKeys entry", () => {
+  const ai = withEndpoint({ model: { provider: "ollama", name: "phi" } });
+  assert.deepEqual(ai.clients.ollama.models, ["phi", "llama3.1", "qwen"]);
+  assert.deepEqual(ai.getOrderedProviders(), ["ollama", "groq"]);
+});
+
+test("falls back from a cloud provider to the endpoint", async () => {
+  const ai = withEndpoint();
+  ai.clients.groq.client = stubGroq(() => {
+    throw httpError(500);
+  }).ai.client;
+  ai.clients.ollama.getClient = () => ({ invoke: async () => ({ content: "from ollama" }) });
+  const response = await ai.askDetailed({ user: "hi" });
+  assert.equal(response.text, "from ollama");
+  assert.equal(response.provider, "ollama");
+  assert.equal(response.model, "llama3.1");
+});
+
+test("endpoint names can't reuse any registered provider name", () => {
+  class Gateway {
+    async ask() {
+      return "ok";
+    }
+  }
+  const endpoints = (name) => ({ [name]: { baseURL } });
+  assert.throws(() => withEndpoint({ endpoints: endpoints("groq") }), /"groq" is already a provider/);
+  assert.throws(
+    () => withEndpoint({ providers: { gw: Gateway }, endpoints: endpoints("gw") }),
+    /"gw" is already a provider/,
+  );
+  MultiProviderAi.registerProvider("registered-gw", Gateway);
+  try {
+    assert.throws(
+      () => withEndpoint({ endpoints: endpoints("registered-gw") }),
+      /"registered-gw" is already a provider/,
+    );
+  } finally {
+    MultiProviderAi.unregisterProvider("registered-gw");
+  }
+});
+
+test("endpoints can't carry their own key or models, and need a model from somewhere", () => {
+  for (const [key, hint] of [
+    ["apiKey", /use apiKeys\.ollama/],
+    ["model", /use model or fallbackModels\.ollama/],
+    ["fallbackModels", /use fallbackModels\.ollama/],
+  ]) {
+    assert.throws(
+      () => withEndpoint({ endpoints: { ollama: { baseURL, [key]: "x" } } }),
+      hint,
+    );
+  }
+  assert.throws(() => withEndpoint({ fallbackModels: {} }), /endpoint "ollama" needs a model/);
+  assert.throws(() => withEndpoint({ endpoints: { ollama: {} } }), /needs a baseURL/);
+});
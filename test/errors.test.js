@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MistralAi,
+  MultiProviderAi,
+  AiError,
+  AuthError,
+  RateLimitError,
+  ContextLengthError,
+  EmptyResponseError,
+  AllModelsFailedError,
+} = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+test("every failed model shows up in AllModelsFailedError.attempts, typed", async () => {
+  const failures = {
+    a: httpError(401),
+    b: httpError(429, { "retry-after": "2" }),
+    c: Object.assign(httpError(400), {
+      message: "This model's maximum context length is 8192 tokens",
+    }),
+  };
+  const { ai } = stubGroq(
+    (body) => {
+      if (failures[body.model]) throw failures[body.model];
+      return reply("");
+    },
+    { fallbackModels: ["b", "c", "d"], retry: false },
+  );
+
+  await assert.rejects(ai.ask({ user: "hi" }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    assert.ok(error instanceof AiError);
+    const { attempts } = error;
+    assert.deepEqual(
+      attempts.map(({ provider, model }) => `${provider}/${model}`),
+      ["groq/a", "groq/b", "groq/c", "groq/d"],
+    );
+    assert.ok(attempts[0].error instanceof AuthError);
+    assert.ok(attempts[1].error instanceof RateLimitError);
+    assert.equal(attempts[1].error.retryAfterMs, 2000);
+    assert.ok(attempts[2].error instanceof ContextLengthError);
+    assert.ok(attempts[3].error instanceof EmptyResponseError);
+    for (const attempt of attempts) {
+      assert.equal(typeof attempt.latencyMs, "number");
+      assert.equal(attempt.error.provider, "groq");
+      assert.equal(attempt.error.model, attempt.model);
+    }
+    assert.equal(error.lastError, attempts[3].error);
+    assert.equal(attempts[0].error.cause, failures.a);
+    assert.match(error.message, /^All Groq models failed \(groq\/a: HTTP 401; groq\/b: /);
+    return true;
+  });
+});
+
+test("Mistral's statusCode errors map onto the same classes", async () => {
+  const ai = new MistralAi({ apiKey: "test", model: "m", retry: false });
+  ai.client = {
+    chat: {
+      complete: async () => {
+        throw Object.assign(new Error("Unauthorized"), { statusCode: 403 });
+      },
+    },
+  };
+  await assert.rejects(ai.ask({ user: "hi" }), (error) => {
+    assert.ok(error.attempts[0].error instanceof AuthError);
+    assert.equal(error.attempts[0].error.status, 403);
+    assert.equal(error.attempts[0].provider, "mistral");
+    return true;
+  });
+});
+
+test("MultiProviderAi flattens each provider's attempts into one list", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "groq", name: "a" },
+    retry: false,
+  });
+  const { ai: groq } = stubGroq(() => {
+    throw httpError(500);
+  });
+  ai.clients.groq.client = groq.client;
+  ai.clients.mistral.client = {
+    chat: {
+      complete: async () => {
+        throw Object.assign(new Error("Too many requests"), { statusCode: 429 });
+      },
+    },
+  };
+
+  await assert.rejects(ai.ask({ user: "hi" }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    const providers = error.attempts.map((attempt) => attempt.provider);
+    assert.equal(providers[0], "groq");
+    assert.equal(providers.at(-1), "mistral");
+    assert.ok(error.lastError instanceof RateLimitError);
+    return true;
+  });
+});
@@ -0,0 +1,159 @@
+const zlib = require("zlib");
+const { GroqAi } = require("../ai.js");
+
+/**
+ * A GroqAi whose client is swapped for `create`, so tests never hit the network.
+ * Every request body is pushed onto `requests`.
+ * @param {(body: any, options: any) => any} create
+ * @param {Record<string, any>} [options] - Extra GroqAi constructor options.
+ * @param {new (options: any) => GroqAi} [Class] - GroqAi or a subclass.
+ */
+function stubGroq(create, options = {}, Class = GroqAi) {
+  const ai = new Class({ apiKey: "test", model: "a", ...options });
+  const requests = [];
+  ai.client = {
+    chat: {
+      completions: {
+        create: async (body, requestOptions) => {
+          requests.push(body);
+          return create(body, requestOptions);
+        },
+      },
+    },
+  };
+  return { ai, requests };
+}
+
+/**
+ * The chat completion shape Groq replies with.
+ * @param {string} content
+ */
+function reply(content) {
+  return { choices: [{ message: { content } }] };
+}
+
+/**
+ * A Groq stream that sends `deltas` one chunk at a time, then throws `error` if there is one.
+ * `state.closed` turns true once the consumer stops reading.
+ * @param {string[]} deltas
+ * @param {{ error?: Error, state?: { closed: boolean } }} [options]
+ */
+async function* chunks(deltas, { error, state = { closed: false } } = {}) {
+  try {
+    for (const content of deltas) {
+      yield { choices: [{ delta: { content } }] };
+    }
+    if (error) throw error;
+  } finally {
+    state.closed = true;
+  }
+}
+
+/**
+ * An error shaped like the ones the SDKs throw for HTTP failures.
+ * @param {number} status
+ * @param {Record<string, string>} [headers]
+ */
+function httpError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (headers) error.headers = headers;
+  return error;
+}
+
+/**
+ * Collects every event an askStream() call yields.
+ * @param {AsyncIterable<any>} stream
+ */
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+}
+
+/** Lets fire-and-forget work (history writes, summaries) finish. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+/**
+ * A one-page PDF with one line of text per entry in `lines`.
+ * @param {string[]} lines
+ */
+function makePdf(lines) {
+  const ops = `BT /F1 12 Tf 72 720 Td\n${lines.map((line) => `(${line}) Tj 0 -20 Td`).join("\n")}\nET`;
+  const stream = zlib.deflateSync(Buffer.from(ops, "latin1"));
+  return Buffer.concat([
+    Buffer.from("%PDF-1.4\n1 0 obj\n<< /Length " + stream.length + " /Filter /FlateDecode >>\nstream\n"),
+    stream,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n"),
+  ]);
+}
+
+/**
+ * A zip archive holding `files` as deflated entries. CRCs are left at zero since the
+ * reader doesn't check them.
+ * @param {Record<string, string>} files
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * A DOCX with one paragraph per entry in `paragraphs`.
+ * @param {string[]} paragraphs
+ */
+function makeDocx(paragraphs) {
+  const body = paragraphs.map((text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join("");
+  return makeZip({
+    "[Content_Types].xml": "<Types/>",
+    "word/document.xml": `<w:document><w:body>${body}</w:body></w:document>`,
+  });
+}
+
+module.exports = {
+  stubGroq,
+  reply,
+  chunks,
+  httpError,
+  collect,
+  settle,
+  makePdf,
+  makeZip,
+  makeDocx,
+};
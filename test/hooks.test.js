@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stubGroq, reply, chunks, httpError, collect } = require("./helpers.js");
+
+test("beforeRequest sees the whole request and can swap the messages", async () => {
+  const seen = [];
+  const { ai, requests } = stubGroq(() => reply("ok"), {
+    hooks: {
+      beforeRequest: (request) => {
+        seen.push(request);
+        return request.messages.map((message) => ({
+          ...message,
+          content: message.content.replace("secret", "[redacted]"),
+        }));
+      },
+    },
+  });
+  await ai.ask({ user: "my secret", temperature: 0.3 });
+
+  assert.equal(seen[0].provider, "groq");
+  assert.equal(seen[0].model, "a");
+  assert.equal(seen[0].operation, "ask");
+  assert.equal(seen[0].sampling.temperature, 0.3);
+  assert.equal(requests[0].messages.at(-1).content, "my [redacted]");
+  assert.equal(requests[0].temperature, 0.3);
+});
+
+test("an object from beforeRequest replaces the request, but not where it goes", async () => {
+  const { ai, requests } = stubGroq(() => reply("ok"), {
+    hooks: {
+      beforeRequest: ({ sampling }) => ({
+        sampling: { ...sampling, temperature: 0, maxTokens: 50 },
+        model: "elsewhere",
+      }),
+    },
+  });
+  await ai.ask({ user: "hi" });
+  assert.equal(requests[0].model, "a");
+  assert.equal(requests[0].temperature, 0);
+  assert.equal(requests[0].max_tokens, 50);
+  assert.equal(requests[0].messages.at(-1).content, "hi");
+});
+
+test("beforeRequest can change the tools and JSON mode", async () => {
+  const { ai, requests } = stubGroq(
+    (body) => reply(body.response_format ? '{"ok":true}' : "plain"),
+    {
+      tools: [{ name: "lookup", handler: () => "x" }],
+      hooks: {
+        beforeRequest: ({ operation, tools, toolChoice, responseFormat }) => {
+          if (operation === "askWithTools") {
+            assert.equal(tools[0].function.name, "lookup");
+            assert.equal(toolChoice, "auto");
+            return { tools: undefined, toolChoice: undefined };
+          }
+          if (operation === "askJson") {
+            assert.deepEqual(responseFormat, { type: "json_object" });
+          }
+          return undefined;
+        },
+      },
+    },
+  );
+  assert.equal(await ai.askWithTools({ user: "hi" }).then((result) => result.text), "plain");
+  assert.equal(requests[0].tools, undefined);
+  assert.equal(requests[0].tool_choice, undefined);
+
+  assert.deepEqual(
+    await ai.askJson({ user: "hi", schema: { type: "object" } }),
+    { ok: true },
+  );
+});
+
+test("afterResponse rewrites the reply; for streams only the done text", async () => {
+  const afterResponse = ({ text }) => text.toUpperCase();
+  const { ai } = stubGroq((body) => (body.stream ? chunks(["a", "b"]) : reply("quiet")), {
+    hooks: { afterResponse },
+  });
+  assert.equal(await ai.ask({ user: "hi" }), "QUIET");
+  assert.deepEqual(
+    (await collect(ai.askStream({ user: "hi" }))).map((event) => event.text),
+    ["a", "b", "AB"],
+  );
+});
+
+test("failures fire onAttemptError and onFallback, then one onComplete", async () => {
+  const events = [];
+  const { ai } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      return reply("from b");
+    },
+    {
+      fallbackModels: ["b"],
+      retry: false,
+      hooks: {
+        onAttemptError: ({ model, attempt, error }) =>
+          events.push(`error ${model} #${attempt} ${error.message}`),
+        onFallback: ({ from, to }) => events.push(`fallback ${from.model} -> ${to.model}`),
+        onComplete: ({ operation, response, error }) =>
+          events.push(`complete ${operation} ${response.text} ${error}`),
+      },
+    },
+  );
+  await ai.ask({ user: "hi" });
+  assert.deepEqual(events, [
+    "error a #1 HTTP 500",
+    "fallback a -> b",
+    "complete ask from b null",
+  ]);
+});
+
+test("onComplete fires when the consumer stops a stream early", async () => {
+  const completed = [];
+  const { ai } = stubGroq(() => chunks(["one", "two"]), {
+    hooks: { onComplete: (context) => completed.push(context) },
+  });
+  for await (const event of ai.askStream({ user: "hi" })) {
+    assert.equal(event.text, "one");
+    break;
+  }
+  assert.equal(completed.length, 1);
+  assert.equal(completed[0].operation, "askStream");
+  assert.equal(completed[0].stopped, true);
+  assert.equal(completed[0].response, null);
+  assert.equal(completed[0].error, null);
+
+  await collect(ai.askStream({ user: "hi" }));
+  assert.equal(completed.length, 2);
+  assert.equal(completed[1].stopped, undefined);
+  assert.equal(completed[1].response.text, "onetwo");
+});
+
+test("observer errors are logged; a typo'd hook name throws", async () => {
+  const errors = [];
+  const { ai } = stubGroq(() => reply("ok"), {
+    logger: { error: (message) => errors.push(message) },
+    hooks: {
+      onComplete: () => {
+        throw new Error("metrics down");
+      },
+    },
+  });
+  assert.equal(await ai.ask({ user: "hi" }), "ok");
+  assert.deepEqual(errors, ["[Hooks] onComplete handler failed"]);
+  assert.throws(() => ai.use({ beforeRequests() {} }), /Unknown hook "beforeRequests"/);
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JsonValidationError, AllModelsFailedError } = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+/**
+ * Runs `value` through askJson() with no repairs or fallbacks and returns the schema errors
+ * it was rejected with ([] when it passed).
+ */
+async function validate(value, schema) {
+  const { ai } = stubGroq(() => reply(JSON.stringify(value)), { retry: false });
+  try {
+    await ai.askJson({ schema, user: "go", maxRepairAttempts: 0 });
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof JsonValidationError, error.message);
+    return error.errors;
+  }
+}
+
+test("validator accepts matching values", async () => {
+  const schema = {
+    type: "object",
+    properties: {
+      name: { type: "string", minLength: 1 },
+      age: { type: "integer", minimum: 0 },
+      tags: { type: "array", items: { type: "string" } },
+    },
+    required: ["name", "age"],
+    additionalProperties: false,
+  };
+  assert.deepEqual(await validate({ name: "Bo", age: 3, tags: ["a"] }, schema), []);
+});
+
+test("validator reports types, required and extra properties with their paths", async () => {
+  const schema = {
+    type: "object",
+    properties: { name: { type: "string" }, age: { type: "integer" } },
+    required: ["name", "age"],
+    additionalProperties: false,
+  };
+  assert.deepEqual(await validate({ age: 1.5, extra: true }, schema), [
+    "$.name is required",
+    "$.age should be integer, got number",
+    "$.extra is not allowed",
+  ]);
+  assert.deepEqual(await validate([1], schema), ["$ should be object, got array"]);
+});
+
+test("validator checks enum, const, bounds, lengths and patterns", async () => {
+  assert.deepEqual(await validate("c", { enum: ["a", "b"] }), ['$ should be one of ["a","b"]']);
+  assert.deepEqual(await validate(2, { const: 1 }), ["$ should equal 1"]);
+  assert.deepEqual(await validate(11, { type: "number", minimum: 0, maximum: 10 }), [
+    "$ should be <= 10",
+  ]);
+  assert.deepEqual(await validate("abc", { type: "string", maxLength: 2, pattern: "^\\d+$" }), [
+    "$ should have at most 2 characters",
+    "$ should match pattern ^\\d+$",
+  ]);
+  assert.deepEqual(await validate([], { type: "array", minItems: 1 }), [
+    "$ should have at least 1 items",
+  ]);
+});
+
+test("validator walks nested arrays and objects", async () => {
+  const schema = {
+    type: "array",
+    items: { type: "object", properties: { id: { type: "number" } }, required: ["id"] },
+  };
+  assert.deepEqual(await validate([{ id: 1 }, { id: "2" }, {}], schema), [
+    "$[1].id should be number, got string",
+    "$[2].id is required",
+  ]);
+});
+
+test("validator handles anyOf, oneOf and allOf", async () => {
+  const anyOf = { anyOf: [{ type: "string" }, { type: "number" }] };
+  assert.deepEqual(await validate(1, anyOf), []);
+  assert.deepEqual(await validate(true, anyOf), ["$ should match at least one schema in anyOf"]);
+
+  const oneOf = { oneOf: [{ type: "number" }, { type: "integer" }] };
+  assert.deepEqual(await validate(1.5, oneOf), []);
+  assert.deepEqual(await validate(1, oneOf), ["$ should match exactly one schema in oneOf"]);
+
+  const allOf = { allOf: [{ type: "number" }, { minimum: 5 }] };
+  assert.deepEqual(await validate(3, allOf), ["$ should be >= 5"]);
+});
+
+test("askJson re-prompts with the errors, then falls back to the next model", async () => {
+  const schema = { type: "object", properties: { n: { type: "number" } }, required: ["n"] };
+  const replies = { a: ["not json", '{"m":1}'], b: ['```json\n{"n":2}\n```'] };
+  const { ai, requests } = stubGroq((body) => reply(replies[body.model].shift()), {
+    fallbackModels: ["b"],
+    retry: false,
+  });
+
+  assert.deepEqual(await ai.askJson({ schema, user: "go", maxRepairAttempts: 1 }), { n: 2 });
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "a", "b"],
+  );
+  assert.deepEqual(requests[0].response_format, { type: "json_object" });
+  assert.match(requests[1].messages.at(-1).content, /\$\.n is required/);
+});
+
+test("askJson skips JSON mode for non-object schemas", async () => {
+  const { ai, requests } = stubGroq(() => reply("[1, 2]"));
+  assert.deepEqual(await ai.askJson({ schema: { type: "array" }, user: "go" }), [1, 2]);
+  assert.equal(requests[0].response_format, undefined);
+});
+
+test("askJson throws the last schema failure with every attempt attached", async () => {
+  const { ai } = stubGroq(
+    (body) => {
+      if (body.model === "a") return reply('{"n":"x"}');
+      throw httpError(400);
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  const schema = { type: "object", properties: { n: { type: "number" } } };
+
+  await assert.rejects(ai.askJson({ schema, user: "go", maxRepairAttempts: 0 }), (error) => {
+    assert.ok(error instanceof JsonValidationError);
+    assert.deepEqual(error.errors, ["$.n should be number, got string"]);
+    assert.equal(error.rawText, '{"n":"x"}');
+    assert.deepEqual(
+      error.attempts.map((attempt) => attempt.model),
+      ["a", "b"],
+    );
+    return true;
+  });
+});
+
+test("askJson throws AllModelsFailedError when no model returned JSON to check", async () => {
+  const { ai } = stubGroq(() => {
+    throw httpError(400);
+  }, { retry: false });
+  await assert.rejects(ai.askJson({ schema: { type: "object" }, user: "go" }), AllModelsFailedError);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  createConsoleLogger,
+  adaptLogger,
+} = require("../ai.js");
+const { stubGroq, reply, httpError, settle } = require("./helpers.js");
+
+test("is quiet by default", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const error = t.mock.method(console, "error", () => {});
+  const { ai } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      return reply("ok");
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  await ai.ask({ user: "hi" });
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(error.mock.callCount(), 0);
+});
+
+test("failed attempts are logged as warnings with structured fields", async () => {
+  const calls = [];
+  const logger = { warn: (message, fields) => calls.push({ message, fields }) };
+  const { ai } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(429);
+      return reply("ok");
+    },
+    { fallbackModels: ["b"], retry: false, logger },
+  );
+  await ai.ask({ user: "hi" });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].message, "[GroqAI] a failed");
+  assert.equal(calls[0].fields.provider, "groq");
+  assert.equal(calls[0].fields.model, "a");
+  assert.equal(calls[0].fields.attempt, 1);
+  assert.equal(typeof calls[0].fields.latencyMs, "number");
+  assert.match(calls[0].fields.error, /429/);
+});
+
+test("pino-style loggers get the fields first", () => {
+  const calls = [];
+  const pino = {
+    levels: { values: { info: 30 } },
+    info: (...args) => calls.push(args),
+  };
+  adaptLogger(pino).info("hello", { chatId: 1 });
+  adaptLogger({ info: (...args) => calls.push(args) }).info("hello", { chatId: 1 });
+  adaptLogger({ info: (...args) => calls.push(args) }, { fieldsFirst: true }).info("hello", {
+    chatId: 1,
+  });
+  assert.deepEqual(calls, [
+    [{ chatId: 1 }, "hello"],
+    ["hello", { chatId: 1 }],
+    [{ chatId: 1 }, "hello"],
+  ]);
+  assert.throws(() => adaptLogger("console"), /logger must be an object/);
+});
+
+test("createConsoleLogger skips levels below the minimum", (t) => {
+  const info = t.mock.method(console, "info", () => {});
+  const warn = t.mock.method(console, "warn", () => {});
+  const logger = createConsoleLogger({ level: "warn" });
+  logger.info("skipped");
+  logger.warn("shown", { model: "a" });
+  logger.warn("bare");
+  assert.equal(info.mock.callCount(), 0);
+  assert.deepEqual(
+    warn.mock.calls.map((call) => call.arguments),
+    [["shown", { model: "a" }], ["bare"]],
+  );
+  assert.throws(() => createConsoleLogger({ level: "loud" }), /Unknown log level "loud"/);
+});
+
+test("history classes log failed writes with the chat id", async () => {
+  const errors = [];
+  const memoryStore = new InMemoryAiMemoryStore();
+  memoryStore.appendMessages = async () => {
+    throw new Error("disk full");
+  };
+  const { ai } = stubGroq(
+    () => reply("ok"),
+    { memoryStore, logger: { error: (message, fields) => errors.push({ message, fields }) } },
+    GroqAiWithHistory,
+  );
+  assert.equal(await ai.ask("chat", { user: "hi" }), "ok");
+  await settle();
+  assert.deepEqual(errors, [
+    { message: "[Groq Memory] Failed to persist chat", fields: { chatId: "chat", error: "disk full" } },
+  ]);
+});
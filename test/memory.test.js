@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  InMemoryAiMemoryStore,
+  FileAiMemoryStore,
+  GroqAiWithHistory,
+} = require("../ai.js");
+
+const strip = (entries) => entries.map(({ role, content }) => ({ role, content }));
+
+test("in-memory store keeps the newest entries per chat and scope", async () => {
+  const store = new InMemoryAiMemoryStore({ maxEntries: 3 });
+  await store.appendMessages("chat", "groq", [
+    { role: "user", content: "1" },
+    { role: "assistant", content: "2" },
+    { role: "user", content: "" },
+  ]);
+  await store.appendMessages("chat", "groq", [
+    { role: "assistant", content: "3" },
+    { role: "user", content: "4" },
+  ]);
+  await store.appendMessages("chat", "mistral", [{ role: "user", content: "other" }]);
+
+  assert.deepEqual(strip(await store.getHistory("chat", "groq", 10)), [
+    { role: "assistant", content: "2" },
+    { role: "assistant", content: "3" },
+    { role: "user", content: "4" },
+  ]);
+  assert.deepEqual(strip(await store.getHistory("chat", "groq", 1)), [
+    { role: "user", content: "4" },
+  ]);
+  assert.equal((await store.getHistory("chat", "mistral", 10)).length, 1);
+
+  await store.deleteOldest("chat", "groq", 2);
+  assert.deepEqual(strip(await store.getHistory("chat", "groq", 10)), [
+    { role: "user", content: "4" },
+  ]);
+  await store.clearHistory("chat", "groq");
+  assert.deepEqual(await store.getHistory("chat", "groq", 10), []);
+  assert.equal((await store.getHistory("chat", "mistral", 10)).length, 1);
+});
+
+test("in-memory store hands out copies, not its own entries", async () => {
+  const store = new InMemoryAiMemoryStore();
+  const content = [{ type: "text", text: "hi" }];
+  await store.appendMessages("chat", "groq", [{ role: "user", content }]);
+  content[0].text = "changed";
+  const [entry] = await store.getHistory("chat", "groq", 10);
+  entry.content[0].text = "changed again";
+  assert.deepEqual((await store.getHistory("chat", "groq", 10))[0].content, [
+    { type: "text", text: "hi" },
+  ]);
+});
+
+test("file store persists history across instances", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llmjs-memory-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "nested", "history.json");
+
+  const first = new FileAiMemoryStore({ filePath });
+  await first.appendMessages("chat", "groq", [
+    { role: "user", content: "hello" },
+    { role: "assistant", content: "hi" },
+  ]);
+  await first.disconnect();
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ["history.json"]);
+
+  const second = new FileAiMemoryStore({ filePath });
+  assert.deepEqual(strip(await second.getHistory("chat", "groq", 10)), [
+    { role: "user", content: "hello" },
+    { role: "assistant", content: "hi" },
+  ]);
+  await second.clearHistory("chat", "groq");
+  await second.disconnect();
+
+  const third = new FileAiMemoryStore({ filePath });
+  assert.deepEqual(await third.getHistory("chat", "groq", 10), []);
+  assert.throws(() => new FileAiMemoryStore({}), /filePath is required/);
+});
+
+test("history classes reject stores that don't implement the contract", () => {
+  assert.throws(
+    () => new GroqAiWithHistory({ apiKey: "test" }),
+    /memoryStore is required for GroqAiWithHistory/,
+  );
+  assert.throws(
+    () =>
+      new GroqAiWithHistory({
+        apiKey: "test",
+        memoryStore: { getHistory() {}, appendMessages() {} },
+      }),
+    /must implement clearHistory\(\)/,
+  );
+});
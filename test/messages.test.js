@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AIMessage, HumanMessage } = require("@langchain/core/messages");
+const {
+  Ai,
+  GroqAi,
+  MistralAi,
+  AiWithHistory,
+  GroqAiWithHistory,
+  MistralAiWithHistory,
+  MultiProviderAiWithHistory,
+  InMemoryAiMemoryStore,
+  toCanonicalMessage,
+} = require("../ai.js");
+const { stubGroq, reply, settle } = require("./helpers.js");
+
+const image = "data:image/png;base64,AAAA";
+
+/** Stores an image turn the way AiWithHistory writes it. */
+async function storeImageTurn(memoryStore) {
+  const ai = new AiWithHistory({ apiKey: "test", model: "o", retry: false, memoryStore });
+  ai.getClient = () => ({ invoke: async () => new AIMessage("a cat") });
+  await ai.ask("c", {
+    user: "what is this?",
+    attachments: [{ type: "image", data: Buffer.from([0, 0, 0]), mimeType: "image/png" }],
+  });
+  await settle();
+}
+
+test("AiWithHistory stores image turns in the canonical shape", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  await storeImageTurn(memoryStore);
+  const [userTurn, assistantTurn] = await memoryStore.getHistory("c", "default", 10);
+  assert.deepEqual(userTurn.content, [
+    { type: "text", text: "what is this?" },
+    { type: "image", url: image },
+  ]);
+  assert.equal(assistantTurn.content, "a cat");
+});
+
+test("history written by one class replays as images through Groq, Mistral and MultiProvider", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  await storeImageTurn(memoryStore);
+
+  const groq = stubGroq(() => reply("ok"), { memoryStore }, GroqAiWithHistory);
+  await groq.ai.ask("c", { user: "and now?" });
+  assert.deepEqual(groq.requests[0].messages.slice(0, 2), [
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "what is this?" },
+        { type: "image_url", image_url: { url: image } },
+      ],
+    },
+    { role: "assistant", content: "a cat" },
+  ]);
+
+  const mistralRequests = [];
+  const mistral = new MistralAiWithHistory({ apiKey: "test", model: "m", retry: false, memoryStore });
+  mistral.client = {
+    chat: {
+      complete: async (body) => {
+        mistralRequests.push(body);
+        return { choices: [{ message: { content: "ok" } }] };
+      },
+    },
+  };
+  await mistral.ask("c", { user: "again" });
+  assert.deepEqual(mistralRequests[0].messages[0].content, [
+    { type: "text", text: "what is this?" },
+    { type: "image_url", imageUrl: image },
+  ]);
+
+  const multi = new MultiProviderAiWithHistory({ apiKeys: { groq: "test" }, retry: false, memoryStore });
+  const multiGroq = stubGroq(() => reply("ok"));
+  multi.clients.groq.client = multiGroq.ai.client;
+  await multi.ask("c", { user: "multi" });
+  assert.deepEqual(multiGroq.requests[0].messages[0].content[1], {
+    type: "image_url",
+    image_url: { url: image },
+  });
+});
+
+test("older provider-shaped history still replays, and unsupported parts become a note", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  await memoryStore.appendMessages("d", "default", [
+    {
+      role: "user",
+      content: [
+        { type: "image_url", imageUrl: "http://x/y.png" },
+        { type: "text", text: "hi" },
+      ],
+    },
+    { role: "assistant", content: "yo" },
+  ]);
+  let seen;
+  const ai = new AiWithHistory({ apiKey: "test", model: "o", retry: false, memoryStore });
+  ai.getClient = () => ({
+    invoke: async (messages) => {
+      seen = messages;
+      return new AIMessage("z");
+    },
+  });
+  await ai.ask("d", { user: "q" });
+  assert.deepEqual(seen[0].content, [
+    { type: "image_url", image_url: { url: "http://x/y.png" } },
+    { type: "text", text: "hi" },
+  ]);
+
+  await memoryStore.appendMessages("v", "default", [
+    { role: "user", content: [{ type: "video", url: "http://v" }] },
+  ]);
+  const groq = stubGroq(() => reply("ok"), { memoryStore }, GroqAiWithHistory);
+  await groq.ai.ask("v", { user: "x" });
+  assert.equal(groq.requests[0].messages[0].content, "[video not supported by this provider]");
+});
+
+const toolExchange = [
+  { role: "user", content: [{ type: "text", text: "weather?" }] },
+  { role: "assistant", content: "", toolCalls: [{ id: "t1", name: "w", arguments: { city: "x" } }] },
+  { role: "tool", content: "sunny", toolCallId: "t1" },
+];
+
+test("canonical tool calls convert to each provider's shape", () => {
+  const groq = new GroqAi({ apiKey: "test" }).buildMessages({ messages: toolExchange });
+  assert.equal(groq[0].content, "weather?");
+  assert.deepEqual(groq[1].tool_calls, [
+    { id: "t1", type: "function", function: { name: "w", arguments: '{"city":"x"}' } },
+  ]);
+  assert.equal(groq[2].tool_call_id, "t1");
+
+  const mistral = new MistralAi({ apiKey: "test" }).buildMessages({ messages: toolExchange });
+  assert.equal(mistral[1].toolCalls[0].function.name, "w");
+  assert.equal(mistral[2].toolCallId, "t1");
+
+  const langchain = new Ai({ apiKey: "test" }).buildMessages({ messages: toolExchange });
+  assert.equal(langchain[1].tool_calls[0].args.city, "x");
+  assert.equal(langchain[2].tool_call_id, "t1");
+
+  const user = new GroqAi({ apiKey: "test" }).buildMessages({
+    user: [
+      { type: "text", text: "a" },
+      { type: "image", url: "u" },
+    ],
+  });
+  assert.deepEqual(user[0].content, [
+    { type: "text", text: "a" },
+    { type: "image_url", image_url: { url: "u" } },
+  ]);
+});
+
+test("toCanonicalMessage reads provider and LangChain messages back", () => {
+  const canonicalCall = [{ id: "t1", name: "w", arguments: { city: "x" } }];
+  const groq = new GroqAi({ apiKey: "test" }).buildMessages({ messages: toolExchange });
+  assert.deepEqual(toCanonicalMessage(groq[1]), {
+    role: "assistant",
+    content: "",
+    toolCalls: canonicalCall,
+  });
+  const langchain = new Ai({ apiKey: "test" }).buildMessages({ messages: toolExchange });
+  assert.deepEqual(toCanonicalMessage(langchain[1]).toolCalls, canonicalCall);
+  assert.deepEqual(
+    toCanonicalMessage(
+      new HumanMessage({ content: [{ type: "image_url", image_url: { url: "u", detail: "low" } }] }),
+    ),
+    { role: "user", content: [{ type: "image", url: "u", detail: "low" }] },
+  );
+});
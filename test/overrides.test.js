@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  Ai,
+  MistralAi,
+  MultiProviderAi,
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  AllModelsFailedError,
+} = require("../ai.js");
+const { stubGroq, reply, chunks, httpError, collect } = require("./helpers.js");
+
+const sampling = {
+  temperature: 0,
+  maxTokens: 5,
+  topP: 0.9,
+  stop: "END",
+  seed: 7,
+  presencePenalty: 0.1,
+  frequencyPenalty: 0.2,
+};
+
+test("Groq sends the instance defaults when a call overrides nothing", async () => {
+  const { ai, requests } = stubGroq(() => reply("ok"), { temperature: 0.5, maxTokens: 100 });
+  await ai.ask({ user: "q" });
+  assert.deepEqual(requests[0], {
+    model: "a",
+    messages: requests[0].messages,
+    temperature: 0.5,
+    max_tokens: 100,
+  });
+});
+
+test("Groq maps every sampling override and tries the per-call models", async () => {
+  const { ai, requests } = stubGroq(
+    (body) => {
+      if (body.model === "bad") throw httpError(503);
+      return reply("ok");
+    },
+    { fallbackModels: ["b"], retry: false, temperature: 0.5 },
+  );
+  const response = await ai.askDetailed({
+    user: "q",
+    model: "bad",
+    fallbackModels: ["c"],
+    ...sampling,
+  });
+  assert.equal(response.model, "c");
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["bad", "c"],
+  );
+  const { model, messages, ...params } = requests[1];
+  assert.deepEqual(params, {
+    temperature: 0,
+    max_tokens: 5,
+    top_p: 0.9,
+    stop: ["END"],
+    seed: 7,
+    presence_penalty: 0.1,
+    frequency_penalty: 0.2,
+  });
+
+  await ai.ask({ user: "q" });
+  assert.equal(requests.at(-1).temperature, 0.5, "the instance defaults are untouched");
+});
+
+test("fallbackModels: [] turns fallback off for one call; fallbackModels alone keeps the model", async () => {
+  const { ai, requests } = stubGroq(
+    (body) => {
+      if (body.model === "bad") throw httpError(503);
+      return reply("ok");
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  await assert.rejects(ai.ask({ user: "q", model: "bad", fallbackModels: [] }), AllModelsFailedError);
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["bad"],
+  );
+  await ai.ask({ user: "q", fallbackModels: ["z"] });
+  assert.equal(requests.at(-1).model, "a");
+});
+
+test("askJson and askStream take the same overrides", async () => {
+  const { ai, requests } = stubGroq((body) => (body.stream ? chunks(["hi"]) : reply('{"a":1}')));
+  await ai.askJson({ user: "q", schema: { type: "object" }, seed: 3 });
+  assert.equal(requests[0].seed, 3);
+  await collect(ai.askStream({ user: "q", model: "zz", topP: 0.3 }));
+  assert.equal(requests[1].model, "zz");
+  assert.equal(requests[1].top_p, 0.3);
+});
+
+test("bad overrides are rejected", async () => {
+  const { ai } = stubGroq(() => reply("ok"));
+  await assert.rejects(ai.ask({ user: "q", temperature: "hot" }), /temperature must be a number/);
+  await assert.rejects(ai.ask({ user: "q", stop: [1] }), /stop must be a string or an array/);
+  await assert.rejects(ai.ask({ user: "q", fallbackModels: "x" }), /fallbackModels must be an array/);
+});
+
+test("Mistral gets its own parameter names", async () => {
+  const requests = [];
+  const ai = new MistralAi({ apiKey: "test", model: "m1", retry: false });
+  ai.client = {
+    chat: {
+      complete: async (body) => {
+        requests.push(body);
+        return { choices: [{ message: { content: "ok" }, finishReason: "stop" }] };
+      },
+    },
+  };
+  await ai.ask({ user: "q", ...sampling });
+  const { model, messages, ...params } = requests[0];
+  assert.deepEqual(params, {
+    temperature: 0,
+    maxTokens: 5,
+    topP: 0.9,
+    stop: ["END"],
+    randomSeed: 7,
+    presencePenalty: 0.1,
+    frequencyPenalty: 0.2,
+  });
+});
+
+test("Ai caches one LangChain client per model and sampling settings", () => {
+  const ai = new Ai({ apiKey: "test", model: "o1" });
+  const plain = ai.getClient("o1");
+  const tuned = ai.getClient("o1", { temperature: 0, maxTokens: 5, seed: 4, stop: ["x"], topP: 0.2 });
+  assert.equal(ai.getClient("o1"), plain);
+  assert.notEqual(tuned, plain);
+  assert.equal(tuned.temperature, 0);
+  assert.equal(tuned.maxTokens, 5);
+  assert.equal(tuned.topP, 0.2);
+  assert.deepEqual(tuned.stop, ["x"]);
+  assert.equal(tuned.invocationParams().seed, 4);
+});
+
+test("MultiProviderAi takes model overrides keyed by provider", async () => {
+  const mistralRequests = [];
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "mistral", name: "m1" },
+    retry: false,
+  });
+  ai.clients.mistral.client = {
+    chat: {
+      complete: async (body) => {
+        mistralRequests.push(body);
+        throw Object.assign(new Error("down"), { statusCode: 503 });
+      },
+    },
+  };
+  const groq = stubGroq(() => reply("ok"));
+  ai.clients.groq.client = groq.ai.client;
+
+  const response = await ai.askDetailed({
+    user: "q",
+    model: { mistral: "m2", groq: "g2" },
+    temperature: 0.1,
+  });
+  assert.equal(response.provider, "groq");
+  assert.equal(mistralRequests[0].model, "m2");
+  assert.equal(mistralRequests[0].temperature, 0.1);
+  assert.equal(groq.requests[0].model, "g2");
+  assert.equal(groq.requests[0].temperature, 0.1);
+});
+
+test("history classes pass overrides through", async () => {
+  const { ai, requests } = stubGroq(
+    () => reply("ok"),
+    { memoryStore: new InMemoryAiMemoryStore() },
+    GroqAiWithHistory,
+  );
+  await ai.ask("chat", { user: "q", model: "hm", stop: ["s"] });
+  assert.equal(requests[0].model, "hm");
+  assert.deepEqual(requests[0].stop, ["s"]);
+});
+
+test("the cache keeps replies for different sampling settings apart", async () => {
+  const { ai, requests } = stubGroq(() => reply("ok"), { cache: true });
+  await ai.ask({ user: "k" });
+  await ai.ask({ user: "k" });
+  await ai.ask({ user: "k", temperature: 0.2 });
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MultiProviderAi } = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+/** A gateway provider; `fail` makes every ask() throw a 503. */
+class Gateway {
+  constructor(options) {
+    this.options = options;
+    this.models = [options.model];
+    this.lastUsedModel = null;
+  }
+
+  async ask({ user }) {
+    if (this.options.fail) throw httpError(503);
+    this.lastUsedModel = this.options.model;
+    return `gw:${user}`;
+  }
+
+  async transcribe() {
+    return "heard";
+  }
+}
+
+test("registerProvider() checks the class before accepting it", () => {
+  assert.throws(() => MultiProviderAi.registerProvider("groq", Gateway), /built-in provider/);
+  assert.throws(() => MultiProviderAi.registerProvider("bad", class {}), /must implement ask\(\)/);
+  assert.throws(
+    () =>
+      MultiProviderAi.registerProvider(
+        "bad",
+        class {
+          ask() {}
+          get embed() {
+            return 1;
+          }
+        },
+      ),
+    /embed that isn't a method/,
+  );
+  assert.throws(() => MultiProviderAi.registerProvider("", Gateway), /non-empty string/);
+});
+
+test("a registered provider joins when apiKeys names it and gets the shared options", async () => {
+  assert.equal(MultiProviderAi.registerProvider("gw", Gateway, { region: "eu" }), MultiProviderAi);
+  try {
+    const without = new MultiProviderAi({ apiKeys: { groq: "test" } });
+    assert.deepEqual(without.getOrderedProviders(), ["groq"]);
+
+    const ai = new MultiProviderAi({
+      apiKeys: { gw: "", groq: "test" },
+      model: { provider: "gw", name: "big" },
+      maxTokens: 42,
+      retry: false,
+    });
+    assert.deepEqual(ai.getOrderedProviders(), ["gw", "groq"]);
+    assert.equal(ai.clients.gw.options.region, "eu");
+    assert.equal(ai.clients.gw.options.maxTokens, 42);
+
+    const response = await ai.askDetailed({ user: "hi" });
+    assert.equal(response.text, "gw:hi");
+    assert.equal(response.provider, "gw");
+    assert.equal(response.model, "big");
+    assert.deepEqual(ai.lastUsedModel, { provider: "gw", model: "big" });
+  } finally {
+    assert.equal(MultiProviderAi.unregisterProvider("gw"), true);
+  }
+  assert.deepEqual(new MultiProviderAi({ apiKeys: { gw: "k" } }).getOrderedProviders(), []);
+});
+
+test("a failing plugged-in provider falls back to the next one", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test" },
+    providers: { edge: { classRef: Gateway, options: { fail: true } } },
+    model: { provider: "edge", name: "m" },
+    retry: false,
+  });
+  ai.clients.groq.client = stubGroq(() => reply("from groq")).ai.client;
+  const response = await ai.askDetailed({ user: "q" });
+  assert.equal(response.text, "from groq");
+  assert.equal(response.attempts, 2);
+});
+
+test("plugged-in providers race with the built-in ones", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test" },
+    providers: { edge: Gateway },
+    fallbackModels: { edge: ["tiny"] },
+    firstToFinish: true,
+    retry: false,
+  });
+  ai.clients.groq.client = stubGroq(() => {
+    throw httpError(400);
+  }).ai.client;
+  assert.deepEqual(ai.getOrderedProviders(), ["groq", "edge"]);
+  const response = await ai.askDetailed({ user: "yo" });
+  assert.equal(response.provider, "edge");
+  assert.equal(response.model, "tiny");
+});
+
+test("optional capabilities are only used on providers that have them", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { mistral: "test" },
+    providers: { edge: Gateway },
+    model: { provider: "edge", name: "m" },
+  });
+  const transcription = await ai.transcribeDetailed({ file: Buffer.from("audio") });
+  assert.equal(transcription.text, "heard");
+  assert.equal(transcription.provider, "edge");
+  assert.deepEqual(transcription.segments, []);
+
+  const calls = [];
+  ai.clients.mistral.embed = async (texts) => {
+    calls.push(texts);
+    return { embeddings: [[1]], dimensions: 1, provider: "mistral", model: "e", usage: null };
+  };
+  const embedding = await ai.embed(["x"]);
+  assert.equal(embedding.provider, "mistral");
+  assert.deepEqual(calls, [["x"]]);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MultiProviderAi, RateLimiter, RateLimitError } = require("../ai.js");
+const { stubGroq, reply } = require("./helpers.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("rate limiter queues calls past maxConcurrent until a slot is released", async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  const first = await limiter.acquire({ model: "a" });
+  let secondReady = false;
+  const second = limiter.acquire({ model: "a" }).then((permit) => {
+    secondReady = true;
+    return permit;
+  });
+  await sleep(10);
+  assert.equal(secondReady, false);
+  first.release();
+  (await second).release();
+  assert.equal(secondReady, true);
+});
+
+test("rate limiter fails with RateLimitError once maxWaitMs runs out", async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 1, maxWaitMs: 20 });
+  (await limiter.acquire({ provider: "groq", model: "a" })).release();
+  await assert.rejects(limiter.acquire({ provider: "groq", model: "a" }), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.model, "a");
+    assert.ok(error.retryAfterMs > 50000);
+    return true;
+  });
+});
+
+test("rate limiter charges reported tokens and keeps per-model limits separate", async () => {
+  const limiter = new RateLimiter({
+    maxWaitMs: 20,
+    models: { a: { tokensPerMinute: 100 } },
+  });
+  (await limiter.acquire({ model: "a" })).release({ totalTokens: 500 });
+  await assert.rejects(limiter.acquire({ model: "a" }), RateLimitError);
+  (await limiter.acquire({ model: "b" })).release();
+});
+
+test("rate limiter drops a waiter whose signal aborts", async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  const held = await limiter.acquire({ model: "a" });
+  const controller = new AbortController();
+  const waiting = limiter.acquire({ model: "a", signal: controller.signal });
+  controller.abort();
+  await assert.rejects(waiting, { name: "AbortError" });
+  assert.equal(limiter.queue.length, 0);
+  held.release();
+  assert.throws(() => new RateLimiter({ maxWaitMs: -1 }), /maxWaitMs/);
+});
+
+
+function multi(rateLimit) {
+  return new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "groq", name: "a" },
+    rateLimit,
+  });
+}
+
+test("MultiProviderAi builds one limiter per provider from a keyed object", () => {
+  const ai = multi({ groq: { requestsPerMinute: 30 } });
+  assert.ok(ai.clients.groq.rateLimiter instanceof RateLimiter);
+  assert.equal(ai.clients.groq.rateLimiter.limits.requestsPerMinute, 30);
+  assert.equal(ai.clients.mistral.rateLimiter, null);
+});
+
+test("MultiProviderAi shares a RateLimiter instance across every provider", async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 1, maxWaitMs: 20 });
+  const ai = multi(limiter);
+  assert.equal(ai.clients.groq.rateLimiter, limiter);
+  assert.equal(ai.clients.mistral.rateLimiter, limiter);
+
+  ai.clients.groq.client = stubGroq(() => reply("ok")).ai.client;
+  assert.equal(await ai.ask({ user: "hi" }), "ok");
+  await assert.rejects(limiter.acquire({ provider: "mistral", model: "m" }), RateLimitError);
+});
+
+test("MultiProviderAi rejects limits that are not keyed by provider", () => {
+  assert.throws(() => multi({ requestsPerMinute: 30 }), /keyed by provider/);
+  assert.throws(() => multi(30), /RateLimiter or an object keyed by provider/);
+});
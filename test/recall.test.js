@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  InMemoryAiVectorIndex,
+  MongoAiVectorIndex,
+} = require("../ai.js");
+const { stubGroq, reply, settle } = require("./helpers.js");
+
+/** Embeds anything mentioning pizza as [1, 0] and everything else as [0, 1]. */
+const embedder = {
+  embed: async (texts) => texts.map((text) => (/pizza/i.test(text) ? [1, 0] : [0, 1])),
+};
+
+function recallAi(options = {}) {
+  return stubGroq(
+    () => reply("ok"),
+    {
+      memoryStore: new InMemoryAiMemoryStore(),
+      recall: { embedder, minScore: 0.5 },
+      retry: false,
+      ...options,
+    },
+    GroqAiWithHistory,
+  );
+}
+
+async function chat(ai, ...messages) {
+  for (const user of messages) {
+    await ai.ask("c", { user });
+    await settle();
+  }
+}
+
+const systemOf = (body) => body.messages.find((message) => message.role === "system")?.content;
+
+test("recalls relevant turns that fell out of the replayed history", async () => {
+  const { ai, requests } = recallAi({ historyLimit: 2 });
+  await chat(ai, "I love pizza", "the weather is nice", "what should I eat? pizza maybe");
+  assert.match(systemOf(requests.at(-1)), /User: I love pizza/);
+  assert.doesNotMatch(systemOf(requests.at(-1)), /Assistant: ok/);
+});
+
+test("skips turns that are still in the history being sent", async () => {
+  const { ai, requests } = recallAi();
+  await chat(ai, "I love pizza", "more pizza please");
+  assert.equal(systemOf(requests.at(-1)), undefined);
+  assert.deepEqual(
+    requests.at(-1).messages.map((message) => message.content),
+    ["I love pizza", "ok", "more pizza please"],
+  );
+});
+
+test("recalls turns the token budget trimmed even when they're inside historyLimit", async () => {
+  const { ai, requests } = recallAi({
+    historyLimit: 10,
+    tokenBudget: 30,
+    maxTokens: 1,
+    tokenCounter: (text) => text.length,
+  });
+  await chat(ai, "I love pizza", "one", "pizza?");
+  const last = requests.at(-1);
+  assert.match(systemOf(last), /User: I love pizza/);
+  assert.ok(!last.messages.some((message) => message.content === "I love pizza"));
+});
+
+test("InMemoryAiVectorIndex keeps only the newest maxEntriesPerChat vectors", async () => {
+  const index = new InMemoryAiVectorIndex({ maxEntriesPerChat: 2 });
+  await index.add("c", "s", [
+    { role: "user", text: "one", vector: [1, 0] },
+    { role: "user", text: "two", vector: [1, 0] },
+    { role: "user", text: "three", vector: [1, 0] },
+  ]);
+  const hits = await index.search("c", "s", [1, 0], { topK: 5 });
+  assert.deepEqual(hits.map((hit) => hit.text).sort(), ["three", "two"]);
+  await index.clear("c", "s");
+  assert.deepEqual(await index.search("c", "s", [1, 0]), []);
+});
+
+/** Just enough of a Mongo collection for MongoAiVectorIndex. */
+function fakeCollection() {
+  const docs = [];
+  let nextId = 0;
+  const matches = (query) => (doc) =>
+    Object.entries(query).every(([key, value]) =>
+      value && value.$in ? value.$in.includes(doc[key]) : doc[key] === value,
+    );
+  const cursor = (list) => ({
+    sort: ({ createdAt }) => cursor([...list].sort((a, b) => (a.createdAt - b.createdAt) * createdAt)),
+    skip: (n) => cursor(list.slice(n)),
+    limit: (n) => cursor(list.slice(0, n)),
+    toArray: async () => list,
+  });
+  return {
+    docs,
+    insertMany: async (items) => {
+      for (const item of items) docs.push({ _id: nextId++, ...item });
+    },
+    find: (query) => cursor(docs.filter(matches(query))),
+    deleteMany: async (query) => {
+      const keep = docs.filter((doc) => !matches(query)(doc));
+      docs.splice(0, docs.length, ...keep);
+    },
+  };
+}
+
+test("MongoAiVectorIndex deletes and ignores vectors past maxEntriesPerChat", async () => {
+  const index = new MongoAiVectorIndex({ uri: "mongodb://test", dbName: "db", maxEntriesPerChat: 2 });
+  const collection = fakeCollection();
+  index.connect = async () => collection;
+  const at = (n) => new Date(2026, 0, 1, 0, 0, n);
+
+  await index.add("c", "s", [
+    { role: "user", text: "one", vector: [1, 0], createdAt: at(1) },
+    { role: "user", text: "two", vector: [1, 0], createdAt: at(2) },
+    { role: "user", text: "three", vector: [1, 0], createdAt: at(3) },
+  ]);
+  await index.add("other", "s", [{ role: "user", text: "elsewhere", vector: [1, 0] }]);
+  assert.deepEqual(
+    collection.docs.map((doc) => doc.text),
+    ["two", "three", "elsewhere"],
+  );
+
+  // A doc written behind the index's back is still left out of the search
+  await collection.insertMany([
+    { chatId: "c", scope: "s", role: "user", text: "zero", vector: [1, 0], model: null, createdAt: at(0) },
+  ]);
+  const hits = await index.search("c", "s", [1, 0], { topK: 5 });
+  assert.deepEqual(hits.map((hit) => hit.text).sort(), ["three", "two"]);
+});
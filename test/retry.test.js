@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AllModelsFailedError, RateLimitError } = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+/** Replies with the queued outcomes in order: Errors are thrown, strings answered. */
+function scripted(outcomes) {
+  return (body) => {
+    const next = outcomes[body.model].shift();
+    if (next instanceof Error) throw next;
+    return reply(next);
+  };
+}
+
+test("retries 5xx and dropped connections on the same model", async () => {
+  const reset = Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+  const { ai, requests } = stubGroq(scripted({ a: [httpError(503), reset, "ok"] }), {
+    retry: { baseDelayMs: 1 },
+  });
+  assert.equal(await ai.ask({ user: "hi" }), "ok");
+  assert.equal(requests.length, 3);
+});
+
+test("doesn't retry client errors and falls back to the next model", async () => {
+  const { ai, requests } = stubGroq(scripted({ a: [httpError(400)], b: ["from b"] }), {
+    fallbackModels: ["b"],
+    retry: { baseDelayMs: 1 },
+  });
+  assert.equal(await ai.ask({ user: "hi" }), "from b");
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "b"],
+  );
+});
+
+test("gives up on a model once maxAttempts is used", async () => {
+  const { ai, requests } = stubGroq(
+    scripted({ a: [httpError(500), httpError(502)], b: ["from b"] }),
+    { fallbackModels: ["b"], retry: { maxAttempts: 2, baseDelayMs: 1 } },
+  );
+  assert.equal(await ai.ask({ user: "hi" }), "from b");
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "a", "b"],
+  );
+});
+
+test("retry: false makes a single attempt", async () => {
+  const { ai, requests } = stubGroq(scripted({ a: [httpError(503)] }), { retry: false });
+  await assert.rejects(ai.ask({ user: "hi" }), AllModelsFailedError);
+  assert.equal(requests.length, 1);
+});
+
+test("a custom retryOn decides what's retried", async () => {
+  const seen = [];
+  const { ai, requests } = stubGroq(scripted({ a: [httpError(400), "ok"] }), {
+    retry: {
+      baseDelayMs: 1,
+      retryOn: (error, attempt) => {
+        seen.push([error.status, attempt]);
+        return error.status === 400;
+      },
+    },
+  });
+  assert.equal(await ai.ask({ user: "hi" }), "ok");
+  assert.equal(requests.length, 2);
+  assert.deepEqual(seen, [[400, 1]]);
+});
+
+test("waits as long as Retry-After says, in seconds, milliseconds or as a date", async () => {
+  const cases = [
+    [{ "retry-after": "0.05" }, 50],
+    [{ "retry-after-ms": "50" }, 50],
+    [new Headers({ "retry-after": new Date(Date.now() + 1500).toUTCString() }), 400],
+  ];
+  for (const [headers, minimumMs] of cases) {
+    const { ai, requests } = stubGroq(scripted({ a: [httpError(429, headers), "ok"] }), {
+      retry: { baseDelayMs: 0 },
+    });
+    const startedAt = Date.now();
+    assert.equal(await ai.ask({ user: "hi" }), "ok");
+    assert.ok(Date.now() - startedAt >= minimumMs, `waited for ${JSON.stringify(headers)}`);
+    assert.equal(requests.length, 2);
+  }
+});
+
+test("moves on when Retry-After asks for longer than maxDelayMs", async () => {
+  const { ai, requests } = stubGroq(
+    scripted({ a: [httpError(429, { "retry-after": "120" })] }),
+    { retry: { maxDelayMs: 1000 } },
+  );
+  await assert.rejects(ai.ask({ user: "hi" }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    const [attempt] = error.attempts;
+    assert.ok(attempt.error instanceof RateLimitError);
+    assert.equal(attempt.error.retryAfterMs, 120000);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("backoff grows with each attempt and stays under maxDelayMs", async () => {
+  const delays = [];
+  const logger = {
+    debug() {},
+    info() {},
+    error() {},
+    warn: (message, fields) => delays.push(fields.delayMs),
+  };
+  const { ai } = stubGroq(
+    scripted({ a: [httpError(503), httpError(503), httpError(503), "ok"] }),
+    { retry: { maxAttempts: 4, baseDelayMs: 20, maxDelayMs: 50 }, logger },
+  );
+  assert.equal(await ai.ask({ user: "hi" }), "ok");
+  assert.equal(delays.length, 3);
+  assert.ok(delays[0] >= 10 && delays[0] <= 20, `first delay ${delays[0]}`);
+  assert.ok(delays[1] >= 20 && delays[1] <= 40, `second delay ${delays[1]}`);
+  assert.ok(delays[2] >= 25 && delays[2] <= 50, `third delay ${delays[2]}`);
+});
+
+test("aborting during a backoff stops the retries", async () => {
+  const { ai, requests } = stubGroq(scripted({ a: [httpError(503), "ok"] }), {
+    retry: { baseDelayMs: 10000, maxDelayMs: 10000 },
+  });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const startedAt = Date.now();
+  await assert.rejects(ai.ask({ user: "hi", signal: controller.signal }), { name: "AbortError" });
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.equal(requests.length, 1);
+});
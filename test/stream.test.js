@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GroqAiWithHistory,
+  InMemoryAiMemoryStore,
+  AllModelsFailedError,
+  RateLimitError,
+} = require("../ai.js");
+const { stubGroq, chunks, httpError, collect, settle } = require("./helpers.js");
+
+test("yields deltas as they arrive, then the trimmed text", async () => {
+  const { ai, requests } = stubGroq(() => chunks(["Hel", "lo ", ""]));
+  assert.deepEqual(await collect(ai.askStream({ user: "hi" })), [
+    { type: "delta", text: "Hel", model: "a" },
+    { type: "delta", text: "lo ", model: "a" },
+    { type: "done", text: "Hello", model: "a", usage: null },
+  ]);
+  assert.equal(requests[0].stream, true);
+  assert.equal(ai.lastUsedModel, "a");
+});
+
+test("falls back when a model fails or stays silent before its first token", async () => {
+  const { ai, requests } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      if (body.model === "b") return chunks([""]);
+      return chunks(["from c"]);
+    },
+    { fallbackModels: ["b", "c"], retry: false },
+  );
+  const events = await collect(ai.askStream({ user: "hi" }));
+  assert.deepEqual(events.at(-1), { type: "done", text: "from c", model: "c", usage: null });
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "b", "c"],
+  );
+});
+
+test("throws AllModelsFailedError when no model starts", async () => {
+  const { ai } = stubGroq(() => chunks([]), { fallbackModels: ["b"], retry: false });
+  await assert.rejects(collect(ai.askStream({ user: "hi" })), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    assert.deepEqual(
+      error.attempts.map((attempt) => attempt.error.name),
+      ["EmptyResponseError", "EmptyResponseError"],
+    );
+    return true;
+  });
+});
+
+test("errors after the first token reach the caller as typed errors, without falling back", async () => {
+  const { ai, requests } = stubGroq(() => chunks(["partial"], { error: httpError(429) }), {
+    fallbackModels: ["b"],
+    retry: false,
+  });
+  const events = [];
+  await assert.rejects(
+    (async () => {
+      for await (const event of ai.askStream({ user: "hi" })) events.push(event);
+    })(),
+    (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.provider, "groq");
+      assert.equal(error.model, "a");
+      return true;
+    },
+  );
+  assert.deepEqual(events, [{ type: "delta", text: "partial", model: "a" }]);
+  assert.equal(requests.length, 1);
+});
+
+test("closes the provider stream when the consumer stops early", async () => {
+  const state = { closed: false };
+  const { ai } = stubGroq(() => chunks(["one", "two", "three"], { state }));
+  for await (const event of ai.askStream({ user: "hi" })) {
+    assert.equal(event.text, "one");
+    break;
+  }
+  assert.equal(state.closed, true);
+});
+
+test("history classes store the streamed exchange and replay it next time", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const { ai, requests } = stubGroq(
+    () => chunks(["Hi ", "there"]),
+    { memoryStore, retry: false },
+    GroqAiWithHistory,
+  );
+
+  await collect(ai.askStream("chat", { user: "hello" }));
+  await settle();
+  assert.deepEqual(
+    (await memoryStore.getHistory("chat", ai.memoryScope, 10)).map(({ role, content }) => ({
+      role,
+      content,
+    })),
+    [
+      { role: "user", content: "hello" },
+      { role: "assistant", content: "Hi there" },
+    ],
+  );
+
+  await collect(ai.askStream("chat", { user: "again" }));
+  assert.deepEqual(
+    requests[1].messages.map((message) => message.content),
+    ["hello", "Hi there", "again"],
+  );
+});
+
+test("history classes store nothing when the stream fails", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const { ai } = stubGroq(
+    () => chunks(["half"], { error: httpError(500) }),
+    { memoryStore, retry: false },
+    GroqAiWithHistory,
+  );
+  await assert.rejects(collect(ai.askStream("chat", { user: "hello" })));
+  await settle();
+  assert.deepEqual(await memoryStore.getHistory("chat", ai.memoryScope, 10), []);
+  await assert.rejects(collect(ai.askStream(undefined, { user: "hello" })), /chatId is required/);
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GroqAiWithHistory,
+  MultiProviderAiWithHistory,
+  InMemoryAiMemoryStore,
+} = require("../ai.js");
+const { stubGroq, reply, httpError, settle } = require("./helpers.js");
+
+const isSummaryRequest = (body) =>
+  body.messages[0].role === "system" && body.messages[0].content.startsWith("You maintain a running summary");
+
+/** Collects what the library logs, by level. */
+function recordingLogger() {
+  const logged = { debug: [], info: [], warn: [], error: [] };
+  const logger = {};
+  for (const level of Object.keys(logged)) {
+    logger[level] = (message, fields) => logged[level].push({ message, fields });
+  }
+  return { logger, logged };
+}
+
+function summarizingAi(create, options = {}) {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const { ai, requests } = stubGroq(
+    create,
+    { memoryStore, retry: false, summarization: { threshold: 4, keepRecent: 2 }, ...options },
+    GroqAiWithHistory,
+  );
+  return { ai, requests, memoryStore };
+}
+
+const contents = (entries) => entries.map((entry) => entry.content);
+
+test("condenses older turns once a chat passes the threshold", async () => {
+  const { ai, requests, memoryStore } = summarizingAi((body) =>
+    reply(isSummaryRequest(body) ? "User is planning a trip." : "ok"),
+  );
+  for (const user of ["one", "two", "three"]) {
+    await ai.ask("chat", { user });
+    await settle();
+  }
+
+  const summaryRequest = requests.find(isSummaryRequest);
+  assert.match(summaryRequest.messages[1].content, /User: one\nAssistant: ok\nUser: two/);
+  assert.deepEqual(contents(await memoryStore.getHistory("chat", ai.memoryScope, 10)), ["three", "ok"]);
+
+  await ai.ask("chat", { user: "four", system: "Be brief." });
+  const last = requests.at(-1);
+  assert.equal(
+    last.messages[0].content,
+    "Be brief.\n\nSummary of the earlier conversation:\nUser is planning a trip.",
+  );
+  assert.deepEqual(contents(last.messages.slice(1)), ["three", "ok", "four"]);
+});
+
+test("merges the previous summary into the next one", async () => {
+  let summaries = 0;
+  const { ai, requests } = summarizingAi((body) =>
+    reply(isSummaryRequest(body) ? `summary ${++summaries}` : "ok"),
+  );
+  for (const user of ["a", "b", "c", "d", "e"]) {
+    await ai.ask("chat", { user });
+    await settle();
+  }
+  const second = requests.filter(isSummaryRequest)[1];
+  assert.match(second.messages[1].content, /^Previous summary:\nsummary 1\n\nNew transcript:/);
+});
+
+test("uses a custom summarizer when one is given", async () => {
+  const calls = [];
+  const summarizer = {
+    ask: async ({ system, user }) => {
+      calls.push({ system, user });
+      return "from the summarizer";
+    },
+  };
+  const { ai, requests, memoryStore } = summarizingAi(() => reply("ok"), {
+    summarization: { threshold: 2, keepRecent: 0, summarizer, prompt: "Summarize." },
+  });
+  await ai.ask("chat", { user: "a" });
+  await settle();
+  await ai.ask("chat", { user: "b" });
+  await settle();
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].system, "Summarize.");
+  assert.equal(requests.filter(isSummaryRequest).length, 0);
+  assert.deepEqual(await memoryStore.getHistory("chat", ai.memoryScope, 10), []);
+  const [summary] = await memoryStore.getHistory("chat", `${ai.memoryScope}:summary`, 1);
+  assert.equal(summary.content, "from the summarizer");
+});
+
+test("a failed summary is logged and leaves history alone", async () => {
+  const { logger, logged } = recordingLogger();
+  const { ai, memoryStore } = summarizingAi(
+    (body) => {
+      if (isSummaryRequest(body)) throw httpError(500);
+      return reply("ok");
+    },
+    { logger },
+  );
+  for (const user of ["one", "two", "three"]) {
+    await ai.ask("chat", { user });
+    await settle();
+  }
+  assert.equal((await memoryStore.getHistory("chat", ai.memoryScope, 10)).length, 6);
+  assert.ok(logged.error.length > 0);
+  assert.equal(logged.error[0].message, "[Groq Memory] Failed to summarize history");
+  assert.equal(logged.error[0].fields.chatId, "chat");
+});
+
+test("multi-provider history summarizes with the provider summarization.model names", async () => {
+  const memoryStore = new InMemoryAiMemoryStore();
+  const ai = new MultiProviderAiWithHistory({
+    apiKeys: { groq: "test" },
+    model: { provider: "groq", name: "a" },
+    memoryStore,
+    retry: false,
+    summarization: { threshold: 2, keepRecent: 0, model: { provider: "groq", name: "small" } },
+  });
+  const { ai: groq, requests } = stubGroq((body) =>
+    reply(isSummaryRequest(body) ? "condensed" : "ok"),
+  );
+  ai.clients.groq.client = groq.client;
+
+  await ai.ask("chat", { user: "a" });
+  await settle();
+  await ai.ask("chat", { user: "b" });
+  await settle();
+  assert.equal(requests.find(isSummaryRequest).model, "small");
+  const [summary] = await memoryStore.getHistory("chat", `${ai.memoryScope}:summary`, 1);
+  assert.equal(summary.content, "condensed");
+});
+
+test("rejects summarization settings that can't work", () => {
+  assert.throws(
+    () =>
+      new GroqAiWithHistory({
+        apiKey: "test",
+        memoryStore: new InMemoryAiMemoryStore({ maxEntries: 20 }),
+        summarization: { threshold: 30 },
+      }),
+    /threshold \(30\) must be below the memory store's maxEntries \(20\)/,
+  );
+  assert.throws(
+    () =>
+      new GroqAiWithHistory({
+        apiKey: "test",
+        memoryStore: { getHistory() {}, appendMessages() {}, clearHistory() {} },
+        summarization: true,
+      }),
+    /must implement deleteOldest\(\) to use summarization/,
+  );
+});
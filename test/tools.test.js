@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+/** A Groq reply that asks for the given tool calls. */
+function callTools(...calls) {
+  return {
+    choices: [
+      {
+        message: {
+          content: null,
+          tool_calls: calls.map(([id, name, args]) => ({
+            id,
+            type: "function",
+            function: { name, arguments: JSON.stringify(args) },
+          })),
+        },
+        finish_reason: "tool_calls",
+      },
+    ],
+  };
+}
+
+const weather = {
+  name: "get_weather",
+  description: "Current weather for a city",
+  parameters: { type: "object", properties: { city: { type: "string" } }, required: ["city"] },
+  handler: async ({ city }) => ({ city, tempC: 21 }),
+};
+
+test("runs tool calls and feeds the results back until the model answers", async () => {
+  const toolReply = callTools(["c1", "get_weather", { city: "Oslo" }]);
+  const replies = [toolReply, reply("It's 21C in Oslo.")];
+  const { ai, requests } = stubGroq(() => replies.shift(), { tools: [weather] });
+
+  const result = await ai.askWithTools({ user: "Weather in Oslo?" });
+  assert.equal(result.text, "It's 21C in Oslo.");
+  assert.deepEqual(result.toolCalls, [
+    { id: "c1", name: "get_weather", arguments: { city: "Oslo" }, result: { city: "Oslo", tempC: 21 } },
+  ]);
+
+  assert.deepEqual(requests[0].tools, [
+    {
+      type: "function",
+      function: {
+        name: "get_weather",
+        description: weather.description,
+        parameters: weather.parameters,
+      },
+    },
+  ]);
+  assert.deepEqual(requests[1].messages.slice(-2), [
+    { role: "assistant", content: null, tool_calls: toolReply.choices[0].message.tool_calls },
+    { role: "tool", tool_call_id: "c1", content: '{"city":"Oslo","tempC":21}' },
+  ]);
+});
+
+test("tool failures and unknown tools go back to the model as errors", async () => {
+  const replies = [
+    callTools(["c1", "explode", {}], ["c2", "missing", {}]),
+    reply("Sorry, that didn't work."),
+  ];
+  const { ai, requests } = stubGroq(() => replies.shift());
+  ai.registerTool({
+    name: "explode",
+    handler: () => {
+      throw new Error("boom");
+    },
+  });
+
+  const result = await ai.askWithTools({ user: "go" });
+  assert.deepEqual(
+    result.toolCalls.map((call) => call.error),
+    ["boom", "Unknown tool missing"],
+  );
+  assert.deepEqual(
+    requests[1].messages.slice(-2).map((message) => message.content),
+    ['{"error":"boom"}', '{"error":"Unknown tool missing"}'],
+  );
+});
+
+test("makes the model wrap up with text after maxToolSteps", async () => {
+  const { ai, requests } = stubGroq(
+    (body) =>
+      body.tool_choice === "none" ? reply("done") : callTools(["c", "get_weather", { city: "Rome" }]),
+    { tools: [weather], maxToolSteps: 2 },
+  );
+  const result = await ai.askWithTools({ user: "loop" });
+  assert.equal(result.text, "done");
+  assert.equal(result.toolCalls.length, 2);
+  assert.deepEqual(
+    requests.map((body) => body.tool_choice),
+    ["auto", "auto", "none"],
+  );
+});
+
+test("restarts the loop on the next model when one fails", async () => {
+  let handled = 0;
+  const { ai, requests } = stubGroq(
+    (body) => {
+      if (body.model === "a") throw httpError(500);
+      return body.messages.at(-1).role === "tool"
+        ? reply("from b")
+        : callTools(["c", "count", {}]);
+    },
+    { fallbackModels: ["b"], retry: false },
+  );
+  ai.registerTool({ name: "count", handler: () => ++handled });
+  const result = await ai.askWithTools({ user: "go" });
+  assert.equal(result.text, "from b");
+  assert.equal(result.model, "b");
+  assert.equal(handled, 1);
+  assert.deepEqual(
+    requests.map((body) => body.model),
+    ["a", "b", "b"],
+  );
+});
+
+test("ask() uses the tool loop when tools are registered", async () => {
+  const replies = [callTools(["c1", "get_weather", { city: "Lima" }]), reply("Warm.")];
+  const { ai } = stubGroq(() => replies.shift(), { tools: [weather] });
+  assert.equal(await ai.ask({ user: "Lima?" }), "Warm.");
+});
+
+test("rejects tools without a valid name or handler", () => {
+  const { ai } = stubGroq(() => reply("ok"));
+  assert.throws(() => ai.registerTool({ name: "has space", handler() {} }), /Invalid tool name/);
+  assert.throws(() => ai.registerTool({ name: "ok" }), /needs a handler/);
+});
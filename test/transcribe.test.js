@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MistralAi, MultiProviderAi, AllModelsFailedError } = require("../ai.js");
+const { stubGroq, reply, httpError } = require("./helpers.js");
+
+const file = "https://example.com/interview.mp3";
+
+/** A GroqAi whose audio client answers with `create`; request bodies land in `calls`. */
+function groqTranscriber(create, options) {
+  const { ai } = stubGroq(() => reply("unused"), { retry: false, ...options });
+  const calls = [];
+  ai.client.audio = {
+    transcriptions: {
+      create: async (body) => {
+        calls.push(body);
+        return create(body);
+      },
+    },
+  };
+  return { ai, calls };
+}
+
+/** A MistralAi whose audio client answers with `complete`; request params land in `calls`. */
+function mistralTranscriber(complete, options) {
+  const ai = new MistralAi({ apiKey: "test", model: "m", retry: false, ...options });
+  const calls = [];
+  ai.client = {
+    audio: {
+      transcriptions: {
+        complete: async (params) => {
+          calls.push(params);
+          return complete(params);
+        },
+      },
+    },
+  };
+  return { ai, calls };
+}
+
+test("normalizes a Whisper verbose_json reply", async () => {
+  const resp = {
+    text: " Thanks for having me. ",
+    language: "English",
+    duration: 4.5,
+    segments: [{ start: 0, end: 4.1, text: " Thanks for having me. ", tokens: [1] }],
+    words: [{ word: " Thanks", start: "0", end: 0.32 }],
+  };
+  const { ai, calls } = groqTranscriber(() => resp);
+
+  const result = await ai.transcribeDetailed({ file, timestamp_granularities: ["word", "segment"] });
+  assert.deepEqual(result, {
+    text: "Thanks for having me.",
+    language: "en",
+    duration: 4.5,
+    segments: [{ start: 0, end: 4.1, text: "Thanks for having me." }],
+    words: [{ word: "Thanks", start: 0, end: 0.32 }],
+    provider: "groq",
+    model: "whisper-large-v3-turbo",
+    cached: false,
+    raw: resp,
+  });
+  assert.deepEqual(calls, [
+    {
+      url: file,
+      model: "whisper-large-v3-turbo",
+      temperature: 0,
+      response_format: "verbose_json",
+      timestamp_granularities: ["word", "segment"],
+    },
+  ]);
+  assert.equal(await ai.transcribe({ file }), "Thanks for having me.");
+});
+
+test("Groq only tries whisper-large-v3-turbo by default, never the chat models", async () => {
+  const { ai, calls } = groqTranscriber(() => {
+    throw httpError(500);
+  }, { fallbackModels: ["b"] });
+  await assert.rejects(ai.transcribeDetailed({ file }), (error) => {
+    assert.ok(error instanceof AllModelsFailedError);
+    assert.equal(error.attempts.length, 1);
+    return true;
+  });
+  assert.deepEqual(
+    calls.map((body) => body.model),
+    ["whisper-large-v3-turbo"],
+  );
+});
+
+test("normalizes a Voxtral reply, taking the duration from billed audio seconds", async () => {
+  const resp = {
+    text: "Bonjour à tous.",
+    language: "FR",
+    segments: [{ start: 0.2, end: 1.9, text: "Bonjour à tous." }],
+    usage: { promptAudioSeconds: 2 },
+  };
+  const { ai, calls } = mistralTranscriber(() => resp);
+
+  const result = await ai.transcribeDetailed({ file });
+  assert.deepEqual(result, {
+    text: "Bonjour à tous.",
+    language: "fr",
+    duration: 2,
+    segments: [{ start: 0.2, end: 1.9, text: "Bonjour à tous." }],
+    words: [],
+    provider: "mistral",
+    model: "voxtral-mini-latest",
+    cached: false,
+    raw: resp,
+  });
+  assert.deepEqual(calls, [
+    { model: "voxtral-mini-latest", timestampGranularities: ["segment"], fileUrl: file },
+  ]);
+});
+
+test("Voxtral with a language set skips timestamps and falls back to the last segment end", async () => {
+  const { ai, calls } = mistralTranscriber(() => ({
+    text: "hello",
+    segments: [{ start: 0, end: 3.25, text: "hello" }],
+  }));
+  const result = await ai.transcribeDetailed({ file, language: "en" });
+  assert.equal(result.duration, 3.25);
+  assert.equal(result.language, null);
+  assert.deepEqual(calls[0], { model: "voxtral-mini-latest", language: "en", fileUrl: file });
+
+  assert.equal(await ai.transcribe({ file }), "hello");
+  assert.equal(calls[1].timestampGranularities, undefined);
+});
+
+test("MultiProviderAi falls back to the next provider with the same result shape", async () => {
+  const ai = new MultiProviderAi({
+    apiKeys: { groq: "test", mistral: "test" },
+    model: { provider: "groq", name: "a" },
+    retry: false,
+  });
+  ai.clients.groq.client.audio = {
+    transcriptions: {
+      create: async () => {
+        throw httpError(500);
+      },
+    },
+  };
+  ai.clients.mistral.client = {
+    audio: { transcriptions: { complete: async () => ({ text: "from mistral", segments: [] }) } },
+  };
+  const result = await ai.transcribeDetailed({ file });
+  assert.equal(result.text, "from mistral");
+  assert.equal(result.provider, "mistral");
+  assert.equal(result.model, "voxtral-mini-latest");
+  assert.equal(result.duration, null);
+  assert.deepEqual(result.words, []);
+});